@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import Image from 'next/image';
+import axios from 'axios';
+import Cookies from 'js-cookie';
+
+// --- Utility functions for browser environment (copied from shared/utils.js for client-side access) ---
+function getLocalFormattedTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  return new Intl.DateTimeFormat(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    timeZoneName: 'short',
+  }).format(date);
+}
+// --- End Utility functions ---
+
+export default function AdminCollections({ initialCollections, error }) {
+  const router = useRouter();
+  const [collections, setCollections] = useState(initialCollections || []);
+  const [expandedCollectionId, setExpandedCollectionId] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (error === 'Authentication failed') {
+      router.push('/'); // Redirect to login if not authenticated
+    } else if (error) {
+      console.error('Collections page initial error:', error);
+    }
+  }, [error, router]);
+
+  const fetchCollections = async () => {
+    setLoading(true);
+    try {
+      const adminJwtToken = Cookies.get('adminJwtToken');
+      if (!adminJwtToken) {
+        router.push('/');
+        return;
+      }
+
+      const response = await axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/admin/collections`, {
+        headers: { 'x-auth-token': adminJwtToken },
+      });
+      setCollections(response.data.collections);
+    } catch (err) {
+      console.error('Error fetching collections client-side:', err);
+      if (err.response?.status === 401) {
+        router.push('/');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleExpand = (collectionId) => {
+    setExpandedCollectionId(expandedCollectionId === collectionId ? null : collectionId);
+  };
+
+  return (
+    <div className="container mt-5">
+      <Head>
+        <title>Collections - XJR-3</title>
+      </Head>
+
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h3">Collections</h1>
+        <Image src="/logo.svg" alt="XJR-3 Logo" width={40} height={40} />
+        <button onClick={() => {
+          Cookies.remove('adminJwtToken');
+          router.push('/');
+        }} className="btn btn-danger">Logout</button>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <div className="card p-3">
+        <div className="d-flex justify-content-between align-items-center">
+          <h2 className="h5 card-title">All Collections ({collections.length})</h2>
+          <button className="btn btn-sm btn-outline-secondary" onClick={fetchCollections} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-hover table-sm">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Owner</th>
+                <th>Members</th>
+                <th>Papers</th>
+                <th>Last Updated</th>
+                <th>Expand</th>
+              </tr>
+            </thead>
+            <tbody>
+              {collections.length > 0 ? (
+                collections.map((collection) => (
+                  <>
+                    <tr key={collection._id}>
+                      <td>
+                        {collection.name}
+                        {collection.description && <div className="text-muted small">{collection.description}</div>}
+                      </td>
+                      <td>{collection.owner}</td>
+                      <td>{collection.members.join(', ') || 'None'}</td>
+                      <td>{collection.itemCount}</td>
+                      <td>{collection.updatedAt ? getLocalFormattedTimestamp(collection.updatedAt) : 'N/A'}</td>
+                      <td>
+                        <button className="btn btn-sm btn-outline-primary" onClick={() => toggleExpand(collection._id)}>
+                          {expandedCollectionId === collection._id ? 'Collapse' : 'Expand'}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedCollectionId === collection._id && (
+                      <tr>
+                        <td colSpan="6">
+                          {collection.items.length > 0 ? (
+                            <table className="table table-bordered table-sm mb-0">
+                              <thead>
+                                <tr>
+                                  <th>#</th>
+                                  <th>Paper</th>
+                                  <th>Assigned To</th>
+                                  <th>Read By</th>
+                                  <th>Added</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {collection.items.map((item, index) => (
+                                  <tr key={item._id}>
+                                    <td>{index + 1}</td>
+                                    <td>
+                                      {item.paper ? (item.paper.metadata.title || item.paper.id) : <span className="text-muted">Paper no longer tracked</span>}
+                                      <div className="text-muted small">{item.paperId}</div>
+                                    </td>
+                                    <td>{item.assignedTo || 'Unassigned'}</td>
+                                    <td>{item.readBy.join(', ') || 'Nobody yet'}</td>
+                                    <td>{item.addedBy} on {getLocalFormattedTimestamp(item.addedAt)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <p className="text-muted mb-0">No papers in this collection.</p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan="6" className="text-center">{loading ? 'Loading collections...' : 'No collections found.'}</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export async function getServerSideProps(context) {
+  const { req, res } = context;
+  const adminJwtToken = req.cookies.adminJwtToken;
+
+  if (!adminJwtToken) {
+    return {
+      redirect: {
+        destination: '/',
+        permanent: false,
+      },
+    };
+  }
+
+  try {
+    const backendApiUrl = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:3000/api';
+    const response = await axios.get(`${backendApiUrl}/admin/collections`, {
+      headers: { 'x-auth-token': adminJwtToken },
+    });
+
+    return {
+      props: {
+        initialCollections: response.data.collections,
+      },
+    };
+  } catch (error) {
+    console.error('Error fetching initial collections data:', error);
+    if (error.response?.status === 401) {
+      res.setHeader('Set-Cookie', 'adminJwtToken=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT');
+      return {
+        redirect: {
+          destination: '/',
+          permanent: false,
+        },
+      };
+    }
+    return {
+      props: { error: error.response?.data?.message || 'Failed to load collections.' },
+    };
+  }
+}
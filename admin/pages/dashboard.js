@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Image from 'next/image';
@@ -35,17 +35,78 @@ function getRelativeTime(timestamp) {
 }
 // --- End Utility functions ---
 
+// Events from GET /api/events that change what the table shows
+const LIVE_EVENT_TYPES = ['mark-read', 'undo', 'status', 'claim'];
+const LIVE_REFRESH_DELAY_MS = 500; // Several events in a row cause one refresh
+
+const DEFAULT_ASSIGNMENT_DAYS = 7; // CLAIM_DEFAULT_DAYS in shared/paper.js
+
+const EMPTY_FILTERS = {
+  keyword: '',
+  user: '',
+  publishYear: '',
+  yearFrom: '',
+  yearTo: '',
+  author: '',
+  venue: '',
+  tags: '',
+  readWithinDays: '',
+  minReads: '',
+  readByNobody: false,
+  sort: 'relevance',
+};
+
+// Query string for GET /papers/search-papers, leaving out empty filters (the backend rejects empty values)
+const searchQueryFor = (page, limit, filters) => new URLSearchParams({
+  page,
+  limit,
+  ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value !== false)),
+}).toString();
+
+// Text with the given [start, end] ranges wrapped in <mark>
+function MarkedText({ text, matches }) {
+  const parts = [];
+  let position = 0;
+  matches.forEach(([start, end]) => {
+    parts.push(text.slice(position, start), <mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+// Title of a search result with its matches marked, then the author and abstract matches
+function SearchResultTitle({ paper }) {
+  const snippets = paper.snippets || [];
+  const titleSnippet = snippets.find((snippet) => snippet.field === 'title');
+  return (
+    <>
+      {titleSnippet ? <MarkedText {...titleSnippet} /> : (paper.metadata.title || paper.id)}
+      {snippets.filter((snippet) => snippet.field !== 'title').map((snippet, index) => (
+        <div key={index} className="small text-muted">
+          {snippet.field === 'authors' && 'by '}
+          <MarkedText {...snippet} />
+        </div>
+      ))}
+    </>
+  );
+}
+
+// The paper's claim or assignment while it has not expired (ISO timestamps compare in time order)
+const activeClaimOf = (paper) => (paper.claim && paper.claim.expiresAt > new Date().toISOString() ? paper.claim : null);
+
 export default function Dashboard({ initialPapers, initialTotalCount, error }) {
   const router = useRouter();
   const [papers, setPapers] = useState(initialPapers || []);
   const [totalCount, setTotalCount] = useState(initialTotalCount || 0);
   const [currentPage, setCurrentPage] = useState(1);
   const [loading, setLoading] = useState(false);
-  const [currentFilters, setCurrentFilters] = useState({
-    keyword: '',
-    user: '',
-    publishYear: '',
-  });
+  const [currentFilters, setCurrentFilters] = useState(EMPTY_FILTERS);
+  const [users, setUsers] = useState([]);
+  const [assignments, setAssignments] = useState({}); // Assign form values by paper id: { user, days }
+  const [assignMessage, setAssignMessage] = useState(null);
+  const [live, setLive] = useState(false);
+  const refreshLoadedPapersRef = useRef(null);
 
   useEffect(() => {
     if (error === 'Authentication failed') {
@@ -55,6 +116,17 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
     }
   }, [error, router]);
 
+  // Users papers can be assigned to
+  useEffect(() => {
+    const adminJwtToken = Cookies.get('adminJwtToken');
+    if (!adminJwtToken) return;
+    axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/admin/users`, {
+      headers: { 'x-auth-token': adminJwtToken },
+    })
+      .then((response) => setUsers(response.data))
+      .catch((err) => console.error('Error fetching users for assignment:', err));
+  }, []);
+
   const fetchPapersClientSide = async (page, filters) => {
     setLoading(true);
     try {
@@ -64,11 +136,7 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
         return;
       }
 
-      const queryParams = new URLSearchParams({
-        page,
-        limit: 10, // Assuming a default limit for client-side fetches
-        ...filters,
-      }).toString();
+      const queryParams = searchQueryFor(page, 10, filters); // Assuming a default limit for client-side fetches
 
       const response = await axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?${queryParams}`, {
         headers: {
@@ -93,10 +161,54 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
     }
   };
 
+  // Re-fetch every page loaded so far with the current filters, keeping the table where it is
+  const refreshLoadedPapers = async () => {
+    try {
+      const adminJwtToken = Cookies.get('adminJwtToken');
+      const queryParams = searchQueryFor(1, 10 * currentPage, currentFilters);
+
+      const response = await axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?${queryParams}`, {
+        headers: {
+          'x-auth-token': adminJwtToken,
+        },
+      });
+      setPapers(response.data.papers);
+      setTotalCount(response.data.totalCount);
+    } catch (err) {
+      console.error('Error refreshing papers after a live event:', err);
+    }
+  };
+  refreshLoadedPapersRef.current = refreshLoadedPapers;
+
+  // Live updates: refresh the table when anyone marks, removes, claims or changes the status of a read
+  useEffect(() => {
+    const adminJwtToken = Cookies.get('adminJwtToken');
+    if (!adminJwtToken || typeof EventSource === 'undefined') return undefined;
+
+    // EventSource cannot send headers, so the token goes in the query string
+    const source = new EventSource(
+      `${process.env.NEXT_PUBLIC_BACKEND_API_URL}/events?token=${encodeURIComponent(adminJwtToken)}`
+    );
+    let refreshTimer = null;
+    const scheduleRefresh = () => {
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => refreshLoadedPapersRef.current(), LIVE_REFRESH_DELAY_MS);
+    };
+
+    source.onopen = () => setLive(true);
+    source.onerror = () => setLive(false); // EventSource reconnects by itself
+    LIVE_EVENT_TYPES.forEach((type) => source.addEventListener(type, scheduleRefresh));
+
+    return () => {
+      clearTimeout(refreshTimer);
+      source.close();
+    };
+  }, []);
+
   const handleFilterChange = (e) => {
     setCurrentFilters({
       ...currentFilters,
-      [e.target.name]: e.target.value,
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
     });
   };
 
@@ -108,6 +220,51 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
     fetchPapersClientSide(currentPage + 1, currentFilters);
   };
 
+  const assignmentFor = (paperId) => assignments[paperId] || { user: '', days: DEFAULT_ASSIGNMENT_DAYS };
+
+  const handleAssignmentChange = (paperId, field, value) => {
+    setAssignments({ ...assignments, [paperId]: { ...assignmentFor(paperId), [field]: value } });
+  };
+
+  const updatePaperClaim = (paperId, claim) => {
+    setPapers((prevPapers) => prevPapers.map((paper) => (paper.id === paperId ? { ...paper, claim } : paper)));
+  };
+
+  const handleAssign = async (paperId) => {
+    const { user, days } = assignmentFor(paperId);
+    if (!user) {
+      setAssignMessage({ type: 'danger', text: 'Choose a user to assign the paper to.' });
+      return;
+    }
+
+    try {
+      const adminJwtToken = Cookies.get('adminJwtToken');
+      const response = await axios.post(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/admin/assign`,
+        { paperId, user, days: Number(days) },
+        { headers: { 'x-auth-token': adminJwtToken } });
+      updatePaperClaim(paperId, response.data.claim);
+      setAssignMessage({ type: 'success', text: `Assigned to ${user} for ${days} days.` });
+    } catch (err) {
+      console.error('Error assigning paper:', err);
+      setAssignMessage({ type: 'danger', text: err.response?.data?.message || 'Failed to assign paper.' });
+    }
+  };
+
+  const handleClearAssignment = async (paperId) => {
+    try {
+      const adminJwtToken = Cookies.get('adminJwtToken');
+      await axios.delete(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/admin/assign`, {
+        headers: { 'x-auth-token': adminJwtToken },
+        data: { paperId },
+      });
+      updatePaperClaim(paperId, null);
+      setAssignMessage({ type: 'success', text: 'Assignment cleared.' });
+    } catch (err) {
+      console.error('Error clearing assignment:', err);
+      setAssignMessage({ type: 'danger', text: err.response?.data?.message || 'Failed to clear assignment.' });
+    }
+  };
+
   return (
     <div className="container mt-5">
       <Head>
@@ -163,6 +320,52 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
             <button className="btn btn-primary btn-block" onClick={handleSearch}>Search</button>
           </div>
         </div>
+        <div className="row">
+          <div className="col-md-2 mb-2">
+            <input type="number" className="form-control" placeholder="Year from" name="yearFrom" value={currentFilters.yearFrom} onChange={handleFilterChange} />
+          </div>
+          <div className="col-md-2 mb-2">
+            <input type="number" className="form-control" placeholder="Year to" name="yearTo" value={currentFilters.yearTo} onChange={handleFilterChange} />
+          </div>
+          <div className="col-md-3 mb-2">
+            <input type="text" className="form-control" placeholder="Author (exact name)" name="author" value={currentFilters.author} onChange={handleFilterChange} />
+          </div>
+          <div className="col-md-3 mb-2">
+            <input type="text" className="form-control" placeholder="Venue" name="venue" value={currentFilters.venue} onChange={handleFilterChange} />
+          </div>
+          <div className="col-md-2 mb-2">
+            <input type="number" min="1" className="form-control" placeholder="Min. reads" name="minReads" value={currentFilters.minReads} onChange={handleFilterChange} />
+          </div>
+        </div>
+        <div className="row align-items-center">
+          <div className="col-md-3 mb-2">
+            <input type="text" className="form-control" placeholder="Tags, comma-separated" name="tags" value={currentFilters.tags} onChange={handleFilterChange} />
+          </div>
+          <div className="col-md-3 mb-2">
+            <select className="form-select" aria-label="Read within" name="readWithinDays" value={currentFilters.readWithinDays} onChange={handleFilterChange}>
+              <option value="">Read any time</option>
+              <option value="7">Read in last 7 days</option>
+              <option value="30">Read in last 30 days</option>
+              <option value="90">Read in last 90 days</option>
+              <option value="365">Read in last year</option>
+            </select>
+          </div>
+          <div className="col-md-3 mb-2">
+            <select className="form-select" aria-label="Sort by" name="sort" value={currentFilters.sort} onChange={handleFilterChange}>
+              <option value="relevance">Best match first</option>
+              <option value="date">Latest read first</option>
+              <option value="year">Newest publication first</option>
+              <option value="reads">Most read first</option>
+              <option value="title">Title A–Z</option>
+            </select>
+          </div>
+          <div className="col-md-3 mb-2">
+            <div className="form-check">
+              <input type="checkbox" className="form-check-input" id="filter-read-by-nobody" name="readByNobody" checked={currentFilters.readByNobody} onChange={handleFilterChange} />
+              <label className="form-check-label" htmlFor="filter-read-by-nobody">Read by nobody</label>
+            </div>
+          </div>
+        </div>
       </div>
 
       {/* Stats Placeholder */}
@@ -173,7 +376,11 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
 
       {/* Papers Table */}
       <div className="card p-3">
-        <h2 className="h5 card-title">All Papers ({totalCount})</h2>
+        <h2 className="h5 card-title">
+          All Papers ({totalCount})
+          <span className={`badge ms-2 ${live ? 'bg-success' : 'bg-secondary'}`}>{live ? 'Live' : 'Not live'}</span>
+        </h2>
+        {assignMessage && <div className={`alert alert-${assignMessage.type}`}>{assignMessage.text}</div>}
         <div className="table-responsive">
           <table className="table table-hover table-sm">
             <thead>
@@ -182,6 +389,7 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
                 <th>Publish Year</th>
                 <th>Reads Count</th>
                 <th>Latest Read Time</th>
+                <th>Assigned To</th>
                 <th>Actions</th>
               </tr>
             </thead>
@@ -189,7 +397,7 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
               {papers.length > 0 ? (
                 papers.map((paper) => (
                   <tr key={paper.id}>
-                    <td>{paper.metadata.title}</td>
+                    <td><SearchResultTitle paper={paper} /></td>
                     <td>{paper.metadata.publishYear || 'N/A'}</td>
                     <td>{paper.reads.length}</td>
                     <td>
@@ -202,6 +410,47 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
                         'N/A'
                       )}
                     </td>
+                    <td>
+                      {activeClaimOf(paper) ? (
+                        <>
+                          {activeClaimOf(paper).user}
+                          {!activeClaimOf(paper).assignedBy && <span className="text-muted"> (claimed)</span>}
+                          <div className="text-muted small">
+                            until {getLocalFormattedTimestamp(activeClaimOf(paper).expiresAt)}
+                          </div>
+                          <button className="btn btn-sm btn-outline-danger mt-1" onClick={() => handleClearAssignment(paper.id)}>
+                            Clear
+                          </button>
+                        </>
+                      ) : (
+                        <div className="d-flex">
+                          <select
+                            className="form-select form-select-sm me-1"
+                            aria-label="Assign to"
+                            value={assignmentFor(paper.id).user}
+                            onChange={(e) => handleAssignmentChange(paper.id, 'user', e.target.value)}
+                          >
+                            <option value="">Unassigned</option>
+                            {users.map((user) => (
+                              <option key={user._id} value={user.username}>{user.username}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            className="form-control form-control-sm me-1"
+                            style={{ width: '4.5rem' }}
+                            aria-label="Days"
+                            min="1"
+                            max="30"
+                            value={assignmentFor(paper.id).days}
+                            onChange={(e) => handleAssignmentChange(paper.id, 'days', e.target.value)}
+                          />
+                          <button className="btn btn-sm btn-outline-primary" onClick={() => handleAssign(paper.id)}>
+                            Assign
+                          </button>
+                        </div>
+                      )}
+                    </td>
                     <td>
                       {/* Actions like View Notes, Delete Read, etc. */}
                       <button className="btn btn-sm btn-info me-2">View Reads</button>
@@ -210,7 +459,7 @@ export default function Dashboard({ initialPapers, initialTotalCount, error }) {
                 ))
               ) : (
                 <tr>
-                  <td colSpan="5" className="text-center">{loading ? 'Loading...' : 'No papers found.'}</td>
+                  <td colSpan="6" className="text-center">{loading ? 'Loading...' : 'No papers found.'}</td>
                 </tr>
               )}
             </tbody>
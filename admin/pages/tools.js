@@ -35,12 +35,162 @@ function getRelativeTime(timestamp) {
 }
 // --- End Utility functions ---
 
-export default function AdminTools({ initialPapers, initialConfig, error }) {
+// Formats of GET /export and the extensions of their downloads
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv' },
+  { value: 'bibtex', label: 'BibTeX', extension: 'bib' },
+  { value: 'ris', label: 'RIS', extension: 'ris' },
+  { value: 'csl-json', label: 'CSL-JSON', extension: 'json' },
+  { value: 'jsonl', label: 'JSON Lines', extension: 'jsonl' },
+];
+
+// Pull every page of GET /papers/changes after the cursor, or every paper when there is none
+async function fetchPaperChanges(backendApiUrl, adminJwtToken, since) {
+  const changes = { papers: [], removed: { reads: [], papers: [] }, cursor: since || null };
+  let hasMore = true;
+  while (hasMore) {
+    const query = changes.cursor ? `?since=${encodeURIComponent(changes.cursor)}` : '';
+    const { data } = await axios.get(`${backendApiUrl}/papers/changes${query}`, {
+      headers: { 'x-auth-token': adminJwtToken },
+    });
+    changes.papers.push(...(data.papers || []));
+    changes.removed.reads.push(...(data.removed?.reads || []));
+    changes.removed.papers.push(...(data.removed?.papers || []));
+    changes.cursor = data.cursor || changes.cursor;
+    hasMore = Boolean(data.hasMore);
+  }
+  return changes;
+}
+
+// Papers after applying changes pulled since the last sync, most recently changed first
+function applyPaperChanges(papers, changes) {
+  const byId = new Map(papers.map((paper) => [paper.id, paper]));
+  changes.removed.papers.forEach(({ id }) => byId.delete(id)); // Merged into another paper
+  changes.papers.forEach((paper) => byId.set(paper.id, paper));
+  changes.removed.reads.forEach(({ paperId, readId }) => {
+    const paper = byId.get(paperId);
+    if (paper) {
+      byId.set(paperId, { ...paper, reads: paper.reads.filter((read) => read._id !== readId) });
+    }
+  });
+  return [...byId.values()].sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+}
+
+// Read a chosen file as text
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+const IMPORT_ACTION_LABELS = {
+  create: 'New paper',
+  'add-read': 'Add read',
+  exists: 'Already tracked',
+  duplicate: 'Duplicate in file',
+  invalid: 'Skipped',
+  failed: 'Failed',
+};
+const IMPORT_ACTION_BADGES = {
+  create: 'bg-success',
+  'add-read': 'bg-primary',
+  exists: 'bg-secondary',
+  duplicate: 'bg-secondary',
+  invalid: 'bg-warning text-dark',
+  failed: 'bg-danger',
+};
+
+// Report of POST /admin/import: counts per action, then one row per entry of the file
+function ImportReport({ report }) {
+  const { counts } = report;
+  return (
+    <div className="mt-3">
+      <p className="mb-2">
+        {report.dryRun ? 'Preview' : 'Imported'} ({report.format}, {counts.total} entries): {counts.create} new papers,{' '}
+        {counts['add-read']} reads added{report.user ? ` for ${report.user}` : ''}, {counts.exists} already tracked,{' '}
+        {counts.duplicate} duplicates, {counts.invalid} skipped{counts.failed > 0 ? `, ${counts.failed} failed` : ''}.
+      </p>
+      <div className="table-responsive" style={{ maxHeight: '20rem' }}>
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Entry</th>
+              <th>Paper ID</th>
+              <th>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.entries.map(entry => (
+              <tr key={entry.index}>
+                <td>{entry.index + 1}</td>
+                <td>{entry.title || entry.key || 'Untitled'}</td>
+                <td>{entry.paperId || '—'}</td>
+                <td>
+                  <span className={`badge ${IMPORT_ACTION_BADGES[entry.action]}`}>{IMPORT_ACTION_LABELS[entry.action]}</span>
+                  {entry.reason && <small className="text-muted ms-1">{entry.reason}</small>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Structured notes of a read entry: rating, tags, markdown body (shown as written), takeaways and highlights
+function ReadNotes({ read }) {
+  const tags = read.tags || [];
+  const takeaways = read.takeaways || [];
+  const highlights = read.highlights || [];
+
+  if (!read.notes && !read.rating && tags.length === 0 && takeaways.length === 0 && highlights.length === 0) {
+    return 'No notes.';
+  }
+
+  return (
+    <div>
+      {read.rating && (
+        <span className="text-warning me-2" title={`Rated ${read.rating} out of 5`}>
+          {'★'.repeat(read.rating) + '☆'.repeat(5 - read.rating)}
+        </span>
+      )}
+      {tags.map(tag => <span key={tag} className="badge bg-info text-dark me-1">{tag}</span>)}
+      {read.notes && <div style={{ whiteSpace: 'pre-wrap' }}>{read.notes}</div>}
+      {takeaways.length > 0 && (
+        <ul className="mb-1">
+          {takeaways.map((takeaway, index) => <li key={index}>{takeaway}</li>)}
+        </ul>
+      )}
+      {highlights.map((highlight, index) => (
+        <blockquote key={highlight._id || index} className="border-start ps-2 mb-1 fst-italic">
+          “{highlight.quote}”
+          {highlight.comment && <div className="fst-normal text-muted">{highlight.comment}</div>}
+        </blockquote>
+      ))}
+      {read.notesUpdatedAt && <small className="text-muted">Edited {getRelativeTime(read.notesUpdatedAt)}</small>}
+    </div>
+  );
+}
+
+export default function AdminTools({ initialPapers, initialCursor, initialConfig, error }) {
   const router = useRouter();
   const [papers, setPapers] = useState(initialPapers || []);
+  const [cursor, setCursor] = useState(initialCursor || null);
   const [config, setConfig] = useState(initialConfig);
   const [expandedPaperId, setExpandedPaperId] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importFormat, setImportFormat] = useState('');
+  const [importUser, setImportUser] = useState('');
+  const [importStatus, setImportStatus] = useState('read');
+  const [importReport, setImportReport] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
 
   useEffect(() => {
     if (error === 'Authentication failed') {
@@ -50,6 +200,15 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
     }
   }, [error, router]);
 
+  // Bring the papers up to date with the changes since the last sync; returns the updated list
+  const syncPapers = async (adminJwtToken) => {
+    const changes = await fetchPaperChanges(process.env.NEXT_PUBLIC_BACKEND_API_URL, adminJwtToken, cursor);
+    const updated = applyPaperChanges(cursor ? papers : [], changes);
+    setPapers(updated);
+    setCursor(changes.cursor);
+    return updated;
+  };
+
   const fetchPapersAndConfig = async () => {
     setLoading(true);
     try {
@@ -59,16 +218,13 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
         return;
       }
 
-      const [papersResponse, configResponse] = await Promise.all([
-        axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?limit=10000`, {
-          headers: { 'x-auth-token': adminJwtToken },
-        }),
+      const [, configResponse] = await Promise.all([
+        syncPapers(adminJwtToken),
         axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/admin/config`, {
           headers: { 'x-auth-token': adminJwtToken },
         }),
       ]);
 
-      setPapers(papersResponse.data.papers);
       setConfig(configResponse.data);
     } catch (err) {
       console.error('Error fetching papers or config client-side:', err);
@@ -112,7 +268,9 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
     }
   };
 
-  const handleExportCsv = async () => {
+  // Download every paper from the server in the chosen format
+  const handleExport = async () => {
+    const format = EXPORT_FORMATS.find(({ value }) => value === exportFormat);
     try {
       const adminJwtToken = Cookies.get('adminJwtToken');
       if (!adminJwtToken) {
@@ -120,51 +278,22 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
         return;
       }
 
-      const response = await axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?limit=10000`, {
-        headers: {
-          'x-auth-token': adminJwtToken,
-        },
-      });
-
-      const papers = response.data.papers;
-
-      if (!papers || papers.length === 0) {
-        alert('No papers to export.');
-        return;
-      }
-
-      // Prepare CSV header
-      const csvRows = [];
-      const headers = ['ID', 'Title', 'Authors', 'Abstract', 'Publish Year', 'Reads Count', 'Readers', 'Latest Read Time (UTC)', 'Latest Read Notes'];
-      csvRows.push(headers.join(','));
-
-      papers.forEach(paper => {
-        const latestRead = paper.reads.length > 0 ? paper.reads[paper.reads.length - 1] : null;
-        const row = [
-          `"${paper.id}"`,
-          `"${paper.metadata.title.replace(/"/g, '\"\')}"`,
-          `"${paper.metadata.authors.join('; ').replace(/"/g, '\"\')}"`,
-          `"${paper.metadata.abstract.replace(/"/g, '\"\')}"`,
-          paper.metadata.publishYear || 'N/A',
-          paper.reads.length,
-          `"${paper.reads.map(read => read.user).join('; ').replace(/"/g, '\"\')}"`,
-          latestRead ? latestRead.timestamp : 'N/A',
-          latestRead ? `"${latestRead.notes.replace(/"/g, '\"\')}"` : 'N/A',
-        ];
-        csvRows.push(row.join(','));
+      const response = await axios.get(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/export`, {
+        headers: { 'x-auth-token': adminJwtToken },
+        params: { format: format.value },
+        responseType: 'blob',
       });
 
-      const csvString = csvRows.join('\n');
-      const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
       const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = 'xjr3_papers.csv';
+      link.href = URL.createObjectURL(response.data);
+      link.download = `xjr3_papers.${format.extension}`;
       link.click();
+      URL.revokeObjectURL(link.href);
 
-      alert('Papers exported to CSV successfully!');
+      alert(`Papers exported to ${format.label} successfully!`);
     } catch (err) {
-      console.error('Error exporting CSV:', err);
-      alert(err.response?.data?.message || 'Failed to export papers to CSV.');
+      console.error('Error exporting papers:', err);
+      alert(err.response?.data?.message || `Failed to export papers to ${format.label}.`);
     }
   };
 
@@ -193,6 +322,41 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
     }
   };
 
+  // Preview an import (dry run) or carry it out, then show the report
+  const handleImport = async (dryRun) => {
+    if (!importFile) {
+      alert('Choose a BibTeX, RIS or CSL-JSON file first.');
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const adminJwtToken = Cookies.get('adminJwtToken');
+      if (!adminJwtToken) {
+        router.push('/');
+        return;
+      }
+
+      const response = await axios.post(`${process.env.NEXT_PUBLIC_BACKEND_API_URL}/admin/import`, {
+        content: await readFileText(importFile),
+        ...(importFormat ? { format: importFormat } : {}),
+        ...(importUser.trim() ? { user: importUser.trim(), status: importStatus } : {}),
+        dryRun,
+      }, {
+        headers: { 'x-auth-token': adminJwtToken },
+      });
+      setImportReport(response.data);
+      if (!dryRun) {
+        await syncPapers(adminJwtToken);
+      }
+    } catch (err) {
+      console.error('Error importing papers:', err);
+      alert(err.response?.data?.message || 'Failed to import papers.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const handleTogglePreventDuplicateReads = async () => {
     setLoading(true);
     try {
@@ -269,10 +433,91 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
           <button className="btn btn-warning mb-2" onClick={handleDeleteDuplicates}>
             Delete Duplicate Read Entries
           </button>
-          <button className="btn btn-info" onClick={handleExportCsv}>
-            Export All Papers to CSV
+          <div className="input-group">
+            <select
+              className="form-select"
+              aria-label="Export format"
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+            >
+              {EXPORT_FORMATS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button className="btn btn-info" onClick={handleExport}>
+              Export All Papers
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Import from reference managers */}
+      <div className="card p-3 mb-4">
+        <h2 className="h5 card-title">Import Papers</h2>
+        <p className="text-muted small">
+          BibTeX, RIS or CSL-JSON, e.g. exported from Zotero. Entries are matched to tracked papers by DOI, arXiv ID,
+          PMID, ISBN or URL; a preview shows what will happen before anything is saved.
+        </p>
+        <div className="row g-2 align-items-end">
+          <div className="col-md-4">
+            <label className="form-label" htmlFor="importFile">File</label>
+            <input
+              id="importFile"
+              type="file"
+              className="form-control"
+              accept=".bib,.bibtex,.ris,.json,.txt"
+              onChange={(e) => {
+                setImportFile(e.target.files[0] || null);
+                setImportReport(null);
+              }}
+            />
+          </div>
+          <div className="col-md-2">
+            <label className="form-label" htmlFor="importFormat">Format</label>
+            <select id="importFormat" className="form-select" value={importFormat} onChange={(e) => setImportFormat(e.target.value)}>
+              <option value="">Detect</option>
+              <option value="bibtex">BibTeX</option>
+              <option value="ris">RIS</option>
+              <option value="csl-json">CSL-JSON</option>
+            </select>
+          </div>
+          <div className="col-md-3">
+            <label className="form-label" htmlFor="importUser">Attribute reads to</label>
+            <input
+              id="importUser"
+              type="text"
+              className="form-control"
+              placeholder="Username (optional)"
+              value={importUser}
+              onChange={(e) => setImportUser(e.target.value)}
+            />
+          </div>
+          <div className="col-md-3">
+            <label className="form-label" htmlFor="importStatus">Read status</label>
+            <select
+              id="importStatus"
+              className="form-select"
+              value={importStatus}
+              onChange={(e) => setImportStatus(e.target.value)}
+              disabled={!importUser.trim()}
+            >
+              <option value="read">Read</option>
+              <option value="skimmed">Skimmed</option>
+              <option value="want-to-read">Want to read</option>
+            </select>
+          </div>
+        </div>
+        <div className="mt-2">
+          <button className="btn btn-outline-primary me-2" onClick={() => handleImport(true)} disabled={importing}>
+            Preview Import
           </button>
+          {importReport?.dryRun && importReport.counts.create + importReport.counts['add-read'] > 0 && (
+            <button className="btn btn-primary" onClick={() => handleImport(false)} disabled={importing}>
+              Import {importReport.counts.create + importReport.counts['add-read']} Entries
+            </button>
+          )}
         </div>
+        {importReport && <ImportReport report={importReport} />}
       </div>
 
       {/* All Papers with Reads */}
@@ -294,7 +539,7 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
                 papers.map((paper) => (
                   <>
                     <tr key={paper.id}>
-                      <td>{paper.metadata.title}</td>
+                      <td>{paper.metadata.title || paper.id}</td>
                       <td>{paper.metadata.publishYear || 'N/A'}</td>
                       <td>{paper.reads.length}</td>
                       <td>
@@ -326,7 +571,7 @@ export default function AdminTools({ initialPapers, initialConfig, error }) {
                                     {getLocalFormattedTimestamp(read.timestamp)}
                                     &nbsp;({getRelativeTime(read.timestamp)})
                                   </td>
-                                  <td>{read.notes || 'No notes.'}</td>
+                                  <td><ReadNotes read={read} /></td>
                                   <td>
                                     <button
                                       className="btn btn-sm btn-danger"
@@ -374,10 +619,8 @@ export async function getServerSideProps(context) {
   try {
     // Fetch initial papers and config
     const backendApiUrl = process.env.NEXT_PUBLIC_BACKEND_API_URL || 'http://localhost:3000/api';
-    const [papersResponse, configResponse] = await Promise.all([
-      axios.get(`${backendApiUrl}/papers/search-papers?limit=10000`, {
-        headers: { 'x-auth-token': adminJwtToken },
-      }),
+    const [changes, configResponse] = await Promise.all([
+      fetchPaperChanges(backendApiUrl, adminJwtToken, null),
       axios.get(`${backendApiUrl}/admin/config`, {
         headers: { 'x-auth-token': adminJwtToken },
       }),
@@ -385,8 +628,8 @@ export async function getServerSideProps(context) {
 
     return {
       props: {
-        initialPapers: papersResponse.data.papers,
-        initialTotalCount: papersResponse.data.totalCount,
+        initialPapers: applyPaperChanges([], changes),
+        initialCursor: changes.cursor,
         initialConfig: configResponse.data,
       },
     };
@@ -107,6 +107,14 @@ describe('Admin Pages', () => {
   // Test Dashboard Page
   describe('Dashboard Page (/admin/pages/dashboard.js)', () => {
     const Dashboard = require('../pages/dashboard').default;
+    const mockUsers = [{ _id: 'user1', username: 'naj' }, { _id: 'user2', username: 'tam' }];
+
+    beforeEach(() => {
+      // The assign controls list the users; every other request gets an empty page of papers
+      axios.get.mockImplementation((url) => Promise.resolve({
+        data: url.endsWith('/admin/users') ? mockUsers : { papers: [], totalCount: 0 },
+      }));
+    });
 
     it('redirects to login if no admin token found in getServerSideProps', async () => {
       // getServerSideProps runs in Node.js environment, so we mock context.req.cookies
@@ -161,6 +169,113 @@ describe('Admin Pages', () => {
         expect(screen.getByText(/Searched Paper/i)).toBeInTheDocument();
       });
     });
+
+    it('sends only the filters that are set and marks matched snippets', async () => {
+      const mockPapers = [{
+        id: 'p3',
+        metadata: { title: 'Graph Networks', publishYear: 2021 },
+        reads: [],
+        snippets: [
+          { field: 'title', text: 'Graph Networks', matches: [[0, 5]] },
+          { field: 'abstract', text: '…we train graph models…', matches: [[10, 15]] },
+        ],
+      }];
+      axios.get.mockResolvedValueOnce({ data: { papers: mockPapers, totalCount: 1 } });
+      Cookies.get.mockReturnValue('mockAdminJwt');
+
+      render(<Dashboard initialPapers={[]} initialTotalCount={0} />);
+
+      await userEvent.type(screen.getByPlaceholderText(/Keyword/i), 'graph');
+      await userEvent.type(screen.getByPlaceholderText('Year from'), '2020');
+      await userEvent.click(screen.getByLabelText('Read by nobody'));
+      await userEvent.selectOptions(screen.getByLabelText('Sort by'), 'reads');
+      await userEvent.click(screen.getByRole('button', { name: /Search/i }));
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenCalledWith(
+          `${NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?page=1&limit=10&keyword=graph&yearFrom=2020&readByNobody=true&sort=reads`,
+          expect.any(Object)
+        );
+        expect(screen.getAllByText('Graph')[0].tagName).toBe('MARK');
+      });
+      expect(screen.getByText('graph').tagName).toBe('MARK');
+    });
+
+    it('shows active assignments and assigns papers to users', async () => {
+      const mockPapers = [
+        {
+          id: 'p1',
+          metadata: { title: 'Claimed Paper', publishYear: 2023 },
+          reads: [],
+          claim: { user: 'tam', claimedAt: '2025-09-24T10:00:00.000Z', expiresAt: '2025-10-01T10:00:00.000Z', assignedBy: null },
+        },
+        {
+          id: 'p2',
+          metadata: { title: 'Expired Claim Paper', publishYear: 2024 },
+          reads: [],
+          claim: { user: 'tam', claimedAt: '2025-09-01T10:00:00.000Z', expiresAt: '2025-09-08T10:00:00.000Z', assignedBy: null },
+        },
+      ];
+      const claim = { user: 'naj', claimedAt: '2025-09-26T10:00:00.000Z', expiresAt: '2025-10-10T10:00:00.000Z', assignedBy: 'adminId' };
+      axios.get.mockResolvedValueOnce({ data: { papers: mockPapers, totalCount: 2 } });
+      axios.post.mockResolvedValueOnce({ data: { message: 'Paper assigned successfully', claim } });
+      Cookies.get.mockReturnValue('mockAdminJwt');
+
+      const context = { req: { cookies: { adminJwtToken: 'mockAdminJwt' } }, res: { setHeader: jest.fn() } };
+      const { props } = await Dashboard.getServerSideProps(context);
+
+      render(<Dashboard {...props} />);
+
+      expect(screen.getByText('(claimed)')).toBeInTheDocument(); // Only the active claim is shown
+      expect(screen.getAllByRole('button', { name: 'Clear' })).toHaveLength(1);
+
+      await waitFor(() => expect(screen.getByRole('option', { name: 'naj' })).toBeInTheDocument());
+      await userEvent.selectOptions(screen.getByLabelText('Assign to'), 'naj');
+      await userEvent.clear(screen.getByLabelText('Days'));
+      await userEvent.type(screen.getByLabelText('Days'), '14');
+      await userEvent.click(screen.getByRole('button', { name: 'Assign' }));
+
+      await waitFor(() => {
+        expect(axios.post).toHaveBeenCalledWith(
+          `${NEXT_PUBLIC_BACKEND_API_URL}/admin/assign`,
+          { paperId: 'p2', user: 'naj', days: 14 },
+          { headers: { 'x-auth-token': 'mockAdminJwt' } }
+        );
+        expect(screen.getByText('Assigned to naj for 14 days.')).toBeInTheDocument();
+        expect(screen.getAllByRole('button', { name: 'Clear' })).toHaveLength(2);
+      });
+    });
+
+    it('refreshes the loaded papers when a live event arrives', async () => {
+      const listeners = {};
+      const source = { addEventListener: jest.fn((type, listener) => { listeners[type] = listener; }), close: jest.fn() };
+      global.EventSource = jest.fn(() => source);
+      const updatedPapers = [
+        { id: 'p1', metadata: { title: 'Paper One', publishYear: 2023 }, reads: [{ user: 'tam', timestamp: MOCK_DATE }] },
+      ];
+      Cookies.get.mockReturnValue('mockAdminJwt');
+
+      const { unmount } = render(<Dashboard initialPapers={[]} initialTotalCount={0} />);
+
+      expect(global.EventSource).toHaveBeenCalledWith(`${NEXT_PUBLIC_BACKEND_API_URL}/events?token=mockAdminJwt`);
+      source.onopen();
+      await waitFor(() => expect(screen.getByText('Live')).toBeInTheDocument());
+
+      axios.get.mockResolvedValueOnce({ data: { papers: updatedPapers, totalCount: 1 } });
+      listeners['mark-read']({ data: JSON.stringify({ paperId: 'p1', actor: 'tam' }) });
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenCalledWith(
+          `${NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?page=1&limit=10&sort=relevance`,
+          { headers: { 'x-auth-token': 'mockAdminJwt' } }
+        );
+        expect(screen.getByText('Paper One')).toBeInTheDocument();
+      });
+
+      unmount();
+      expect(source.close).toHaveBeenCalled();
+      delete global.EventSource;
+    });
   });
 
   // Test User Management Page
@@ -344,27 +459,184 @@ describe('Admin Pages', () => {
       });
     });
 
-    it('allows exporting papers to CSV', async () => {
+    it('pulls only the changes since the last sync after deleting a read entry', async () => {
+      const cursor = '1759276800000.000000000000000000000001';
+      axios.get
+        .mockResolvedValueOnce({ data: { papers: [mockPaper], removed: { reads: [], papers: [] }, cursor, hasMore: false } })
+        .mockResolvedValueOnce({ data: { preventDuplicateReads: false } });
+      axios.delete.mockResolvedValueOnce({ data: { message: 'Read entry deleted successfully by admin' } });
+      axios.get
+        .mockResolvedValueOnce({ data: { papers: [], removed: { reads: [{ paperId: 'p1', readId: 'r1' }], papers: [] }, cursor, hasMore: false } })
+        .mockResolvedValueOnce({ data: { preventDuplicateReads: false } });
+      Cookies.get.mockReturnValue('mockAdminJwt');
+
+      const context = { req: { cookies: { adminJwtToken: 'mockAdminJwt' } }, res: { setHeader: jest.fn() } };
+      const { props } = await AdminTools.getServerSideProps(context);
+
+      render(<AdminTools {...props} />);
+
+      await userEvent.click(screen.getByRole('button', { name: /Expand/i }));
+      await waitFor(() => expect(screen.getByText(/Note 1/i)).toBeInTheDocument());
+      await userEvent.click(screen.getAllByRole('button', { name: /Delete/i })[0]);
+
+      await waitFor(() => {
+        expect(axios.get).toHaveBeenCalledWith(
+          `${NEXT_PUBLIC_BACKEND_API_URL}/papers/changes?since=${encodeURIComponent(cursor)}`,
+          expect.any(Object)
+        );
+        expect(screen.queryByText(/Note 1/i)).not.toBeInTheDocument();
+      });
+      expect(screen.getByText(/Note 2/i)).toBeInTheDocument();
+    });
+
+    it('shows structured notes in the expanded read entries', async () => {
+      const paperWithNotes = {
+        ...mockPaper,
+        reads: [{
+          _id: 'r3',
+          user: 'u1',
+          timestamp: MOCK_DATE.toISOString(),
+          notes: 'Solid baseline',
+          rating: 4,
+          tags: ['nlp'],
+          takeaways: ['Scales well'],
+          highlights: [{ _id: 'h1', quote: 'we propose', comment: 'Main claim' }],
+        }],
+      };
+      axios.get
+        .mockResolvedValueOnce({ data: { papers: [paperWithNotes], totalCount: 1 } })
+        .mockResolvedValueOnce({ data: { preventDuplicateReads: false } });
+      Cookies.get.mockReturnValue('mockAdminJwt');
+
+      const context = { req: { cookies: { adminJwtToken: 'mockAdminJwt' } }, res: { setHeader: jest.fn() } };
+      const { props } = await AdminTools.getServerSideProps(context);
+
+      render(<AdminTools {...props} />);
+
+      await userEvent.click(screen.getByRole('button', { name: /Expand/i }));
+
+      await waitFor(() => expect(screen.getByText('Solid baseline')).toBeInTheDocument());
+      expect(screen.getByTitle('Rated 4 out of 5')).toHaveTextContent('★★★★☆');
+      expect(screen.getByText('nlp')).toBeInTheDocument();
+      expect(screen.getByText('Scales well')).toBeInTheDocument();
+      expect(screen.getByText(/we propose/)).toBeInTheDocument();
+      expect(screen.getByText('Main claim')).toBeInTheDocument();
+    });
+
+    it('allows exporting papers from the server in a chosen format', async () => {
       axios.get
         .mockResolvedValueOnce({ data: { papers: [mockPaper], totalCount: 1 } }) // Papers for initial load
         .mockResolvedValueOnce({ data: { preventDuplicateReads: false } }) // Config for initial load
-        .mockResolvedValueOnce({ data: { papers: [mockPaper], totalCount: 1 } }); // Papers for CSV export
+        .mockResolvedValueOnce({ data: new Blob(['@misc{ho2020denoising,\n}\n']) }); // The export
       Cookies.get.mockReturnValue('mockAdminJwt');
+      global.URL.createObjectURL = jest.fn(() => 'blob:export');
+      global.URL.revokeObjectURL = jest.fn();
 
       const context = { req: { cookies: { adminJwtToken: 'mockAdminJwt' } }, res: { setHeader: jest.fn() } };
       const { props } = await AdminTools.getServerSideProps(context);
 
       render(<AdminTools {...props} />);
 
-      await userEvent.click(screen.getByRole('button', { name: /Export All Papers to CSV/i }));
+      await userEvent.selectOptions(screen.getByLabelText('Export format'), 'bibtex');
+      await userEvent.click(screen.getByRole('button', { name: /Export All Papers/i }));
 
       await waitFor(() => {
         expect(axios.get).toHaveBeenCalledWith(
-          `${NEXT_PUBLIC_BACKEND_API_URL}/papers/search-papers?limit=10000`,
-          expect.any(Object)
+          `${NEXT_PUBLIC_BACKEND_API_URL}/export`,
+          expect.objectContaining({ params: { format: 'bibtex' }, responseType: 'blob' })
         );
-        expect(global.alert).toHaveBeenCalledWith('Papers exported to CSV successfully!');
+        expect(global.alert).toHaveBeenCalledWith('Papers exported to BibTeX successfully!');
       });
     });
+
+    it('previews an import and then imports the entries for a user', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { papers: [], removed: { reads: [], papers: [] }, cursor: null, hasMore: false } })
+        .mockResolvedValueOnce({ data: { preventDuplicateReads: false } });
+      const report = (dryRun) => ({
+        dryRun,
+        format: 'bibtex',
+        user: 'naj',
+        counts: { total: 2, create: 1, 'add-read': 0, exists: 0, duplicate: 0, invalid: 1, failed: 0 },
+        entries: [
+          { index: 0, key: 'ho2020', title: 'Denoising Diffusion', paperId: 'arxiv:2006.11239', action: 'create', reason: null },
+          { index: 1, key: 'notes', title: 'Meeting notes', paperId: null, action: 'invalid', reason: 'Invalid year' },
+        ],
+      });
+      axios.post
+        .mockResolvedValueOnce({ data: report(true) })
+        .mockResolvedValueOnce({ data: report(false) });
+      Cookies.get.mockReturnValue('mockAdminJwt');
+
+      const context = { req: { cookies: { adminJwtToken: 'mockAdminJwt' } }, res: { setHeader: jest.fn() } };
+      const { props } = await AdminTools.getServerSideProps(context);
+
+      render(<AdminTools {...props} />);
+
+      const bibtex = '@article{ho2020, title={Denoising Diffusion}, year={2020}, eprint={2006.11239}, archivePrefix={arXiv}}';
+      await userEvent.upload(screen.getByLabelText('File'), new File([bibtex], 'library.bib', { type: 'text/plain' }));
+      await userEvent.type(screen.getByLabelText('Attribute reads to'), 'naj');
+      await userEvent.click(screen.getByRole('button', { name: 'Preview Import' }));
+
+      await waitFor(() => expect(screen.getByText('Invalid year')).toBeInTheDocument());
+      expect(axios.post).toHaveBeenCalledWith(
+        `${NEXT_PUBLIC_BACKEND_API_URL}/admin/import`,
+        { content: bibtex, user: 'naj', status: 'read', dryRun: true },
+        expect.any(Object)
+      );
+      expect(screen.getByText(/^Preview \(bibtex, 2 entries\)/)).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: 'Import 1 Entries' }));
+
+      await waitFor(() => expect(screen.getByText(/^Imported \(bibtex, 2 entries\)/)).toBeInTheDocument());
+      expect(axios.post).toHaveBeenLastCalledWith(
+        `${NEXT_PUBLIC_BACKEND_API_URL}/admin/import`,
+        expect.objectContaining({ dryRun: false }),
+        expect.any(Object)
+      );
+      expect(axios.get).toHaveBeenCalledTimes(3); // Papers synced after the import
+    });
+  });
+
+  // Test Collections Page
+  describe('Collections Page (/admin/pages/collections.js)', () => {
+    const { default: AdminCollections, getServerSideProps } = require('../pages/collections');
+    const mockCollection = {
+      _id: 'c1',
+      name: 'Reading group week 12',
+      description: '',
+      owner: 'naj',
+      members: ['tam'],
+      itemCount: 2,
+      updatedAt: MOCK_DATE.toISOString(),
+      items: [
+        { _id: 'i1', paperId: 'doi:10.1000/a', addedBy: 'naj', addedAt: MOCK_DATE.toISOString(), assignedTo: 'tam', paper: { id: 'doi:10.1000/a', metadata: { title: 'Paper A' } }, readBy: ['naj'] },
+        { _id: 'i2', paperId: 'doi:10.1000/gone', addedBy: 'tam', addedAt: MOCK_DATE.toISOString(), assignedTo: null, paper: null, readBy: [] },
+      ],
+    };
+
+    it('redirects to login if no admin token found in getServerSideProps', async () => {
+      const context = { req: { cookies: {} }, res: { setHeader: jest.fn() } };
+      const { redirect } = await getServerSideProps(context);
+      expect(redirect).toEqual({ destination: '/', permanent: false });
+    });
+
+    it('lists collections and shows their papers in order when expanded', async () => {
+      axios.get.mockResolvedValueOnce({ data: { collections: [mockCollection] } });
+
+      const context = { req: { cookies: { adminJwtToken: 'mockAdminJwt' } }, res: { setHeader: jest.fn() } };
+      const { props } = await getServerSideProps(context);
+
+      render(<AdminCollections {...props} />);
+
+      expect(axios.get).toHaveBeenCalledWith(`${NEXT_PUBLIC_BACKEND_API_URL}/admin/collections`, expect.any(Object));
+      expect(screen.getByText('Reading group week 12')).toBeInTheDocument();
+
+      await userEvent.click(screen.getByRole('button', { name: /Expand/i }));
+
+      await waitFor(() => expect(screen.getByText('Paper A')).toBeInTheDocument());
+      expect(screen.getByText('Paper no longer tracked')).toBeInTheDocument();
+      expect(screen.getByText('Unassigned')).toBeInTheDocument();
+    });
   });
 });
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const CollectionItemSchema = new mongoose.Schema({
+  paperId: { type: String, required: true }, // Paper.id when added; resolved through aliases if papers are merged later
+  addedBy: { type: String, required: true },
+  addedAt: { type: Date, default: Date.now },
+  assignedTo: { type: String, default: null }, // Member responsible for reading the paper for this collection
+});
+
+const CollectionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  owner: { type: String, required: true }, // Username; only the owner can rename, delete or change members
+  members: [{ type: String }], // Usernames who can view the collection and manage its papers
+  items: [CollectionItemSchema], // In reading order
+}, { timestamps: true });
+
+// Indexes
+CollectionSchema.index({ owner: 1 });
+CollectionSchema.index({ members: 1 });
+
+const Collection = mongoose.model('Collection', CollectionSchema);
+
+module.exports = Collection;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Responses to requests sent with an Idempotency-Key header, replayed when the client retries the same key
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true }, // Client-generated, unique per user
+  user: { type: String, required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  fingerprint: { type: String, required: true }, // Hash of method, path and body; a reused key must match it
+  status: { type: Number, default: null }, // null while the first request is still being handled (or abandoned, after a minute)
+  response: { type: mongoose.Schema.Types.Mixed, default: null },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+// Indexes
+IdempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB purge expired keys
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
+module.exports = IdempotencyKey;
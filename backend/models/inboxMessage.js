@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const INBOX_RETENTION_DAYS = 90;
+
+const InboxPaperSchema = new mongoose.Schema({
+  id: { type: String, required: true }, // Paper.id
+  title: { type: String, required: true },
+  authors: [{ type: String }],
+  publishYear: { type: Number },
+}, { _id: false });
+
+// A message delivered to a user's in-extension inbox, such as a saved-search digest
+const InboxMessageSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  kind: { type: String, enum: ['digest'], default: 'digest' },
+  subject: { type: String, required: true },
+  text: { type: String, default: '' }, // Plain-text rendering, as it would be emailed
+  papers: [InboxPaperSchema],
+  savedSearch: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', default: null },
+  readAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// Indexes
+InboxMessageSchema.index({ user: 1, createdAt: -1 });
+InboxMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: INBOX_RETENTION_DAYS * 24 * 60 * 60 });
+
+const InboxMessage = mongoose.model('InboxMessage', InboxMessageSchema);
+
+module.exports = InboxMessage;
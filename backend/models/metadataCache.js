@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A metadata source's answer for one identifier, kept so lookups survive restarts and spare the APIs
+const MetadataCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<source>:<alias>", e.g. "crossref:doi:10.1000/xyz"
+  record: { type: mongoose.Schema.Types.Mixed, default: null }, // Normalized metadata; null when the source has none
+  fetchedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+}, { minimize: false });
+
+// Indexes
+MetadataCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MetadataCache = mongoose.model('MetadataCache', MetadataCacheSchema);
+
+module.exports = MetadataCache;
@@ -1,34 +1,135 @@
 const mongoose = require('mongoose');
+const { READ_STATUSES, PAPER_METADATA_FIELDS } = require('../../shared/paper');
+const { identifiersFor } = require('../../shared/identifiers');
+
+const StatusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: READ_STATUSES, required: true },
+  timestamp: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Passage quoted from the paper, anchored by the text around it so it can be found again on the page.
+// position holds character offsets into the page text (whitespace collapsed) as a hint when the quote repeats.
+const HighlightSchema = new mongoose.Schema({
+  quote: { type: String, required: true },
+  prefix: { type: String, default: '' },
+  suffix: { type: String, default: '' },
+  position: {
+    start: { type: Number, min: 0 },
+    end: { type: Number, min: 0 },
+  },
+  comment: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+});
 
 const ReadSchema = new mongoose.Schema({
   user: { type: String, required: true },
   timestamp: { type: Date, default: Date.now },
-  notes: { type: String, required: true },
+  notes: { type: String, default: '' }, // Markdown body
+  rating: { type: Number, min: 1, max: 5 },
+  tags: [{ type: String }], // Relevance tags, lowercase
+  takeaways: [{ type: String }], // Key takeaways, one bullet each
+  highlights: [HighlightSchema],
+  notesUpdatedAt: { type: Date }, // Last edit through PATCH /api/papers/:id/reads/:readId
+  status: { type: String, enum: READ_STATUSES, default: 'read' },
+  statusHistory: [StatusChangeSchema], // Every transition, oldest first
+});
+
+// Tombstone of a read entry removed from the paper, so GET /api/papers/changes can report the removal
+const RemovedReadSchema = new mongoose.Schema({
+  readId: { type: String, required: true },
+  removedBy: { type: String, required: true }, // The reader, or 'admin'
+  removedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Tombstone of a duplicate paper that was folded into this one and deleted
+const MergedPaperSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  mergedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A user's claim to read the paper, so teammates do not start it in parallel. Expired claims are ignored.
+const ClaimSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  claimedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  assignedBy: { type: String, default: null }, // Admin id when an admin assigned the paper to the user
+}, { _id: false });
+
+// How a metadata field got its current value. Enrichment never replaces a value a user edited.
+const ProvenanceSchema = new mongoose.Schema({
+  source: { type: String, required: true }, // 'page', 'user', 'import', 'zotero' or a metadata source ('crossref', ...)
+  user: { type: String, default: null }, // Who sent, edited or imported the value ('admin' for admins)
+  updatedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const MetadataChangeSchema = new mongoose.Schema({
+  field: { type: String, enum: PAPER_METADATA_FIELDS, required: true },
+  from: { type: mongoose.Schema.Types.Mixed, default: null },
+  to: { type: mongoose.Schema.Types.Mixed, default: null },
+}, { _id: false });
+
+// One correction made through PATCH /api/papers/:id/metadata
+const MetadataEditSchema = new mongoose.Schema({
+  user: { type: String, required: true }, // The editor, or 'admin'
+  editedAt: { type: Date, default: Date.now },
+  changes: [MetadataChangeSchema],
 });
 
 const PaperSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
+  aliases: [{ type: String }], // Normalized identifiers (doi:, arxiv:, pmid:, isbn:, url:) this paper is known by
   metadata: {
-    title: { type: String, required: true },
+    title: { type: String }, // Missing when the page showed none, until enrichment finds it
     authors: [{ type: String }],
-    abstract: { type: String, required: true },
+    abstract: { type: String },
     publishYear: {
       type: Number,
-      required: true,
       min: [1900, 'Publish year must be after 1900'],
       validate: {
-        validator: Number.isInteger,
+        validator: (value) => value === null || Number.isInteger(value),
         message: 'Publish year must be an integer',
       },
     },
+    venue: { type: String }, // Journal or conference name, when the page names it
+    doi: { type: String }, // Normalized, without the doi: prefix
+    url: { type: String }, // Landing page
+    keywords: [{ type: String }], // Subject keywords of the paper itself, lowercase (reads carry their own tags)
+    references: [{ type: String }], // Aliases (doi:...) of the works it cites, from metadata enrichment
   },
+  provenance: Object.fromEntries(PAPER_METADATA_FIELDS.map((field) => [field, ProvenanceSchema])),
+  metadataHistory: [MetadataEditSchema], // Oldest first
   reads: [ReadSchema],
+  claim: { type: ClaimSchema, default: null },
+  removedReads: [RemovedReadSchema],
+  mergedPapers: [MergedPaperSchema],
+  enrichedAt: { type: Date, default: null }, // Last looked up in Crossref/OpenAlex/arXiv (services/enrichment.js)
+}, { timestamps: true }); // updatedAt drives the status-changes and changes cursors
+
+// Keep the primary id resolvable through aliases, including for papers saved before aliases existed
+PaperSchema.pre('validate', function (next) {
+  const aliases = new Set(this.aliases || []);
+  identifiersFor(this.id).forEach((alias) => aliases.add(alias));
+  if (aliases.size !== (this.aliases || []).length) {
+    this.aliases = [...aliases];
+  }
+  next();
 });
 
 // Indexes
 PaperSchema.index({ id: 1 });
+PaperSchema.index({ aliases: 1 });
 PaperSchema.index({ 'metadata.publishYear': 1 });
 PaperSchema.index({ 'reads.user': 1 });
+PaperSchema.index({ 'reads.status': 1 });
+PaperSchema.index({ 'reads.tags': 1 });
+PaperSchema.index({ 'claim.user': 1, 'claim.expiresAt': 1 });
+PaperSchema.index({ updatedAt: 1, _id: 1 });
+PaperSchema.index({ enrichedAt: 1 });
+// Full-text search (GET /api/papers/search-papers); a title hit outranks an author hit, which outranks the abstract
+PaperSchema.index(
+  { 'metadata.title': 'text', 'metadata.authors': 'text', 'metadata.abstract': 'text' },
+  { name: 'paper_text', weights: { 'metadata.title': 10, 'metadata.authors': 5, 'metadata.abstract': 1 } },
+);
 
 const Paper = mongoose.model('Paper', PaperSchema);
 
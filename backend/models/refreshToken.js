@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: String, required: true }, // Username the token was issued to
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedByHash: { type: String, default: null }, // Set when the token is rotated
+}, { timestamps: true });
+
+// Indexes
+RefreshTokenSchema.index({ user: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB purge expired tokens
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { DIGEST_FREQUENCIES } = require('../../shared/paper');
+
+const DigestSchema = new mongoose.Schema({
+  frequency: { type: String, enum: DIGEST_FREQUENCIES, default: 'off' },
+  transport: { type: String, default: 'inbox' }, // Name of a registered digest transport
+  email: { type: String, default: null }, // Recipient for the email transport
+  lastSentAt: { type: Date, default: null }, // End of the window covered by the last digest
+  nextAt: { type: Date, default: null }, // When the digest job next looks for new matches
+}, { _id: false });
+
+const SavedSearchSchema = new mongoose.Schema({
+  user: { type: String, required: true },
+  name: { type: String, required: true },
+  query: { type: mongoose.Schema.Types.Mixed, default: {} }, // GET /api/papers/search-papers parameters, without paging
+  digest: { type: DigestSchema, default: () => ({}) },
+}, { timestamps: true, minimize: false });
+
+// Indexes
+SavedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+SavedSearchSchema.index({ 'digest.frequency': 1, 'digest.nextAt': 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', SavedSearchSchema);
+
+module.exports = SavedSearch;
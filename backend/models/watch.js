@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const { WATCH_KINDS } = require('../../shared/paper');
+
+const WatchSchema = new mongoose.Schema({
+  user: { type: String, required: true }, // Username notified when a teammate reads or annotates a matching paper
+  kind: { type: String, enum: WATCH_KINDS, required: true },
+  value: { type: String, required: true }, // Paper.id, or the lowercased author name or keyword
+  aliases: [{ type: String }], // Other identifiers of a watched paper
+  label: { type: String, default: '' }, // Title of a watched paper, for lists and notifications
+}, { timestamps: true });
+
+// Indexes
+WatchSchema.index({ user: 1, kind: 1, value: 1 }, { unique: true });
+WatchSchema.index({ kind: 1, value: 1 });
+
+const Watch = mongoose.model('Watch', WatchSchema);
+
+module.exports = Watch;
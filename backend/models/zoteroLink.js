@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A tracked paper's Zotero item, and what was last pushed to it
+const ZoteroItemSchema = new mongoose.Schema({
+  paperId: { type: String, required: true },
+  itemKey: { type: String, required: true },
+  itemVersion: { type: Number, default: 0 },
+  noteKey: { type: String, default: null }, // Child note holding the user's notes
+  noteVersion: { type: Number, default: 0 },
+  pushedStatus: { type: String, default: null },
+  pushedNotes: { type: String, default: null },
+  removedAt: { type: Date, default: null }, // Deleted in Zotero; not recreated
+}, { _id: false });
+
+const ZoteroLinkSchema = new mongoose.Schema({
+  user: { type: String, required: true, unique: true },
+  libraryType: { type: String, enum: ['user', 'group'], default: 'user' },
+  libraryId: { type: String, required: true },
+  apiKey: { type: String, required: true },
+  libraryVersion: { type: Number, default: 0 }, // Zotero library version the last pull was up to
+  lastSyncAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  items: { type: [ZoteroItemSchema], default: [] },
+}, { timestamps: true });
+
+// Indexes
+ZoteroLinkSchema.index({ lastSyncAt: 1 });
+
+const ZoteroLink = mongoose.model('ZoteroLink', ZoteroLinkSchema);
+
+module.exports = ZoteroLink;
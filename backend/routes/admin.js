@@ -6,6 +6,14 @@ const User = require('../models/user'); // Import User model
 const winston = require('winston'); // Import winston for logging
 const Paper = require('../models/paper'); // Import Paper model
 const Config = require('../models/config'); // Import Config model
+const Collection = require('../models/collection');
+const { collectionWithPapers } = require('../services/collections');
+const { resolvePaper } = require('../services/paperIdentity');
+const { publish, paperEvent } = require('../services/events');
+const { parseCitations, CITATION_FORMATS } = require('../services/citations');
+const { IMPORT_MAX_RECORDS, planImport, applyImport, importReport } = require('../services/imports');
+const { startBackfillJob, backfillJob } = require('../services/enrichment');
+const { CLAIM_DEFAULT_DAYS, CLAIM_MAX_DAYS, READ_STATUSES } = require('../../shared/paper');
 
 const router = express.Router();
 
@@ -164,7 +172,7 @@ router.delete('/mark-read', authenticateAdmin, async (req, res) => {
   try {
     const paper = await Paper.findOneAndUpdate(
       { id: paperId, 'reads._id': readEntryId },
-      { $pull: { reads: { _id: readEntryId } } },
+      { $pull: { reads: { _id: readEntryId } }, $push: { removedReads: { readId: readEntryId, removedBy: 'admin' } } },
       { new: true }
     ).select('-__v');
 
@@ -172,6 +180,7 @@ router.delete('/mark-read', authenticateAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Paper or read entry not found.' });
     }
 
+    publish('undo', paperEvent(paper, { actor: 'admin', readId: readEntryId }));
     logger.info(`Admin ${req.admin.id} removed read entry ${readEntryId} from paper ${paperId}.`);
     res.status(200).json({ message: 'Read entry removed successfully by admin', paper });
   } catch (error) {
@@ -180,6 +189,202 @@ router.delete('/mark-read', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Joi schema for assigning a paper to a user
+const assignSchema = Joi.object({
+  paperId: Joi.string().required(),
+  user: Joi.string().required().trim().lowercase(),
+  days: Joi.number().integer().min(1).max(CLAIM_MAX_DAYS).default(CLAIM_DEFAULT_DAYS),
+});
+
+// Joi schema for clearing a paper's assignment
+const unassignSchema = Joi.object({
+  paperId: Joi.string().required(),
+});
+
+// POST /api/admin/assign - Claim a paper on behalf of a user, replacing any existing claim
+router.post('/assign', authenticateAdmin, async (req, res) => {
+  const { error, value } = assignSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { paperId, user, days } = value;
+
+  try {
+    const existingUser = await User.findOne({ username: user });
+    if (!existingUser) {
+      return res.status(400).json({ message: `User ${user} does not exist.` });
+    }
+
+    const { paper } = await resolvePaper(paperId);
+    if (!paper) {
+      return res.status(404).json({ message: 'Paper not found.' });
+    }
+
+    const now = new Date();
+    const claim = {
+      user,
+      claimedAt: now,
+      expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000),
+      assignedBy: String(req.admin.id),
+    };
+
+    // Replace only the claim that was read above: a claim made in the meantime was already confirmed to
+    // its user, so it is reported instead of being overwritten silently
+    const previousClaim = paper.claim || {};
+    const assignedPaper = await Paper.findOneAndUpdate(
+      {
+        _id: paper._id,
+        'claim.user': previousClaim.user || null,
+        'claim.claimedAt': previousClaim.claimedAt || null,
+      },
+      { $set: { claim } },
+      { new: true }
+    );
+
+    if (!assignedPaper) {
+      const latest = await Paper.findById(paper._id);
+      return res.status(409).json({ message: 'The paper\'s claim changed while assigning it. Reload and try again.', claim: latest ? latest.claim : null });
+    }
+
+    publish('claim', paperEvent(assignedPaper, { actor: 'admin', claim: assignedPaper.claim }));
+    logger.info(`Admin ${req.admin.id} assigned paper ${assignedPaper.id} to ${user} for ${days} days.`);
+    res.status(200).json({ message: 'Paper assigned successfully', claim: assignedPaper.claim });
+  } catch (error) {
+    logger.error('Error assigning paper:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/admin/assign - Clear a paper's claim or assignment
+router.delete('/assign', authenticateAdmin, async (req, res) => {
+  const { error, value } = unassignSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    const { paper } = await resolvePaper(value.paperId);
+    if (!paper) {
+      return res.status(404).json({ message: 'Paper not found.' });
+    }
+
+    paper.claim = null;
+    await paper.save();
+
+    publish('claim', paperEvent(paper, { actor: 'admin', claim: null }));
+    logger.info(`Admin ${req.admin.id} cleared the claim on paper ${paper.id}.`);
+    res.status(200).json({ message: 'Assignment cleared successfully' });
+  } catch (error) {
+    logger.error('Error clearing paper assignment:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/admin/collections - Every team collection with its papers, most recently updated first
+router.get('/collections', authenticateAdmin, async (req, res) => {
+  try {
+    const collections = await Collection.find({}).sort({ updatedAt: -1 });
+    res.status(200).json({ collections: await Promise.all(collections.map(collectionWithPapers)) });
+  } catch (error) {
+    logger.error('Error fetching collections:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Joi schema for an import: the file's text, its format (detected when left out), whose reads the entries
+// are, and whether to only report what would happen
+const importSchema = Joi.object({
+  content: Joi.string().required(),
+  format: Joi.string().valid(...CITATION_FORMATS).optional(),
+  user: Joi.string().trim().lowercase().optional(),
+  status: Joi.string().valid(...READ_STATUSES).default('read'),
+  dryRun: Joi.boolean().default(true),
+});
+
+// POST /api/admin/import - Import papers (and, for a user, their reads) from BibTeX, RIS or CSL-JSON.
+// Dry runs report what each entry would do; papers are matched to tracked ones by any identifier.
+router.post('/import', authenticateAdmin, async (req, res) => {
+  const { error, value } = importSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { content, user, status, dryRun } = value;
+
+  let parsed;
+  try {
+    parsed = parseCitations(content, value.format);
+  } catch (parseError) {
+    return res.status(400).json({ message: parseError.message });
+  }
+  if (parsed.records.length === 0) {
+    return res.status(400).json({ message: 'No entries found in the file.' });
+  }
+  if (parsed.records.length > IMPORT_MAX_RECORDS) {
+    return res.status(400).json({ message: `Files can have at most ${IMPORT_MAX_RECORDS} entries.` });
+  }
+
+  try {
+    if (user && !(await User.findOne({ username: user }))) {
+      return res.status(400).json({ message: `User ${user} does not exist.` });
+    }
+
+    const items = await planImport(parsed.records, { user });
+    if (!dryRun) {
+      await applyImport(items, { user, status });
+      const { counts } = importReport(items);
+      logger.info(`Admin ${req.admin.id} imported ${parsed.format}: ${counts.create} papers created, ${counts['add-read']} reads added${user ? ` for ${user}` : ''}.`);
+    }
+
+    res.status(200).json({ dryRun, format: parsed.format, user: user || null, ...importReport(items) });
+  } catch (error) {
+    logger.error('Error importing papers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Joi schema for a metadata backfill
+const enrichSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  overwrite: Joi.boolean().default(false), // Replace metadata taken from pages too, not only missing fields
+  force: Joi.boolean().default(false), // Include papers enriched before
+});
+
+// POST /api/admin/enrich - Start filling in paper metadata from Crossref, OpenAlex and arXiv, newest papers first;
+// the run goes on in the background and GET /api/admin/enrich/:jobId reports on it
+router.post('/enrich', authenticateAdmin, async (req, res) => {
+  const { error, value } = enrichSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    const job = startBackfillJob(value);
+    logger.info(`Admin ${req.admin.id} started metadata enrichment job ${job.id} for up to ${value.limit} papers.`);
+    res.status(202).location(`${req.baseUrl}/enrich/${job.id}`).json({ job });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message, job: error.job });
+    }
+    logger.error('Error enriching papers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/admin/enrich/:jobId - Progress and, once finished, the report of an enrichment job
+router.get('/enrich/:jobId', authenticateAdmin, (req, res) => {
+  const job = backfillJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ message: 'Enrichment job not found' });
+  }
+  res.status(200).json({ job });
+});
+
 // Joi schema for validating config update
 const configUpdateSchema = Joi.object({
   preventDuplicateReads: Joi.boolean().required(),
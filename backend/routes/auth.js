@@ -0,0 +1,156 @@
+const express = require('express');
+const Joi = require('joi');
+const winston = require('winston');
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const {
+  generateUserToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  REFRESH_TOKEN_TTL_MS,
+} = require('../../shared/auth');
+
+const router = express.Router();
+
+// Configure Winston logger (re-using configuration from server.js for consistency)
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'combined.log' }),
+  ],
+});
+
+// Joi schema for validating user login credentials
+const loginSchema = Joi.object({
+  username: Joi.string().required().trim().lowercase(),
+  password: Joi.string().required(),
+});
+
+// Joi schema for refresh and logout requests
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+});
+
+// Issue a new access token and refresh token pair for a user
+const issueTokens = async (username) => {
+  const token = generateUserToken({ user: { id: username } });
+  const refreshToken = generateRefreshToken();
+
+  await RefreshToken.create({
+    tokenHash: hashRefreshToken(refreshToken),
+    user: username,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return { token, refreshToken };
+};
+
+// POST /api/auth/login
+router.post('/login', async (req, res) => {
+  const { error, value } = loginSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { username, password } = value;
+
+  try {
+    const user = await User.findOne({ username });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid Credentials' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid Credentials' });
+    }
+
+    const { token, refreshToken } = await issueTokens(user.username);
+
+    res.status(200).json({
+      message: 'User logged in successfully',
+      token,
+      refreshToken,
+      user: { username: user.username },
+    });
+  } catch (error) {
+    logger.error('Error during user login:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  const { error, value } = refreshTokenSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    const tokenHash = hashRefreshToken(value.refreshToken);
+    const now = new Date();
+
+    // Revoke the token in the same operation that finds it, so concurrent requests cannot both rotate it
+    const storedToken = await RefreshToken.findOneAndUpdate({ tokenHash, revokedAt: null }, { revokedAt: now });
+
+    if (!storedToken) {
+      const revokedToken = await RefreshToken.findOne({ tokenHash });
+      if (revokedToken) {
+        // A rotated token was presented again: assume it leaked and revoke every session for this user
+        await RefreshToken.updateMany({ user: revokedToken.user, revokedAt: null }, { revokedAt: now });
+        logger.info(`Refresh token reuse detected for user ${revokedToken.user}; all sessions revoked.`);
+      }
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    if (storedToken.expiresAt <= now) {
+      return res.status(401).json({ message: 'Refresh token has expired' });
+    }
+
+    const user = await User.findOne({ username: storedToken.user });
+    if (!user) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    const { token, refreshToken } = await issueTokens(user.username);
+    await RefreshToken.updateOne({ tokenHash }, { replacedByHash: hashRefreshToken(refreshToken) });
+
+    res.status(200).json({
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken,
+      user: { username: user.username },
+    });
+  } catch (error) {
+    logger.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/auth/logout - Revoke a refresh token
+router.post('/logout', async (req, res) => {
+  const { error, value } = refreshTokenSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    await RefreshToken.findOneAndUpdate(
+      { tokenHash: hashRefreshToken(value.refreshToken), revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Error during logout:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
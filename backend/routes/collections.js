@@ -0,0 +1,300 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Collection = require('../models/collection');
+const Paper = require('../models/paper');
+const { verifyUserToken } = require('../../shared/auth');
+const { resolvePaper, primaryIdFor } = require('../services/paperIdentity');
+const { isMember, summarizeCollection, collectionWithPapers } = require('../services/collections');
+const { metadataSchema, newPaperMetadata } = require('../services/paperMetadata');
+
+const router = express.Router();
+
+// Joi schema for the members of a collection (usernames, stored lowercase like User.username)
+const membersSchema = Joi.array().items(Joi.string().trim().lowercase()).max(100).unique();
+
+// Joi schema for creating a collection
+const createCollectionSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  description: Joi.string().max(2000).allow('').default(''),
+  members: membersSchema.default([]),
+});
+
+// Joi schema for updating a collection; only the fields sent are changed
+const updateCollectionSchema = Joi.object({
+  name: Joi.string().trim().max(200),
+  description: Joi.string().max(2000).allow(''),
+  members: membersSchema,
+}).min(1);
+
+// Joi schema for adding a paper to a collection
+const addItemSchema = Joi.object({
+  id: Joi.string().required(),
+  aliases: Joi.array().items(Joi.string().trim().max(2048)).max(50).optional(),
+  metadata: metadataSchema.optional(), // Needed only when the paper is not tracked yet
+  assignedTo: Joi.string().trim().lowercase().allow(null).default(null),
+});
+
+// Joi schema for assigning a collection's paper to a member (null unassigns)
+const updateItemSchema = Joi.object({
+  assignedTo: Joi.string().trim().lowercase().allow(null).required(),
+});
+
+// Joi schema for reordering a collection's papers
+const orderSchema = Joi.object({
+  itemIds: Joi.array().items(Joi.string()).unique().required(),
+});
+
+// Middleware for user JWT authentication
+const authenticateUser = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// Middleware loading req.collection for :collectionId, visible to its owner and members only
+const loadCollection = async (req, res, next) => {
+  const { collectionId } = req.params;
+  try {
+    const collection = mongoose.isValidObjectId(collectionId) ? await Collection.findById(collectionId) : null;
+    if (!collection || !isMember(collection, req.user.id)) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+    req.collection = collection;
+    next();
+  } catch (error) {
+    console.error('Error loading collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Middleware allowing only the collection's owner
+const requireOwner = (req, res, next) => {
+  if (req.collection.owner !== req.user.id) {
+    return res.status(403).json({ message: 'Only the owner can change this collection.' });
+  }
+  next();
+};
+
+// GET /api/collections - Collections the current user owns or is a member of, most recently updated first
+router.get('/', authenticateUser, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const collections = await Collection.find({ $or: [{ owner: userId }, { members: userId }] }).sort({ updatedAt: -1 });
+    res.status(200).json({ collections: collections.map(summarizeCollection) });
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/collections
+router.post('/', authenticateUser, async (req, res) => {
+  const { error, value } = createCollectionSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    const collection = new Collection({
+      ...value,
+      owner: req.user.id,
+      members: value.members.filter((member) => member !== req.user.id),
+      items: [],
+    });
+    await collection.save();
+
+    res.status(201).json({ message: 'Collection created successfully', collection: summarizeCollection(collection) });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/collections/:collectionId - The collection with its papers in order
+router.get('/:collectionId', authenticateUser, loadCollection, async (req, res) => {
+  try {
+    res.status(200).json(await collectionWithPapers(req.collection));
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PATCH /api/collections/:collectionId - Rename, describe or change members (owner only)
+router.patch('/:collectionId', authenticateUser, loadCollection, requireOwner, async (req, res) => {
+  const { error, value } = updateCollectionSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { collection } = req;
+
+  try {
+    Object.assign(collection, value);
+    if (value.members) {
+      collection.members = value.members.filter((member) => member !== collection.owner);
+      // Papers assigned to removed members go back to unassigned
+      collection.items.forEach((item) => {
+        if (item.assignedTo && !isMember(collection, item.assignedTo)) {
+          item.assignedTo = null;
+        }
+      });
+    }
+    await collection.save();
+
+    res.status(200).json({ message: 'Collection updated successfully', collection: summarizeCollection(collection) });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/collections/:collectionId (owner only; the papers themselves are kept)
+router.delete('/:collectionId', authenticateUser, loadCollection, requireOwner, async (req, res) => {
+  try {
+    await Collection.deleteOne({ _id: req.collection._id });
+    res.status(200).json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/collections/:collectionId/items - Add a paper at the end of the collection
+router.post('/:collectionId/items', authenticateUser, loadCollection, async (req, res) => {
+  const { error, value } = addItemSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { collection } = req;
+  const { id, aliases: extraIdentifiers, metadata, assignedTo } = value;
+
+  if (assignedTo && !isMember(collection, assignedTo)) {
+    return res.status(400).json({ message: 'Papers can only be assigned to members of the collection.' });
+  }
+
+  try {
+    const { paper: resolvedPaper, aliases } = await resolvePaper(id, extraIdentifiers);
+    let paper = resolvedPaper;
+
+    if (!paper) {
+      if (!metadata) {
+        return res.status(404).json({ message: 'Paper not found. Provide metadata to start tracking it.' });
+      }
+      paper = new Paper({
+        id: primaryIdFor(id, aliases),
+        aliases,
+        ...newPaperMetadata(metadata, { source: 'page', user: req.user.id }),
+        reads: [],
+      });
+      await paper.save();
+    }
+
+    const knownIds = new Set([paper.id, ...(paper.aliases || [])]);
+    if (collection.items.some((item) => knownIds.has(item.paperId))) {
+      return res.status(409).json({ message: 'Paper is already in this collection.' });
+    }
+
+    collection.items.push({ paperId: paper.id, addedBy: req.user.id, addedAt: new Date(), assignedTo });
+    await collection.save();
+
+    res.status(201).json({ message: 'Paper added to collection', item: collection.items[collection.items.length - 1] });
+  } catch (error) {
+    console.error('Error adding paper to collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PATCH /api/collections/:collectionId/items/:itemId - Assign the paper to a member
+router.patch('/:collectionId/items/:itemId', authenticateUser, loadCollection, async (req, res) => {
+  const { error, value } = updateItemSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { collection } = req;
+  const item = collection.items.find((entry) => String(entry._id) === req.params.itemId);
+
+  if (!item) {
+    return res.status(404).json({ message: 'Paper not found in this collection.' });
+  }
+  if (value.assignedTo && !isMember(collection, value.assignedTo)) {
+    return res.status(400).json({ message: 'Papers can only be assigned to members of the collection.' });
+  }
+
+  try {
+    item.assignedTo = value.assignedTo;
+    await collection.save();
+
+    res.status(200).json({ message: 'Assignment updated successfully', item });
+  } catch (error) {
+    console.error('Error updating collection item:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/collections/:collectionId/items/:itemId
+router.delete('/:collectionId/items/:itemId', authenticateUser, loadCollection, async (req, res) => {
+  const { collection } = req;
+  const remaining = collection.items.filter((entry) => String(entry._id) !== req.params.itemId);
+
+  if (remaining.length === collection.items.length) {
+    return res.status(404).json({ message: 'Paper not found in this collection.' });
+  }
+
+  try {
+    collection.items = remaining;
+    await collection.save();
+
+    res.status(200).json({ message: 'Paper removed from collection' });
+  } catch (error) {
+    console.error('Error removing paper from collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/collections/:collectionId/order - Reorder the papers; itemIds must list every item exactly once
+router.put('/:collectionId/order', authenticateUser, loadCollection, async (req, res) => {
+  const { error, value } = orderSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { collection } = req;
+  const itemsById = new Map(collection.items.map((item) => [String(item._id), item]));
+
+  if (value.itemIds.length !== itemsById.size || !value.itemIds.every((itemId) => itemsById.has(itemId))) {
+    return res.status(400).json({ message: 'itemIds must list every paper in the collection exactly once.' });
+  }
+
+  try {
+    collection.items = value.itemIds.map((itemId) => itemsById.get(itemId));
+    await collection.save();
+
+    res.status(200).json({ message: 'Collection reordered successfully', collection: summarizeCollection(collection) });
+  } catch (error) {
+    console.error('Error reordering collection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
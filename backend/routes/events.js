@@ -0,0 +1,29 @@
+const express = require('express');
+const { verifyUserToken, verifyAdminToken } = require('../../shared/auth');
+const { subscribe } = require('../services/events');
+
+const router = express.Router();
+
+// Middleware accepting a user or an admin JWT.
+// EventSource cannot send headers, so the token may also be passed as ?token=.
+const authenticateSubscriber = (req, res, next) => {
+  const token = req.header('x-auth-token') || req.query.token;
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const decoded = verifyUserToken(token) || verifyAdminToken(token);
+  if (!decoded || (!decoded.user && !decoded.admin)) {
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+  req.user = decoded.user;
+  req.admin = decoded.admin;
+  next();
+};
+
+// GET /api/events - Stream of mark-read, undo, status and claim events (text/event-stream)
+router.get('/', authenticateSubscriber, (req, res) => {
+  subscribe(req, res);
+});
+
+module.exports = router;
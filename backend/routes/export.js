@@ -0,0 +1,104 @@
+const express = require('express');
+const Joi = require('joi');
+const Paper = require('../models/paper');
+const { verifyUserToken, verifyAdminToken } = require('../../shared/auth');
+const { searchQuerySchema, searchStages } = require('../services/search');
+const { EXPORT_FORMATS, EXPORT_FORMAT_NAMES, createExportWriter } = require('../services/exports');
+
+const router = express.Router();
+
+const EXPORT_BATCH_SIZE = 100; // Papers read from the database at a time
+
+// Joi schema for an export: the GET /api/papers/search-papers filters without paging, and a format
+const exportQuerySchema = searchQuerySchema.keys({
+  format: Joi.string().valid(...EXPORT_FORMAT_NAMES).default('csv'),
+});
+
+// Middleware accepting either a user or an admin JWT
+const authenticateReader = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token) || verifyAdminToken(token);
+    if (!decoded || (!decoded.user && !decoded.admin)) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    req.admin = decoded.admin;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// Resolves once the response can take more data, or the client has gone
+const drained = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// GET /api/export?format=csv|bibtex|ris|csl-json|jsonl&... - Every paper matching the search, streamed as a download.
+// Errors before the first paper is read get a JSON response; later ones can only cut the download short.
+router.get('/', authenticateReader, async (req, res) => {
+  const { error, value } = exportQuerySchema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  if (value.notReadByMe && !req.user) {
+    return res.status(400).json({ message: '"notReadByMe" needs a user token' });
+  }
+
+  const { format, ...search } = value;
+  const { stages } = searchStages(search, { userId: req.user && req.user.id });
+  const pipeline = [
+    ...stages,
+    { $project: { _id: 0, id: 1, aliases: 1, metadata: 1, reads: 1, createdAt: 1, updatedAt: 1 } },
+  ];
+
+  let cursor;
+  let next;
+  try {
+    cursor = Paper.aggregate(pipeline).cursor({ batchSize: EXPORT_BATCH_SIZE });
+    next = await cursor.next();
+  } catch (error) {
+    console.error('Error exporting papers:', error);
+    if (cursor) {
+      cursor.close().catch(() => {});
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const writer = createExportWriter(format);
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="xjr3-papers.${extension}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  try {
+    while (next && !res.destroyed) {
+      if (!res.write(writer.paper(next))) {
+        await drained(res); // Let a slow client catch up before reading more
+      }
+      next = await cursor.next();
+    }
+    res.end(writer.end());
+  } catch (error) {
+    console.error('Error exporting papers:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const InboxMessage = require('../models/inboxMessage');
+const { verifyUserToken } = require('../../shared/auth');
+
+const router = express.Router();
+
+const INBOX_LIMIT = 50;
+
+// Middleware for user JWT authentication
+const authenticateUser = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// GET /api/inbox - The current user's latest messages, newest first, and how many are unread
+router.get('/', authenticateUser, async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const [messages, unreadCount] = await Promise.all([
+      InboxMessage.find({ user: userId }).sort({ createdAt: -1 }).limit(INBOX_LIMIT),
+      InboxMessage.countDocuments({ user: userId, readAt: null }),
+    ]);
+    res.status(200).json({ messages, unreadCount });
+  } catch (error) {
+    console.error('Error listing inbox messages:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/inbox/:messageId/read - Mark a message as read
+router.post('/:messageId/read', authenticateUser, async (req, res) => {
+  const { messageId } = req.params;
+
+  try {
+    const message = mongoose.isValidObjectId(messageId)
+      ? await InboxMessage.findOneAndUpdate(
+        { _id: messageId, user: req.user.id },
+        { $set: { readAt: new Date() } },
+        { new: true },
+      )
+      : null;
+
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.status(200).json({ message: 'Message marked as read', inboxMessage: message });
+  } catch (error) {
+    console.error('Error marking inbox message read:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/inbox/:messageId
+router.delete('/:messageId', authenticateUser, async (req, res) => {
+  const { messageId } = req.params;
+
+  try {
+    const message = mongoose.isValidObjectId(messageId)
+      ? await InboxMessage.findOneAndDelete({ _id: messageId, user: req.user.id })
+      : null;
+
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.status(200).json({ message: 'Message removed successfully' });
+  } catch (error) {
+    console.error('Error removing inbox message:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,136 @@
 const express = require('express');
 const Joi = require('joi');
 const Paper = require('../models/paper');
-const { verifyUserToken } = require('../../shared/auth');
+const { verifyUserToken, verifyAdminToken } = require('../../shared/auth');
 const config = require('../../shared/config');
+const { READ_STATUSES, COMPLETED_READ_STATUSES, CLAIM_DEFAULT_DAYS, CLAIM_MAX_DAYS } = require('../../shared/paper');
+const { collectAliases, resolvePaper, resolvePapers, attachAliases, primaryIdFor } = require('../services/paperIdentity');
+const { publish, paperEvent } = require('../services/events');
+const { notifyWatchers } = require('../services/watches');
+const { idempotent } = require('../services/idempotency');
+const { searchQuerySchema, runSearch } = require('../services/search');
+const { metadataSchema, metadataUpdateSchema, newPaperMetadata, editMetadata } = require('../services/paperMetadata');
+const { lookupMetadata } = require('../services/enrichment');
+const { identifiersFor } = require('../../shared/identifiers');
 
 const router = express.Router();
 
-// Joi schema for validating paper metadata
-const metadataSchema = Joi.object({
-  title: Joi.string().required(),
-  authors: Joi.array().items(Joi.string()).required(),
-  abstract: Joi.string().required(),
-  publishYear: Joi.number().integer().min(1900).required(),
+// Joi schema for a quoted highlight; prefix and suffix are the page text just before and after the quote
+const highlightSchema = Joi.object({
+  quote: Joi.string().trim().max(2000).required(),
+  prefix: Joi.string().max(200).allow('').default(''),
+  suffix: Joi.string().max(200).allow('').default(''),
+  position: Joi.object({
+    start: Joi.number().integer().min(0).required(),
+    end: Joi.number().integer().min(Joi.ref('start')).required(),
+  }).optional(),
+  comment: Joi.string().max(2000).allow('').default(''),
+  createdAt: Joi.date().optional(), // Kept when the notes editor sends existing highlights back
 });
 
+// Joi schemas for the structured notes of a read entry
+const notesFields = {
+  notes: Joi.string().max(20000).allow(''), // Markdown
+  rating: Joi.number().integer().min(1).max(5).allow(null), // null clears the rating
+  tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20).unique(),
+  takeaways: Joi.array().items(Joi.string().trim().max(1000)).max(20),
+  highlights: Joi.array().items(highlightSchema).max(200),
+};
+
 // Joi schema for validating the read entry
 const readSchema = Joi.object({
   user: Joi.string().required(),
-  notes: Joi.string().required(),
+  ...notesFields,
+  notes: notesFields.notes.default(''),
+  status: Joi.string().valid(...READ_STATUSES).default('read'),
 });
 
+// Joi schema for editing the notes of an existing read entry; only the fields sent are changed
+const notesUpdateSchema = Joi.object(notesFields).min(1);
+
+const NOTES_FIELD_NAMES = Object.keys(notesFields);
+
+// Joi schema for extra identifiers (DOI, arXiv ID, PMID, ISBN, URLs) found alongside the paper id
+const aliasesSchema = Joi.array().items(Joi.string().trim().max(2048)).max(50);
+
+// Maximum number of papers per POST /check-papers request
+const CHECK_PAPERS_LIMIT = 500;
+
+// Maximum number of papers per GET /status-changes page
+const STATUS_CHANGES_LIMIT = 500;
+
+// Maximum number of papers per GET /changes page; whole papers are larger than status-changes entries
+const CHANGES_LIMIT = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reads created before statuses existed have no status and count as 'read'
+const statusOf = (read) => read.status || 'read';
+
+const isCompleted = (status) => COMPLETED_READ_STATUSES.includes(status);
+
+// Most recent read entry of a user, or undefined
+const latestReadFor = (reads, user) => reads
+  .filter((read) => read.user === user)
+  .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+// Users whose most recent entry for the paper is 'reading'
+const currentReadersOf = (reads) => [...new Set(reads.map((read) => read.user))]
+  .filter((user) => statusOf(latestReadFor(reads, user)) === 'reading');
+
+// Read status of a paper from the point of view of one user
+const statusSummaryFor = (paper, userId) => {
+  const readByUser = paper.reads.some((read) => read.user === userId && isCompleted(statusOf(read)));
+  const userRead = latestReadFor(paper.reads, userId);
+  return {
+    readStatus: readByUser ? 'read' : 'unread',
+    status: userRead ? statusOf(userRead) : null,
+    currentlyReading: currentReadersOf(paper.reads),
+  };
+};
+
+// Latest completed read of every user who finished the paper, most recent first
+const completedReadersOf = (reads) => [...new Set(reads.map((read) => read.user))]
+  .map((user) => latestReadFor(reads.filter((read) => isCompleted(statusOf(read))), user))
+  .filter(Boolean)
+  .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+  .map((read) => ({ user: read.user, timestamp: read.timestamp, status: statusOf(read) }));
+
+// Structured note fields that were provided, without the markdown body; a null rating is left out
+const structuredNotesOf = (value) => Object.fromEntries(NOTES_FIELD_NAMES
+  .filter((field) => field !== 'notes' && value[field] !== undefined && value[field] !== null)
+  .map((field) => [field, value[field]]));
+
+// The paper's claim while it has not expired, otherwise null
+const activeClaimOf = (paper, now = new Date()) => {
+  const { claim } = paper;
+  if (!claim || !claim.user || new Date(claim.expiresAt) <= now) {
+    return null;
+  }
+  return { user: claim.user, claimedAt: claim.claimedAt, expiresAt: claim.expiresAt, assignedBy: claim.assignedBy || null };
+};
+
+// Finishing a paper releases the reader's own claim on it
+const releaseClaimIfFinished = (paper, userId, status) => {
+  if (isCompleted(status) && paper.claim && paper.claim.user === userId) {
+    paper.claim = null;
+  }
+};
+
+// Cursor of the status-changes and changes feeds: the updatedAt (ms) and _id of the last paper returned.
+// Papers are paged in (updatedAt, _id) order, so papers updated in the same millisecond are not skipped.
+const STATUS_CURSOR_PATTERN = /^(\d+)\.([0-9a-f]{24})$/;
+
+const statusCursorFor = (paper) => `${new Date(paper.updatedAt || 0).getTime()}.${paper._id}`;
+
+const changedAfter = (cursor) => {
+  const [, time, objectId] = cursor.match(STATUS_CURSOR_PATTERN);
+  const updatedAt = new Date(Number(time));
+  return { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: objectId } }] };
+};
+
+const cursorTime = (cursor) => new Date(Number(cursor.match(STATUS_CURSOR_PATTERN)[1]));
+
 // Middleware for user JWT authentication
 const authenticateUser = (req, res, next) => {
   const token = req.header('x-auth-token');
@@ -38,22 +149,52 @@ const authenticateUser = (req, res, next) => {
   }
 };
 
-// POST /api/papers/mark-read
-router.post('/mark-read', authenticateUser, async (req, res) => {
-  const { id, metadata, read } = req.body;
+// Middleware accepting a user or an admin JWT, for feeds the admin panel reads too
+const authenticateReader = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token) || verifyAdminToken(token);
+    if (!decoded || (!decoded.user && !decoded.admin)) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    req.admin = decoded.admin;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// POST /api/papers/mark-read (safe to retry with an Idempotency-Key header)
+router.post('/mark-read', authenticateUser, idempotent, async (req, res) => {
+  const { id, metadata, read, aliases: extraIdentifiers } = req.body;
 
   // Validate input
-  const { error: metadataError } = metadataSchema.validate(metadata);
-  const { error: readError } = readSchema.validate(read);
+  const { error: metadataError, value: metadataValue } = metadataSchema.validate(metadata);
+  const { error: readError, value: readValue } = readSchema.validate(read);
+  const { error: aliasesError } = aliasesSchema.validate(extraIdentifiers);
 
-  if (metadataError || readError) {
-    return res.status(400).json({ message: metadataError?.details[0].message || readError?.details[0].message });
+  if (metadataError || readError || aliasesError) {
+    const validationError = metadataError || readError || aliasesError;
+    return res.status(400).json({ message: validationError.details[0].message });
   }
 
   try {
-    const newReadEntry = { user: req.user.id, timestamp: new Date(), notes: read.notes };
+    const now = new Date();
+    const newReadEntry = {
+      user: req.user.id,
+      timestamp: now,
+      notes: readValue.notes,
+      ...structuredNotesOf(readValue),
+      status: readValue.status,
+      statusHistory: [{ status: readValue.status, timestamp: now }],
+    };
 
-    let paper = await Paper.findOne({ id });
+    const { paper: resolvedPaper, aliases } = await resolvePaper(id, extraIdentifiers);
+    let paper = resolvedPaper;
 
     if (paper) {
       // Check for duplicate reads if configured
@@ -62,21 +203,34 @@ router.post('/mark-read', authenticateUser, async (req, res) => {
           (existingRead) => existingRead.user === newReadEntry.user && existingRead.notes === newReadEntry.notes
         );
         if (isDuplicate) {
-          return res.status(409).json({ message: 'Duplicate read entry prevented.' });
+          return res.status(409).json({ message: 'Duplicate read entry prevented.', conflict: 'duplicate-read' });
         }
       }
+      attachAliases(paper, aliases);
       paper.reads.push(newReadEntry);
+      releaseClaimIfFinished(paper, req.user.id, newReadEntry.status);
       await paper.save();
     } else {
       // Create new paper if it doesn't exist
       paper = new Paper({
-        id,
-        metadata,
+        id: primaryIdFor(id, aliases),
+        aliases,
+        ...newPaperMetadata(metadataValue, { source: 'page', user: req.user.id, at: now }),
         reads: [newReadEntry],
       });
       await paper.save();
     }
 
+    const savedRead = paper.reads[paper.reads.length - 1];
+    publish('mark-read', paperEvent(paper, {
+      actor: req.user.id,
+      status: newReadEntry.status,
+      readId: savedRead && savedRead._id,
+    }));
+    const activity = isCompleted(newReadEntry.status) ? 'read' : (newReadEntry.notes ? 'notes' : null);
+    if (activity) {
+      await notifyWatchers(paper, req.user.id, activity);
+    }
     res.status(200).json({ message: 'Paper marked as read successfully', paper });
   } catch (error) {
     console.error('Error marking paper as read:', error);
@@ -88,6 +242,7 @@ router.post('/mark-read', authenticateUser, async (req, res) => {
 router.get('/check-paper', authenticateUser, async (req, res) => {
   const schema = Joi.object({
     id: Joi.string().required(),
+    aliases: aliasesSchema.single().optional(), // ?aliases=a&aliases=b
     details: Joi.boolean().optional(),
   });
 
@@ -97,26 +252,26 @@ router.get('/check-paper', authenticateUser, async (req, res) => {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { id, details } = value;
+  const { id, aliases, details } = value;
 
   try {
-    const paper = await Paper.findOne({ id });
+    const { paper } = await resolvePaper(id, aliases);
 
     if (!paper) {
       return res.status(404).json({ message: 'Paper not found' });
     }
 
-    // Determine read status for the current user
-    const readByUser = paper.reads.some(read => read.user === req.user.id);
-
     const response = {
       id: paper.id,
-      readStatus: readByUser ? 'read' : 'unread',
+      ...statusSummaryFor(paper, req.user.id),
+      claim: activeClaimOf(paper),
       metadata: paper.metadata,
+      provenance: paper.provenance || {},
     };
 
     if (details) {
       response.reads = paper.reads;
+      response.metadataHistory = paper.metadataHistory || [];
     }
 
     res.status(200).json(response);
@@ -126,76 +281,372 @@ router.get('/check-paper', authenticateUser, async (req, res) => {
   }
 });
 
-// GET /api/papers/search-papers
-router.get('/search-papers', authenticateUser, async (req, res) => {
+// POST /api/papers/check-papers - Read status of many papers in one round trip
+router.post('/check-papers', authenticateUser, async (req, res) => {
   const schema = Joi.object({
-    keyword: Joi.string().trim().optional(),
-    user: Joi.string().trim().optional(),
-    publishYear: Joi.number().integer().min(1900).optional(),
-    page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(50).default(10),
+    papers: Joi.array().items(Joi.alternatives().try(
+      Joi.string(), // Bare id
+      Joi.object({
+        id: Joi.string().required(),
+        aliases: aliasesSchema.optional(),
+      }),
+    )).min(1).max(CHECK_PAPERS_LIMIT).required(),
   });
 
-  const { error, value } = schema.validate(req.query);
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const requests = value.papers.map((paper) => (typeof paper === 'string' ? { id: paper } : paper));
+
+  try {
+    // One query for the whole batch; only the fields needed for the summary are loaded
+    const resolved = await resolvePapers(requests, 'id aliases reads.user reads.timestamp reads.status claim');
+
+    const results = resolved.map(({ paper }, index) => {
+      const { id } = requests[index];
+      if (!paper) {
+        return { id, found: false };
+      }
+      const readers = completedReadersOf(paper.reads);
+      return {
+        id,
+        found: true,
+        paperId: paper.id,
+        ...statusSummaryFor(paper, req.user.id),
+        readers,
+        latestReadAt: readers.length > 0 ? readers[0].timestamp : null,
+        claim: activeClaimOf(paper),
+      };
+    });
+
+    res.status(200).json({ results });
+  } catch (error) {
+    console.error('Error checking papers:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/papers/reading-status - Move the current user's entry to a new reading status
+router.put('/reading-status', authenticateUser, async (req, res) => {
+  const schema = Joi.object({
+    id: Joi.string().required(),
+    status: Joi.string().valid(...READ_STATUSES).required(),
+    aliases: aliasesSchema.optional(),
+    metadata: metadataSchema.optional(), // Needed only when the paper is not tracked yet
+  });
+
+  const { error, value } = schema.validate(req.body);
 
   if (error) {
     return res.status(400).json({ message: error.details[0].message });
   }
 
-  const { keyword, user, publishYear, page, limit } = value;
+  const { id, status, aliases: extraIdentifiers, metadata } = value;
+  const userId = req.user.id;
 
   try {
-    const pipeline = [];
+    const { paper: resolvedPaper, aliases } = await resolvePaper(id, extraIdentifiers);
+    let paper = resolvedPaper;
 
-    const matchConditions = {};
-    if (keyword) {
-      const searchRegex = new RegExp(keyword, 'i');
-      matchConditions.$or = [
-        { 'metadata.title': searchRegex },
-        { 'metadata.authors': searchRegex },
-        { 'metadata.abstract': searchRegex },
-      ];
+    if (!paper) {
+      if (!metadata) {
+        return res.status(404).json({ message: 'Paper not found. Provide metadata to start tracking it.' });
+      }
+      paper = new Paper({
+        id: primaryIdFor(id, aliases),
+        aliases,
+        ...newPaperMetadata(metadata, { source: 'page', user: userId }),
+        reads: [],
+      });
+    } else {
+      attachAliases(paper, aliases);
     }
-    if (user) {
-      matchConditions['reads.user'] = user;
+
+    const now = new Date();
+    const latestRead = latestReadFor(paper.reads, userId);
+
+    // Going back to an active status after finishing the paper starts a re-read and keeps the earlier entry
+    if (!latestRead || (isCompleted(statusOf(latestRead)) && !isCompleted(status))) {
+      paper.reads.push({ user: userId, timestamp: now, status, statusHistory: [{ status, timestamp: now }] });
+    } else if (statusOf(latestRead) !== status) {
+      latestRead.status = status;
+      latestRead.statusHistory.push({ status, timestamp: now });
+      if (isCompleted(status)) {
+        latestRead.timestamp = now; // The read time is when the paper was finished
+      }
     }
-    if (publishYear) {
-      matchConditions['metadata.publishYear'] = publishYear;
+    releaseClaimIfFinished(paper, userId, status);
+
+    await paper.save();
+
+    publish('status', paperEvent(paper, { actor: userId, status }));
+    if (isCompleted(status)) {
+      await notifyWatchers(paper, userId, 'read');
     }
+    res.status(200).json({ message: 'Reading status updated successfully', status, paper });
+  } catch (error) {
+    console.error('Error updating reading status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/papers/claim - Claim a paper for some days so teammates know not to start it
+// Claiming again renews your own claim; a teammate's active claim answers 409 with that claim.
+router.post('/claim', authenticateUser, async (req, res) => {
+  const schema = Joi.object({
+    id: Joi.string().required(),
+    days: Joi.number().integer().min(1).max(CLAIM_MAX_DAYS).default(CLAIM_DEFAULT_DAYS),
+    aliases: aliasesSchema.optional(),
+    metadata: metadataSchema.optional(), // Needed only when the paper is not tracked yet
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
 
-    if (Object.keys(matchConditions).length > 0) {
-      pipeline.push({ $match: matchConditions });
+  const { id, days, aliases: extraIdentifiers, metadata } = value;
+  const userId = req.user.id;
+
+  try {
+    const { paper: resolvedPaper, aliases } = await resolvePaper(id, extraIdentifiers);
+    let paper = resolvedPaper;
+    const now = new Date();
+    const claimedBy = (claimedAt, assignedBy) => ({
+      user: userId,
+      claimedAt,
+      expiresAt: new Date(now.getTime() + days * DAY_MS),
+      assignedBy,
+    });
+
+    if (!paper) {
+      if (!metadata) {
+        return res.status(404).json({ message: 'Paper not found. Provide metadata to start tracking it.' });
+      }
+      paper = new Paper({
+        id: primaryIdFor(id, aliases),
+        aliases,
+        ...newPaperMetadata(metadata, { source: 'page', user: userId }),
+        reads: [],
+        claim: claimedBy(now, null),
+      });
+      await paper.save();
+    } else {
+      const currentClaim = activeClaimOf(paper, now);
+      if (currentClaim && currentClaim.user !== userId) {
+        return res.status(409).json({ message: `Paper is already claimed by ${currentClaim.user}.`, conflict: 'claimed', claim: currentClaim });
+      }
+
+      // Claim only while the paper is still unclaimed, its claim has expired or it is the user's own,
+      // so of two teammates claiming at the same moment exactly one succeeds
+      const claimedPaper = await Paper.findOneAndUpdate(
+        { _id: paper._id, $or: [{ claim: null }, { 'claim.expiresAt': { $lte: now } }, { 'claim.user': userId }] },
+        {
+          $set: { claim: claimedBy(currentClaim ? currentClaim.claimedAt : now, currentClaim ? currentClaim.assignedBy : null) },
+          $addToSet: { aliases: { $each: aliases } },
+        },
+        { new: true }
+      );
+
+      if (!claimedPaper) {
+        const latest = await Paper.findById(paper._id);
+        const winningClaim = latest && activeClaimOf(latest, now);
+        return res.status(409).json({
+          message: winningClaim ? `Paper is already claimed by ${winningClaim.user}.` : 'Paper changed while claiming it. Try again.',
+          conflict: 'claimed',
+          claim: winningClaim,
+        });
+      }
+      paper = claimedPaper;
     }
 
-    // Project to ensure UTC timestamps (they are stored as UTC by Mongoose Date type by default)
-    pipeline.push({
-      $project: {
-        _id: 0,
-        id: 1,
-        metadata: 1,
-        reads: 1,
-      },
+    publish('claim', paperEvent(paper, { actor: userId, claim: activeClaimOf(paper, now) }));
+    res.status(200).json({ message: 'Paper claimed successfully', claim: activeClaimOf(paper, now) });
+  } catch (error) {
+    console.error('Error claiming paper:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/papers/claim - Release your own claim
+router.delete('/claim', authenticateUser, async (req, res) => {
+  const schema = Joi.object({
+    id: Joi.string().required(),
+    aliases: aliasesSchema.optional(),
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    const { paper } = await resolvePaper(value.id, value.aliases);
+    const claim = paper && activeClaimOf(paper);
+
+    if (!claim || claim.user !== req.user.id) {
+      return res.status(404).json({ message: 'You have no active claim on this paper.' });
+    }
+
+    paper.claim = null;
+    await paper.save();
+
+    publish('claim', paperEvent(paper, { actor: req.user.id, claim: null }));
+    res.status(200).json({ message: 'Claim released successfully' });
+  } catch (error) {
+    console.error('Error releasing claim:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/papers/status-changes - Team read status of the papers changed after ?since=<cursor>, oldest change first.
+// For clients mirroring read status locally: start without a cursor, then pass the returned one until hasMore is false.
+// Deleted papers are not reported (GET /changes reports them), so mirrors should re-sync from scratch now and then.
+router.get('/status-changes', authenticateUser, async (req, res) => {
+  const schema = Joi.object({
+    since: Joi.string().pattern(STATUS_CURSOR_PATTERN).optional(),
+    limit: Joi.number().integer().min(1).max(STATUS_CHANGES_LIMIT).default(STATUS_CHANGES_LIMIT),
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { since, limit } = value;
+
+  try {
+    const changed = await Paper.find(since ? changedAfter(since) : {})
+      .select('id aliases metadata.title reads._id reads.user reads.timestamp reads.status claim updatedAt')
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const page = changed.slice(0, limit);
+    res.status(200).json({
+      papers: page.map((paper) => ({
+        id: paper.id,
+        aliases: paper.aliases,
+        title: paper.metadata.title,
+        reads: paper.reads.map((read) => ({ _id: read._id, user: read.user, timestamp: read.timestamp, status: statusOf(read) })),
+        claim: activeClaimOf(paper),
+        updatedAt: paper.updatedAt,
+      })),
+      cursor: page.length > 0 ? statusCursorFor(page[page.length - 1]) : since || null,
+      hasMore: changed.length > limit,
     });
+  } catch (error) {
+    console.error('Error listing status changes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/papers/changes - Papers created or updated after ?since=<cursor>, oldest change first, with tombstones
+// for the read entries and papers removed since. Changed papers are returned whole, reads included.
+// Start without a cursor (no tombstones, the papers replace any local state), then pass the returned one until
+// hasMore is false. Tombstones are reported with the paper that holds them, which is updated by every removal.
+router.get('/changes', authenticateReader, async (req, res) => {
+  const schema = Joi.object({
+    since: Joi.string().pattern(STATUS_CURSOR_PATTERN).optional(),
+    limit: Joi.number().integer().min(1).max(CHANGES_LIMIT).default(CHANGES_LIMIT),
+  });
+
+  const { error, value } = schema.validate(req.query);
 
-    // Pagination using $facet
-    pipeline.push({
-      $facet: {
-        metadata: [{ $count: 'totalCount' }],
-        data: [{
-          $skip: (page - 1) * limit
-        }, { $limit: limit }],
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { since, limit } = value;
+  // Inclusive, so a removal stamped a moment before its paper's updatedAt is not lost; applying one twice is harmless
+  const removedSince = (time) => Boolean(since) && new Date(time) >= cursorTime(since);
+
+  try {
+    const changed = await Paper.find(since ? changedAfter(since) : {})
+      .select('-__v')
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const page = changed.slice(0, limit).map((paper) => (typeof paper.toObject === 'function' ? paper.toObject() : paper));
+    res.status(200).json({
+      papers: page.map(({ removedReads, mergedPapers, ...paper }) => paper),
+      removed: {
+        reads: page.flatMap((paper) => (paper.removedReads || [])
+          .filter((tombstone) => removedSince(tombstone.removedAt))
+          .map(({ readId, removedBy, removedAt }) => ({ paperId: paper.id, readId, removedBy, removedAt }))),
+        papers: page.flatMap((paper) => (paper.mergedPapers || [])
+          .filter((tombstone) => removedSince(tombstone.mergedAt))
+          .map(({ id, mergedAt }) => ({ id, mergedInto: paper.id, removedAt: mergedAt }))),
       },
+      cursor: page.length > 0 ? statusCursorFor(page[page.length - 1]) : since || null,
+      hasMore: changed.length > limit,
     });
+  } catch (error) {
+    console.error('Error listing paper changes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const result = await Paper.aggregate(pipeline);
+// GET /api/papers/lookup?id=<DOI, arXiv ID or their URL> - Authoritative metadata from Crossref, OpenAlex and arXiv,
+// e.g. to fill in what a page does not show before marking it read
+router.get('/lookup', authenticateReader, async (req, res) => {
+  const { error, value } = Joi.object({ id: Joi.string().trim().max(500).required() }).validate(req.query);
 
-    const papers = result[0].data;
-    const totalCount = result[0].metadata[0] ? result[0].metadata[0].totalCount : 0;
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const aliases = identifiersFor(value.id).filter((alias) => /^(doi|arxiv):/.test(alias));
+  if (aliases.length === 0) {
+    return res.status(400).json({ message: 'Metadata can be looked up by DOI or arXiv ID only.' });
+  }
+
+  try {
+    const found = await lookupMetadata(aliases);
+    if (!found) {
+      return res.status(404).json({ message: 'No metadata found for this identifier.' });
+    }
+    res.status(200).json({ ...found, aliases: [...aliases, ...found.aliases] });
+  } catch (error) {
+    if (error.status === 502) {
+      return res.status(502).json({ message: 'Metadata sources are unavailable. Try again later.' });
+    }
+    console.error('Error looking up metadata:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// GET /api/papers/search-papers - Accepts user and admin tokens (the admin dashboard lists papers with it)
+router.get('/search-papers', authenticateReader, async (req, res) => {
+  const schema = searchQuerySchema.keys({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10),
+  });
+
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  if (value.notReadByMe && !req.user) {
+    return res.status(400).json({ message: '"notReadByMe" needs a user token' });
+  }
+
+  const { page, limit, ...search } = value;
+
+  try {
+    const { totalCount, sort, papers } = await runSearch(search, { userId: req.user && req.user.id, page, limit });
 
     res.status(200).json({
       totalCount,
       page,
       limit,
+      sort,
       papers,
     });
   } catch (error) {
@@ -204,11 +655,148 @@ router.get('/search-papers', authenticateUser, async (req, res) => {
   }
 });
 
-// DELETE /api/papers/mark-read
-router.delete('/mark-read', authenticateUser, async (req, res) => {
+// PATCH /api/papers/:id/reads/:readId - Edit the notes of one of the current user's read entries
+// The paper id is URL-encoded (DOIs contain slashes) and may be any of the paper's aliases.
+router.patch('/:id/reads/:readId', authenticateUser, async (req, res) => {
+  const { error, value } = notesUpdateSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { id, readId } = req.params;
+
+  try {
+    const { paper } = await resolvePaper(id);
+
+    const read = paper && paper.reads.find((entry) => String(entry._id) === readId);
+    if (!read) {
+      return res.status(404).json({ message: 'Paper or read entry not found.' });
+    }
+    if (read.user !== req.user.id) {
+      return res.status(403).json({ message: 'You can only edit your own notes.' });
+    }
+
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      read[field] = fieldValue === null ? undefined : fieldValue;
+    });
+    read.notesUpdatedAt = new Date();
+
+    await paper.save();
+
+    await notifyWatchers(paper, req.user.id, 'notes');
+    res.status(200).json({ message: 'Notes updated successfully', read });
+  } catch (error) {
+    console.error('Error updating notes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PATCH /api/papers/:id/metadata - Correct a paper's metadata (user or admin token). Only the fields sent change,
+// null clears an optional one; changed fields are marked user-edited so enrichment leaves them alone.
+router.patch('/:id/metadata', authenticateReader, async (req, res) => {
+  const { error, value } = metadataUpdateSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const editor = req.user ? req.user.id : 'admin';
+
+  try {
+    const { paper } = await resolvePaper(req.params.id);
+
+    if (!paper) {
+      return res.status(404).json({ message: 'Paper not found' });
+    }
+
+    const changes = editMetadata(paper, value, { user: editor });
+    if (changes.length > 0) {
+      await paper.save();
+      publish('metadata', paperEvent(paper, { actor: editor, fields: changes.map(({ field }) => field) }));
+    }
+
+    res.status(200).json({
+      message: changes.length > 0 ? 'Metadata updated successfully' : 'Metadata unchanged',
+      changes,
+      metadata: paper.metadata,
+      provenance: paper.provenance || {},
+    });
+  } catch (error) {
+    console.error('Error updating metadata:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/papers/:id/highlights - Save a passage selected on the paper's page to the current user's read entry
+// A user who has no entry for the paper yet starts one with status 'reading'.
+router.post('/:id/highlights', authenticateUser, async (req, res) => {
   const schema = Joi.object({
-    id: Joi.string().required(),
-    readEntryId: Joi.string().required(), // Assuming read entries will have an _id from Mongoose
+    highlight: highlightSchema.required(),
+    aliases: aliasesSchema.optional(),
+    metadata: metadataSchema.optional(), // Needed only when the paper is not tracked yet
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { id } = req.params;
+  const { highlight, aliases: extraIdentifiers, metadata } = value;
+  const userId = req.user.id;
+
+  try {
+    const { paper: resolvedPaper, aliases } = await resolvePaper(id, extraIdentifiers);
+    let paper = resolvedPaper;
+
+    if (!paper) {
+      if (!metadata) {
+        return res.status(404).json({ message: 'Paper not found. Provide metadata to start tracking it.' });
+      }
+      paper = new Paper({
+        id: primaryIdFor(id, aliases),
+        aliases,
+        ...newPaperMetadata(metadata, { source: 'page', user: userId }),
+        reads: [],
+      });
+    } else {
+      attachAliases(paper, aliases);
+    }
+
+    let read = latestReadFor(paper.reads, userId);
+    if (!read) {
+      const now = new Date();
+      paper.reads.push({ user: userId, timestamp: now, status: 'reading', statusHistory: [{ status: 'reading', timestamp: now }] });
+      read = paper.reads[paper.reads.length - 1];
+    }
+    if (!read.highlights) {
+      read.highlights = [];
+    }
+
+    // The same selection sent twice (e.g. replayed from the offline queue) is stored once
+    const samePosition = (existing) => (existing.position && existing.position.start) === (highlight.position && highlight.position.start);
+    const existing = read.highlights.find((other) => other.quote === highlight.quote && samePosition(other));
+    if (existing) {
+      return res.status(200).json({ message: 'Highlight already saved', readId: read._id, highlight: existing });
+    }
+
+    read.highlights.push(highlight);
+    await paper.save();
+
+    res.status(201).json({ message: 'Highlight saved successfully', readId: read._id, highlight: read.highlights[read.highlights.length - 1] });
+  } catch (error) {
+    console.error('Error saving highlight:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/papers/mark-read (safe to retry with an Idempotency-Key header)
+router.delete('/mark-read', authenticateUser, idempotent, async (req, res) => {
+  const schema = Joi.object({
+    id: Joi.string().required(), // Any alias of the paper
+    readEntryId: Joi.string().hex().length(24).required(), // The read entry's ObjectId
   });
 
   const { error, value } = schema.validate(req.body);
@@ -221,9 +809,15 @@ router.delete('/mark-read', authenticateUser, async (req, res) => {
   const userId = req.user.id; // User ID from authenticated JWT
 
   try {
+    // One atomic update: the read must be the user's own entry on the paper known by this id or alias,
+    // so a tombstone is never written for a read that was not removed
+    const aliases = collectAliases(id);
     const paper = await Paper.findOneAndUpdate(
-      { id: id, 'reads._id': readEntryId, 'reads.user': userId },
-      { $pull: { reads: { _id: readEntryId, user: userId } } },
+      {
+        $or: [{ id: { $in: [id, ...aliases] } }, { aliases: { $in: aliases } }],
+        reads: { $elemMatch: { _id: readEntryId, user: userId } },
+      },
+      { $pull: { reads: { _id: readEntryId, user: userId } }, $push: { removedReads: { readId: readEntryId, removedBy: userId } } },
       { new: true }
     ).select('-__v');
 
@@ -231,6 +825,7 @@ router.delete('/mark-read', authenticateUser, async (req, res) => {
       return res.status(404).json({ message: 'Paper or read entry not found for this user.' });
     }
 
+    publish('undo', paperEvent(paper, { actor: userId, user: userId, readId: readEntryId }));
     res.status(200).json({ message: 'Read entry removed successfully', paper });
   } catch (error) {
     console.error('Error deleting read entry:', error);
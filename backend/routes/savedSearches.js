@@ -0,0 +1,167 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/savedSearch');
+const { verifyUserToken } = require('../../shared/auth');
+const { DIGEST_FREQUENCIES } = require('../../shared/paper');
+const { searchQuerySchema } = require('../services/search');
+const { digestTransportNames, nextDigestAt } = require('../services/digests');
+
+const router = express.Router();
+
+// Joi schema for a saved search's digest settings; the email transport needs an address
+const digestSchema = Joi.object({
+  frequency: Joi.string().valid(...DIGEST_FREQUENCIES).default('off'),
+  transport: Joi.string().default('inbox').custom((transport, helpers) => (
+    digestTransportNames().includes(transport) ? transport : helpers.error('any.only')
+  )).messages({ 'any.only': '"digest.transport" must be a known digest transport' }),
+  email: Joi.string().email().allow(null).when('transport', {
+    is: 'email',
+    then: Joi.required(),
+  }),
+});
+
+// Joi schema for a new saved search; query holds the GET /api/papers/search-papers parameters without paging
+const createSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  query: searchQuerySchema.required(),
+  digest: digestSchema.optional(),
+});
+
+// Joi schema for updating a saved search; digest settings are replaced as a whole
+const updateSavedSearchSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  query: searchQuerySchema.optional(),
+  digest: digestSchema.optional(),
+}).min(1);
+
+// Middleware for user JWT authentication
+const authenticateUser = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// Stored digest settings, scheduling the next digest one period from now
+const digestSettings = (digest, previous = {}) => ({
+  frequency: digest.frequency,
+  transport: digest.transport,
+  email: digest.email || null,
+  lastSentAt: previous.lastSentAt || null,
+  nextAt: digest.frequency === previous.frequency && previous.nextAt ? previous.nextAt : nextDigestAt(digest.frequency),
+});
+
+// GET /api/saved-searches - The current user's saved searches, by name
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id }).sort({ name: 1 });
+    res.status(200).json({ savedSearches });
+  } catch (error) {
+    console.error('Error listing saved searches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/saved-searches - Save a search under a name, optionally with a periodic digest of new matches
+router.post('/', authenticateUser, async (req, res) => {
+  const { error, value } = createSavedSearchSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const userId = req.user.id;
+
+  try {
+    if (await SavedSearch.findOne({ user: userId, name: value.name })) {
+      return res.status(409).json({ message: 'You already have a saved search with this name.' });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: userId,
+      name: value.name,
+      query: value.query,
+      digest: digestSettings(value.digest || digestSchema.validate({}).value),
+    });
+    res.status(201).json({ message: 'Search saved successfully', savedSearch });
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PATCH /api/saved-searches/:searchId - Rename a saved search, change its query or its digest
+router.patch('/:searchId', authenticateUser, async (req, res) => {
+  const { error, value } = updateSavedSearchSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { searchId } = req.params;
+  const userId = req.user.id;
+
+  try {
+    const savedSearch = mongoose.isValidObjectId(searchId)
+      ? await SavedSearch.findOne({ _id: searchId, user: userId })
+      : null;
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    if (value.name && value.name !== savedSearch.name
+      && await SavedSearch.findOne({ user: userId, name: value.name })) {
+      return res.status(409).json({ message: 'You already have a saved search with this name.' });
+    }
+
+    if (value.name) {
+      savedSearch.name = value.name;
+    }
+    if (value.query) {
+      savedSearch.query = value.query;
+    }
+    if (value.digest) {
+      savedSearch.digest = digestSettings(value.digest, savedSearch.digest);
+    }
+    await savedSearch.save();
+
+    res.status(200).json({ message: 'Saved search updated successfully', savedSearch });
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/saved-searches/:searchId
+router.delete('/:searchId', authenticateUser, async (req, res) => {
+  const { searchId } = req.params;
+
+  try {
+    const savedSearch = mongoose.isValidObjectId(searchId)
+      ? await SavedSearch.findOneAndDelete({ _id: searchId, user: req.user.id })
+      : null;
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    res.status(200).json({ message: 'Saved search removed successfully' });
+  } catch (error) {
+    console.error('Error removing saved search:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Watch = require('../models/watch');
+const { verifyUserToken } = require('../../shared/auth');
+const { WATCH_KINDS } = require('../../shared/paper');
+const { resolvePaper, primaryIdFor } = require('../services/paperIdentity');
+const { normalizeWatchText } = require('../services/watches');
+
+const router = express.Router();
+
+// Joi schema for a new watch rule; aliases and title only apply to paper watches
+const createWatchSchema = Joi.object({
+  kind: Joi.string().valid(...WATCH_KINDS).required(),
+  value: Joi.string().trim().max(500).required(),
+  aliases: Joi.array().items(Joi.string().trim().max(2048)).max(50).optional(),
+  title: Joi.string().max(1000).optional(),
+});
+
+// Middleware for user JWT authentication
+const authenticateUser = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// GET /api/watches - The current user's watch rules, newest first
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const watches = await Watch.find({ user: req.user.id }).sort({ createdAt: -1 });
+    res.status(200).json({ watches });
+  } catch (error) {
+    console.error('Error listing watches:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/watches - Watch a paper (by any of its identifiers), an author or a keyword
+router.post('/', authenticateUser, async (req, res) => {
+  const { error, value } = createWatchSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { kind, aliases: extraIdentifiers, title } = value;
+  const userId = req.user.id;
+
+  try {
+    const watch = { user: userId, kind, value: normalizeWatchText(value.value), aliases: [], label: '' };
+
+    if (kind === 'paper') {
+      // Tracked papers are watched by their id; others by the id they will get once someone tracks them
+      const { paper, aliases } = await resolvePaper(value.value, extraIdentifiers);
+      watch.value = paper ? paper.id : primaryIdFor(value.value, aliases);
+      watch.aliases = paper ? [...new Set([...(paper.aliases || []), ...aliases])] : aliases;
+      watch.label = paper ? (paper.metadata.title || paper.id) : (title || value.value);
+    }
+
+    if (await Watch.findOne({ user: userId, kind, value: watch.value })) {
+      return res.status(409).json({ message: 'You are already watching this.' });
+    }
+
+    const created = await Watch.create(watch);
+    res.status(201).json({ message: 'Watch added successfully', watch: created });
+  } catch (error) {
+    console.error('Error adding watch:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/watches/:watchId
+router.delete('/:watchId', authenticateUser, async (req, res) => {
+  const { watchId } = req.params;
+
+  try {
+    const watch = mongoose.isValidObjectId(watchId)
+      ? await Watch.findOneAndDelete({ _id: watchId, user: req.user.id })
+      : null;
+
+    if (!watch) {
+      return res.status(404).json({ message: 'Watch not found' });
+    }
+
+    res.status(200).json({ message: 'Watch removed successfully' });
+  } catch (error) {
+    console.error('Error removing watch:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
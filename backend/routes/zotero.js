@@ -0,0 +1,161 @@
+const express = require('express');
+const Joi = require('joi');
+const ZoteroLink = require('../models/zoteroLink');
+const { verifyUserToken } = require('../../shared/auth');
+const { createZoteroClient, syncZotero } = require('../services/zotero');
+
+const router = express.Router();
+
+// Joi schema for connecting a Zotero library; a user library's id comes from the key when left out
+const connectSchema = Joi.object({
+  apiKey: Joi.string().trim().alphanum().max(64).required(),
+  libraryType: Joi.string().valid('user', 'group').default('user'),
+  libraryId: Joi.string().pattern(/^\d+$/).when('libraryType', {
+    is: 'group',
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+});
+
+// Middleware for user JWT authentication
+const authenticateUser = (req, res, next) => {
+  const token = req.header('x-auth-token');
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+  try {
+    const decoded = verifyUserToken(token);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.user = decoded.user;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+// A link as shown to its owner; the API key is never sent back
+const linkView = (link) => ({
+  libraryType: link.libraryType,
+  libraryId: link.libraryId,
+  connectedAt: link.createdAt,
+  lastSyncAt: link.lastSyncAt,
+  lastError: link.lastError,
+  itemCount: link.items.filter((mapping) => !mapping.removedAt).length,
+});
+
+// Whether the key may read and write the library
+const canWrite = (access = {}, libraryType, libraryId) => {
+  if (libraryType === 'user') {
+    return Boolean(access.user && access.user.library && access.user.write);
+  }
+  const groups = access.groups || {};
+  const group = groups[libraryId] || groups.all;
+  return Boolean(group && group.library && group.write);
+};
+
+// GET /api/zotero - The current user's Zotero connection, or null
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const link = await ZoteroLink.findOne({ user: req.user.id });
+    res.status(200).json({ connection: link ? linkView(link) : null });
+  } catch (error) {
+    console.error('Error getting Zotero connection:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// PUT /api/zotero - Connect a Zotero library with an API key that can write to it (replaces any earlier one)
+router.put('/', authenticateUser, async (req, res) => {
+  const { error, value } = connectSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  const { apiKey, libraryType } = value;
+  const userId = req.user.id;
+
+  try {
+    let key;
+    try {
+      key = await createZoteroClient({ apiKey }).getKey();
+    } catch (zoteroError) {
+      if (zoteroError.status === 403 || zoteroError.status === 404) {
+        return res.status(400).json({ message: 'Zotero does not recognize this API key.' });
+      }
+      console.error('Error checking Zotero API key:', zoteroError.message);
+      return res.status(502).json({ message: 'Could not reach Zotero. Try again later.' });
+    }
+
+    const libraryId = value.libraryId || String(key.userID);
+    if (libraryType === 'user' && libraryId !== String(key.userID)) {
+      return res.status(400).json({ message: 'This API key belongs to another Zotero user.' });
+    }
+    if (!canWrite(key.access, libraryType, libraryId)) {
+      return res.status(400).json({ message: 'The API key needs read and write access to the library.' });
+    }
+
+    let link = await ZoteroLink.findOne({ user: userId });
+    if (link && link.libraryType === libraryType && link.libraryId === libraryId) {
+      link.apiKey = apiKey;
+      link.lastError = null;
+      await link.save();
+    } else {
+      if (link) {
+        await ZoteroLink.deleteOne({ user: userId }); // Another library: start over
+      }
+      link = await ZoteroLink.create({ user: userId, libraryType, libraryId, apiKey });
+    }
+
+    res.status(200).json({ message: 'Zotero library connected', connection: linkView(link) });
+  } catch (error) {
+    console.error('Error connecting Zotero:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// DELETE /api/zotero - Disconnect the library; nothing is removed from it
+router.delete('/', authenticateUser, async (req, res) => {
+  try {
+    const link = await ZoteroLink.findOneAndDelete({ user: req.user.id });
+    if (!link) {
+      return res.status(404).json({ message: 'No Zotero library is connected' });
+    }
+    res.status(200).json({ message: 'Zotero library disconnected' });
+  } catch (error) {
+    console.error('Error disconnecting Zotero:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// POST /api/zotero/sync - Sync the library now instead of waiting for the hourly sync
+router.post('/sync', authenticateUser, async (req, res) => {
+  let link;
+  try {
+    link = await ZoteroLink.findOne({ user: req.user.id });
+  } catch (error) {
+    console.error('Error syncing Zotero:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+  if (!link) {
+    return res.status(404).json({ message: 'No Zotero library is connected' });
+  }
+
+  try {
+    const report = await syncZotero(link);
+    res.status(200).json({ message: 'Zotero library synced', report, connection: linkView(link) });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ message: error.message });
+    }
+    if ('status' in error) {
+      return res.status(502).json({ message: `Zotero sync failed: ${error.message}`, connection: linkView(link) });
+    }
+    console.error('Error syncing Zotero:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
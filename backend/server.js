@@ -6,6 +6,10 @@ const bodyParser = require('body-parser');
 const jwt = require('jsonwebtoken');
 const winston = require('winston');
 const Config = require('./models/config'); // Import Config model
+const Paper = require('./models/paper');
+const { startDigestScheduler } = require('./services/digests');
+const { startZoteroScheduler } = require('./services/zotero');
+const { startEnrichmentScheduler } = require('./services/enrichment');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,11 +37,33 @@ mongoose.connect(MONGO_URI, { dbName: 'xjr3' })
       await Config.create({ preventDuplicateReads: false });
       logger.info('Default config created.');
     }
+    // Papers saved before timestamps existed sort first in the status-changes feed
+    const { modifiedCount } = await Paper.updateMany(
+      { updatedAt: { $exists: false } },
+      { $set: { updatedAt: new Date(0) } },
+      { timestamps: false },
+    );
+    if (modifiedCount > 0) {
+      logger.info(`Backfilled updatedAt on ${modifiedCount} papers.`);
+    }
+    // Older extensions stored placeholders for fields the page did not show; clear them so enrichment fills them
+    const placeholders = [
+      [{ 'metadata.title': 'Unknown Title' }, { $unset: { 'metadata.title': '', 'provenance.title': '' } }],
+      [{ 'metadata.authors': ['Unknown Author'] }, { $set: { 'metadata.authors': [] }, $unset: { 'provenance.authors': '' } }],
+      [{ 'metadata.abstract': 'No abstract available.' }, { $unset: { 'metadata.abstract': '', 'provenance.abstract': '' } }],
+    ];
+    for (const [filter, update] of placeholders) {
+      const { modifiedCount: cleared } = await Paper.updateMany(filter, update, { timestamps: false });
+      if (cleared > 0) {
+        logger.info(`Cleared placeholder ${Object.keys(filter)[0]} on ${cleared} papers.`);
+      }
+    }
   })
   .catch(err => logger.error(err));
 
 // Middleware
 app.use(cors());
+app.use('/api/admin/import', bodyParser.json({ limit: '10mb' })); // Whole bibliography files
 app.use(bodyParser.json());
 
 // JWT Authentication Middleware (Basic example, needs refinement)
@@ -64,8 +90,16 @@ app.use((req, res, next) => {
 });
 
 // Mount Routes (Placeholder for now)
+app.use('/api/auth', require('./routes/auth'));
 app.use('/api/papers', require('./routes/paper'));
+app.use('/api/collections', require('./routes/collections'));
+app.use('/api/watches', require('./routes/watches'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
+app.use('/api/inbox', require('./routes/inbox'));
+app.use('/api/export', require('./routes/export'));
+app.use('/api/zotero', require('./routes/zotero'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/events', require('./routes/events'));
 
 app.get('/', (req, res) => {
   res.send('XJR-3 Backend API');
@@ -77,5 +111,8 @@ module.exports = app;
 if (require.main === module) {
   mongoose.connection.on('connected', () => {
     app.listen(PORT, () => logger.info(`Server running on port ${PORT}`));
+    startDigestScheduler();
+    startZoteroScheduler();
+    startEnrichmentScheduler();
   });
 }
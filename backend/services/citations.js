@@ -0,0 +1,516 @@
+// Reference-manager formats: BibTeX (and BibLaTeX), RIS and CSL-JSON.
+// Parsers turn a file into records { key, type, title, authors, abstract, publishYear, venue, identifiers,
+// readAt, notes, tags }, with identifiers as prefixed raw ids for identifiersFor (e.g. "doi:10.1000/xyz").
+// A record that could not be read has only { key, error }.
+const { normalizeDoi, normalizeArxivId, normalizePmid, normalizeIsbn, normalizeUrl } = require('../../shared/identifiers');
+
+const CITATION_FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+const MONTH_MACROS = {
+  jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+  jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December',
+};
+
+// Combining marks for LaTeX accent commands, e.g. \"o -> ö
+const LATEX_ACCENTS = {
+  "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+  u: '\u0306', v: '\u030c', H: '\u030b', c: '\u0327', k: '\u0328', r: '\u030a',
+};
+const LATEX_SYMBOLS = {
+  ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'ı', j: 'ȷ',
+};
+
+const accented = (accent, letter) => `${letter === 'i' ? 'i' : letter}${LATEX_ACCENTS[accent]}`.normalize('NFC');
+
+// Plain text of a BibTeX value: accents and escapes resolved, other commands and grouping braces dropped
+const latexToText = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/\\([`'^"~=.])\s*\{?\s*\\?([a-zA-Z])\s*\}?/g, (match, accent, letter) => accented(accent, letter))
+    .replace(/\\([uvHckr])\s*(?:\{\s*\\?([a-zA-Z])\s*\}|\s([a-zA-Z]))/g, (match, accent, braced, spaced) => accented(accent, braced || spaced))
+    .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i|j)(?![a-zA-Z])(?:\{\})?\s?/g, (match, symbol) => LATEX_SYMBOLS[symbol])
+    .replace(/\\([&%$#_])/g, '$1')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/(^|[^\\])~/g, '$1 ')
+    .replace(/\\[a-zA-Z]+\*?\s*/g, '') // \emph{x} -> x
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Split on a separator outside braces
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === '{') depth += 1;
+    else if (text[i] === '}') depth -= 1;
+    else if (depth === 0 && separator.test(text.slice(i))) {
+      parts.push(text.slice(start, i));
+      i += text.slice(i).match(separator)[0].length - 1;
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+// "Last, First" and "Last, Jr, First" as "First Last" and "First Last Jr"; other names as written
+const displayName = (name) => {
+  const parts = splitTopLevel(name, /^,/).map((part) => part.trim());
+  if (parts.length === 2) return `${parts[1]} ${parts[0]}`.trim();
+  if (parts.length === 3) return `${parts[2]} ${parts[0]} ${parts[1]}`.trim();
+  return name.trim();
+};
+
+const bibtexNames = (value) => {
+  if (!value) return [];
+  return splitTopLevel(value, /^\s+and\s+/i)
+    .map((name) => latexToText(displayName(name)))
+    .filter((name) => name && name.toLowerCase() !== 'others');
+};
+
+const yearOf = (value) => {
+  const match = String(value || '').match(/\b(\d{4})\b/);
+  return match ? Number(match[1]) : null;
+};
+
+// Date from "2024-03-05", "2024/03/05/..." or "2024", or null
+const dateOf = (value) => {
+  const match = String(value || '').match(/(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2] || 1) - 1, Number(match[3] || 1)));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const splitTags = (value) => [...new Set(String(value || '')
+  .split(/[,;\n]/)
+  .map((tag) => tag.trim().toLowerCase())
+  .filter(Boolean))];
+
+// Prefixed identifiers for whichever of the values are valid
+const identifiersFrom = ({ doi = [], arxiv = [], pmid = [], isbn = [], url = [] }) => [
+  ...doi.map(normalizeDoi).filter(Boolean).map((value) => `doi:${value}`),
+  ...arxiv.map(normalizeArxivId).filter(Boolean).map((value) => `arxiv:${value}`),
+  ...pmid.map(normalizePmid).filter(Boolean).map((value) => `pmid:${value}`),
+  ...isbn.flatMap((value) => String(value).split(/[\s,;]+/)).map(normalizeIsbn).filter(Boolean).map((value) => `isbn:${value}`),
+  ...url.filter((value) => normalizeUrl(value)),
+];
+
+const present = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// BibTeX
+
+// Entries of a BibTeX file as { type, key, fields } (field names lowercased, values still LaTeX), or
+// { key, error } for entries that could not be read; @string macros are expanded, @comment and @preamble skipped
+const readBibtex = (text) => {
+  const macros = { ...MONTH_MACROS };
+  const entries = [];
+  let i = 0;
+
+  const fail = (message) => {
+    throw new Error(message);
+  };
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i += 1;
+  };
+  const readName = () => {
+    const match = /^[^\s"#%'(),={}]+/.exec(text.slice(i, i + 200));
+    if (!match) fail(`Expected a name at character ${i}`);
+    i += match[0].length;
+    return match[0];
+  };
+  // A {braced} or "quoted" value, without its delimiters
+  const readDelimited = () => {
+    const close = text[i] === '{' ? '}' : '"';
+    let depth = 0;
+    const start = i + 1;
+    for (i += 1; i < text.length; i += 1) {
+      if (text[i] === '\\') {
+        i += 1;
+      } else if (text[i] === '{') {
+        depth += 1;
+      } else if (text[i] === '}' && depth > 0) {
+        depth -= 1;
+      } else if (text[i] === close && depth === 0) {
+        i += 1;
+        return text.slice(start, i - 1);
+      }
+    }
+    return fail('Unterminated value');
+  };
+  // Pieces joined with #: braced or quoted text, numbers and macro names
+  const readValue = () => {
+    let value = '';
+    for (;;) {
+      skipSpace();
+      if (text[i] === '{' || text[i] === '"') {
+        value += readDelimited();
+      } else {
+        const name = readName();
+        value += /^\d+$/.test(name) ? name : (macros[name.toLowerCase()] ?? name);
+      }
+      skipSpace();
+      if (text[i] !== '#') return value;
+      i += 1;
+    }
+  };
+  const readFields = (close) => {
+    const fields = {};
+    for (;;) {
+      skipSpace();
+      if (text[i] === close) {
+        i += 1;
+        return fields;
+      }
+      const name = readName().toLowerCase();
+      skipSpace();
+      if (text[i] !== '=') fail(`Expected "=" after ${name}`);
+      i += 1;
+      fields[name] = readValue();
+      skipSpace();
+      if (text[i] === ',') i += 1;
+      else if (text[i] !== close) fail(`Expected "," or "${close}" after ${name}`);
+    }
+  };
+
+  while ((i = text.indexOf('@', i)) !== -1) {
+    const entryStart = i;
+    const header = /^@\s*([a-zA-Z]+)\s*([{(])/.exec(text.slice(i, i + 100));
+    if (!header) {
+      i += 1; // Text outside entries is a comment, even with an @ in it
+      continue;
+    }
+    let key = null;
+    try {
+      i += header[0].length - 1;
+      const type = header[1].toLowerCase();
+      const close = text[i] === '{' ? '}' : ')';
+      if (type === 'comment' || type === 'preamble') {
+        if (close === '}') readDelimited();
+        else i = text.indexOf(')', i) + 1 || text.length;
+        continue;
+      }
+      i += 1;
+      if (type === 'string') {
+        Object.entries(readFields(close)).forEach(([name, value]) => {
+          macros[name] = value;
+        });
+        continue;
+      }
+      skipSpace();
+      key = readName();
+      skipSpace();
+      if (text[i] === ',') i += 1;
+      entries.push({ type, key, fields: readFields(close) });
+    } catch (error) {
+      entries.push({ key, error: error.message });
+      i = entryStart + 1; // Resume at the next entry
+    }
+  }
+  return entries;
+};
+
+const parseBibtex = (text) => readBibtex(text).map((entry) => {
+  if (entry.error) return entry;
+  const { type, key, fields } = entry;
+  const eprintType = (fields.archiveprefix || fields.eprinttype || '').toLowerCase();
+  return {
+    key,
+    type,
+    title: latexToText(fields.title),
+    authors: bibtexNames(fields.author),
+    abstract: latexToText(fields.abstract),
+    publishYear: yearOf(fields.year || fields.date),
+    venue: latexToText(fields.journal || fields.journaltitle || fields.booktitle),
+    identifiers: identifiersFrom({
+      doi: present(fields.doi),
+      arxiv: [...(eprintType === 'arxiv' ? present(fields.eprint) : []), ...present(fields.arxivid)],
+      pmid: present(fields.pmid),
+      isbn: present(fields.isbn),
+      url: present(fields.url),
+    }),
+    readAt: dateOf(fields.urldate),
+    notes: latexToText(fields.annote || fields.annotation),
+    tags: splitTags(latexToText(fields.keywords)),
+  };
+});
+
+// RIS
+
+const RIS_LINE = /^([A-Z][A-Z0-9])\s{1,2}-(?: (.*))?$/;
+
+const parseRis = (text) => {
+  const records = [];
+  let fields = null;
+  let lastTag = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(RIS_LINE);
+    if (!match) {
+      if (fields && lastTag && line.trim()) {
+        const values = fields[lastTag];
+        values[values.length - 1] += ` ${line.trim()}`; // Continuation of a long value
+      }
+      return;
+    }
+    const [, tag, value = ''] = match;
+    if (tag === 'TY') {
+      fields = { TY: [value.trim()] };
+    } else if (tag === 'ER') {
+      if (fields) records.push(fields);
+      fields = null;
+    } else if (fields) {
+      fields[tag] = [...(fields[tag] || []), value.trim()];
+    }
+    lastTag = tag;
+  });
+  if (fields) {
+    records.push({ key: fields.ID ? fields.ID[0] : null, error: 'Missing "ER" at the end of the record' });
+  }
+
+  return records.map((record) => {
+    if (record.error) return record;
+    const first = (...tags) => {
+      const tag = tags.find((candidate) => record[candidate] && record[candidate][0]);
+      return tag ? record[tag][0] : '';
+    };
+    const all = (...tags) => tags.flatMap((tag) => record[tag] || []).filter(Boolean);
+    const fromPubMed = /pubmed/i.test(first('DB', 'DP'));
+    return {
+      key: first('ID') || null,
+      type: first('TY').toLowerCase(),
+      title: first('TI', 'T1', 'CT'),
+      authors: all('AU', 'A1').map(displayName),
+      abstract: first('AB', 'N2'),
+      publishYear: yearOf(first('PY', 'Y1', 'DA')),
+      venue: first('JF', 'JO', 'T2', 'BT', 'JA'),
+      identifiers: identifiersFrom({
+        doi: all('DO'),
+        pmid: fromPubMed ? all('AN') : [],
+        isbn: all('SN'),
+        url: all('UR', 'L2').flatMap((value) => value.split(/\s*;\s*/)),
+      }),
+      readAt: dateOf(first('Y2')),
+      notes: all('N1').join('\n\n'),
+      tags: splitTags(all('KW').join('\n')),
+    };
+  });
+};
+
+// CSL-JSON
+
+const cslDate = (value) => {
+  if (!value) return null;
+  const [parts] = value['date-parts'] || [];
+  if (parts && parts[0]) return dateOf(parts.map((part) => String(part).padStart(2, '0')).join('-'));
+  return dateOf(value.raw || value.literal);
+};
+
+const cslName = (name) => name.literal || [name.given, name['non-dropping-particle'], name.family, name.suffix].filter(Boolean).join(' ');
+
+const parseCslJson = (text) => {
+  let items;
+  try {
+    items = JSON.parse(text);
+  } catch (error) {
+    return [{ key: null, error: `Invalid JSON: ${error.message}` }];
+  }
+  items = Array.isArray(items) ? items : [items];
+
+  return items.map((item) => {
+    if (!item || typeof item !== 'object') {
+      return { key: null, error: 'Not a CSL-JSON item' };
+    }
+    const issued = cslDate(item.issued);
+    const containerTitle = [].concat(item['container-title'] || [])[0] || '';
+    const arxivNumber = /^arxiv:/i.test(item.number || '') ? [item.number] : [];
+    return {
+      key: item['citation-key'] || (item.id !== undefined ? String(item.id) : null),
+      type: item.type || null,
+      title: [].concat(item.title || [])[0] || '',
+      authors: (item.author || []).map(cslName).filter(Boolean),
+      abstract: item.abstract || '',
+      publishYear: issued ? issued.getUTCFullYear() : null,
+      venue: containerTitle,
+      identifiers: identifiersFrom({
+        doi: present(item.DOI),
+        arxiv: arxivNumber,
+        pmid: present(item.PMID),
+        isbn: present(item.ISBN),
+        url: present(item.URL),
+      }),
+      readAt: cslDate(item.accessed),
+      notes: item.note || '',
+      tags: splitTags(item.keyword),
+    };
+  });
+};
+
+// The format a file looks like it is in, or null
+const detectCitationFormat = (text) => {
+  const start = text.trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) return 'csl-json';
+  if (/^TY\s{1,2}- /m.test(text)) return 'ris';
+  if (/@\s*[a-zA-Z]+\s*[{(]/.test(text)) return 'bibtex';
+  return null;
+};
+
+const PARSERS = { bibtex: parseBibtex, ris: parseRis, 'csl-json': parseCslJson };
+
+// Records of a file in the given format (detected when not given); throws when the format is unknown
+const parseCitations = (text, format = detectCitationFormat(text)) => {
+  if (!PARSERS[format]) {
+    throw new Error('Could not tell the file format; expected BibTeX, RIS or CSL-JSON.');
+  }
+  return { format, records: PARSERS[format](text) };
+};
+
+// Writers
+
+// The paper's identifiers by type, from its metadata (DOI and URL as entered), id and aliases; url is a full URL
+const paperIdentifiers = (paper) => {
+  const { doi, url } = paper.metadata || {};
+  const identifiers = { ...(doi ? { doi } : {}), ...(url ? { url } : {}) };
+  [paper.id, ...(paper.aliases || [])].forEach((alias) => {
+    const [, type, value] = String(alias).match(/^([a-z]+):(.+)$/) || [];
+    if (type && !identifiers[type] && ['doi', 'arxiv', 'pmid', 'isbn', 'url'].includes(type)) {
+      identifiers[type] = type === 'url' ? `https://${value}` : value;
+    }
+  });
+  if (!identifiers.url && identifiers.doi) identifiers.url = `https://doi.org/${identifiers.doi}`;
+  else if (!identifiers.url && identifiers.arxiv) identifiers.url = `https://arxiv.org/abs/${identifiers.arxiv}`;
+  return identifiers;
+};
+
+// The paper's keywords and every read's tags, once each
+const paperTags = (paper) => [...new Set([
+  ...((paper.metadata && paper.metadata.keywords) || []),
+  ...(paper.reads || []).flatMap((read) => read.tags || []),
+])];
+
+// "First Middle Last" split into { given, family }; single names are family names
+const splitName = (name) => {
+  const parts = String(name).trim().split(/\s+/);
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] || '' };
+};
+
+const asciiWord = (text) => String(text || '').normalize('NFD').replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'on', 'of', 'in', 'for', 'and', 'to', 'with', 'towards', 'toward', 'is', 'are']);
+
+// BibTeX key like "ho2020denoising": first author's family name, year and first significant title word
+const citationKey = (paper) => {
+  const { authors = [], publishYear, title } = paper.metadata;
+  const family = authors.length > 0 ? asciiWord(splitName(authors[0]).family) : '';
+  const word = String(title || '').split(/\s+/).map(asciiWord).find((candidate) => candidate && !STOP_WORDS.has(candidate)) || '';
+  return `${family || 'paper'}${publishYear || ''}${word}`;
+};
+
+// Escape BibTeX's special characters; braces are kept balanced by escaping them too
+const bibtexText = (text) => String(text)
+  .replace(/\\/g, '\\textbackslash{}')
+  .replace(/([{}&%$#_])/g, '\\$1')
+  .replace(/\\textbackslash\\\{\\\}/g, '\\textbackslash{}')
+  .replace(/~/g, '\\textasciitilde{}')
+  .replace(/\^/g, '\\textasciicircum{}')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const bibtexName = (name) => {
+  const { given, family } = splitName(name);
+  return given ? `${bibtexText(family)}, ${bibtexText(given)}` : `{${bibtexText(family)}}`;
+};
+
+// A BibTeX entry for the paper under the given key: @article when it has a venue, @misc otherwise;
+// arXiv papers carry eprint fields. Titles are double-braced to keep their capitalization.
+const formatBibtex = (paper, key = citationKey(paper)) => {
+  const { title, authors = [], abstract, publishYear, venue } = paper.metadata;
+  const identifiers = paperIdentifiers(paper);
+  const tags = paperTags(paper);
+  const fields = [
+    ['title', title ? `{${bibtexText(title)}}` : null],
+    ['author', authors.length > 0 ? authors.map(bibtexName).join(' and ') : null],
+    ['journal', venue ? bibtexText(venue) : null],
+    ['year', publishYear ? String(publishYear) : null],
+    ['doi', identifiers.doi ? bibtexText(identifiers.doi) : null],
+    ['eprint', identifiers.arxiv || null],
+    ['archiveprefix', identifiers.arxiv ? 'arXiv' : null],
+    ['pmid', identifiers.pmid || null],
+    ['isbn', identifiers.isbn || null],
+    ['url', identifiers.url ? identifiers.url.replace(/([{}%#])/g, '\\$1') : null],
+    ['abstract', abstract ? bibtexText(abstract) : null],
+    ['keywords', tags.length > 0 ? bibtexText(tags.join(', ')) : null],
+  ].filter(([, value]) => value !== null);
+
+  return `@${venue ? 'article' : 'misc'}{${key},\n${fields.map(([name, value]) => `  ${name} = {${value}},`).join('\n')}\n}\n`;
+};
+
+// A RIS record for the paper (JOUR when it has a venue, GEN otherwise)
+const formatRis = (paper) => {
+  const { title, authors = [], abstract, publishYear, venue } = paper.metadata;
+  const identifiers = paperIdentifiers(paper);
+  const oneLine = (text) => String(text).replace(/\s+/g, ' ').trim();
+  const lines = [
+    ['TY', venue ? 'JOUR' : 'GEN'],
+    ['ID', paper.id],
+    ['TI', title ? oneLine(title) : null],
+    ...authors.map((author) => {
+      const { given, family } = splitName(author);
+      return ['AU', given ? `${family}, ${given}` : family];
+    }),
+    ['PY', publishYear || null],
+    ['T2', venue ? oneLine(venue) : null],
+    ['AB', abstract ? oneLine(abstract) : null],
+    ['DO', identifiers.doi || null],
+    ['UR', identifiers.url || null],
+    ['SN', identifiers.isbn || null],
+    ...paperTags(paper).map((tag) => ['KW', tag]),
+    ['ER', ''],
+  ].filter(([, value]) => value !== null);
+  return `${lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n')}\r\n\r\n`;
+};
+
+// A CSL-JSON item for the paper
+const toCslJson = (paper) => {
+  const { title, authors = [], abstract, publishYear, venue } = paper.metadata;
+  const identifiers = paperIdentifiers(paper);
+  const tags = paperTags(paper);
+  const item = {
+    id: paper.id,
+    type: venue ? 'article-journal' : 'article',
+    ...(title ? { title } : {}),
+    author: authors.map((author) => {
+      const { given, family } = splitName(author);
+      return given ? { family, given } : { literal: family };
+    }),
+    ...(publishYear ? { issued: { 'date-parts': [[publishYear]] } } : {}),
+    ...(venue ? { 'container-title': venue } : {}),
+    ...(abstract ? { abstract } : {}),
+    ...(identifiers.doi ? { DOI: identifiers.doi } : {}),
+    ...(identifiers.pmid ? { PMID: identifiers.pmid } : {}),
+    ...(identifiers.isbn ? { ISBN: identifiers.isbn } : {}),
+    ...(identifiers.arxiv ? { number: `arXiv:${identifiers.arxiv}` } : {}),
+    ...(identifiers.url ? { URL: identifiers.url } : {}),
+    ...(tags.length > 0 ? { keyword: tags.join(', ') } : {}),
+  };
+  return item;
+};
+
+module.exports = {
+  CITATION_FORMATS,
+  latexToText,
+  parseBibtex,
+  parseRis,
+  parseCslJson,
+  detectCitationFormat,
+  parseCitations,
+  identifiersFrom,
+  paperIdentifiers,
+  citationKey,
+  formatBibtex,
+  formatRis,
+  toCslJson,
+};
@@ -0,0 +1,47 @@
+const { COMPLETED_READ_STATUSES } = require('../../shared/paper');
+const { resolvePapers } = require('./paperIdentity');
+
+// Fields of each paper shown with a collection's items
+const ITEM_PAPER_FIELDS = 'id aliases metadata.title metadata.authors metadata.publishYear reads.user reads.status';
+
+const isMember = (collection, user) => collection.owner === user || collection.members.includes(user);
+
+// List entry for a collection, without its papers
+const summarizeCollection = (collection) => ({
+  _id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  owner: collection.owner,
+  members: collection.members,
+  itemCount: collection.items.length,
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt,
+});
+
+// Collection with each item's paper (title, authors, year) and who has read it, in one query for all items.
+// Items whose paper no longer exists keep paper: null.
+const collectionWithPapers = async (collection) => {
+  const resolved = await resolvePapers(collection.items.map((item) => ({ id: item.paperId })), ITEM_PAPER_FIELDS);
+
+  const items = collection.items.map((item, index) => {
+    const { paper } = resolved[index];
+    const readBy = paper
+      ? [...new Set(paper.reads
+        .filter((read) => COMPLETED_READ_STATUSES.includes(read.status || 'read'))
+        .map((read) => read.user))]
+      : [];
+    return {
+      _id: item._id,
+      paperId: paper ? paper.id : item.paperId,
+      addedBy: item.addedBy,
+      addedAt: item.addedAt,
+      assignedTo: item.assignedTo,
+      paper: paper ? { id: paper.id, metadata: paper.metadata } : null,
+      readBy,
+    };
+  });
+
+  return { ...summarizeCollection(collection), items };
+};
+
+module.exports = { isMember, summarizeCollection, collectionWithPapers };
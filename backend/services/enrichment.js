@@ -0,0 +1,252 @@
+// Metadata enrichment: authoritative title, authors, venue, year, abstract and references for papers known by a
+// DOI or arXiv ID, from the sources in services/metadataSources.js. Answers are cached per source and alias,
+// in memory (an LRU cache) and in the MetadataCache collection, so restarts and repeated lookups do not hit the
+// APIs again; misses are kept for a day, hits for a month. A backfill job enriches tracked papers that have not
+// been enriched yet, filling fields the page could not provide; admins start larger runs as background jobs.
+const crypto = require('crypto');
+const { LRUCache } = require('lru-cache');
+const Paper = require('../models/paper');
+const MetadataCache = require('../models/metadataCache');
+const { metadataSources } = require('./metadataSources');
+const { attachAliases } = require('./paperIdentity');
+const { fillMetadataField } = require('./paperMetadata');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FOUND_TTL_MS = 30 * DAY_MS;
+const NOT_FOUND_TTL_MS = DAY_MS;
+const MEMORY_CACHE_SIZE = 1000; // Answers kept in memory
+const ENRICHMENT_FIELDS = ['title', 'authors', 'venue', 'publishYear', 'abstract', 'references'];
+// Which source's value wins for each field: registries first, arXiv's own abstract over Crossref's JATS
+const FIELD_SOURCES = {
+  abstract: ['arxiv', 'openalex', 'crossref'],
+};
+const BACKFILL_INTERVAL_MS = 10 * 60 * 1000;
+const BACKFILL_BATCH = 20; // Papers the scheduler enriches per run
+const BACKFILL_DELAY_MS = 1000; // Pause between papers, to stay within the APIs' rate limits (ENRICHMENT_DELAY_MS overrides)
+const BACKFILL_JOBS_KEPT = 20; // Finished admin runs kept for GET /api/admin/enrich/:jobId
+
+const memoryCache = new LRUCache({ max: MEMORY_CACHE_SIZE });
+
+// Forget the in-memory answers (the persisted ones stay)
+const resetEnrichmentCache = () => memoryCache.clear();
+
+// A source's answer for an alias: { record } (record null when the source has none), from the cache when fresh
+const cachedLookup = async (source, alias, now) => {
+  const key = `${source.name}:${alias}`;
+  const remembered = memoryCache.get(key);
+  if (remembered && remembered.expiresAt > now) {
+    return remembered;
+  }
+
+  const stored = await MetadataCache.findOne({ key, expiresAt: { $gt: now } }).lean();
+  if (stored) {
+    const answer = { record: stored.record, expiresAt: new Date(stored.expiresAt) };
+    memoryCache.set(key, answer);
+    return answer;
+  }
+
+  const record = await source.lookup(alias);
+  const answer = { record, expiresAt: new Date(now.getTime() + (record ? FOUND_TTL_MS : NOT_FOUND_TTL_MS)) };
+  memoryCache.set(key, answer);
+  await MetadataCache.updateOne(
+    { key },
+    { $set: { record, fetchedAt: now, expiresAt: answer.expiresAt } },
+    { upsert: true },
+  );
+  return answer;
+};
+
+const isMissing = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Metadata for a paper's aliases, merged across every source that knows them:
+// { metadata, fieldSources (the source each field came from), aliases (new identifiers the sources gave),
+// sources (names that answered) }, or null when none did.
+// Throws when no source answered and at least one failed, so a failure is not mistaken for "unknown".
+const lookupMetadata = async (aliases, { now = new Date() } = {}) => {
+  const records = {}; // Source name -> record
+  const errors = [];
+
+  for (const source of metadataSources()) {
+    const alias = aliases.find((candidate) => source.supports(candidate));
+    if (!alias) {
+      continue;
+    }
+    try {
+      const { record } = await cachedLookup(source, alias, now);
+      if (record) {
+        records[source.name] = record;
+      }
+    } catch (error) {
+      console.error(`Error looking up ${alias} in ${source.name}:`, error.message);
+      errors.push(error);
+    }
+  }
+
+  const names = Object.keys(records);
+  if (names.length === 0) {
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Metadata sources failed: ${errors.map((error) => error.message).join('; ')}`), { status: 502 });
+    }
+    return null;
+  }
+
+  const metadata = {};
+  const fieldSources = {};
+  ENRICHMENT_FIELDS.forEach((field) => {
+    const order = FIELD_SOURCES[field] || names;
+    const name = [...order, ...names].find((candidate) => records[candidate] && !isMissing(records[candidate][field]));
+    if (name) {
+      metadata[field] = records[name][field];
+      fieldSources[field] = name;
+    }
+  });
+
+  return {
+    metadata,
+    fieldSources,
+    aliases: [...new Set(names.flatMap((name) => records[name].aliases || []))].filter((alias) => !aliases.includes(alias)),
+    sources: names,
+  };
+};
+
+// Apply looked-up metadata to a paper document: fields the page left empty are set,
+// others only with overwrite, and never fields a user edited; references and new aliases are always recorded.
+// Changed fields are credited to their source. Returns the fields that changed.
+const applyEnrichment = (paper, { metadata, fieldSources, aliases }, { overwrite = false, now = new Date() } = {}) => {
+  const changed = ENRICHMENT_FIELDS.filter((field) => fillMetadataField(paper, field, metadata[field], {
+    source: fieldSources[field],
+    at: now,
+    overwrite: overwrite || field === 'references',
+  }));
+  attachAliases(paper, aliases);
+  paper.enrichedAt = now;
+  return changed;
+};
+
+// Enrichable aliases of a paper, DOIs first
+const enrichableAliases = (paper) => [...new Set([paper.id, ...(paper.aliases || [])])]
+  .filter((alias) => /^(doi|arxiv):/.test(alias))
+  .sort((a, b) => (a.startsWith('doi:') ? 0 : 1) - (b.startsWith('doi:') ? 0 : 1));
+
+// Look up and apply metadata for one paper document and save it. Resolves to { changed, sources }
+// (changed null when no source knows the paper).
+const enrichPaper = async (paper, { overwrite = false, now = new Date() } = {}) => {
+  const found = await lookupMetadata(enrichableAliases(paper), { now });
+  if (!found) {
+    paper.enrichedAt = now; // Checked; the backfill need not ask again
+    await paper.save();
+    return { changed: null, sources: [] };
+  }
+  const changed = applyEnrichment(paper, found, { overwrite, now });
+  await paper.save();
+  return { changed, sources: found.sources };
+};
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const emptyReport = () => ({ checked: 0, enriched: 0, unchanged: 0, notFound: 0, failed: [] });
+
+// Enrich tracked papers with a DOI or arXiv ID, newest first: those never enriched, or every one with force.
+// Returns { checked, enriched, unchanged, notFound, failed: [{ id, reason }] }, counted into report as it goes.
+const backfillPapers = async ({
+  limit = BACKFILL_BATCH,
+  overwrite = false,
+  force = false,
+  delayMs = Number(process.env.ENRICHMENT_DELAY_MS || BACKFILL_DELAY_MS),
+  now = new Date(),
+  report = emptyReport(),
+} = {}) => {
+  const papers = await Paper.find({
+    aliases: { $regex: /^(doi|arxiv):/ },
+    ...(force ? {} : { enrichedAt: null }),
+  }).sort({ createdAt: -1 }).limit(limit);
+
+  for (const paper of papers) {
+    if (report.checked > 0 && delayMs > 0) {
+      await pause(delayMs);
+    }
+    report.checked += 1;
+    try {
+      const { changed } = await enrichPaper(paper, { overwrite, now });
+      if (changed === null) report.notFound += 1;
+      else if (changed.length > 0) report.enriched += 1;
+      else report.unchanged += 1;
+    } catch (error) {
+      console.error(`Error enriching paper ${paper.id}:`, error.message);
+      report.failed.push({ id: paper.id, reason: error.message });
+    }
+  }
+  return report;
+};
+
+const backfillJobs = new Map(); // Job id -> job, oldest first
+let runningJob = null;
+
+// Start a backfill (options as for backfillPapers) without waiting for it, as it can take minutes with the pause
+// between papers. Returns the job, { id, status: 'running' | 'done' | 'failed', startedAt, finishedAt, report,
+// error }, whose report fills in as papers are checked. One runs at a time; another throws with status 409.
+const startBackfillJob = (options = {}) => {
+  if (runningJob) {
+    throw Object.assign(new Error('A metadata backfill is already running'), { status: 409, job: runningJob });
+  }
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    report: emptyReport(),
+    error: null,
+  };
+  backfillJobs.set(job.id, job);
+  [...backfillJobs.keys()].slice(0, -BACKFILL_JOBS_KEPT).forEach((id) => backfillJobs.delete(id));
+  runningJob = job;
+
+  backfillPapers({ ...options, report: job.report })
+    .then(() => {
+      job.status = 'done';
+    })
+    .catch((error) => {
+      console.error('Error enriching papers:', error);
+      Object.assign(job, { status: 'failed', error: error.message });
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      runningJob = null;
+    });
+  return job;
+};
+
+// A backfill job started by startBackfillJob, or null when unknown (or forgotten)
+const backfillJob = (id) => backfillJobs.get(id) || null;
+
+// Enrich newly tracked papers periodically for as long as the process runs
+const startEnrichmentScheduler = (intervalMs = BACKFILL_INTERVAL_MS) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running || runningJob) {
+      return;
+    }
+    running = true;
+    try {
+      await backfillPapers();
+    } catch (error) {
+      console.error('Error enriching papers:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  lookupMetadata,
+  applyEnrichment,
+  enrichPaper,
+  backfillPapers,
+  startBackfillJob,
+  backfillJob,
+  resetEnrichmentCache,
+  startEnrichmentScheduler,
+};
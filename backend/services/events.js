@@ -0,0 +1,54 @@
+// Live paper events for the extension and the admin panel, sent as server-sent events.
+// Paper events go to every subscriber, since the whole team shares one tracker; watch notifications only
+// to the users they are for.
+
+const HEARTBEAT_MS = 25 * 1000; // Comment lines keep proxies from closing idle streams
+const RETRY_MS = 5 * 1000; // How long EventSource clients wait before reconnecting
+
+const subscribers = new Map(); // Open response -> username (undefined for admins)
+let lastEventId = 0;
+
+// Keep the response open as an event stream until the client disconnects
+const subscribe = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  subscribers.set(res, req.user ? req.user.id : undefined);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(res);
+  });
+};
+
+// Send an event to every subscriber, or only to the given users
+const publish = (type, data, { users } = {}) => {
+  lastEventId += 1;
+  const message = `id: ${lastEventId}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+  subscribers.forEach((user, res) => {
+    if (!users || users.includes(user)) {
+      res.write(message);
+    }
+  });
+};
+
+// Event payload naming the paper by its id and aliases, so clients can match it to what they show
+const paperEvent = (paper, fields) => ({
+  paperId: paper.id,
+  aliases: paper.aliases || [],
+  title: paper.metadata ? paper.metadata.title : null,
+  ...fields,
+});
+
+const subscriberCount = () => subscribers.size;
+
+// Usernames with at least one open stream
+const connectedUsers = () => [...new Set([...subscribers.values()].filter(Boolean))];
+
+module.exports = { subscribe, publish, paperEvent, subscriberCount, connectedUsers };
@@ -0,0 +1,114 @@
+// Export of tracked papers (GET /api/export) as CSV, BibTeX, RIS, CSL-JSON or JSON Lines.
+// Each format renders one paper at a time, with an optional header, separator and footer, so the
+// route can stream any number of papers without holding them all in memory.
+const { COMPLETED_READ_STATUSES } = require('../../shared/paper');
+const { paperIdentifiers, citationKey, formatBibtex, formatRis, toCslJson } = require('./citations');
+
+const CSV_COLUMNS = [
+  'ID', 'Title', 'Authors', 'Abstract', 'Publish Year', 'Venue', 'DOI', 'URL', 'Reads Count', 'Readers',
+  'Latest Read Time (UTC)', 'Latest Read Notes', 'Latest Read Rating', 'Latest Read Tags',
+];
+
+// One RFC 4180 field: quoted when it holds a comma, quote or line break, with quotes doubled
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRecord = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+const csvRow = (paper) => {
+  const { title, authors = [], abstract, publishYear, venue } = paper.metadata;
+  const identifiers = paperIdentifiers(paper);
+  // Only finished reads count, as in search; entries saved before statuses existed are reads
+  const reads = (paper.reads || []).filter((read) => COMPLETED_READ_STATUSES.includes(read.status || 'read'));
+  const latestRead = reads.reduce(
+    (latest, read) => (!latest || new Date(read.timestamp) > new Date(latest.timestamp) ? read : latest),
+    null,
+  );
+  return csvRecord([
+    paper.id,
+    title,
+    authors.join('; '),
+    abstract,
+    publishYear,
+    venue,
+    identifiers.doi,
+    identifiers.url,
+    reads.length,
+    reads.map((read) => read.user).join('; '),
+    latestRead && latestRead.timestamp ? new Date(latestRead.timestamp).toISOString() : '',
+    latestRead ? latestRead.notes : '',
+    latestRead ? latestRead.rating : '',
+    latestRead ? (latestRead.tags || []).join('; ') : '',
+  ]);
+};
+
+// a, b, ..., z, aa, ab, ... for the nth repeat of a citation key (n >= 1)
+const suffix = (n) => {
+  let letters = '';
+  for (let rest = n; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(97 + ((rest - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+// Format name -> { contentType, extension, header, render(paper, state), separator, footer }.
+// render gets a per-export state object, e.g. for keeping BibTeX keys unique.
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: csvRecord(CSV_COLUMNS),
+    render: csvRow,
+  },
+  bibtex: {
+    contentType: 'application/x-bibtex; charset=utf-8',
+    extension: 'bib',
+    render: (paper, state) => {
+      // Keys repeat for the same author, year and title word; later ones get a, b, ... like LaTeX styles do
+      const base = citationKey(paper);
+      state.keys = state.keys || new Map();
+      const seen = state.keys.get(base) || 0;
+      state.keys.set(base, seen + 1);
+      return `${formatBibtex(paper, seen === 0 ? base : `${base}${suffix(seen)}`)}\n`;
+    },
+  },
+  ris: {
+    contentType: 'application/x-research-info-systems; charset=utf-8',
+    extension: 'ris',
+    render: formatRis,
+  },
+  'csl-json': {
+    contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8',
+    extension: 'json',
+    header: '[\n',
+    render: (paper) => JSON.stringify(toCslJson(paper)),
+    separator: ',\n',
+    footer: '\n]\n',
+  },
+  jsonl: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'jsonl',
+    render: (paper) => `${JSON.stringify(paper)}\n`,
+  },
+};
+
+const EXPORT_FORMAT_NAMES = Object.keys(EXPORT_FORMATS);
+
+// Writes papers in a format to a stream: header before the first, separators between, footer at the end
+const createExportWriter = (format) => {
+  const { header = '', render, separator = '', footer = '' } = EXPORT_FORMATS[format];
+  const state = {};
+  let count = 0;
+  return {
+    paper: (paper) => {
+      const text = `${count === 0 ? header : separator}${render(paper, state)}`;
+      count += 1;
+      return text;
+    },
+    end: () => `${count === 0 ? header : ''}${footer}`,
+  };
+};
+
+module.exports = { EXPORT_FORMATS, EXPORT_FORMAT_NAMES, csvField, createExportWriter };
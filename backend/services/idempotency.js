@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const IDEMPOTENCY_KEY_MAX_LENGTH = 200;
+// Long enough for an extension that queued a request while offline for days
+const IDEMPOTENCY_KEY_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A key still without a response after this long was left behind by a crashed request; a retry takes it over
+const IDEMPOTENCY_KEY_LOCK_MS = 60 * 1000;
+
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Middleware (after authentication) making a route safe to retry: the first response sent for a user's
+// Idempotency-Key is stored and replayed for every retry with that key, so a retried mark-read whose
+// response was lost does not add a second read. Server errors are not stored, so they can be retried.
+const idempotent = async (req, res, next) => {
+  const key = req.header(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+  if (!key || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return res.status(400).json({ message: `${IDEMPOTENCY_KEY_HEADER} must be 1-${IDEMPOTENCY_KEY_MAX_LENGTH} characters.` });
+  }
+
+  const user = req.user.id;
+  const fingerprint = fingerprintOf(req);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      user,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      fingerprint,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_DAYS * DAY_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Error recording idempotency key:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+    return replay(req, res, next, { key, user, fingerprint });
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored = res.statusCode < 500
+      ? IdempotencyKey.updateOne({ user, key }, { status: res.statusCode, response: body })
+      : IdempotencyKey.deleteOne({ user, key });
+    Promise.resolve(stored).catch((error) => console.error('Error storing idempotent response:', error));
+    return json(body);
+  };
+  next();
+};
+
+// Answer a retried key with the stored response
+const replay = async (req, res, next, { key, user, fingerprint }) => {
+  try {
+    const existing = await IdempotencyKey.findOne({ user, key });
+    if (!existing) {
+      // The first attempt failed with a server error in the meantime
+      return res.status(409).json({ message: 'Request was interrupted. Retry it.', conflict: 'in-progress' });
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ message: `${IDEMPOTENCY_KEY_HEADER} was already used for a different request.` });
+    }
+    if (existing.status === null) {
+      if (Date.now() - new Date(existing.createdAt).getTime() > IDEMPOTENCY_KEY_LOCK_MS) {
+        // Only the retry that deletes the abandoned key handles the request again
+        const { deletedCount } = await IdempotencyKey.deleteOne({ user, key, status: null, createdAt: existing.createdAt });
+        if (deletedCount === 1) {
+          return idempotent(req, res, next);
+        }
+      }
+      return res.status(409).json({ message: 'A request with this key is still being processed.', conflict: 'in-progress' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    res.status(existing.status).json(existing.response);
+  } catch (error) {
+    console.error('Error replaying idempotent request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { idempotent, IDEMPOTENCY_KEY_HEADER };
@@ -0,0 +1,144 @@
+// Import of papers and reading history from reference-manager files (POST /api/admin/import).
+// planImport decides what each parsed record would do, without writing anything, so the admin sees a
+// dry-run report first; applyImport carries a plan out.
+const Paper = require('../models/paper');
+const { identifiersFor, canonicalId } = require('../../shared/identifiers');
+const { resolvePaper, resolvePapers, attachAliases } = require('./paperIdentity');
+const { newPaperMetadata, fillMetadataField } = require('./paperMetadata');
+
+const IMPORT_MAX_RECORDS = 5000;
+const METADATA_FIELDS = ['title', 'authors', 'abstract', 'publishYear', 'venue'];
+
+// Why a record cannot be imported, or null
+const invalidReason = (record, aliases) => {
+  if (record.error) return record.error;
+  if (!record.title) return 'Missing title';
+  if (record.publishYear && record.publishYear < 1900) return 'Invalid year';
+  if (aliases.length === 0) return 'No DOI, arXiv ID, PMID, ISBN or URL to identify the paper by';
+  return null;
+};
+
+// Fields the record has no value for are left out, so enrichment or a user can fill them in later
+const metadataOf = (record) => ({
+  title: record.title,
+  authors: record.authors,
+  ...(record.abstract ? { abstract: record.abstract } : {}),
+  ...(record.publishYear ? { publishYear: record.publishYear } : {}),
+  ...(record.venue ? { venue: record.venue } : {}),
+});
+
+// What importing each record would do: 'create' a paper, 'add-read' to a tracked paper for the user,
+// nothing because it is already tracked ('exists') or appears earlier in the file ('duplicate'), or 'invalid'.
+// Returns one item per record, in file order: { index, key, title, paperId, action, reason, aliases, record }.
+const planImport = async (records, { user = null } = {}) => {
+  const items = records.map((record, index) => {
+    const aliases = [...new Set((record.identifiers || []).flatMap(identifiersFor))];
+    const reason = invalidReason(record, aliases);
+    return {
+      index,
+      key: record.key || null,
+      title: record.title || null,
+      paperId: reason ? null : canonicalId(aliases),
+      action: reason ? 'invalid' : null,
+      reason,
+      aliases,
+      record,
+    };
+  });
+
+  const valid = items.filter((item) => !item.action);
+  const resolved = await resolvePapers(
+    valid.map(({ paperId, aliases }) => ({ id: paperId, aliases })),
+    'id aliases reads.user',
+  );
+
+  const firstByKey = new Map(); // Alias or tracked paper id -> first item in the file for that paper
+  valid.forEach((item, position) => {
+    const { paper } = resolved[position];
+    const keys = paper ? [paper.id, ...item.aliases] : item.aliases;
+    const first = keys.map((key) => firstByKey.get(key)).find(Boolean);
+    keys.forEach((key) => firstByKey.set(key, first || item));
+
+    if (first) {
+      Object.assign(item, { action: 'duplicate', paperId: first.paperId, reason: `Same paper as entry ${first.index + 1}` });
+    } else if (paper) {
+      const hasRead = user && paper.reads.some((read) => read.user === user);
+      Object.assign(item, {
+        paperId: paper.id,
+        action: user && !hasRead ? 'add-read' : 'exists',
+        reason: hasRead ? `Already read by ${user}` : null,
+      });
+    } else {
+      item.action = 'create';
+    }
+  });
+
+  return items;
+};
+
+// A read entry for the user, dated when the record says the paper was accessed (else now)
+const readFor = (record, { user, status, now }) => {
+  const timestamp = record.readAt || now;
+  return {
+    user,
+    timestamp,
+    notes: record.notes || '',
+    tags: record.tags || [],
+    status,
+    statusHistory: [{ status, timestamp }],
+  };
+};
+
+// Carry out a plan: create papers, add reads (attributed to user, with the given status) and record new
+// aliases and missing metadata on tracked papers, crediting the metadata to source. Items that fail are marked
+// 'failed' with the reason.
+const applyImport = async (items, { user = null, status = 'read', source = 'import', now = new Date() } = {}) => {
+  for (const item of items) {
+    if (item.action !== 'create' && item.action !== 'add-read') {
+      continue;
+    }
+    try {
+      const { paper } = await resolvePaper(item.paperId, item.aliases);
+      const read = user ? readFor(item.record, { user, status, now }) : null;
+
+      if (!paper) {
+        const created = new Paper({
+          id: item.paperId,
+          aliases: item.aliases,
+          ...newPaperMetadata(metadataOf(item.record), { source, user, at: now }),
+          reads: read ? [read] : [],
+        });
+        await created.save();
+        item.action = 'create';
+        continue;
+      }
+
+      if (!read || paper.reads.some((existing) => existing.user === user)) {
+        Object.assign(item, { paperId: paper.id, action: 'exists' }); // Tracked or read since the plan was made
+        continue;
+      }
+      paper.reads.push(read);
+      attachAliases(paper, item.aliases);
+      const metadata = metadataOf(item.record);
+      METADATA_FIELDS.forEach((field) => {
+        fillMetadataField(paper, field, metadata[field], { source, user, at: now });
+      });
+      await paper.save();
+      Object.assign(item, { paperId: paper.id, action: 'add-read' });
+    } catch (error) {
+      console.error(`Error importing entry ${item.index + 1}:`, error);
+      Object.assign(item, { action: 'failed', reason: error.message });
+    }
+  }
+  return items;
+};
+
+// Report of a plan or an applied import: counts per action and one line per record
+const importReport = (items) => ({
+  counts: items.reduce((counts, { action }) => ({ ...counts, [action]: counts[action] + 1 }), {
+    total: items.length, create: 0, 'add-read': 0, exists: 0, duplicate: 0, invalid: 0, failed: 0,
+  }),
+  entries: items.map(({ index, key, title, paperId, action, reason }) => ({ index, key, title, paperId, action, reason })),
+});
+
+module.exports = { IMPORT_MAX_RECORDS, planImport, applyImport, importReport };
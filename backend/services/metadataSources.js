@@ -0,0 +1,159 @@
+// Clients for the bibliographic APIs metadata enrichment reads from. Each source says which paper aliases it
+// can look up and turns its API's answer into a record { title, authors, venue, publishYear, abstract,
+// references, aliases } (references and aliases as prefixed aliases, e.g. "doi:10.1000/xyz"), resolving to
+// null when it has nothing for the alias and throwing when it could not answer. Sources are pluggable: crossref
+// (DOIs), arxiv (arXiv IDs) and openalex (both) are built in. Base URLs can be overridden through
+// CROSSREF_API_URL, ARXIV_API_URL and OPENALEX_API_URL, e.g. to serve recorded responses in tests.
+const { normalizeDoi, normalizePmid, identifiersFor } = require('../../shared/identifiers');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const ARXIV_DOI_PREFIX = '10.48550/arxiv.';
+
+const sources = new Map(); // Name -> { supports(alias), lookup(alias) }
+
+// Make a source available to enrichment under the given name; sources are consulted in registration order
+const registerMetadataSource = (name, source) => {
+  sources.set(name, source);
+};
+
+const metadataSources = () => [...sources.entries()].map(([name, source]) => ({ name, ...source }));
+
+// An error from a source, with the HTTP status (none when the source could not be reached)
+const sourceError = (status, message) => Object.assign(new Error(message), { status });
+
+// GET a URL; resolves to the body text, or null for 404, and throws for other failures
+const fetchText = async (url, accept) => {
+  const mailto = process.env.ENRICHMENT_MAILTO;
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: {
+        Accept: accept,
+        'User-Agent': `XJR-3/1.0${mailto ? ` (mailto:${mailto})` : ''}`, // The APIs ask clients to identify themselves
+      },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw sourceError(null, `Could not reach ${new URL(url).host}: ${error.message}`);
+  }
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw sourceError(response.status, `${new URL(url).host} answered ${response.status}`);
+  }
+  return response.text();
+};
+
+const aliasValue = (alias, type) => (alias.startsWith(`${type}:`) ? alias.slice(type.length + 1) : null);
+
+const cleanText = (text) => String(text || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const decodeXml = (text) => String(text)
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&amp;/g, '&');
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Crossref: the registration agency for most journal and proceedings DOIs
+const crossrefRecord = ({ message: work }) => {
+  const dateParts = ['issued', 'published', 'published-print', 'published-online']
+    .map((field) => work[field] && work[field]['date-parts'] && work[field]['date-parts'][0])
+    .find((parts) => parts && parts[0]);
+  return {
+    title: cleanText([].concat(work.title || [])[0]),
+    authors: (work.author || []).map((author) => author.name || [author.given, author.family].filter(Boolean).join(' ')).filter(Boolean),
+    venue: cleanText([].concat(work['container-title'] || [])[0]),
+    publishYear: dateParts ? dateParts[0] : null,
+    abstract: cleanText(work.abstract).replace(/^Abstract\s+/i, ''), // JATS markup
+    references: unique((work.reference || []).map((reference) => normalizeDoi(reference.DOI)).map((doi) => doi && `doi:${doi}`)),
+    aliases: unique([work.DOI && `doi:${normalizeDoi(work.DOI)}`]),
+  };
+};
+
+registerMetadataSource('crossref', {
+  supports: (alias) => Boolean(aliasValue(alias, 'doi')) && !alias.startsWith(`doi:${ARXIV_DOI_PREFIX}`), // arXiv DOIs are DataCite's
+  lookup: async (alias) => {
+    const base = process.env.CROSSREF_API_URL || 'https://api.crossref.org';
+    const mailto = process.env.ENRICHMENT_MAILTO;
+    const text = await fetchText(
+      `${base}/works/${encodeURIComponent(aliasValue(alias, 'doi'))}${mailto ? `?mailto=${encodeURIComponent(mailto)}` : ''}`,
+      'application/json',
+    );
+    return text === null ? null : crossrefRecord(JSON.parse(text));
+  },
+});
+
+// arXiv: the Atom feed of its query API
+const xmlField = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(cleanText(match[1])) : '';
+};
+
+const arxivRecord = (feed) => {
+  const entry = (feed.match(/<entry>([\s\S]*?)<\/entry>/) || [])[1];
+  if (!entry || /<id>[^<]*\/api\/errors/.test(entry)) {
+    return null;
+  }
+  const authors = [...entry.matchAll(/<author>([\s\S]*?)<\/author>/g)].map(([, author]) => xmlField(author, 'name'));
+  const published = xmlField(entry, 'published').match(/^(\d{4})/);
+  const doi = normalizeDoi(xmlField(entry, 'arxiv:doi'));
+  return {
+    title: xmlField(entry, 'title'),
+    authors: authors.filter(Boolean),
+    venue: xmlField(entry, 'arxiv:journal_ref'),
+    publishYear: published ? Number(published[1]) : null,
+    abstract: xmlField(entry, 'summary'),
+    references: [],
+    aliases: unique([...identifiersFor(xmlField(entry, 'id')).filter((alias) => alias.startsWith('arxiv:')), doi && `doi:${doi}`]),
+  };
+};
+
+registerMetadataSource('arxiv', {
+  supports: (alias) => Boolean(aliasValue(alias, 'arxiv')),
+  lookup: async (alias) => {
+    const base = process.env.ARXIV_API_URL || 'https://export.arxiv.org/api';
+    const text = await fetchText(`${base}/query?id_list=${encodeURIComponent(aliasValue(alias, 'arxiv'))}&max_results=1`, 'application/atom+xml');
+    return text === null ? null : arxivRecord(text);
+  },
+});
+
+// OpenAlex: an open index of works that also covers arXiv (through arXiv DOIs) and has abstracts Crossref lacks
+const openAlexAbstract = (invertedIndex) => {
+  if (!invertedIndex) return '';
+  const words = [];
+  Object.entries(invertedIndex).forEach(([word, positions]) => positions.forEach((position) => { words[position] = word; }));
+  return words.filter((word) => word !== undefined).join(' ');
+};
+
+const openAlexRecord = (work) => {
+  const source = work.primary_location && work.primary_location.source;
+  const doi = normalizeDoi(work.doi || (work.ids && work.ids.doi));
+  const pmid = normalizePmid(work.ids && work.ids.pmid);
+  return {
+    title: cleanText(work.title || work.display_name),
+    authors: (work.authorships || []).map((authorship) => authorship.author && authorship.author.display_name).filter(Boolean),
+    venue: source && source.type !== 'repository' ? source.display_name || '' : '', // Not "arXiv (Cornell University)"
+    publishYear: work.publication_year || null,
+    abstract: openAlexAbstract(work.abstract_inverted_index),
+    references: [], // OpenAlex cites by its own work ids
+    aliases: unique([doi && `doi:${doi}`, pmid && `pmid:${pmid}`]),
+  };
+};
+
+registerMetadataSource('openalex', {
+  supports: (alias) => Boolean(aliasValue(alias, 'doi') || aliasValue(alias, 'arxiv')),
+  lookup: async (alias) => {
+    const base = process.env.OPENALEX_API_URL || 'https://api.openalex.org';
+    const doi = aliasValue(alias, 'doi') || `${ARXIV_DOI_PREFIX}${aliasValue(alias, 'arxiv')}`;
+    const mailto = process.env.ENRICHMENT_MAILTO;
+    const text = await fetchText(
+      `${base}/works/doi:${encodeURIComponent(doi)}${mailto ? `?mailto=${encodeURIComponent(mailto)}` : ''}`,
+      'application/json',
+    );
+    return text === null ? null : openAlexRecord(JSON.parse(text));
+  },
+});
+
+module.exports = { registerMetadataSource, metadataSources, crossrefRecord, arxivRecord, openAlexRecord };
@@ -0,0 +1,129 @@
+const Paper = require('../models/paper');
+const { identifiersFor, canonicalId, aliasRank } = require('../../shared/identifiers');
+const { PAPER_METADATA_FIELDS } = require('../../shared/paper');
+
+// Normalized aliases for a raw id plus any extra identifiers the client found on the page
+const collectAliases = (id, extraIdentifiers = []) => {
+  return [...new Set([id, ...extraIdentifiers].flatMap(identifiersFor))];
+};
+
+const isMissing = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const plain = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Orders papers by how canonical their id is, oldest first on ties
+const compareCanonical = (a, b) => aliasRank(a.id) - aliasRank(b.id) || String(a._id).localeCompare(String(b._id));
+
+// Fold duplicate papers into the one with the most canonical id (oldest on ties) and delete the rest
+const mergePapers = async (papers) => {
+  const [target, ...duplicates] = [...papers].sort(compareCanonical);
+
+  for (const duplicate of duplicates) {
+    const aliases = new Set([...(target.aliases || []), ...(duplicate.aliases || []), ...identifiersFor(duplicate.id)]);
+    target.aliases = [...aliases];
+
+    for (const read of duplicate.reads) {
+      if (!target.reads.some((existing) => String(existing._id) === String(read._id))) {
+        target.reads.push(plain(read));
+      }
+    }
+
+    // Leave tombstones for the duplicate (and anything merged into it) so synced clients drop it
+    target.mergedPapers = [...(target.mergedPapers || []), ...(duplicate.mergedPapers || []), { id: duplicate.id }];
+
+    if (!target.claim && duplicate.claim) {
+      target.claim = duplicate.claim;
+    }
+
+    PAPER_METADATA_FIELDS.forEach((field) => {
+      if (isMissing(target.metadata[field]) && !isMissing(duplicate.metadata[field])) {
+        target.metadata[field] = duplicate.metadata[field];
+        if (duplicate.provenance && duplicate.provenance[field]) {
+          target.provenance = target.provenance || {};
+          target.provenance[field] = plain(duplicate.provenance[field]);
+        }
+      }
+    });
+
+    // Corrections made to either paper stay on record
+    if (duplicate.metadataHistory && duplicate.metadataHistory.length > 0) {
+      target.metadataHistory = [...(target.metadataHistory || []), ...duplicate.metadataHistory.map(plain)]
+        .sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
+    }
+  }
+
+  // Save first so a failure cannot lose the duplicates' reads
+  await target.save();
+  await Paper.deleteMany({ _id: { $in: duplicates.map((duplicate) => duplicate._id) } });
+
+  return target;
+};
+
+// Find the paper known by any of the identifiers, merging papers that turn out to be the same one.
+// Returns { paper, aliases } where paper is null if nothing matched.
+const resolvePaper = async (id, extraIdentifiers = []) => {
+  const aliases = collectAliases(id, extraIdentifiers);
+
+  const matches = await Paper.find({
+    $or: [
+      { id: { $in: [id, ...aliases] } },
+      { aliases: { $in: aliases } },
+    ],
+  });
+
+  if (matches.length === 0) {
+    return { paper: null, aliases };
+  }
+
+  const paper = matches.length > 1 ? await mergePapers(matches) : matches[0];
+  return { paper, aliases };
+};
+
+// Resolve many papers with a single query on the id and aliases indexes.
+// Read-only: duplicates are not merged, the most canonical match is returned for each request.
+// requests is [{ id, aliases }]; returns [{ paper, aliases }] in the same order (paper is a lean object or null).
+const resolvePapers = async (requests, fields) => {
+  const resolved = requests.map(({ id, aliases }) => ({ id, aliases: collectAliases(id, aliases) }));
+  const ids = [...new Set(resolved.flatMap(({ id, aliases }) => [id, ...aliases]))];
+  const aliasKeys = [...new Set(resolved.flatMap(({ aliases }) => aliases))];
+
+  const candidates = await Paper.find({
+    $or: [
+      { id: { $in: ids } },
+      { aliases: { $in: aliasKeys } },
+    ],
+  }).select(fields).lean();
+
+  const papersByKey = new Map();
+  candidates.forEach((paper) => {
+    [paper.id, ...(paper.aliases || [])].forEach((key) => {
+      papersByKey.set(key, [...(papersByKey.get(key) || []), paper]);
+    });
+  });
+
+  return resolved.map(({ id, aliases }) => {
+    const matches = [...new Set([id, ...aliases].flatMap((key) => papersByKey.get(key) || []))];
+    return { paper: matches.sort(compareCanonical)[0] || null, aliases };
+  });
+};
+
+// Record newly seen aliases on a resolved paper (its primary id is left unchanged)
+const attachAliases = (paper, aliases) => {
+  const merged = new Set([...(paper.aliases || []), ...aliases]);
+  if (merged.size !== (paper.aliases || []).length) {
+    paper.aliases = [...merged];
+  }
+};
+
+// Primary id for a paper that is being created
+const primaryIdFor = (id, aliases) => canonicalId(aliases) || id;
+
+module.exports = {
+  collectAliases,
+  mergePapers,
+  resolvePaper,
+  resolvePapers,
+  attachAliases,
+  primaryIdFor,
+};
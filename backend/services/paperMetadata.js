@@ -0,0 +1,118 @@
+// Paper metadata as clients send it, and where each field's value came from. Every field is optional: pages
+// often show no title, abstract or year, and enrichment fills them in later. Every field that gets a value
+// records its provenance (extracted from a page, edited by a user, imported, or enriched from a metadata
+// source), and user edits are kept in the paper's edit history.
+const Joi = require('joi');
+const { normalizeDoi, identifiersFor } = require('../../shared/identifiers');
+const { PAPER_METADATA_FIELDS } = require('../../shared/paper');
+const { attachAliases } = require('./paperIdentity');
+
+// Fields users can correct (references come from enrichment only)
+const EDITABLE_METADATA_FIELDS = PAPER_METADATA_FIELDS.filter((field) => field !== 'references');
+
+const doiField = Joi.string().trim().max(300).custom((value, helpers) => {
+  const doi = normalizeDoi(value);
+  return doi || helpers.message('"doi" must be a DOI such as 10.1000/xyz');
+});
+
+// Joi schemas for the metadata fields; null clears an optional field
+const metadataFields = {
+  title: Joi.string().trim().max(1000),
+  authors: Joi.array().items(Joi.string().trim().max(300)).max(500),
+  abstract: Joi.string().max(20000).allow(null, ''),
+  publishYear: Joi.number().integer().min(1900).allow(null),
+  venue: Joi.string().trim().max(300).allow(null, ''), // Journal or conference, when the page names it
+  doi: doiField.allow(null, ''),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2048).allow(null, ''),
+  keywords: Joi.array().items(Joi.string().trim().lowercase().max(100)).max(50).unique(),
+};
+
+// Joi schema for the metadata of a paper that is not tracked yet
+const metadataSchema = Joi.object(metadataFields);
+
+// Joi schema for correcting a tracked paper's metadata; only the fields sent change (the title cannot be cleared)
+const metadataUpdateSchema = Joi.object({
+  ...metadataFields,
+  authors: metadataFields.authors.min(1),
+}).min(1);
+
+const isMissing = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+const plainValue = (value) => (isMissing(value) ? null : (Array.isArray(value) ? [...value] : value));
+
+const sameValue = (a, b) => JSON.stringify(isMissing(a) ? null : a) === JSON.stringify(isMissing(b) ? null : b);
+
+// Where a field's value came from, or null when that was never recorded (papers saved before provenance existed)
+const provenanceOf = (paper, field) => (paper.provenance && paper.provenance[field]) || null;
+
+const isUserEdited = (paper, field) => {
+  const provenance = provenanceOf(paper, field);
+  return Boolean(provenance && provenance.source === 'user');
+};
+
+// Record where the given fields' current values came from
+const recordProvenance = (paper, fields, { source, user = null, at = new Date() }) => {
+  if (!paper.provenance) {
+    paper.provenance = {};
+  }
+  fields.forEach((field) => {
+    paper.provenance[field] = { source, user, updatedAt: at };
+  });
+};
+
+// Metadata and provenance for a paper created from client-sent metadata, to spread into new Paper(...)
+const newPaperMetadata = (metadata = {}, { source, user = null, at = new Date() }) => {
+  const paper = { metadata };
+  recordProvenance(paper, PAPER_METADATA_FIELDS.filter((field) => !isMissing(metadata[field])), { source, user, at });
+  return paper;
+};
+
+// Set a field from another source when the paper has no value for it (or, with overwrite, one no user edited).
+// Returns whether the value changed.
+const fillMetadataField = (paper, field, value, { source, user = null, at = new Date(), overwrite = false }) => {
+  if (isMissing(value) || sameValue(paper.metadata[field], value)) return false;
+  if (!isMissing(paper.metadata[field]) && (!overwrite || isUserEdited(paper, field))) return false;
+  paper.metadata[field] = value;
+  recordProvenance(paper, [field], { source, user, at });
+  return true;
+};
+
+// Apply a user's correction (validated with metadataUpdateSchema): changed fields are marked user-edited and
+// the change is appended to the edit history, and a new DOI or URL becomes an alias of the paper.
+// Returns the changes as [{ field, from, to }], empty when nothing differs.
+const editMetadata = (paper, update, { user, at = new Date() }) => {
+  const changes = EDITABLE_METADATA_FIELDS
+    .filter((field) => update[field] !== undefined && !sameValue(paper.metadata[field], update[field]))
+    .map((field) => ({
+      field,
+      from: plainValue(paper.metadata[field]),
+      to: plainValue(update[field]),
+    }));
+  if (changes.length === 0) {
+    return changes;
+  }
+
+  changes.forEach(({ field, to }) => {
+    paper.metadata[field] = to === null ? undefined : to;
+  });
+  recordProvenance(paper, changes.map(({ field }) => field), { source: 'user', user, at });
+  paper.metadataHistory = [...(paper.metadataHistory || []), { user, editedAt: at, changes }];
+
+  attachAliases(paper, changes
+    .filter(({ field, to }) => (field === 'doi' || field === 'url') && to)
+    .flatMap(({ field, to }) => identifiersFor(field === 'doi' ? `doi:${to}` : to)));
+  return changes;
+};
+
+module.exports = {
+  EDITABLE_METADATA_FIELDS,
+  metadataSchema,
+  metadataUpdateSchema,
+  provenanceOf,
+  isUserEdited,
+  recordProvenance,
+  newPaperMetadata,
+  fillMetadataField,
+  editMetadata,
+};
@@ -0,0 +1,322 @@
+// Full-text paper search on the Paper text index (title, authors and abstract, weighted in models/paper.js).
+// Queries accept words, "quoted phrases", prefix* terms and -excluded words. Words and phrases go to $text,
+// which stems and ranks them; prefixes, which $text cannot express, become anchored regexes on the matches.
+
+const Joi = require('joi');
+const Paper = require('../models/paper');
+const { READ_STATUSES, COMPLETED_READ_STATUSES } = require('../../shared/paper');
+
+const SEARCH_FIELDS = ['metadata.title', 'metadata.authors', 'metadata.abstract'];
+
+// Aggregation expression for a paper's finished reads (a missing status counts as 'read'), so
+// want-to-read and abandoned entries do not make a paper look more read or more recently read
+const COMPLETED_READS = {
+  $filter: {
+    input: { $ifNull: ['$reads', []] },
+    as: 'read',
+    cond: { $in: [{ $ifNull: ['$$read.status', 'read'] }, COMPLETED_READ_STATUSES] },
+  },
+};
+const COMPLETED_READ_COUNT = { $size: COMPLETED_READS };
+const LATEST_COMPLETED_READ_AT = { $max: { $map: { input: COMPLETED_READS, as: 'read', in: '$$read.timestamp' } } };
+
+// Orders of search results, each with the pipeline stages that sort by it
+const SORT_STAGES = {
+  relevance: [{ $sort: { score: { $meta: 'textScore' }, _id: 1 } }],
+  // Most recently finished first; papers nobody has finished yet last
+  date: [{ $addFields: { latestReadAt: LATEST_COMPLETED_READ_AT } }, { $sort: { latestReadAt: -1, _id: -1 } }],
+  year: [{ $sort: { 'metadata.publishYear': -1, _id: -1 } }],
+  reads: [{ $addFields: { readCount: COMPLETED_READ_COUNT } }, { $sort: { readCount: -1, _id: -1 } }],
+  title: [{ $sort: { 'metadata.title': 1, _id: 1 } }],
+};
+const SEARCH_SORTS = Object.keys(SORT_STAGES);
+
+// Shorter prefixes would match nearly every paper, so they are searched as plain words
+const MIN_PREFIX_LENGTH = 2;
+
+// Characters of abstract shown around the first match
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Joi schema for a search: the keyword, the filters and the sort. GET /search-papers adds paging;
+// saved searches store a validated copy.
+const searchQuerySchema = Joi.object({
+  keyword: Joi.string().trim().max(200).optional(), // Words, "phrases", prefix* and -excluded terms
+  user: Joi.string().trim().optional(),
+  status: Joi.string().valid(...READ_STATUSES).optional(),
+  publishYear: Joi.number().integer().min(1900).optional(),
+  yearFrom: Joi.number().integer().min(1900).optional(),
+  yearTo: Joi.number().integer().min(1900).optional(),
+  author: Joi.string().trim().max(200).optional(), // Exact author name, any case
+  venue: Joi.string().trim().max(200).optional(), // Part of the venue name
+  readAfter: Joi.date().iso().optional(), // Read-date window of a finished read (of `user` when given)
+  readBefore: Joi.date().iso().optional(),
+  readWithinDays: Joi.number().integer().min(1).max(3650).optional(), // Shorthand for readAfter, e.g. 30
+  readByNobody: Joi.boolean().default(false),
+  notReadByMe: Joi.boolean().default(false),
+  minReads: Joi.number().integer().min(1).optional(),
+  tags: Joi.string().trim().max(500).optional(), // Comma-separated; papers must carry every tag
+  sort: Joi.string().valid(...SEARCH_SORTS).optional(), // Relevance by default when searching, otherwise date
+});
+
+// Aggregation condition on a read's status, treating a missing status as 'read'
+const statusCondition = (status) => (status === 'read' ? { $in: ['read', null] } : status);
+
+const COMPLETED_CONDITION = { $in: [...COMPLETED_READ_STATUSES, null] };
+
+// Split a search box query into { words, phrases, prefixes, excluded }
+const parseSearchQuery = (query) => {
+  const parsed = { words: [], phrases: [], prefixes: [], excluded: [] };
+  const tokens = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = tokens.exec(query)) !== null) {
+    const [, negated, phrase, word] = match;
+    if (phrase !== undefined) {
+      const text = phrase.trim().replace(/\s+/g, ' ');
+      if (text) {
+        (negated ? parsed.excluded : parsed.phrases).push(text);
+      }
+      continue;
+    }
+
+    const term = word.replace(/"/g, '').replace(/^-+/, '').replace(/\*+$/, ''); // Stray quotes would unbalance $text
+    if (!term) {
+      continue;
+    }
+    if (word.startsWith('-')) {
+      parsed.excluded.push(term);
+    } else if (word.endsWith('*') && term.length >= MIN_PREFIX_LENGTH) {
+      parsed.prefixes.push(term);
+    } else {
+      parsed.words.push(term);
+    }
+  }
+  return parsed;
+};
+
+// Whole-word pattern for a word or phrase; prefixes may continue into the rest of a word
+const wordPattern = (text, prefix = false) => {
+  const words = text.split(' ').map(escapeRegExp).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words}${prefix ? '' : '(?![\\p{L}\\p{N}])'}`, 'iu');
+};
+
+const anyField = (pattern) => ({ $or: SEARCH_FIELDS.map((field) => ({ [field]: pattern })) });
+
+// $match conditions for a parsed query, and whether it is ranked by $text (only then is there a textScore)
+const searchConditions = ({ words, phrases, prefixes, excluded }) => {
+  const conditions = {};
+  const and = prefixes.map((prefix) => anyField(wordPattern(prefix, true)));
+
+  if (words.length > 0 || phrases.length > 0) {
+    // $text matches any of the words, all of the phrases and none of the excluded terms
+    conditions.$text = {
+      $search: [...words, ...phrases.map((phrase) => `"${phrase}"`), ...excluded.map((term) => (term.includes(' ') ? `-"${term}"` : `-${term}`))]
+        .join(' '),
+    };
+  } else if (excluded.length > 0) {
+    conditions.$nor = excluded.map((term) => anyField(wordPattern(term)));
+  }
+  if (and.length > 0) {
+    conditions.$and = and;
+  }
+
+  return { conditions, ranked: Boolean(conditions.$text) };
+};
+
+// $match conditions for the search filters; userId is the caller, for notReadByMe.
+// Read conditions (user, status, read-date window) apply to one and the same read entry.
+const filterConditions = (filters, userId) => {
+  const { user, status, publishYear, yearFrom, yearTo, author, venue, readAfter, readBefore } = filters;
+  const conditions = {};
+  const and = [];
+
+  const read = {};
+  if (user) {
+    read.user = user;
+  }
+  if (status) {
+    read.status = statusCondition(status);
+  }
+  if (readAfter || readBefore) {
+    read.timestamp = { ...(readAfter ? { $gte: readAfter } : {}), ...(readBefore ? { $lte: readBefore } : {}) };
+    read.status = read.status || COMPLETED_CONDITION; // "Read in the last 30 days" means finished in that window
+  }
+  if (Object.keys(read).length === 1 && read.user) {
+    conditions['reads.user'] = user;
+  } else if (Object.keys(read).length > 0) {
+    conditions.reads = { $elemMatch: read };
+  }
+
+  if (publishYear) {
+    conditions['metadata.publishYear'] = publishYear;
+  } else if (yearFrom || yearTo) {
+    conditions['metadata.publishYear'] = { ...(yearFrom ? { $gte: yearFrom } : {}), ...(yearTo ? { $lte: yearTo } : {}) };
+  }
+  if (author) {
+    conditions['metadata.authors'] = new RegExp(`^${escapeRegExp(author)}$`, 'i'); // Exact name, any case
+  }
+  if (venue) {
+    conditions['metadata.venue'] = new RegExp(escapeRegExp(venue), 'i');
+  }
+  if (filters.tags && filters.tags.length > 0) {
+    conditions['reads.tags'] = { $all: filters.tags };
+  }
+  if (filters.readByNobody) {
+    and.push({ reads: { $not: { $elemMatch: { status: COMPLETED_CONDITION } } } });
+  }
+  if (filters.notReadByMe) {
+    and.push({ reads: { $not: { $elemMatch: { user: userId, status: COMPLETED_CONDITION } } } });
+  }
+  if (filters.minReads) {
+    and.push({ $expr: { $gte: [COMPLETED_READ_COUNT, filters.minReads] } });
+  }
+
+  return and.length > 0 ? { ...conditions, $and: and } : conditions;
+};
+
+// The $match of a search: the parsed keyword query (or null) and the filters.
+// ranked tells whether the results have a text score to sort by.
+const searchMatch = (query, filters, userId) => {
+  const { conditions, ranked } = query ? searchConditions(query) : { conditions: {}, ranked: false };
+  const { $and: filterAnd = [], ...filterMatch } = filterConditions(filters, userId);
+  const and = [...(conditions.$and || []), ...filterAnd];
+  return { match: { ...conditions, ...filterMatch, ...(and.length > 0 ? { $and: and } : {}) }, ranked };
+};
+
+// Pipeline stages for a sort; only ranked searches can sort by relevance, the rest fall back to date
+const sortStages = (sort, ranked) => SORT_STAGES[sort === 'relevance' && !ranked ? 'date' : sort];
+
+// Match and sort stages of a validated search for userId (undefined for admins): { stages, sort, query, ranked }.
+// addedAfter keeps only papers first tracked after that date (for digests)
+const searchStages = (search, { userId, addedAfter = null } = {}) => {
+  const { keyword, readWithinDays } = search;
+  const filters = {
+    ...search,
+    readAfter: readWithinDays ? new Date(Date.now() - readWithinDays * DAY_MS) : search.readAfter,
+    tags: search.tags ? search.tags.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean) : [],
+  };
+  const query = keyword ? parseSearchQuery(keyword) : null;
+  const { match, ranked } = searchMatch(query, filters, userId);
+  if (addedAfter) {
+    match.createdAt = { $gt: addedAfter };
+  }
+  // Only $text queries have a relevance score; prefix-only searches and listings fall back to date
+  const sort = ranked ? search.sort || 'relevance' : (search.sort !== 'relevance' && search.sort) || 'date';
+
+  const stages = Object.keys(match).length > 0 ? [{ $match: match }] : [];
+  stages.push(...sortStages(sort, ranked));
+  return { stages, sort, query, ranked };
+};
+
+// Run a validated search and return one page of { totalCount, sort, papers }
+const runSearch = async (search, { userId, page = 1, limit = 10, addedAfter = null } = {}) => {
+  const { stages, sort, query, ranked } = searchStages(search, { userId, addedAfter });
+  const pipeline = [...stages];
+
+  // Project to ensure UTC timestamps (they are stored as UTC by Mongoose Date type by default)
+  pipeline.push({
+    $project: {
+      _id: 0,
+      id: 1,
+      metadata: 1,
+      reads: 1,
+      claim: 1,
+      ...(ranked ? { score: { $meta: 'textScore' } } : {}),
+    },
+  });
+
+  // Pagination using $facet
+  pipeline.push({
+    $facet: {
+      metadata: [{ $count: 'totalCount' }],
+      data: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+    },
+  });
+
+  const result = await Paper.aggregate(pipeline);
+
+  const papers = query
+    ? result[0].data.map((paper) => ({ ...paper, snippets: searchSnippets(paper, query) }))
+    : result[0].data;
+  const totalCount = result[0].metadata[0] ? result[0].metadata[0].totalCount : 0;
+
+  return { totalCount, sort, papers };
+};
+
+// Character ranges of the query's words, phrases and prefixes in the text, merged and in order
+// Single letters and punctuation are left unmarked; $text ignores them too
+const matchRanges = (text, { words, phrases, prefixes }) => {
+  const patterns = [...words, ...phrases, ...prefixes]
+    .filter((term) => term.length >= MIN_PREFIX_LENGTH && /[\p{L}\p{N}]/u.test(term))
+    .map((term) => new RegExp(`${wordPattern(term, true).source}[\\p{L}\\p{N}]*`, 'giu')); // Whole words, to catch stemmed forms
+
+  const ranges = patterns
+    .flatMap((pattern) => [...text.matchAll(pattern)].map((match) => [match.index, match.index + match[0].length]))
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+// Around SNIPPET_LENGTH characters of text centred on its first match, cut at word boundaries
+const snippetOf = (text, ranges) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return { text, matches: ranges };
+  }
+
+  let start = Math.max(0, ranges[0][0] - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = start > 0 ? Math.min(text.indexOf(' ', start) + 1 || start, ranges[0][0]) : 0;
+  end = end < text.length ? text.lastIndexOf(' ', end) : end;
+  if (end <= ranges[0][0]) {
+    end = Math.min(text.length, ranges[0][1] + SNIPPET_LENGTH);
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const matches = ranges
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+
+  return { text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`, matches };
+};
+
+// Matched snippets of a paper as [{ field: 'title' | 'authors' | 'abstract', text, matches: [[start, end]] }],
+// with matches as offsets into text, so clients can highlight them without parsing markup
+const searchSnippets = (paper, parsed) => {
+  const metadata = paper.metadata || {};
+  const fields = [
+    ['title', metadata.title],
+    ...(metadata.authors || []).map((author) => ['authors', author]),
+    ['abstract', metadata.abstract],
+  ];
+
+  return fields
+    .filter(([, text]) => typeof text === 'string' && text)
+    .map(([field, text]) => [field, text, matchRanges(text, parsed)])
+    .filter(([, , ranges]) => ranges.length > 0)
+    .map(([field, text, ranges]) => ({ field, ...(field === 'abstract' ? snippetOf(text, ranges) : { text, matches: ranges }) }));
+};
+
+module.exports = {
+  SEARCH_SORTS,
+  searchQuerySchema,
+  statusCondition,
+  parseSearchQuery,
+  searchConditions,
+  searchMatch,
+  sortStages,
+  searchSnippets,
+  searchStages,
+  runSearch,
+};
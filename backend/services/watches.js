@@ -0,0 +1,69 @@
+const Watch = require('../models/watch');
+const { publish, paperEvent, connectedUsers } = require('./events');
+
+// Author names and keywords are compared lowercased with whitespace collapsed
+const normalizeWatchText = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match, so watching "lin" does not match "Linda"
+const containsWords = (text, words) => new RegExp(`(^|\\W)${escapeRegExp(words)}($|\\W)`).test(normalizeWatchText(text));
+
+// Whether a watch rule covers the paper: the paper itself, one of its authors, or a keyword in its title or abstract
+const watchMatches = (watch, paper) => {
+  const metadata = paper.metadata || {};
+  switch (watch.kind) {
+    case 'paper': {
+      const identifiers = new Set([paper.id, ...(paper.aliases || [])]);
+      return [watch.value, ...(watch.aliases || [])].some((identifier) => identifiers.has(identifier));
+    }
+    case 'author':
+      return (metadata.authors || []).some((author) => containsWords(author, watch.value));
+    case 'keyword':
+      return [metadata.title, metadata.abstract].some((text) => text && containsWords(text, watch.value));
+    default:
+      return false;
+  }
+};
+
+// Notify connected teammates watching the paper that actor read it or added notes (activity: 'read' | 'notes').
+// Users who are not connected are skipped, so nothing is queried when nobody else is online.
+// Failures are logged: notifications never fail the request that triggered them.
+const notifyWatchers = async (paper, actor, activity) => {
+  const recipients = connectedUsers().filter((user) => user !== actor);
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  try {
+    const identifiers = [paper.id, ...(paper.aliases || [])];
+    const watches = await Watch.find({
+      user: { $in: recipients },
+      $or: [
+        { kind: 'paper', value: { $in: identifiers } },
+        { kind: 'paper', aliases: { $in: identifiers } },
+        { kind: { $in: ['author', 'keyword'] } },
+      ],
+    });
+
+    // One notification per user, naming the first rule that matched
+    const watchByUser = new Map();
+    watches.filter((watch) => watchMatches(watch, paper)).forEach((watch) => {
+      if (!watchByUser.has(watch.user)) watchByUser.set(watch.user, watch);
+    });
+
+    watchByUser.forEach((watch, user) => {
+      publish('watch', paperEvent(paper, {
+        actor,
+        activity,
+        watch: { kind: watch.kind, value: watch.label || watch.value },
+      }), { users: [user] });
+    });
+    return watchByUser.size;
+  } catch (error) {
+    console.error('Error notifying watchers:', error);
+    return 0;
+  }
+};
+
+module.exports = { normalizeWatchText, watchMatches, notifyWatchers };
@@ -0,0 +1,408 @@
+// Zotero connector: keeps a user's Zotero library and their XJR-3 reads in step.
+// Papers and Zotero items are matched by DOI, arXiv ID, PMID, ISBN or URL. A sync first pulls the items
+// changed in the library since the last sync; those added after the library was connected become
+// "want-to-read" entries (through the import planner, so they are matched like imported files). It then
+// pushes the user's latest read status of each paper as an "xjr3:<status>" tag and their notes as a child
+// note, creating items for papers the library does not have. Zotero is reached through createZoteroClient
+// (Web API v3); ZOTERO_API_URL points it elsewhere, e.g. at the stand-in server the tests use.
+const Paper = require('../models/paper');
+const ZoteroLink = require('../models/zoteroLink');
+const { identifiersFrom, paperIdentifiers } = require('./citations');
+const { planImport, applyImport } = require('./imports');
+
+const ZOTERO_API_URL = 'https://api.zotero.org';
+const ZOTERO_PAGE_SIZE = 100; // Items per read, the API's maximum
+const ZOTERO_WRITE_BATCH = 50; // Items per write, the API's maximum
+const ZOTERO_SYNC_MS = 60 * 60 * 1000; // How often the scheduler syncs every connected library
+const STATUS_TAG_PREFIX = 'xjr3:';
+const NOTE_TAG = 'xjr3';
+const NON_PAPER_TYPES = ['note', 'attachment', 'annotation'];
+
+// An error from Zotero, with its HTTP status (none when Zotero could not be reached)
+const zoteroError = (status, message) => Object.assign(new Error(message), { status });
+
+// A Zotero Web API client for one library
+const createZoteroClient = ({ apiKey, libraryType = 'user', libraryId = null, baseUrl = process.env.ZOTERO_API_URL || ZOTERO_API_URL }) => {
+  const libraryPath = `/${libraryType === 'group' ? 'groups' : 'users'}/${libraryId}`;
+
+  // { data, version, total }: the parsed body and the Last-Modified-Version and Total-Results headers
+  const request = async (method, path, { query = {}, body, headers = {} } = {}) => {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}${path}`);
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Zotero-API-Key': apiKey,
+          'Zotero-API-Version': '3',
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...headers,
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      });
+    } catch (error) {
+      throw zoteroError(null, `Could not reach Zotero: ${error.message}`);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw zoteroError(response.status, `Zotero answered ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+    return {
+      data: text ? JSON.parse(text) : null,
+      version: Number(response.headers.get('last-modified-version')) || null,
+      total: Number(response.headers.get('total-results')) || 0,
+    };
+  };
+
+  return {
+    // The key's owner and permissions: { userID, username, access }
+    getKey: async () => (await request('GET', '/keys/current')).data,
+
+    // Top-level items changed after a library version (all of them for 0) and the library's current version
+    getItems: async ({ since = 0 } = {}) => {
+      const items = [];
+      let version = null;
+      let more = true;
+      while (more) {
+        const page = await request('GET', `${libraryPath}/items/top`, {
+          query: { since, start: items.length, limit: ZOTERO_PAGE_SIZE, format: 'json' },
+        });
+        items.push(...page.data);
+        version = version || page.version;
+        more = page.data.length === ZOTERO_PAGE_SIZE && items.length < page.total;
+      }
+      return { items, version };
+    },
+
+    getItem: async (key) => (await request('GET', `${libraryPath}/items/${key}`)).data,
+
+    // Create items; returns one { key, version } or { error } per item, in order
+    createItems: async (items) => {
+      const results = [];
+      for (let start = 0; start < items.length; start += ZOTERO_WRITE_BATCH) {
+        const batch = items.slice(start, start + ZOTERO_WRITE_BATCH);
+        const { data, version } = await request('POST', `${libraryPath}/items`, { body: batch });
+        batch.forEach((item, index) => {
+          const created = data.successful && data.successful[index];
+          const failed = data.failed && data.failed[index];
+          results.push(created
+            ? { key: created.key, version: created.version || version }
+            : { error: failed ? failed.message : 'Not created' });
+        });
+      }
+      return results;
+    },
+
+    // Change some fields of an item last seen at version; returns its new version
+    updateItem: async (key, version, data) => (await request('PATCH', `${libraryPath}/items/${key}`, {
+      body: data,
+      headers: { 'If-Unmodified-Since-Version': String(version) },
+    })).version,
+  };
+};
+
+const clientFor = (link) => createZoteroClient({
+  apiKey: link.apiKey,
+  libraryType: link.libraryType,
+  libraryId: link.libraryId,
+});
+
+// A Zotero item's data as an import record (see services/citations.js); identifiers Zotero keeps in
+// "Extra" lines ("arXiv: 2006.11239", "PMID: 123") count too
+const zoteroRecord = (data) => {
+  const extra = {};
+  String(data.extra || '').split('\n').forEach((line) => {
+    const match = line.match(/^\s*([A-Za-z ]+?)\s*:\s*(\S.*?)\s*$/);
+    if (match) extra[match[1].toLowerCase()] = match[2];
+  });
+  const creators = data.creators || [];
+  const authors = creators.some((creator) => creator.creatorType === 'author')
+    ? creators.filter((creator) => creator.creatorType === 'author')
+    : creators;
+  const year = String(data.date || '').match(/\b(\d{4})\b/);
+
+  return {
+    key: data.key || null,
+    type: data.itemType || null,
+    title: data.title || '',
+    authors: authors.map((creator) => creator.name || [creator.firstName, creator.lastName].filter(Boolean).join(' ')).filter(Boolean),
+    abstract: data.abstractNote || '',
+    publishYear: year ? Number(year[1]) : null,
+    venue: data.publicationTitle || data.proceedingsTitle || data.bookTitle || '',
+    identifiers: identifiersFrom({
+      doi: [data.DOI, extra.doi].filter(Boolean),
+      arxiv: [data.archiveID, extra.arxiv].filter(Boolean),
+      pmid: [extra.pmid].filter(Boolean),
+      isbn: [data.ISBN].filter(Boolean),
+      url: [data.url].filter(Boolean),
+    }),
+    readAt: null,
+    notes: '',
+    tags: [...new Set((data.tags || [])
+      .map(({ tag }) => String(tag).trim().toLowerCase())
+      .filter((tag) => tag && tag !== NOTE_TAG && !tag.startsWith(STATUS_TAG_PREFIX)))],
+  };
+};
+
+const statusTag = (status) => `${STATUS_TAG_PREFIX}${status}`;
+
+// The item's tags with the status tag in place of any earlier one
+const withStatusTag = (tags = [], status) => [
+  ...tags.filter(({ tag }) => !String(tag).startsWith(STATUS_TAG_PREFIX)),
+  { tag: statusTag(status) },
+];
+
+// A new Zotero item for a tracked paper: a preprint for arXiv papers without a venue, else a journal article
+const zoteroItemFor = (paper, status) => {
+  const { title, authors = [], abstract, publishYear, venue } = paper.metadata;
+  const identifiers = paperIdentifiers(paper);
+  const preprint = !venue && Boolean(identifiers.arxiv);
+  return {
+    itemType: preprint ? 'preprint' : 'journalArticle',
+    title: title || '',
+    creators: authors.map((author) => {
+      const parts = author.trim().split(/\s+/);
+      return parts.length > 1
+        ? { creatorType: 'author', firstName: parts.slice(0, -1).join(' '), lastName: parts[parts.length - 1] }
+        : { creatorType: 'author', name: author.trim() };
+    }),
+    abstractNote: abstract || '',
+    date: publishYear ? String(publishYear) : '',
+    ...(preprint ? { repository: 'arXiv', archiveID: `arXiv:${identifiers.arxiv}` } : { publicationTitle: venue || '' }),
+    DOI: identifiers.doi || '',
+    url: identifiers.url || '',
+    extra: identifiers.pmid ? `PMID: ${identifiers.pmid}` : '',
+    tags: [{ tag: statusTag(status) }],
+    collections: [],
+  };
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+// The child note's HTML for the user's notes, one paragraph per blank-line-separated block
+const noteHtml = (notes) => [
+  '<p><strong>XJR-3 notes</strong></p>',
+  ...notes.split(/\n\s*\n/).map((paragraph) => `<p>${escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`),
+].join('\n');
+
+// Record that a paper is the item, unless the item or the paper is already mapped (to the first one seen)
+const mapItem = (link, paperId, item) => {
+  const existing = link.items.find((mapping) => mapping.itemKey === item.key);
+  if (existing) {
+    existing.itemVersion = item.version;
+  } else if (!link.items.some((mapping) => mapping.paperId === paperId)) {
+    link.items.push({ paperId, itemKey: item.key, itemVersion: item.version });
+  }
+};
+
+// Pull the items changed since the last sync: map the ones that are tracked papers, add the ones added to the
+// library since it was connected as want-to-read entries, and report the ones the import planner rejects
+// (say, with no identifier). Returns the library version pulled up to.
+const pullItems = async (link, client, { now, report }) => {
+  const { items, version } = await client.getItems({ since: link.libraryVersion });
+  const papers = items.filter(({ data }) => !NON_PAPER_TYPES.includes(data.itemType));
+  const plan = await planImport(papers.map(({ data }) => zoteroRecord(data)), { user: link.user });
+
+  const added = [];
+  plan.forEach((entry, index) => {
+    const item = papers[index];
+    const known = link.items.some((mapping) => mapping.itemKey === item.key);
+    const addedSinceConnected = new Date(item.data.dateAdded) >= new Date(link.createdAt);
+    if (entry.action === 'invalid') {
+      report.failed.push({ itemKey: item.key, title: entry.title, reason: entry.reason });
+    } else if (!known && addedSinceConnected && (entry.action === 'create' || entry.action === 'add-read')) {
+      added.push([entry, item]);
+    } else if (entry.paperId) {
+      mapItem(link, entry.paperId, item);
+    }
+  });
+
+  await applyImport(added.map(([entry]) => entry), { user: link.user, status: 'want-to-read', source: 'zotero', now });
+  added.forEach(([entry, item]) => {
+    if (entry.action === 'failed') {
+      report.failed.push({ itemKey: item.key, title: entry.title, reason: entry.reason });
+    } else {
+      mapItem(link, entry.paperId, item);
+      report.pulled.added += entry.action === 'exists' ? 0 : 1;
+    }
+  });
+  report.pulled.items = papers.length;
+  return version || link.libraryVersion;
+};
+
+// Write the status tag to the item, keeping its other tags
+const pushStatus = async (client, mapping, status) => {
+  const item = await client.getItem(mapping.itemKey);
+  mapping.itemVersion = await client.updateItem(mapping.itemKey, item.version, {
+    tags: withStatusTag(item.data.tags, status),
+  });
+  mapping.pushedStatus = status;
+};
+
+// Write the notes to the item's child note, creating it the first time
+const pushNotes = async (client, mapping, notes) => {
+  if (mapping.noteKey) {
+    const note = await client.getItem(mapping.noteKey);
+    mapping.noteVersion = await client.updateItem(mapping.noteKey, note.version, { note: notes ? noteHtml(notes) : '' });
+  } else if (notes) {
+    const [created] = await client.createItems([{
+      itemType: 'note',
+      parentItem: mapping.itemKey,
+      note: noteHtml(notes),
+      tags: [{ tag: NOTE_TAG }],
+    }]);
+    if (created.error) {
+      throw zoteroError(400, created.error);
+    }
+    Object.assign(mapping, { noteKey: created.key, noteVersion: created.version });
+  }
+  mapping.pushedNotes = notes;
+};
+
+// Whether an error concerns one item only (so the sync goes on) rather than Zotero as a whole
+const isItemError = (error) => error.status >= 400 && error.status < 500 && error.status !== 403 && error.status !== 429;
+
+// Push the status and notes of the user's latest read of every paper they track that changed since last pushed
+const pushReads = async (link, client, { now, report }) => {
+  const papers = await Paper.find({ 'reads.user': link.user }).select('id aliases metadata reads').lean();
+  const mappings = new Map(link.items.map((mapping) => [mapping.paperId, mapping]));
+  const unmapped = [];
+
+  for (const paper of papers) {
+    const read = [...paper.reads].reverse().find((entry) => entry.user === link.user);
+    const status = read.status || 'read';
+    const notes = (read.notes || '').trim();
+    const mapping = [paper.id, ...(paper.aliases || [])].map((key) => mappings.get(key)).find(Boolean);
+
+    if (!mapping) {
+      unmapped.push({ paper, status, notes });
+      continue;
+    }
+    if (mapping.removedAt) {
+      continue;
+    }
+    try {
+      if (mapping.pushedStatus !== status) {
+        await pushStatus(client, mapping, status);
+        report.pushed.updated += 1;
+      }
+      if (mapping.pushedNotes !== notes && (notes || mapping.noteKey)) {
+        await pushNotes(client, mapping, notes);
+        report.pushed.notes += 1;
+      }
+    } catch (error) {
+      if (error.status === 404) {
+        mapping.removedAt = now; // Deleted from the library; leave it deleted
+        report.pushed.removed += 1;
+      } else if (isItemError(error)) {
+        report.failed.push({ paperId: paper.id, title: paper.metadata.title, reason: error.message });
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  // One write at a time, saving the new mappings after each: if a later write fails, the items created before it
+  // stay mapped and the next sync does not create them again
+  for (let start = 0; start < unmapped.length; start += ZOTERO_WRITE_BATCH) {
+    const batch = unmapped.slice(start, start + ZOTERO_WRITE_BATCH);
+    const created = await client.createItems(batch.map(({ paper, status }) => zoteroItemFor(paper, status)));
+    const withNotes = [];
+    created.forEach((result, index) => {
+      const { paper, status, notes } = batch[index];
+      if (result.error) {
+        report.failed.push({ paperId: paper.id, title: paper.metadata.title, reason: result.error });
+        return;
+      }
+      link.items.push({ paperId: paper.id, itemKey: result.key, itemVersion: result.version, pushedStatus: status });
+      report.pushed.created += 1;
+      if (notes) {
+        withNotes.push([link.items[link.items.length - 1], notes]);
+      }
+    });
+    await link.save();
+
+    for (const [mapping, notes] of withNotes) {
+      await pushNotes(client, mapping, notes);
+      report.pushed.notes += 1;
+    }
+  }
+};
+
+const runningSyncs = new Set(); // Users whose library is being synced
+
+// Sync the user's library both ways and save the link. Returns a report:
+// { pulled: { items, added }, pushed: { created, updated, notes, removed }, failed: [{ paperId | itemKey, title, reason }] }.
+// Zotero-wide failures (unreachable, key revoked, rate limited) throw after saving the error on the link;
+// the items mapped up to then are kept so nothing is created twice.
+const syncZotero = async (link, { client = clientFor(link), now = new Date() } = {}) => {
+  if (runningSyncs.has(link.user)) {
+    throw zoteroError(409, 'A Zotero sync is already running for this user');
+  }
+  runningSyncs.add(link.user);
+
+  const report = {
+    pulled: { items: 0, added: 0 },
+    pushed: { created: 0, updated: 0, notes: 0, removed: 0 },
+    failed: [],
+  };
+  try {
+    const libraryVersion = await pullItems(link, client, { now, report });
+    await pushReads(link, client, { now, report });
+    Object.assign(link, { libraryVersion, lastSyncAt: now, lastError: null });
+    await link.save();
+    return report;
+  } catch (error) {
+    link.lastError = error.message;
+    await link.save();
+    throw error;
+  } finally {
+    runningSyncs.delete(link.user);
+  }
+};
+
+// Sync every connected library, one at a time; failures are kept on each link
+const syncAllZotero = async (now = new Date()) => {
+  const links = await ZoteroLink.find({});
+  for (const link of links) {
+    try {
+      await syncZotero(link, { now });
+    } catch (error) {
+      console.error(`Error syncing Zotero for ${link.user}:`, error.message);
+    }
+  }
+};
+
+// Sync every library periodically for as long as the process runs
+const startZoteroScheduler = (intervalMs = ZOTERO_SYNC_MS) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await syncAllZotero();
+    } catch (error) {
+      console.error('Error syncing Zotero libraries:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createZoteroClient,
+  zoteroRecord,
+  zoteroItemFor,
+  syncZotero,
+  syncAllZotero,
+  startZoteroScheduler,
+};
@@ -0,0 +1,240 @@
+const request = require('supertest');
+
+// Mock Mongoose models explicitly
+jest.mock('../models/user', () => ({
+  findOne: jest.fn(),
+}));
+jest.mock('../models/refreshToken', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+// Mock shared auth, keeping the real refresh token hashing
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  generateUserToken: jest.fn(() => 'mockUserToken'),
+  generateRefreshToken: jest.fn(() => 'mockRefreshToken'),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const { generateUserToken, hashRefreshToken } = require('../../shared/auth');
+
+describe('Auth Routes', () => {
+  const mockUser = {
+    _id: 'userId1',
+    username: 'naj',
+    comparePassword: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser.comparePassword.mockResolvedValue(true);
+    User.findOne.mockResolvedValue(mockUser);
+    RefreshToken.create.mockResolvedValue({});
+    RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+    RefreshToken.updateOne.mockResolvedValue({});
+    RefreshToken.updateMany.mockResolvedValue({});
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should log in a user and issue an access and refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'NAJ', password: 'secret123' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body).toEqual({
+        message: 'User logged in successfully',
+        token: 'mockUserToken',
+        refreshToken: 'mockRefreshToken',
+        user: { username: 'naj' },
+      });
+      expect(User.findOne).toHaveBeenCalledWith({ username: 'naj' });
+      expect(generateUserToken).toHaveBeenCalledWith({ user: { id: 'naj' } });
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        tokenHash: hashRefreshToken('mockRefreshToken'),
+        user: 'naj',
+        expiresAt: expect.any(Date),
+      }));
+    });
+
+    it('should return 400 for an unknown user', async () => {
+      User.findOne.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'nobody', password: 'secret123' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toEqual('Invalid Credentials');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a wrong password', async () => {
+      mockUser.comparePassword.mockResolvedValueOnce(false);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'naj', password: 'wrong' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toEqual('Invalid Credentials');
+    });
+
+    it('should return 400 for invalid input', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'naj' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain('"password" is required');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    const oldHash = hashRefreshToken('oldRefreshToken');
+    const storedToken = (overrides = {}) => ({
+      tokenHash: oldHash,
+      user: 'naj',
+      expiresAt: new Date(Date.now() + 60000),
+      revokedAt: null,
+      replacedByHash: null,
+      ...overrides,
+    });
+
+    it('should revoke the refresh token atomically, rotate it and issue a new access token', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValueOnce(storedToken());
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.token).toEqual('mockUserToken');
+      expect(res.body.refreshToken).toEqual('mockRefreshToken');
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: oldHash, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+        { tokenHash: oldHash },
+        { replacedByHash: hashRefreshToken('mockRefreshToken') }
+      );
+    });
+
+    it('should return 401 for an unknown refresh token', async () => {
+      RefreshToken.findOne.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'unknown' });
+
+      expect(res.statusCode).toEqual(401);
+      expect(res.body.message).toEqual('Refresh token is not valid');
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an expired refresh token', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValueOnce(storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(res.statusCode).toEqual(401);
+      expect(res.body.message).toEqual('Refresh token has expired');
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should revoke all sessions when a rotated token is reused', async () => {
+      RefreshToken.findOne.mockResolvedValueOnce(storedToken({ revokedAt: new Date() }));
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(res.statusCode).toEqual(401);
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: oldHash });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'naj', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two concurrent refreshes with the same token through', async () => {
+      RefreshToken.findOneAndUpdate
+        .mockResolvedValueOnce(storedToken())
+        .mockResolvedValueOnce(null); // Already revoked by the first
+      RefreshToken.findOne.mockResolvedValueOnce(storedToken({ revokedAt: new Date() }));
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' })));
+
+      expect(responses.map((res) => res.statusCode).sort()).toEqual([200, 401]);
+      expect(RefreshToken.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 401 if the user no longer exists', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValueOnce(storedToken());
+      User.findOne.mockResolvedValueOnce(null);
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(res.statusCode).toEqual(401);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: 'oldRefreshToken' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.message).toEqual('Logged out successfully');
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: hashRefreshToken('oldRefreshToken'), revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should return 400 if no refresh token is provided', async () => {
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .send({});
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain('"refreshToken" is required');
+    });
+  });
+});
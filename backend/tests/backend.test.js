@@ -341,11 +341,7 @@ describe('Backend API Tests', () => {
         expect(res.body.papers[0].metadata.title).toEqual('Keyword Paper');
         expect(Paper.aggregate).toHaveBeenCalledWith(expect.arrayContaining([
           expect.objectContaining({
-            $match: expect.objectContaining({
-              $or: expect.arrayContaining([
-                expect.objectContaining({ 'metadata.title': /Keyword/i }),
-              ]),
-            }),
+            $match: expect.objectContaining({ $text: { $search: 'Keyword' } }),
           }),
         ]));
       });
@@ -404,8 +400,8 @@ describe('Backend API Tests', () => {
           id: 'testPaperId',
           metadata: mockPaperMetadata,
           reads: [
-            { _id: 'readEntry1', user: 'testUserId', timestamp: new Date(), notes: 'My Read' },
-            { _id: 'readEntry2', user: 'otherUser', timestamp: new Date(), notes: 'Other Read' },
+            { _id: '64b7f0c2a1b2c3d4e5f60001', user: 'testUserId', timestamp: new Date(), notes: 'My Read' },
+            { _id: '64b7f0c2a1b2c3d4e5f60002', user: 'otherUser', timestamp: new Date(), notes: 'Other Read' },
           ],
         };
         Paper.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(existingPaper) });
@@ -413,14 +409,20 @@ describe('Backend API Tests', () => {
         const res = await request(app)
           .delete('/api/papers/mark-read')
           .set('x-auth-token', 'mockUserToken')
-          .send({ id: 'testPaperId', readEntryId: 'readEntry1' });
+          .send({ id: 'testPaperId', readEntryId: '64b7f0c2a1b2c3d4e5f60001' });
 
         expect(res.statusCode).toEqual(200);
         expect(res.body.message).toEqual('Read entry removed successfully');
         expect(Paper.findOneAndUpdate).toHaveBeenCalledTimes(1);
         expect(Paper.findOneAndUpdate).toHaveBeenCalledWith(
-          { id: 'testPaperId', 'reads._id': 'readEntry1', 'reads.user': 'testUserId' },
-          { $pull: { reads: { _id: 'readEntry1', user: 'testUserId' } } },
+          {
+            $or: [{ id: { $in: ['testPaperId', 'testPaperId'] } }, { aliases: { $in: ['testPaperId'] } }],
+            reads: { $elemMatch: { _id: '64b7f0c2a1b2c3d4e5f60001', user: 'testUserId' } },
+          },
+          {
+            $pull: { reads: { _id: '64b7f0c2a1b2c3d4e5f60001', user: 'testUserId' } },
+            $push: { removedReads: { readId: '64b7f0c2a1b2c3d4e5f60001', removedBy: 'testUserId' } },
+          },
           { new: true }
         );
       });
@@ -431,7 +433,7 @@ describe('Backend API Tests', () => {
         const res = await request(app)
           .delete('/api/papers/mark-read')
           .set('x-auth-token', 'mockUserToken')
-          .send({ id: 'nonExistentPaper', readEntryId: 'readEntry1' });
+          .send({ id: 'nonExistentPaper', readEntryId: '64b7f0c2a1b2c3d4e5f60001' });
 
         expect(res.statusCode).toEqual(404);
         expect(res.body.message).toEqual('Paper or read entry not found for this user.');
@@ -446,6 +448,16 @@ describe('Backend API Tests', () => {
         expect(res.statusCode).toEqual(400);
         expect(res.body.message).toContain('"readEntryId" is required');
       });
+
+      it('should return 400 for a read entry id that is not an ObjectId', async () => {
+        const res = await request(app)
+          .delete('/api/papers/mark-read')
+          .set('x-auth-token', 'mockUserToken')
+          .send({ id: 'testPaperId', readEntryId: 'readEntry1' });
+
+        expect(res.statusCode).toEqual(400);
+        expect(Paper.findOneAndUpdate).not.toHaveBeenCalled();
+      });
     });
   });
 
@@ -652,7 +664,7 @@ describe('Backend API Tests', () => {
         expect(Paper.findOneAndUpdate).toHaveBeenCalledTimes(1);
         expect(Paper.findOneAndUpdate).toHaveBeenCalledWith(
           { id: 'testPaperId', 'reads._id': 'readEntry1' },
-          { $pull: { reads: { _id: 'readEntry1' } } },
+          { $pull: { reads: { _id: 'readEntry1' } }, $push: { removedReads: { readId: 'readEntry1', removedBy: 'admin' } } },
           { new: true }
         );
       });
@@ -0,0 +1,197 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.findOneAndUpdate = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+  verifyAdminToken: jest.fn(() => null),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const { verifyUserToken, verifyAdminToken } = require('../../shared/auth');
+
+describe('GET /api/papers/changes', () => {
+  const updatedAt = new Date('2026-10-01T00:00:00Z');
+  const since = `${updatedAt.getTime() - 60 * 1000}.000000000000000000000009`;
+
+  // Paper.find(...).select(...).sort(...).limit(...) resolving to the given papers
+  const findReturning = (papers) => {
+    const limit = jest.fn().mockResolvedValue(papers);
+    const sort = jest.fn().mockReturnValue({ limit });
+    const select = jest.fn().mockReturnValue({ sort });
+    Paper.find.mockReturnValueOnce({ select });
+    return { select, sort, limit };
+  };
+
+  const paperWith = (index, fields = {}) => ({
+    _id: `00000000000000000000000${index}`,
+    id: `doi:10.1000/${index}`,
+    aliases: [`doi:10.1000/${index}`],
+    metadata: { title: `Paper ${index}`, authors: [], abstract: 'Abstract', publishYear: 2026 },
+    reads: [{ _id: `read${index}`, user: 'naj', timestamp: '2026-09-30T10:00:00Z', notes: 'Notes' }],
+    claim: null,
+    removedReads: [],
+    mergedPapers: [],
+    updatedAt,
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return whole papers without tombstones when there is no cursor', async () => {
+    const { select, sort, limit } = findReturning([paperWith(1, {
+      removedReads: [{ readId: 'old', removedBy: 'naj', removedAt: new Date('2026-09-01T00:00:00Z') }],
+    })]);
+
+    const res = await request(app).get('/api/papers/changes').set('x-auth-token', 'mockUserToken');
+
+    expect(res.statusCode).toEqual(200);
+    expect(Paper.find).toHaveBeenCalledWith({});
+    expect(select).toHaveBeenCalledWith('-__v');
+    expect(sort).toHaveBeenCalledWith({ updatedAt: 1, _id: 1 });
+    expect(limit).toHaveBeenCalledWith(201);
+    expect(res.body.papers).toEqual([{
+      _id: '000000000000000000000001',
+      id: 'doi:10.1000/1',
+      aliases: ['doi:10.1000/1'],
+      metadata: { title: 'Paper 1', authors: [], abstract: 'Abstract', publishYear: 2026 },
+      reads: [{ _id: 'read1', user: 'naj', timestamp: '2026-09-30T10:00:00Z', notes: 'Notes' }],
+      claim: null,
+      updatedAt: '2026-10-01T00:00:00.000Z',
+    }]);
+    expect(res.body.removed).toEqual({ reads: [], papers: [] });
+    expect(res.body.cursor).toBe(`${updatedAt.getTime()}.000000000000000000000001`);
+    expect(res.body.hasMore).toBe(false);
+  });
+
+  it('should report reads and papers removed after the cursor', async () => {
+    findReturning([paperWith(1, {
+      removedReads: [
+        { readId: 'before', removedBy: 'naj', removedAt: new Date('2026-09-01T00:00:00Z') },
+        { readId: 'read7', removedBy: 'admin', removedAt: updatedAt },
+      ],
+      mergedPapers: [{ id: 'https://example.org/paper-1', mergedAt: updatedAt }],
+    })]);
+
+    const res = await request(app).get(`/api/papers/changes?since=${since}`).set('x-auth-token', 'mockUserToken');
+
+    expect(res.statusCode).toEqual(200);
+    expect(Paper.find).toHaveBeenCalledWith({ $or: [
+      { updatedAt: { $gt: new Date(updatedAt.getTime() - 60 * 1000) } },
+      { updatedAt: new Date(updatedAt.getTime() - 60 * 1000), _id: { $gt: '000000000000000000000009' } },
+    ] });
+    expect(res.body.removed).toEqual({
+      reads: [{ paperId: 'doi:10.1000/1', readId: 'read7', removedBy: 'admin', removedAt: '2026-10-01T00:00:00.000Z' }],
+      papers: [{ id: 'https://example.org/paper-1', mergedInto: 'doi:10.1000/1', removedAt: '2026-10-01T00:00:00.000Z' }],
+    });
+    expect(res.body.papers[0].removedReads).toBeUndefined();
+  });
+
+  it('should keep the cursor when nothing changed and page with hasMore', async () => {
+    findReturning([]);
+    const empty = await request(app).get(`/api/papers/changes?since=${since}`).set('x-auth-token', 'mockUserToken');
+
+    findReturning([paperWith(1), paperWith(2), paperWith(3)]);
+    const paged = await request(app).get('/api/papers/changes?limit=2').set('x-auth-token', 'mockUserToken');
+
+    expect(empty.body).toEqual({ papers: [], removed: { reads: [], papers: [] }, cursor: since, hasMore: false });
+    expect(paged.body.papers.map((paper) => paper.id)).toEqual(['doi:10.1000/1', 'doi:10.1000/2']);
+    expect(paged.body.cursor).toBe(`${updatedAt.getTime()}.000000000000000000000002`);
+    expect(paged.body.hasMore).toBe(true);
+  });
+
+  it('should accept admin tokens and reject bad cursors and tokens', async () => {
+    verifyUserToken.mockReturnValueOnce(null);
+    verifyAdminToken.mockReturnValueOnce({ admin: { id: 'adminId' } });
+    findReturning([]);
+    const admin = await request(app).get('/api/papers/changes').set('x-auth-token', 'mockAdminToken');
+
+    const malformed = await request(app).get('/api/papers/changes?since=yesterday').set('x-auth-token', 'mockUserToken');
+
+    verifyUserToken.mockReturnValueOnce(null);
+    const invalid = await request(app).get('/api/papers/changes').set('x-auth-token', 'bogus');
+
+    expect(admin.statusCode).toEqual(200);
+    expect(malformed.statusCode).toEqual(400);
+    expect(invalid.statusCode).toEqual(401);
+    expect(Paper.find).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('DELETE /api/papers/mark-read tombstones', () => {
+  const readEntryId = '64b7f0c2a1b2c3d4e5f60001';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should only match the user's own read entry, on the paper known by any alias", async () => {
+    Paper.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) }); // Someone else's read
+
+    const res = await request(app)
+      .delete('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'https://doi.org/10.1000/XYZ', readEntryId });
+
+    expect(res.statusCode).toEqual(404);
+    expect(Paper.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        $or: [
+          { id: { $in: ['https://doi.org/10.1000/XYZ', 'doi:10.1000/xyz', 'url:doi.org/10.1000/XYZ'] } },
+          { aliases: { $in: ['doi:10.1000/xyz', 'url:doi.org/10.1000/XYZ'] } },
+        ],
+        reads: { $elemMatch: { _id: readEntryId, user: 'naj' } },
+      },
+      {
+        $pull: { reads: { _id: readEntryId, user: 'naj' } },
+        $push: { removedReads: { readId: readEntryId, removedBy: 'naj' } },
+      },
+      { new: true },
+    );
+  });
+
+  it('should reject read entry ids that are not ObjectIds', async () => {
+    const res = await request(app)
+      .delete('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', readEntryId: 'not-an-id' });
+
+    expect(res.statusCode).toEqual(400);
+    expect(Paper.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
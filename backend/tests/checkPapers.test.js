@@ -0,0 +1,154 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+
+
+describe('POST /api/papers/check-papers', () => {
+  // Paper.find(...).select(...).lean() resolving to the given papers
+  const findReturning = (papers) => {
+    const lean = jest.fn().mockResolvedValue(papers);
+    const select = jest.fn().mockReturnValue({ lean });
+    Paper.find.mockReturnValueOnce({ select });
+    return select;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return the status of every requested paper in order', async () => {
+    findReturning([{
+      _id: '000000000000000000000001',
+      id: 'arxiv:2101.00001',
+      aliases: ['arxiv:2101.00001'],
+      reads: [
+        { user: 'tam', timestamp: new Date('2025-09-01T00:00:00Z'), status: 'read' },
+        { user: 'naj', timestamp: new Date('2025-09-10T00:00:00Z'), status: 'skimmed' },
+        { user: 'lin', timestamp: new Date('2025-09-12T00:00:00Z'), status: 'reading' },
+      ],
+    }]);
+
+    const res = await request(app)
+      .post('/api/papers/check-papers')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ papers: [{ id: 'https://arxiv.org/abs/2101.00001v2' }, 'doi:10.1000/unknown'] });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.results).toEqual([
+      {
+        id: 'https://arxiv.org/abs/2101.00001v2',
+        found: true,
+        paperId: 'arxiv:2101.00001',
+        readStatus: 'read',
+        status: 'skimmed',
+        currentlyReading: ['lin'],
+        readers: [
+          { user: 'naj', timestamp: '2025-09-10T00:00:00.000Z', status: 'skimmed' },
+          { user: 'tam', timestamp: '2025-09-01T00:00:00.000Z', status: 'read' },
+        ],
+        latestReadAt: '2025-09-10T00:00:00.000Z',
+        claim: null,
+      },
+      { id: 'doi:10.1000/unknown', found: false },
+    ]);
+  });
+
+  it('should look every paper up with a single indexed query', async () => {
+    const select = findReturning([]);
+
+    await request(app)
+      .post('/api/papers/check-papers')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ papers: ['arXiv:2101.00001', { id: 'https://example.org/paper', aliases: ['10.1000/XYZ'] }] });
+
+    expect(Paper.find).toHaveBeenCalledTimes(1);
+    expect(Paper.find).toHaveBeenCalledWith({
+      $or: [
+        { id: { $in: ['arXiv:2101.00001', 'arxiv:2101.00001', 'https://example.org/paper', 'url:example.org/paper', 'doi:10.1000/xyz'] } },
+        { aliases: { $in: ['arxiv:2101.00001', 'url:example.org/paper', 'doi:10.1000/xyz'] } },
+      ],
+    });
+    expect(select).toHaveBeenCalledWith('id aliases reads.user reads.timestamp reads.status claim');
+  });
+
+  it('should answer for the most canonical paper when duplicates match', async () => {
+    findReturning([
+      { _id: '2', id: 'url:example.org/paper', aliases: ['url:example.org/paper', 'doi:10.1000/xyz'], reads: [] },
+      { _id: '1', id: 'doi:10.1000/xyz', aliases: ['doi:10.1000/xyz'], reads: [] },
+    ]);
+
+    const res = await request(app)
+      .post('/api/papers/check-papers')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ papers: [{ id: 'https://example.org/paper', aliases: ['10.1000/xyz'] }] });
+
+    expect(res.body.results[0].paperId).toEqual('doi:10.1000/xyz');
+    expect(res.body.results[0].latestReadAt).toBeNull();
+  });
+
+  it('should return 400 without papers', async () => {
+    const res = await request(app)
+      .post('/api/papers/check-papers')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ papers: [] });
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.message).toContain('"papers" must contain at least 1 items');
+  });
+
+  it('should return 400 for more than 500 papers', async () => {
+    const res = await request(app)
+      .post('/api/papers/check-papers')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ papers: Array.from({ length: 501 }, (_, i) => `doi:10.1000/${i}`) });
+
+    expect(res.statusCode).toEqual(400);
+    expect(Paper.find).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app)
+      .post('/api/papers/check-papers')
+      .send({ papers: [{ id: 'testPaperId' }] });
+
+    expect(res.statusCode).toEqual(401);
+  });
+});
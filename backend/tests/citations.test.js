@@ -0,0 +1,156 @@
+const { latexToText, parseBibtex, parseRis, parseCslJson, detectCitationFormat, parseCitations } = require('../services/citations');
+
+describe('Citation formats', () => {
+  describe('BibTeX', () => {
+    const bibtex = `
+% Exported from Zotero; contact: naj@example.org
+@string{neurips = "Advances in Neural Information Processing Systems"}
+
+@inproceedings{ho2020denoising,
+  title = {{Denoising} Diffusion Probabilistic Models},
+  author = {Ho, Jonathan and Jain, Ajay and Abbeel, Pieter},
+  booktitle = neurips # " 33",
+  year = 2020,
+  doi = {10.48550/arXiv.2006.11239},
+  url = {https://arxiv.org/abs/2006.11239},
+  urldate = {2023-03-05},
+  keywords = {diffusion, generative models},
+  annote = {Read for the \\emph{reading group}},
+}
+
+@article(mueller2019,
+  title = "Sch{\\"o}n {\\&} Stra{\\ss}e --- a study",
+  author = "M{\\"u}ller, Ren{\\'e} and {World Health Organization} and others",
+  journal = {Nature},
+  date = {2019-07-01},
+  eprint = {1907.00001v2},
+  archivePrefix = {arXiv},
+  isbn = {0-262-03384-4},
+)
+
+@comment{ignored {entirely}}
+
+@article{broken,
+  title = {Never closed
+`;
+
+    it('should read entries, macros, names and identifiers', () => {
+      const [ho, mueller, broken, ...rest] = parseBibtex(bibtex);
+
+      expect(rest).toEqual([]);
+      expect(ho).toEqual({
+        key: 'ho2020denoising',
+        type: 'inproceedings',
+        title: 'Denoising Diffusion Probabilistic Models',
+        authors: ['Jonathan Ho', 'Ajay Jain', 'Pieter Abbeel'],
+        abstract: '',
+        publishYear: 2020,
+        venue: 'Advances in Neural Information Processing Systems 33',
+        identifiers: ['doi:10.48550/arxiv.2006.11239', 'https://arxiv.org/abs/2006.11239'],
+        readAt: new Date('2023-03-05T00:00:00Z'),
+        notes: 'Read for the reading group',
+        tags: ['diffusion', 'generative models'],
+      });
+      expect(mueller).toEqual(expect.objectContaining({
+        key: 'mueller2019',
+        title: 'Schön & Straße — a study',
+        authors: ['René Müller', 'World Health Organization'],
+        publishYear: 2019,
+        venue: 'Nature',
+        identifiers: ['arxiv:1907.00001', 'isbn:9780262033848'],
+        readAt: null,
+      }));
+      expect(broken).toEqual({ key: 'broken', error: 'Unterminated value' });
+    });
+
+    it('should turn LaTeX into plain text', () => {
+      expect(latexToText('{\\AA}ngstr{\\"o}m \\c{c}a and na\\"{\\i}ve 50\\% ~off')).toBe('Ångström ça and naïve 50% off');
+    });
+  });
+
+  it('should read RIS records with continued lines and PubMed accession numbers', () => {
+    const ris = [
+      'TY  - JOUR',
+      'TI  - Attention Is All',
+      '  You Need',
+      'AU  - Vaswani, Ashish',
+      'AU  - Shazeer, Noam',
+      'PY  - 2017///',
+      'JO  - NeurIPS',
+      'DO  - https://doi.org/10.5555/3295222.3295349',
+      'UR  - https://example.org/attention',
+      'SN  - 1049-5258',
+      'AN  - 12345678',
+      'DB  - PubMed',
+      'KW  - Transformers',
+      'KW  - attention',
+      'N1  - Great intro.',
+      'Y2  - 2024/01/15/',
+      'ER  - ',
+      'TY  - BOOK',
+      'TI  - Unfinished',
+    ].join('\r\n');
+
+    const [attention, unfinished] = parseRis(ris);
+
+    expect(attention).toEqual({
+      key: null,
+      type: 'jour',
+      title: 'Attention Is All You Need',
+      authors: ['Ashish Vaswani', 'Noam Shazeer'],
+      abstract: '',
+      publishYear: 2017,
+      venue: 'NeurIPS',
+      identifiers: ['doi:10.5555/3295222.3295349', 'pmid:12345678', 'https://example.org/attention'],
+      readAt: new Date('2024-01-15T00:00:00Z'),
+      notes: 'Great intro.',
+      tags: ['transformers', 'attention'],
+    });
+    expect(unfinished.error).toBe('Missing "ER" at the end of the record');
+  });
+
+  it('should read CSL-JSON items', () => {
+    const [item, notAnItem] = parseCslJson(JSON.stringify([
+      {
+        id: 'http://zotero.org/users/1/items/ABC',
+        'citation-key': 'chen2024',
+        type: 'article',
+        title: 'Latent Diffusion',
+        author: [{ given: 'Lin', family: 'Chen' }, { literal: 'OpenAI' }],
+        issued: { 'date-parts': [[2024, 3]] },
+        'container-title': 'arXiv',
+        number: 'arXiv:2403.00001',
+        URL: 'https://arxiv.org/abs/2403.00001',
+        accessed: { 'date-parts': [[2024, 4, 2]] },
+        keyword: 'diffusion; latent',
+        note: 'Skimmed',
+      },
+      'nonsense',
+    ]));
+
+    expect(item).toEqual({
+      key: 'chen2024',
+      type: 'article',
+      title: 'Latent Diffusion',
+      authors: ['Lin Chen', 'OpenAI'],
+      abstract: '',
+      publishYear: 2024,
+      venue: 'arXiv',
+      identifiers: ['arxiv:2403.00001', 'https://arxiv.org/abs/2403.00001'],
+      readAt: new Date('2024-04-02T00:00:00Z'),
+      notes: 'Skimmed',
+      tags: ['diffusion', 'latent'],
+    });
+    expect(notAnItem.error).toBe('Not a CSL-JSON item');
+    expect(parseCslJson('[{').map(({ error }) => error)[0]).toMatch(/^Invalid JSON/);
+  });
+
+  it('should detect the format', () => {
+    expect(detectCitationFormat('  [{"title": "x"}]')).toBe('csl-json');
+    expect(detectCitationFormat('TY  - JOUR\nER  - ')).toBe('ris');
+    expect(detectCitationFormat('@article{x, title={y}}')).toBe('bibtex');
+    expect(detectCitationFormat('Just some notes')).toBeNull();
+    expect(() => parseCitations('Just some notes')).toThrow('Could not tell the file format');
+    expect(parseCitations('TY  - JOUR\nER  - ', 'ris').format).toBe('ris');
+  });
+});
@@ -0,0 +1,297 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.findOneAndUpdate = jest.fn();
+  Paper.findById = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/user', () => ({
+  findOne: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+  verifyAdminToken: jest.fn(() => ({ admin: { id: 'adminId' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const User = require('../models/user');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Claims', () => {
+  const metadata = {
+    title: 'Test Paper',
+    authors: ['Test Author'],
+    abstract: 'Test Abstract',
+    publishYear: 2023,
+  };
+  const claimBy = (user, daysLeft) => ({
+    user,
+    claimedAt: new Date(Date.now() - 2 * DAY_MS),
+    expiresAt: new Date(Date.now() + daysLeft * DAY_MS),
+    assignedBy: null,
+  });
+  const paperWith = (fields) => ({
+    id: 'doi:10.1000/xyz',
+    metadata,
+    reads: [],
+    claim: null,
+    save: jest.fn().mockResolvedValue(true),
+    ...fields,
+  });
+  // The conditional update applies and returns the paper with the new claim
+  const updatesApply = (paper) => Paper.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...paper, ...update.$set }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('claims an untracked paper for the requested days', async () => {
+    Paper.find.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', days: 3, metadata });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.claim.user).toBe('naj');
+    const expiresIn = new Date(res.body.claim.expiresAt).getTime() - Date.now();
+    expect(expiresIn).toBeGreaterThan(2.9 * DAY_MS);
+    expect(expiresIn).toBeLessThanOrEqual(3 * DAY_MS);
+    expect(Paper.mock.instances[0].save).toHaveBeenCalled();
+  });
+
+  it('answers 404 for an untracked paper without metadata', async () => {
+    Paper.find.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz' });
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('refuses a paper a teammate has an active claim on', async () => {
+    const paper = paperWith({ claim: claimBy('tam', 5) });
+    Paper.find.mockResolvedValue([paper]);
+
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz' });
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.claim.user).toBe('tam');
+    expect(Paper.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('takes over an expired claim', async () => {
+    const paper = paperWith({ _id: 'paperObjectId', claim: claimBy('tam', -1) });
+    Paper.find.mockResolvedValue([paper]);
+    updatesApply(paper);
+
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.claim.user).toBe('naj');
+    const [filter] = Paper.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: 'paperObjectId',
+      $or: [{ claim: null }, { 'claim.expiresAt': { $lte: expect.any(Date) } }, { 'claim.user': 'naj' }],
+    });
+  });
+
+  it('renews your own claim and keeps when it was made', async () => {
+    const existing = claimBy('naj', 1);
+    const paper = paperWith({ claim: existing });
+    Paper.find.mockResolvedValue([paper]);
+    updatesApply(paper);
+
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', days: 7 });
+
+    expect(res.statusCode).toEqual(200);
+    const { claim } = Paper.findOneAndUpdate.mock.calls[0][1].$set;
+    expect(claim.claimedAt).toBe(existing.claimedAt);
+    expect(claim.expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * DAY_MS);
+  });
+
+  it('refuses the claim when a teammate claims the paper first', async () => {
+    // Both requests read the paper unclaimed; the teammate's update lands before this one
+    const paper = paperWith({ _id: 'paperObjectId' });
+    Paper.find.mockResolvedValue([paper]);
+    Paper.findOneAndUpdate.mockResolvedValue(null);
+    Paper.findById.mockResolvedValue(paperWith({ claim: claimBy('tam', 5) }));
+
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz' });
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.conflict).toBe('claimed');
+    expect(res.body.claim.user).toBe('tam');
+    expect(Paper.findById).toHaveBeenCalledWith('paperObjectId');
+  });
+
+  it('rejects claims longer than the maximum', async () => {
+    const res = await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', days: 365 });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('releases your own claim only', async () => {
+    const paper = paperWith({ claim: claimBy('tam', 5) });
+    Paper.find.mockResolvedValue([paper]);
+
+    const refused = await request(app)
+      .delete('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz' });
+    expect(refused.statusCode).toEqual(404);
+
+    paper.claim = claimBy('naj', 5);
+    const released = await request(app)
+      .delete('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz' });
+    expect(released.statusCode).toEqual(200);
+    expect(paper.claim).toBeNull();
+  });
+
+  it('reports the active claim from /check-paper and hides expired ones', async () => {
+    Paper.find.mockResolvedValue([paperWith({ claim: claimBy('tam', 5) })]);
+
+    const active = await request(app)
+      .get('/api/papers/check-paper?id=doi:10.1000/xyz')
+      .set('x-auth-token', 'mockUserToken');
+    expect(active.statusCode).toEqual(200);
+    expect(active.body.claim.user).toBe('tam');
+
+    Paper.find.mockResolvedValue([paperWith({ claim: claimBy('tam', -1) })]);
+    const expired = await request(app)
+      .get('/api/papers/check-paper?id=doi:10.1000/xyz')
+      .set('x-auth-token', 'mockUserToken');
+    expect(expired.body.claim).toBeNull();
+  });
+
+  it('releases your claim when you mark the paper as read', async () => {
+    const paper = paperWith({ claim: claimBy('naj', 5) });
+    Paper.find.mockResolvedValue([paper]);
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', metadata, read: { user: 'naj', notes: 'Done' } });
+
+    expect(res.statusCode).toEqual(200);
+    expect(paper.claim).toBeNull();
+  });
+
+  describe('admin assignment', () => {
+    it('assigns a paper to a user, replacing a teammate\'s claim', async () => {
+      const teammateClaim = claimBy('tam', 5);
+      const paper = paperWith({ _id: 'paperObjectId', claim: teammateClaim });
+      Paper.find.mockResolvedValue([paper]);
+      User.findOne.mockResolvedValue({ username: 'naj' });
+      updatesApply(paper);
+
+      const res = await request(app)
+        .post('/api/admin/assign')
+        .set('x-auth-token', 'mockAdminToken')
+        .send({ paperId: 'doi:10.1000/xyz', user: 'NAJ', days: 14 });
+
+      expect(res.statusCode).toEqual(200);
+      expect(User.findOne).toHaveBeenCalledWith({ username: 'naj' });
+      expect(res.body.claim.user).toBe('naj');
+      expect(res.body.claim.assignedBy).toBe('adminId');
+      expect(Paper.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: 'paperObjectId',
+        'claim.user': 'tam',
+        'claim.claimedAt': teammateClaim.claimedAt,
+      });
+    });
+
+    it('reports a claim made while the assignment was being saved', async () => {
+      Paper.find.mockResolvedValue([paperWith({ _id: 'paperObjectId' })]);
+      User.findOne.mockResolvedValue({ username: 'naj' });
+      Paper.findOneAndUpdate.mockResolvedValue(null);
+      Paper.findById.mockResolvedValue(paperWith({ claim: claimBy('tam', 5) }));
+
+      const res = await request(app)
+        .post('/api/admin/assign')
+        .set('x-auth-token', 'mockAdminToken')
+        .send({ paperId: 'doi:10.1000/xyz', user: 'naj' });
+
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.claim.user).toBe('tam');
+      expect(Paper.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'paperObjectId', 'claim.user': null, 'claim.claimedAt': null });
+    });
+
+    it('refuses to assign a paper to an unknown user', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post('/api/admin/assign')
+        .set('x-auth-token', 'mockAdminToken')
+        .send({ paperId: 'doi:10.1000/xyz', user: 'ghost' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(Paper.find).not.toHaveBeenCalled();
+    });
+
+    it('clears an assignment', async () => {
+      const paper = paperWith({ claim: claimBy('naj', 5) });
+      Paper.find.mockResolvedValue([paper]);
+
+      const res = await request(app)
+        .delete('/api/admin/assign')
+        .set('x-auth-token', 'mockAdminToken')
+        .send({ paperId: 'doi:10.1000/xyz' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(paper.claim).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,310 @@
+const request = require('supertest');
+
+// Mock the Paper and Collection models as constructors with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/collection', () => {
+  const Collection = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = '64b000000000000000000001';
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Collection.find = jest.fn();
+  Collection.findById = jest.fn();
+  Collection.deleteOne = jest.fn();
+  return Collection;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+  verifyAdminToken: jest.fn(() => ({ admin: { id: 'adminId' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const Collection = require('../models/collection');
+
+describe('Collections', () => {
+  const collectionId = '64b000000000000000000001';
+  const metadata = {
+    title: 'Test Paper',
+    authors: ['Test Author'],
+    abstract: 'Test Abstract',
+    publishYear: 2023,
+  };
+  const collectionOf = (overrides = {}) => ({
+    _id: collectionId,
+    name: 'Reading group week 12',
+    description: '',
+    owner: 'naj',
+    members: ['tam'],
+    items: [],
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+  const item = (itemId, paperId, assignedTo = null) => ({ _id: itemId, paperId, addedBy: 'naj', addedAt: new Date('2025-09-01'), assignedTo });
+  // Paper.find(...).select(...).lean() resolving to the given papers
+  const findReturning = (papers) => {
+    const lean = jest.fn().mockResolvedValue(papers);
+    const select = jest.fn().mockReturnValue({ lean });
+    Paper.find.mockReturnValueOnce({ select });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.find.mockResolvedValue([]);
+  });
+
+  describe('GET /api/collections', () => {
+    it('should list the collections the user owns or is a member of', async () => {
+      const sort = jest.fn().mockResolvedValue([collectionOf({ items: [item('i1', 'doi:10.1000/a')] })]);
+      Collection.find.mockReturnValueOnce({ sort });
+
+      const res = await request(app).get('/api/collections').set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(Collection.find).toHaveBeenCalledWith({ $or: [{ owner: 'naj' }, { members: 'naj' }] });
+      expect(sort).toHaveBeenCalledWith({ updatedAt: -1 });
+      expect(res.body.collections).toEqual([expect.objectContaining({ name: 'Reading group week 12', itemCount: 1 })]);
+      expect(res.body.collections[0].items).toBeUndefined();
+    });
+
+    it('should return 401 without a token', async () => {
+      const res = await request(app).get('/api/collections');
+      expect(res.statusCode).toEqual(401);
+    });
+  });
+
+  describe('POST /api/collections', () => {
+    it('should create a collection owned by the current user', async () => {
+      const res = await request(app)
+        .post('/api/collections')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ name: 'Survey for grant X', members: ['Tam', 'naj', 'lin'] });
+
+      expect(res.statusCode).toEqual(201);
+      expect(Collection).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Survey for grant X',
+        owner: 'naj',
+        members: ['tam', 'lin'],
+        items: [],
+      }));
+      expect(Collection.mock.instances[0].save).toHaveBeenCalled();
+    });
+
+    it('should return 400 without a name', async () => {
+      const res = await request(app).post('/api/collections').set('x-auth-token', 'mockUserToken').send({});
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('GET /api/collections/:collectionId', () => {
+    it('should return the papers in order with who has read them', async () => {
+      Collection.findById.mockResolvedValueOnce(collectionOf({
+        items: [item('i1', 'doi:10.1000/b', 'tam'), item('i2', 'doi:10.1000/a')],
+      }));
+      findReturning([
+        { _id: '1', id: 'doi:10.1000/a', aliases: ['doi:10.1000/a'], metadata: { title: 'Paper A' }, reads: [{ user: 'naj', status: 'read' }] },
+        { _id: '2', id: 'doi:10.1000/b', aliases: ['doi:10.1000/b'], metadata: { title: 'Paper B' }, reads: [{ user: 'tam', status: 'reading' }] },
+      ]);
+
+      const res = await request(app).get(`/api/collections/${collectionId}`).set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.items.map((entry) => entry.paper.metadata.title)).toEqual(['Paper B', 'Paper A']);
+      expect(res.body.items[0]).toEqual(expect.objectContaining({ assignedTo: 'tam', readBy: [] }));
+      expect(res.body.items[1].readBy).toEqual(['naj']);
+    });
+
+    it('should hide collections the user is not a member of', async () => {
+      Collection.findById.mockResolvedValueOnce(collectionOf({ owner: 'lin', members: ['tam'] }));
+
+      const res = await request(app).get(`/api/collections/${collectionId}`).set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(404);
+    });
+
+    it('should return 404 for a malformed id', async () => {
+      const res = await request(app).get('/api/collections/not-an-id').set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(404);
+      expect(Collection.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/collections/:collectionId', () => {
+    it('should only let the owner change the collection', async () => {
+      Collection.findById.mockResolvedValueOnce(collectionOf({ owner: 'tam', members: ['naj'] }));
+
+      const res = await request(app)
+        .patch(`/api/collections/${collectionId}`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ name: 'Renamed' });
+
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should unassign papers from removed members', async () => {
+      const collection = collectionOf({ members: ['tam', 'lin'], items: [item('i1', 'doi:10.1000/a', 'tam'), item('i2', 'doi:10.1000/b', 'lin')] });
+      Collection.findById.mockResolvedValueOnce(collection);
+
+      const res = await request(app)
+        .patch(`/api/collections/${collectionId}`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ members: ['lin'] });
+
+      expect(res.statusCode).toEqual(200);
+      expect(collection.members).toEqual(['lin']);
+      expect(collection.items.map((entry) => entry.assignedTo)).toEqual([null, 'lin']);
+      expect(collection.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/collections/:collectionId/items', () => {
+    it('should add a tracked paper at the end', async () => {
+      const collection = collectionOf({ items: [item('i1', 'doi:10.1000/a')] });
+      Collection.findById.mockResolvedValueOnce(collection);
+      Paper.find.mockResolvedValueOnce([{ id: 'doi:10.1000/b', aliases: ['doi:10.1000/b'], reads: [] }]);
+
+      const res = await request(app)
+        .post(`/api/collections/${collectionId}/items`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'doi:10.1000/b', assignedTo: 'tam' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(collection.items[1]).toEqual(expect.objectContaining({ paperId: 'doi:10.1000/b', addedBy: 'naj', assignedTo: 'tam' }));
+    });
+
+    it('should start tracking an unknown paper when metadata is given', async () => {
+      Collection.findById.mockResolvedValueOnce(collectionOf());
+
+      const res = await request(app)
+        .post(`/api/collections/${collectionId}/items`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'doi:10.1000/c', metadata });
+
+      expect(res.statusCode).toEqual(201);
+      expect(Paper).toHaveBeenCalledWith(expect.objectContaining({ id: 'doi:10.1000/c', metadata, reads: [] }));
+    });
+
+    it('should refuse a paper that is already in the collection under another id', async () => {
+      const collection = collectionOf({ items: [item('i1', 'arxiv:1706.03762')] });
+      Collection.findById.mockResolvedValueOnce(collection);
+      Paper.find.mockResolvedValueOnce([{ id: 'doi:10.48550/arXiv.1706.03762', aliases: ['arxiv:1706.03762'], reads: [] }]);
+
+      const res = await request(app)
+        .post(`/api/collections/${collectionId}/items`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'https://arxiv.org/abs/1706.03762' });
+
+      expect(res.statusCode).toEqual(409);
+      expect(collection.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse assigning a paper to a non-member', async () => {
+      Collection.findById.mockResolvedValueOnce(collectionOf());
+
+      const res = await request(app)
+        .post(`/api/collections/${collectionId}/items`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'doi:10.1000/b', assignedTo: 'lin' });
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('items', () => {
+    it('should assign a paper to a member', async () => {
+      const collection = collectionOf({ items: [item('i1', 'doi:10.1000/a')] });
+      Collection.findById.mockResolvedValueOnce(collection);
+
+      const res = await request(app)
+        .patch(`/api/collections/${collectionId}/items/i1`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ assignedTo: 'tam' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(collection.items[0].assignedTo).toEqual('tam');
+    });
+
+    it('should remove a paper', async () => {
+      const collection = collectionOf({ items: [item('i1', 'doi:10.1000/a'), item('i2', 'doi:10.1000/b')] });
+      Collection.findById.mockResolvedValueOnce(collection);
+
+      const res = await request(app)
+        .delete(`/api/collections/${collectionId}/items/i1`)
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(collection.items.map((entry) => entry._id)).toEqual(['i2']);
+    });
+
+    it('should reorder the papers', async () => {
+      const collection = collectionOf({ items: [item('i1', 'doi:10.1000/a'), item('i2', 'doi:10.1000/b')] });
+      Collection.findById.mockResolvedValueOnce(collection);
+
+      const res = await request(app)
+        .put(`/api/collections/${collectionId}/order`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ itemIds: ['i2', 'i1'] });
+
+      expect(res.statusCode).toEqual(200);
+      expect(collection.items.map((entry) => entry._id)).toEqual(['i2', 'i1']);
+    });
+
+    it('should reject an order that leaves out a paper', async () => {
+      Collection.findById.mockResolvedValueOnce(collectionOf({ items: [item('i1', 'doi:10.1000/a'), item('i2', 'doi:10.1000/b')] }));
+
+      const res = await request(app)
+        .put(`/api/collections/${collectionId}/order`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ itemIds: ['i2'] });
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  describe('GET /api/admin/collections', () => {
+    it('should list every collection with its papers', async () => {
+      const sort = jest.fn().mockResolvedValue([collectionOf({ owner: 'lin', members: [], items: [item('i1', 'doi:10.1000/a')] })]);
+      Collection.find.mockReturnValueOnce({ sort });
+      findReturning([{ _id: '1', id: 'doi:10.1000/a', aliases: ['doi:10.1000/a'], metadata: { title: 'Paper A' }, reads: [] }]);
+
+      const res = await request(app).get('/api/admin/collections').set('x-auth-token', 'mockAdminToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(Collection.find).toHaveBeenCalledWith({});
+      expect(res.body.collections[0]).toEqual(expect.objectContaining({ owner: 'lin', itemCount: 1 }));
+      expect(res.body.collections[0].items[0].paper.metadata.title).toEqual('Paper A');
+    });
+  });
+});
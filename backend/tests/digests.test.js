@@ -0,0 +1,163 @@
+const { EventEmitter } = require('events');
+
+// Mock the models the digest job reads and writes
+jest.mock('../models/paper', () => ({ aggregate: jest.fn() }));
+jest.mock('../models/savedSearch', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/inboxMessage', () => ({ create: jest.fn() }));
+
+const Paper = require('../models/paper');
+const SavedSearch = require('../models/savedSearch');
+const InboxMessage = require('../models/inboxMessage');
+const { subscribe } = require('../services/events');
+const { runDigest, runDueDigests, registerDigestTransport, resetMailer } = require('../services/digests');
+const { startSmtpStandIn } = require('./smtpStandIn');
+
+describe('Saved-search digests', () => {
+  const now = new Date('2026-10-19T08:00:00Z');
+  const createdAt = new Date('2026-10-01T00:00:00Z');
+  const lastSentAt = new Date('2026-10-12T08:00:00Z');
+  const paper = {
+    id: 'doi:10.1000/xyz',
+    metadata: { title: 'Latent Diffusion', authors: ['Lin Chen'], abstract: 'Images.', publishYear: 2024 },
+    reads: [],
+  };
+  const savedSearchWith = (digest) => ({
+    _id: '64b7f1c2a1b2c3d4e5f60718',
+    user: 'naj',
+    name: 'Diffusion',
+    query: { keyword: 'diffusion', notReadByMe: true },
+    createdAt,
+    digest: { frequency: 'weekly', transport: 'inbox', email: null, lastSentAt, nextAt: now, ...digest },
+  });
+  const searchReturning = (papers, totalCount = papers.length) => {
+    Paper.aggregate.mockResolvedValue([{ metadata: totalCount ? [{ totalCount }] : [], data: papers }]);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    InboxMessage.create.mockImplementation(async (message) => ({ _id: 'm1', ...message }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should rerun the search over papers added since the last digest and deliver it to the inbox', async () => {
+    searchReturning([paper], 3);
+    const req = new EventEmitter();
+    req.user = { id: 'naj' };
+    const res = { writeHead: jest.fn(), write: jest.fn() };
+    subscribe(req, res);
+
+    const delivered = await runDigest(savedSearchWith(), now);
+    req.emit('close');
+
+    expect(delivered).toBe(true);
+    const [match] = Paper.aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual(expect.objectContaining({
+      $text: { $search: 'diffusion' },
+      createdAt: { $gt: lastSentAt },
+      $and: [{ reads: { $not: { $elemMatch: { user: 'naj', status: { $in: ['read', 'skimmed', null] } } } } }],
+    }));
+
+    const message = InboxMessage.create.mock.calls[0][0];
+    expect(message).toEqual(expect.objectContaining({
+      user: 'naj',
+      kind: 'digest',
+      subject: '3 new papers for "Diffusion"',
+      papers: [{ id: 'doi:10.1000/xyz', title: 'Latent Diffusion', authors: ['Lin Chen'], publishYear: 2024 }],
+    }));
+    expect(message.text).toContain('- Latent Diffusion (2024) by Lin Chen');
+    expect(message.text).toContain('…and 2 more.');
+    expect(res.write.mock.calls.some(([chunk]) => /^id: \d+\nevent: digest\n/.test(chunk))).toBe(true);
+
+    expect(SavedSearch.updateOne).toHaveBeenCalledWith(
+      { _id: '64b7f1c2a1b2c3d4e5f60718' },
+      { $set: { 'digest.lastSentAt': now, 'digest.nextAt': new Date('2026-10-26T08:00:00Z') } },
+    );
+  });
+
+  it('should send nothing when no new papers match, and start from the saved search\'s creation', async () => {
+    searchReturning([]);
+
+    const delivered = await runDigest(savedSearchWith({ lastSentAt: null, frequency: 'daily' }), now);
+
+    expect(delivered).toBe(false);
+    expect(Paper.aggregate.mock.calls[0][0][0].$match.createdAt).toEqual({ $gt: createdAt });
+    expect(InboxMessage.create).not.toHaveBeenCalled();
+    expect(SavedSearch.updateOne.mock.calls[0][1].$set).toEqual({
+      'digest.lastSentAt': now,
+      'digest.nextAt': new Date('2026-10-20T08:00:00Z'),
+    });
+  });
+
+  it('should keep the window open and retry later when delivery fails', async () => {
+    searchReturning([paper]);
+    registerDigestTransport('failing', { deliver: jest.fn().mockRejectedValue(new Error('down')) });
+
+    const delivered = await runDigest(savedSearchWith({ transport: 'failing' }), now);
+
+    expect(delivered).toBe(false);
+    expect(SavedSearch.updateOne.mock.calls[0][1].$set).toEqual({
+      'digest.lastSentAt': lastSentAt,
+      'digest.nextAt': new Date('2026-10-19T09:00:00Z'),
+    });
+  });
+
+  it('should run every due digest through its registered transport', async () => {
+    searchReturning([paper]);
+    const deliver = jest.fn().mockResolvedValue();
+    registerDigestTransport('test', { deliver });
+    SavedSearch.find.mockResolvedValue([savedSearchWith({ transport: 'test' }), savedSearchWith({ transport: 'test' })]);
+
+    expect(await runDueDigests(now)).toBe(2);
+    expect(SavedSearch.find).toHaveBeenCalledWith({ 'digest.frequency': { $ne: 'off' }, 'digest.nextAt': { $lte: now } });
+    expect(deliver).toHaveBeenCalledWith(expect.objectContaining({ name: 'Diffusion' }), expect.objectContaining({
+      subject: '1 new paper for "Diffusion"',
+      html: expect.stringContaining('<li>Latent Diffusion (2024) by Lin Chen'),
+    }));
+  });
+
+  describe('email transport', () => {
+    let smtp;
+
+    beforeEach(async () => {
+      smtp = await startSmtpStandIn();
+      process.env.SMTP_URL = smtp.url;
+      process.env.DIGEST_FROM = 'XJR-3 <digests@example.com>';
+      resetMailer();
+    });
+
+    afterEach(async () => {
+      resetMailer();
+      delete process.env.SMTP_URL;
+      delete process.env.DIGEST_FROM;
+      await smtp.close();
+    });
+
+    it('should email the digest over SMTP', async () => {
+      searchReturning([paper]);
+
+      const delivered = await runDigest(savedSearchWith({ transport: 'email', email: 'naj@example.com' }), now);
+
+      expect(delivered).toBe(true);
+      expect(smtp.messages).toHaveLength(1);
+      const [mail] = smtp.messages;
+      expect(mail.from).toBe('digests@example.com');
+      expect(mail.to).toEqual(['naj@example.com']);
+      expect(mail.raw).toMatch(/^Subject: .*1_new_paper_for/m);
+      expect(mail.raw).toContain('Latent Diffusion (2024) by Lin Chen');
+    });
+
+    it('should not send without a configured SMTP server', async () => {
+      delete process.env.SMTP_URL;
+      searchReturning([paper]);
+
+      const delivered = await runDigest(savedSearchWith({ transport: 'email', email: 'naj@example.com' }), now);
+
+      expect(delivered).toBe(false);
+      expect(smtp.messages).toHaveLength(0);
+    });
+  });
+});
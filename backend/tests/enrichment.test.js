@@ -0,0 +1,267 @@
+const request = require('supertest');
+const { startFixtureServer } = require('./fixtureServer');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/metadataCache', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+  verifyAdminToken: jest.fn(() => ({ admin: { id: 'adminId' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const MetadataCache = require('../models/metadataCache');
+const { lookupMetadata, resetEnrichmentCache } = require('../services/enrichment');
+
+describe('Metadata enrichment', () => {
+  let fixtures;
+  let stored; // MetadataCache documents by key
+
+  beforeAll(async () => {
+    fixtures = await startFixtureServer({
+      '/crossref/works/10.5555%2F3295222.3295349': 'enrichment/crossref-attention.json',
+      '/openalex/works/doi:10.5555%2F3295222.3295349': 'enrichment/openalex-attention.json',
+      '/arxiv/query?id_list=2006.11239&max_results=1': 'enrichment/arxiv-diffusion.xml',
+      '/openalex/works/doi:10.48550%2Farxiv.2006.11239': 'enrichment/openalex-diffusion.json',
+      '/arxiv/query?id_list=9912.99999&max_results=1': 'enrichment/arxiv-not-found.xml',
+      '/crossref/works/10.1000%2Fbroken': 503,
+      '/openalex/works/doi:10.1000%2Fbroken': 503,
+    });
+    process.env.CROSSREF_API_URL = `${fixtures.url}/crossref`;
+    process.env.OPENALEX_API_URL = `${fixtures.url}/openalex`;
+    process.env.ARXIV_API_URL = `${fixtures.url}/arxiv`;
+    process.env.ENRICHMENT_DELAY_MS = '0';
+  });
+
+  afterAll(async () => {
+    ['CROSSREF_API_URL', 'OPENALEX_API_URL', 'ARXIV_API_URL', 'ENRICHMENT_DELAY_MS'].forEach((name) => delete process.env[name]);
+    await fixtures.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    resetEnrichmentCache();
+    fixtures.requests.length = 0;
+    stored = new Map();
+    MetadataCache.findOne.mockImplementation(({ key }) => ({ lean: () => Promise.resolve(stored.get(key) || null) }));
+    MetadataCache.updateOne.mockImplementation(async ({ key }, { $set }) => {
+      stored.set(key, { key, ...$set });
+    });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  // Start a backfill through the admin API and follow its job until it finishes
+  const runBackfill = async (body) => {
+    const started = await request(app).post('/api/admin/enrich').set('x-auth-token', 'adminToken').send(body);
+    expect(started.statusCode).toBe(202);
+    expect(started.headers.location).toBe(`/api/admin/enrich/${started.body.job.id}`);
+    let { job } = started.body;
+    while (job.status === 'running') {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      job = (await request(app).get(started.headers.location).set('x-auth-token', 'adminToken')).body.job;
+    }
+    return job;
+  };
+
+  it('merges Crossref and OpenAlex for a DOI and caches the answers in memory and in the database', async () => {
+    const found = await lookupMetadata(['doi:10.5555/3295222.3295349']);
+
+    expect(found).toEqual({
+      metadata: {
+        title: 'Attention is all you need',
+        authors: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+        venue: 'Proceedings of the 31st International Conference on Neural Information Processing Systems',
+        publishYear: 2017,
+        abstract: 'The dominant sequence transduction models are based on attention.',
+        references: ['doi:10.1162/neco.1997.9.8.1735', 'doi:10.3115/v1/d14-1179'],
+      },
+      fieldSources: {
+        title: 'crossref',
+        authors: 'crossref',
+        venue: 'crossref',
+        publishYear: 'crossref',
+        abstract: 'openalex',
+        references: 'crossref',
+      },
+      aliases: [],
+      sources: ['crossref', 'openalex'],
+    });
+    expect(fixtures.requests).toHaveLength(2);
+    expect(stored.get('crossref:doi:10.5555/3295222.3295349').record.title).toBe('Attention is all you need');
+
+    await lookupMetadata(['doi:10.5555/3295222.3295349']);
+    expect(fixtures.requests).toHaveLength(2);
+    expect(MetadataCache.findOne).toHaveBeenCalledTimes(2); // Only for the first lookup
+
+    resetEnrichmentCache(); // As after a restart
+    expect((await lookupMetadata(['doi:10.5555/3295222.3295349'])).metadata.title).toBe('Attention is all you need');
+    expect(fixtures.requests).toHaveLength(2);
+  });
+
+  it("reads arXiv's Atom feed and learns the arXiv DOI from OpenAlex", async () => {
+    const found = await lookupMetadata(['arxiv:2006.11239']);
+
+    expect(found.sources).toEqual(['arxiv', 'openalex']);
+    expect(found.metadata).toEqual({
+      title: 'Denoising Diffusion Probabilistic Models',
+      authors: ['Jonathan Ho', 'Ajay Jain', 'Pieter Abbeel'],
+      publishYear: 2020,
+      abstract: 'We present high quality image synthesis results using diffusion probabilistic models, a class of latent '
+        + 'variable models inspired by considerations from nonequilibrium thermodynamics & trained on a weighted variational bound.',
+    });
+    expect(found.aliases).toEqual(['doi:10.48550/arxiv.2006.11239']);
+  });
+
+  it('caches misses and does not mistake failing sources for unknown papers', async () => {
+    expect(await lookupMetadata(['arxiv:9912.99999'])).toBeNull();
+    expect(stored.get('arxiv:arxiv:9912.99999')).toEqual(expect.objectContaining({ record: null }));
+    expect(stored.get('openalex:arxiv:9912.99999')).toEqual(expect.objectContaining({ record: null }));
+
+    await expect(lookupMetadata(['doi:10.1000/broken'])).rejects.toMatchObject({ status: 502 });
+    expect(stored.has('crossref:doi:10.1000/broken')).toBe(false);
+  });
+
+  it('looks up metadata by DOI, arXiv ID or URL for the extension', async () => {
+    const res = await request(app)
+      .get(`/api/papers/lookup?id=${encodeURIComponent('https://arxiv.org/abs/2006.11239v2')}`)
+      .set('x-auth-token', 'userToken');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.metadata.title).toBe('Denoising Diffusion Probabilistic Models');
+    expect(res.body.aliases).toEqual(['arxiv:2006.11239', 'doi:10.48550/arxiv.2006.11239']);
+
+    const unsupported = await request(app).get('/api/papers/lookup?id=https://example.com/paper').set('x-auth-token', 'userToken');
+    expect(unsupported.statusCode).toBe(400);
+    const unknown = await request(app).get('/api/papers/lookup?id=arXiv:9912.99999').set('x-auth-token', 'userToken');
+    expect(unknown.statusCode).toBe(404);
+    const failing = await request(app).get('/api/papers/lookup?id=10.1000/broken').set('x-auth-token', 'userToken');
+    expect(failing.statusCode).toBe(502);
+  });
+
+  it('backfills papers, filling missing fields and keeping page metadata unless asked to overwrite, and user edits always', async () => {
+    const attention = {
+      id: 'doi:10.5555/3295222.3295349',
+      aliases: ['doi:10.5555/3295222.3295349'],
+      metadata: { title: 'Attention Is All You Need', authors: [], publishYear: 2017 },
+      save: jest.fn().mockResolvedValue(true),
+    };
+    const diffusion = {
+      id: 'arxiv:2006.11239',
+      aliases: ['arxiv:2006.11239'],
+      metadata: { authors: ['Jonathan Ho'], publishYear: 2020 },
+      save: jest.fn().mockResolvedValue(true),
+    };
+    const broken = {
+      id: 'doi:10.1000/broken',
+      aliases: ['doi:10.1000/broken'],
+      metadata: { title: 'Broken', authors: [], publishYear: 2020 },
+      save: jest.fn().mockResolvedValue(true),
+    };
+    const limit = jest.fn().mockResolvedValue([attention, diffusion, broken]);
+    Paper.find.mockReturnValue({ sort: () => ({ limit }) });
+
+    const job = await runBackfill({});
+
+    expect(job.status).toBe('done');
+    expect(job.finishedAt).toEqual(expect.any(String));
+    expect(job.report).toEqual({
+      checked: 3,
+      enriched: 2,
+      unchanged: 0,
+      notFound: 0,
+      failed: [{ id: 'doi:10.1000/broken', reason: expect.stringMatching(/^Metadata sources failed/) }],
+    });
+    expect(Paper.find).toHaveBeenCalledWith({ aliases: { $regex: /^(doi|arxiv):/ }, enrichedAt: null });
+    expect(limit).toHaveBeenCalledWith(50);
+
+    expect(attention.metadata).toEqual({
+      title: 'Attention Is All You Need', // From the page, kept
+      authors: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+      abstract: 'The dominant sequence transduction models are based on attention.',
+      publishYear: 2017,
+      venue: 'Proceedings of the 31st International Conference on Neural Information Processing Systems',
+      references: ['doi:10.1162/neco.1997.9.8.1735', 'doi:10.3115/v1/d14-1179'],
+    });
+    expect(attention.enrichedAt).toEqual(expect.any(Date));
+    expect(attention.provenance).toEqual({
+      authors: { source: 'crossref', user: null, updatedAt: attention.enrichedAt },
+      abstract: { source: 'openalex', user: null, updatedAt: attention.enrichedAt },
+      venue: { source: 'crossref', user: null, updatedAt: attention.enrichedAt },
+      references: { source: 'crossref', user: null, updatedAt: attention.enrichedAt },
+    });
+    expect(diffusion.metadata.title).toBe('Denoising Diffusion Probabilistic Models');
+    expect(diffusion.metadata.authors).toEqual(['Jonathan Ho']); // From the page, kept
+    expect(diffusion.aliases).toEqual(['arxiv:2006.11239', 'doi:10.48550/arxiv.2006.11239']);
+    expect(broken.save).not.toHaveBeenCalled();
+
+    diffusion.provenance.authors = { source: 'user', user: 'naj' }; // Corrected through PATCH /:id/metadata
+    const overwrite = await runBackfill({ overwrite: true, force: true });
+
+    expect(overwrite.report.enriched).toBe(1);
+    expect(overwrite.report.unchanged).toBe(1);
+    expect(Paper.find).toHaveBeenLastCalledWith({ aliases: { $regex: /^(doi|arxiv):/ } });
+    expect(attention.metadata.title).toBe('Attention is all you need');
+    expect(attention.provenance.title.source).toBe('crossref');
+    expect(diffusion.metadata.authors).toEqual(['Jonathan Ho']); // User-edited, never overwritten
+  });
+
+  it('runs one backfill at a time and answers 404 for unknown jobs', async () => {
+    let finish;
+    Paper.find.mockReturnValue({ sort: () => ({ limit: () => new Promise((resolve) => { finish = resolve; }) }) });
+
+    const first = await request(app).post('/api/admin/enrich').set('x-auth-token', 'adminToken').send({ limit: 5 });
+    const second = await request(app).post('/api/admin/enrich').set('x-auth-token', 'adminToken').send({});
+
+    expect(first.statusCode).toBe(202);
+    expect(first.body.job).toEqual(expect.objectContaining({ status: 'running', report: expect.objectContaining({ checked: 0 }) }));
+    expect(second.statusCode).toBe(409);
+    expect(second.body.job.id).toBe(first.body.job.id);
+
+    finish([]);
+    await new Promise((resolve) => setImmediate(resolve));
+    const done = await request(app).get(`/api/admin/enrich/${first.body.job.id}`).set('x-auth-token', 'adminToken');
+    expect(done.body.job.status).toBe('done');
+
+    const unknown = await request(app).get('/api/admin/enrich/not-a-job').set('x-auth-token', 'adminToken');
+    expect(unknown.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,151 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  Paper.findOneAndUpdate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn((token) => (token === 'mockUserToken' ? { user: { id: 'naj' } } : null)),
+  verifyAdminToken: jest.fn((token) => (token === 'mockAdminToken' ? { admin: { id: 'adminId' } } : null)),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const { subscribe, subscriberCount } = require('../services/events');
+
+describe('Live events', () => {
+  const metadata = {
+    title: 'Test Paper',
+    authors: ['Test Author'],
+    abstract: 'Test Abstract',
+    publishYear: 2023,
+  };
+
+  // A subscriber without a socket: the written events are collected from res.write
+  const fakeSubscriber = () => {
+    const req = new EventEmitter();
+    const res = { writeHead: jest.fn(), write: jest.fn() };
+    subscribe(req, res);
+    const events = () => res.write.mock.calls
+      .map(([chunk]) => chunk.match(/^id: \d+\nevent: (.+)\ndata: (.+)\n\n$/))
+      .filter(Boolean)
+      .map(([, type, data]) => ({ type, data: JSON.parse(data) }));
+    return { req, res, events };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requires a user or admin token', async () => {
+    const res = await request(app).get('/api/events');
+    expect(res.statusCode).toEqual(401);
+
+    const invalid = await request(app).get('/api/events?token=forged');
+    expect(invalid.statusCode).toEqual(401);
+  });
+
+  it('streams events to a subscriber authenticated by query token', async () => {
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    const firstChunk = await new Promise((resolve, reject) => {
+      const req = http.get(`http://127.0.0.1:${port}/api/events?token=mockAdminToken`, (res) => {
+        expect(res.statusCode).toEqual(200);
+        expect(res.headers['content-type']).toEqual('text/event-stream');
+        res.once('data', (chunk) => {
+          req.destroy();
+          resolve(chunk.toString());
+        });
+      });
+      req.on('error', reject);
+    });
+    await new Promise((resolve) => server.close(resolve));
+
+    expect(firstChunk).toEqual('retry: 5000\n\n');
+  });
+
+  it('broadcasts mark-read to every subscriber', async () => {
+    const subscribers = [fakeSubscriber(), fakeSubscriber()];
+    Paper.find.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', metadata, read: { user: 'naj', notes: '' } });
+
+    expect(res.statusCode).toEqual(200);
+    subscribers.forEach(({ events }) => {
+      expect(events()).toEqual([{
+        type: 'mark-read',
+        data: expect.objectContaining({ paperId: 'doi:10.1000/xyz', title: 'Test Paper', actor: 'naj', status: 'read' }),
+      }]);
+    });
+    subscribers.forEach(({ req }) => req.emit('close'));
+  });
+
+  it('broadcasts undo and claim events', async () => {
+    const subscriber = fakeSubscriber();
+    Paper.findOneAndUpdate
+      .mockReturnValueOnce({
+        select: jest.fn().mockResolvedValue({ id: 'doi:10.1000/xyz', aliases: ['doi:10.1000/xyz'], metadata, reads: [] }),
+      })
+      .mockImplementationOnce(async (filter, update) => ({ id: 'doi:10.1000/xyz', aliases: ['doi:10.1000/xyz'], metadata, reads: [], ...update.$set }));
+    Paper.find.mockResolvedValue([{ id: 'doi:10.1000/xyz', metadata, reads: [], claim: null, save: jest.fn() }]);
+
+    await request(app)
+      .delete('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', readEntryId: '64b7f0c2a1b2c3d4e5f60001' });
+    await request(app)
+      .post('/api/papers/claim')
+      .set('x-auth-token', 'mockUserToken')
+      .send({ id: 'doi:10.1000/xyz', days: 3 });
+
+    const [undo, claim] = subscriber.events();
+    expect(undo).toEqual({ type: 'undo', data: expect.objectContaining({ paperId: 'doi:10.1000/xyz', actor: 'naj', readId: '64b7f0c2a1b2c3d4e5f60001' }) });
+    expect(claim.type).toEqual('claim');
+    expect(claim.data.claim.user).toEqual('naj');
+    subscriber.req.emit('close');
+  });
+
+  it('forgets subscribers when they disconnect', () => {
+    const subscriber = fakeSubscriber();
+    expect(subscriberCount()).toEqual(1);
+
+    subscriber.req.emit('close');
+    expect(subscriberCount()).toEqual(0);
+  });
+});
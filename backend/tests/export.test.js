@@ -0,0 +1,241 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => null),
+  verifyAdminToken: jest.fn(() => ({ admin: { id: 'adminId' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const { verifyUserToken } = require('../../shared/auth');
+const { parseBibtex, parseRis } = require('../services/citations');
+
+// An aggregation cursor over the papers; a paper that is an Error makes next() reject
+const mockCursor = (papers) => {
+  const queue = [...papers];
+  const cursor = {
+    next: jest.fn(async () => {
+      const paper = queue.shift();
+      if (paper instanceof Error) {
+        throw paper;
+      }
+      return paper || null;
+    }),
+    close: jest.fn().mockResolvedValue(undefined),
+  };
+  Paper.aggregate.mockReturnValue({ cursor: jest.fn().mockReturnValue(cursor) });
+  return cursor;
+};
+
+const diffusion = {
+  id: 'arxiv:2006.11239',
+  aliases: ['arxiv:2006.11239', 'doi:10.48550/arxiv.2006.11239'],
+  metadata: {
+    title: 'Denoising Diffusion Probabilistic Models',
+    authors: ['Jonathan Ho', 'Pieter Abbeel'],
+    publishYear: 2020,
+  },
+  reads: [{ user: 'naj', timestamp: new Date('2024-01-02T03:04:05Z'), notes: 'Says "simple", is not,\nreally', tags: ['diffusion'] }],
+};
+const diffusionFollowUp = {
+  id: 'doi:10.5555/ddim',
+  aliases: ['doi:10.5555/ddim', 'url:example.com/ddim'],
+  metadata: {
+    title: 'Denoising Diffusion Implicit Models, faster',
+    authors: ['Jiaming Song', 'Jonathan Ho'],
+    abstract: 'Sampling in 50 steps & fewer: 100% of the quality.',
+    publishYear: 2020,
+    venue: 'ICLR',
+  },
+  reads: [],
+};
+
+describe('GET /api/export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('exports CSV by default with RFC 4180 quoting and CRLF line breaks', async () => {
+    const cursor = mockCursor([diffusion, diffusionFollowUp]);
+
+    const res = await request(app).get('/api/export').set('x-auth-token', 'adminToken');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="xjr3-papers.csv"');
+    const lines = res.text.split('\r\n');
+    expect(lines[0]).toBe('ID,Title,Authors,Abstract,Publish Year,Venue,DOI,URL,Reads Count,Readers,'
+      + 'Latest Read Time (UTC),Latest Read Notes,Latest Read Rating,Latest Read Tags');
+    expect(lines[1]).toBe('arxiv:2006.11239,Denoising Diffusion Probabilistic Models,Jonathan Ho; Pieter Abbeel,'
+      + ',2020,,10.48550/arxiv.2006.11239,https://doi.org/10.48550/arxiv.2006.11239,1,naj,'
+      + '2024-01-02T03:04:05.000Z,"Says ""simple"", is not,\nreally",,diffusion');
+    expect(lines[2]).toBe('doi:10.5555/ddim,"Denoising Diffusion Implicit Models, faster",Jiaming Song; Jonathan Ho,'
+      + 'Sampling in 50 steps & fewer: 100% of the quality.,2020,ICLR,10.5555/ddim,https://example.com/ddim,0,,,,,');
+    expect(lines[3]).toBe('');
+    expect(cursor.close).toHaveBeenCalled();
+  });
+
+  it('reports only finished reads in CSV, latest by timestamp', async () => {
+    mockCursor([{
+      ...diffusionFollowUp,
+      reads: [
+        { user: 'tam', timestamp: new Date('2024-03-01T00:00:00Z'), status: 'read', notes: 'Latest', rating: 4, tags: [] },
+        { user: 'naj', timestamp: new Date('2024-01-01T00:00:00Z'), notes: 'Before statuses' },
+        { user: 'lee', timestamp: new Date('2024-04-01T00:00:00Z'), status: 'want-to-read', notes: 'Later' },
+        { user: 'ana', timestamp: new Date('2024-02-01T00:00:00Z'), status: 'skimmed', notes: 'Earlier' },
+      ],
+    }]);
+
+    const res = await request(app).get('/api/export').set('x-auth-token', 'adminToken');
+
+    const [, row] = res.text.split('\r\n');
+    expect(row).toMatch(/,3,tam; naj; ana,2024-03-01T00:00:00\.000Z,Latest,4,$/);
+  });
+
+  it('exports BibTeX with unique citation keys that read back as the same papers', async () => {
+    mockCursor([diffusion, { ...diffusion, id: 'arxiv:2006.11239v2', aliases: [] }]);
+
+    const res = await request(app).get('/api/export?format=bibtex').set('x-auth-token', 'adminToken');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="xjr3-papers.bib"');
+    expect(res.text).toContain('@misc{ho2020denoising,');
+    expect(res.text).toContain('@misc{ho2020denoisinga,');
+    expect(res.text).toContain('  author = {Ho, Jonathan and Abbeel, Pieter},');
+    expect(res.text).toContain('  title = {{Denoising Diffusion Probabilistic Models}},');
+    expect(res.text).not.toContain('abstract =');
+
+    const [record] = parseBibtex(res.text);
+    expect(record).toMatchObject({
+      key: 'ho2020denoising',
+      title: 'Denoising Diffusion Probabilistic Models',
+      authors: ['Jonathan Ho', 'Pieter Abbeel'],
+      publishYear: 2020,
+      tags: ['diffusion'],
+    });
+    expect(record.identifiers).toEqual(expect.arrayContaining(['doi:10.48550/arxiv.2006.11239', 'arxiv:2006.11239']));
+  });
+
+  it('exports RIS and escapes BibTeX special characters', async () => {
+    mockCursor([diffusionFollowUp]);
+    const ris = await request(app).get('/api/export?format=ris').set('x-auth-token', 'adminToken');
+
+    expect(ris.statusCode).toBe(200);
+    expect(ris.text).toMatch(/^TY {2}- JOUR\r\n/);
+    expect(parseRis(ris.text)[0]).toMatchObject({
+      title: 'Denoising Diffusion Implicit Models, faster',
+      authors: ['Jiaming Song', 'Jonathan Ho'],
+      venue: 'ICLR',
+      publishYear: 2020,
+    });
+
+    mockCursor([diffusionFollowUp]);
+    const bibtex = await request(app).get('/api/export?format=bibtex').set('x-auth-token', 'adminToken');
+
+    expect(bibtex.text).toContain('@article{song2020denoising,');
+    expect(bibtex.text).toContain('  journal = {ICLR},');
+    expect(bibtex.text).toContain('  abstract = {Sampling in 50 steps \\& fewer: 100\\% of the quality.},');
+  });
+
+  it('exports CSL-JSON as one array and JSON Lines as one paper per line, even when empty', async () => {
+    mockCursor([diffusion, diffusionFollowUp]);
+    const csl = await request(app).get('/api/export?format=csl-json').set('x-auth-token', 'adminToken');
+
+    expect(csl.statusCode).toBe(200);
+    const items = JSON.parse(csl.text);
+    expect(items).toHaveLength(2);
+    expect(items[1]).toMatchObject({
+      id: 'doi:10.5555/ddim',
+      type: 'article-journal',
+      author: [{ family: 'Song', given: 'Jiaming' }, { family: 'Ho', given: 'Jonathan' }],
+      issued: { 'date-parts': [[2020]] },
+      'container-title': 'ICLR',
+      DOI: '10.5555/ddim',
+    });
+
+    mockCursor([]);
+    const empty = await request(app).get('/api/export?format=csl-json').set('x-auth-token', 'adminToken');
+    expect(JSON.parse(empty.text)).toEqual([]);
+
+    mockCursor([diffusion, diffusionFollowUp]);
+    const jsonl = await request(app).get('/api/export?format=jsonl').set('x-auth-token', 'adminToken');
+    const lines = jsonl.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((paper) => paper.id)).toEqual(['arxiv:2006.11239', 'doi:10.5555/ddim']);
+  });
+
+  it('filters with the search parameters and validates them', async () => {
+    mockCursor([]);
+    verifyUserToken.mockReturnValueOnce({ user: { id: 'naj' } });
+
+    const res = await request(app)
+      .get('/api/export?format=bibtex&keyword=diffusion&yearFrom=2019&tags=diffusion&notReadByMe=true&sort=year')
+      .set('x-auth-token', 'userToken');
+
+    expect(res.statusCode).toBe(200);
+    const pipeline = Paper.aggregate.mock.calls[0][0];
+    const { $match } = pipeline[0];
+    expect($match.$text).toEqual({ $search: 'diffusion' });
+    expect($match['metadata.publishYear']).toEqual({ $gte: 2019 });
+    expect($match['reads.tags']).toEqual({ $all: ['diffusion'] });
+    expect(pipeline[pipeline.length - 1].$project).toMatchObject({ id: 1, aliases: 1, metadata: 1, reads: 1 });
+    expect(pipeline.some((stage) => stage.$facet || stage.$skip || stage.$limit)).toBe(false);
+
+    const noUser = await request(app).get('/api/export?notReadByMe=true').set('x-auth-token', 'adminToken');
+    expect(noUser.statusCode).toBe(400);
+    const badFormat = await request(app).get('/api/export?format=docx').set('x-auth-token', 'adminToken');
+    expect(badFormat.statusCode).toBe(400);
+    const noToken = await request(app).get('/api/export');
+    expect(noToken.statusCode).toBe(401);
+  });
+
+  it('answers 500 when the export fails before the first paper, and cuts the download short after', async () => {
+    const failing = mockCursor([new Error('Database down')]);
+    const res = await request(app).get('/api/export').set('x-auth-token', 'adminToken');
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ message: 'Server error' });
+    expect(failing.close).toHaveBeenCalled();
+
+    const interrupted = mockCursor([diffusion, new Error('Cursor lost')]);
+    await expect(request(app).get('/api/export').set('x-auth-token', 'adminToken')).rejects.toThrow();
+    expect(interrupted.close).toHaveBeenCalled();
+  });
+});
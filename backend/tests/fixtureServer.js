@@ -0,0 +1,41 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// A local HTTP server answering GET requests with recorded responses, so code calling external APIs can be
+// tested offline. routes maps a request path and query (as sent, still URL-encoded) to a file under
+// tests/fixtures, or to a status code to answer with; anything else gets 404. Every request is recorded.
+const startFixtureServer = (routes) => new Promise((resolve) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const route = routes[req.url];
+    if (typeof route === 'number') {
+      res.writeHead(route, { 'Content-Type': 'text/plain' });
+      return res.end('Fixture error');
+    }
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Resource not found.');
+    }
+    const contentType = route.endsWith('.xml') ? 'application/atom+xml' : 'application/json';
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(fs.readFileSync(path.join(FIXTURES_DIR, route)));
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise((done) => {
+        server.close(done);
+        server.closeAllConnections(); // fetch keeps connections alive
+      }),
+    });
+  });
+});
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,121 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+
+describe('Highlights', () => {
+  const metadata = {
+    title: 'Test Paper',
+    authors: ['Test Author'],
+    abstract: 'Test Abstract',
+    publishYear: 2023,
+  };
+  const highlight = { quote: 'we propose', prefix: 'In this paper ', suffix: ' a new model', position: { start: 120, end: 130 } };
+  const paperWithReads = (reads) => ({
+    id: 'doi:10.1000/xyz',
+    metadata,
+    reads,
+    save: jest.fn().mockResolvedValue(true),
+  });
+  const postHighlight = (body) => request(app)
+    .post(`/api/papers/${encodeURIComponent('doi:10.1000/xyz')}/highlights`)
+    .set('x-auth-token', 'mockUserToken')
+    .send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.find.mockResolvedValue([]);
+  });
+
+  describe('POST /api/papers/:id/highlights', () => {
+    it("should add the highlight to the user's latest read entry", async () => {
+      const paper = paperWithReads([
+        { _id: 'r1', user: 'naj', timestamp: new Date('2025-09-01'), status: 'read', highlights: [] },
+        { _id: 'r2', user: 'naj', timestamp: new Date('2025-09-20'), status: 'reading', highlights: [] },
+        { _id: 'r3', user: 'tam', timestamp: new Date('2025-09-25'), status: 'read', highlights: [] },
+      ]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await postHighlight({ highlight });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.readId).toEqual('r2');
+      expect(paper.reads[1].highlights).toEqual([{ ...highlight, comment: '' }]);
+      expect(paper.reads[0].highlights).toEqual([]);
+      expect(paper.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should start a reading entry for a paper the user has not tracked', async () => {
+      const res = await postHighlight({ highlight, metadata });
+
+      expect(res.statusCode).toEqual(201);
+      expect(Paper).toHaveBeenCalledWith(expect.objectContaining({ id: 'doi:10.1000/xyz', metadata }));
+      expect(Paper.mock.instances[0].reads).toEqual([expect.objectContaining({
+        user: 'naj',
+        status: 'reading',
+        highlights: [expect.objectContaining({ quote: 'we propose' })],
+      })]);
+    });
+
+    it('should return 404 for an untracked paper without metadata', async () => {
+      const res = await postHighlight({ highlight });
+
+      expect(res.statusCode).toEqual(404);
+      expect(Paper).not.toHaveBeenCalled();
+    });
+
+    it('should store a repeated highlight once', async () => {
+      const paper = paperWithReads([{ _id: 'r1', user: 'naj', timestamp: new Date(), status: 'reading', highlights: [{ ...highlight }] }]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await postHighlight({ highlight });
+
+      expect(res.statusCode).toEqual(200);
+      expect(paper.reads[0].highlights.length).toBe(1);
+      expect(paper.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for a position that ends before it starts', async () => {
+      const res = await postHighlight({ highlight: { ...highlight, position: { start: 10, end: 5 } } });
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+});
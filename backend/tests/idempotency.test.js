@@ -0,0 +1,255 @@
+const request = require('supertest');
+
+// Mock the Paper and IdempotencyKey models as constructors with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.findOneAndUpdate = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/idempotencyKey', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+describe('Idempotency keys', () => {
+  const metadata = { title: 'AI Paper', authors: ['Doe'], abstract: 'Abstract', publishYear: 2023 };
+  const markRead = { id: 'doi:10.1000/xyz', metadata, read: { user: 'naj', notes: 'Key points' } };
+  const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  // The fingerprint stored by the first attempt, captured from IdempotencyKey.create
+  const storedFingerprint = async (path, body) => {
+    IdempotencyKey.create.mockResolvedValueOnce({});
+    Paper.find.mockResolvedValueOnce([]);
+    await request(app).post(path).set('x-auth-token', 'mockUserToken').set('Idempotency-Key', 'probe').send(body);
+    return IdempotencyKey.create.mock.calls[IdempotencyKey.create.mock.calls.length - 1][0].fingerprint;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    IdempotencyKey.deleteOne.mockResolvedValue({});
+  });
+
+  it('handles requests without a key as before', async () => {
+    Paper.find.mockResolvedValue([]);
+
+    const res = await request(app).post('/api/papers/mark-read').set('x-auth-token', 'mockUserToken').send(markRead);
+
+    expect(res.statusCode).toEqual(200);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('stores the first response for the key', async () => {
+    IdempotencyKey.create.mockResolvedValue({});
+    Paper.find.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(200);
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'key-1',
+      user: 'naj',
+      method: 'POST',
+      path: '/api/papers/mark-read',
+    }));
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { user: 'naj', key: 'key-1' },
+      { status: 200, response: expect.objectContaining({ message: 'Paper marked as read successfully' }) },
+    );
+  });
+
+  it('replays the stored response instead of adding a second read', async () => {
+    const fingerprint = await storedFingerprint('/api/papers/mark-read', markRead);
+    jest.clearAllMocks();
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({ fingerprint, status: 200, response: { message: 'Paper marked as read successfully' } });
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(res.body.message).toBe('Paper marked as read successfully');
+    expect(IdempotencyKey.findOne).toHaveBeenCalledWith({ user: 'naj', key: 'key-1' });
+    expect(Paper.find).not.toHaveBeenCalled();
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({ fingerprint: 'other', status: 200, response: {} });
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(422);
+    expect(Paper.find).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 while the first request is still being handled', async () => {
+    const fingerprint = await storedFingerprint('/api/papers/mark-read', markRead);
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({ fingerprint, status: null, response: null, createdAt: new Date(Date.now() - 5000) });
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.conflict).toBe('in-progress');
+    expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+  });
+
+  it('takes over a key abandoned by a request that never answered', async () => {
+    const fingerprint = await storedFingerprint('/api/papers/mark-read', markRead);
+    jest.clearAllMocks();
+    const createdAt = new Date(Date.now() - 2 * 60 * 1000);
+    IdempotencyKey.create.mockRejectedValueOnce(duplicateKeyError).mockResolvedValueOnce({});
+    IdempotencyKey.findOne.mockResolvedValue({ fingerprint, status: null, response: null, createdAt });
+    IdempotencyKey.deleteOne.mockResolvedValue({ deletedCount: 1 });
+    IdempotencyKey.updateOne.mockResolvedValue({});
+    Paper.find.mockResolvedValue([]);
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(200);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ user: 'naj', key: 'key-1', status: null, createdAt });
+    expect(IdempotencyKey.create).toHaveBeenCalledTimes(2);
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith({ user: 'naj', key: 'key-1' }, expect.objectContaining({ status: 200 }));
+  });
+
+  it('answers 409 when another retry took over the abandoned key first', async () => {
+    const fingerprint = await storedFingerprint('/api/papers/mark-read', markRead);
+    jest.clearAllMocks();
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({ fingerprint, status: null, response: null, createdAt: new Date(Date.now() - 2 * 60 * 1000) });
+    IdempotencyKey.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.conflict).toBe('in-progress');
+    expect(Paper.find).not.toHaveBeenCalled();
+  });
+
+  it('forgets the key after a server error so the request can be retried', async () => {
+    IdempotencyKey.create.mockResolvedValue({});
+    Paper.find.mockRejectedValue(new Error('Database down'));
+
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'key-1')
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(500);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ user: 'naj', key: 'key-1' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('replays a removed read instead of answering 404', async () => {
+    IdempotencyKey.create.mockResolvedValueOnce({});
+    Paper.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ id: 'doi:10.1000/xyz', aliases: [], metadata, reads: [] }) });
+    const first = await request(app)
+      .delete('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'undo-1')
+      .send({ id: 'doi:10.1000/xyz', readEntryId: '64b7f0c2a1b2c3d4e5f60001' });
+    const { fingerprint } = IdempotencyKey.create.mock.calls[0][0];
+    const stored = IdempotencyKey.updateOne.mock.calls[0][1];
+
+    IdempotencyKey.create.mockRejectedValue(duplicateKeyError);
+    IdempotencyKey.findOne.mockResolvedValue({ fingerprint, ...stored });
+    Paper.findOneAndUpdate.mockClear();
+    const retry = await request(app)
+      .delete('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'undo-1')
+      .send({ id: 'doi:10.1000/xyz', readEntryId: '64b7f0c2a1b2c3d4e5f60001' });
+
+    expect(first.statusCode).toEqual(200);
+    expect(retry.statusCode).toEqual(200);
+    expect(retry.body.message).toBe('Read entry removed successfully');
+    expect(Paper.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects an over-long key', async () => {
+    const res = await request(app)
+      .post('/api/papers/mark-read')
+      .set('x-auth-token', 'mockUserToken')
+      .set('Idempotency-Key', 'k'.repeat(201))
+      .send(markRead);
+
+    expect(res.statusCode).toEqual(400);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('marks duplicate-read conflicts so clients can tell them apart', async () => {
+    const config = require('../../shared/config');
+    const previous = config.preventDuplicateReads;
+    config.preventDuplicateReads = true;
+    Paper.find.mockResolvedValue([{ id: 'doi:10.1000/xyz', aliases: [], metadata, reads: [{ user: 'naj', notes: 'Key points' }] }]);
+
+    const res = await request(app).post('/api/papers/mark-read').set('x-auth-token', 'mockUserToken').send(markRead);
+    config.preventDuplicateReads = previous;
+
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.conflict).toBe('duplicate-read');
+  });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/user', () => ({
+  findOne: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyAdminToken: jest.fn(() => ({ admin: { id: 'adminId' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const User = require('../models/user');
+
+describe('POST /api/admin/import', () => {
+  const bibtex = `
+@inproceedings{ho2020,
+  title = {Denoising Diffusion Probabilistic Models},
+  author = {Ho, Jonathan and Abbeel, Pieter},
+  year = {2020},
+  eprint = {2006.11239}, archivePrefix = {arXiv},
+  urldate = {2023-03-05},
+  keywords = {Diffusion},
+}
+@article{attention,
+  title = {Attention Is All You Need},
+  author = {Vaswani, Ashish},
+  year = {2017},
+  doi = {10.5555/3295222.3295349},
+}
+@misc{ho2020again,
+  title = {Denoising Diffusion Probabilistic Models (arXiv)},
+  year = {2020},
+  url = {https://arxiv.org/abs/2006.11239v2},
+}
+@misc{notes,
+  title = {Meeting notes},
+  year = {2021},
+}
+`;
+  let tracked;
+
+  // Paper.find matching the id/aliases query against the tracked papers, awaited directly or through .select().lean()
+  const mockTrackedPapers = () => {
+    Paper.find.mockImplementation((query) => {
+      const keys = new Set([...query.$or[0].id.$in, ...query.$or[1].aliases.$in]);
+      const matches = tracked.filter((paper) => [paper.id, ...paper.aliases].some((key) => keys.has(key)));
+      const result = Promise.resolve(matches);
+      result.select = () => ({ lean: () => Promise.resolve(matches) });
+      return result;
+    });
+  };
+
+  const postImport = (body) => request(app).post('/api/admin/import').set('x-auth-token', 'adminToken').send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tracked = [{
+      id: 'doi:10.5555/3295222.3295349',
+      aliases: ['doi:10.5555/3295222.3295349'],
+      metadata: { title: 'Attention Is All You Need', authors: ['Ashish Vaswani'], abstract: 'Transformers.', publishYear: 2017 },
+      reads: [],
+      save: jest.fn().mockResolvedValue(true),
+    }];
+    mockTrackedPapers();
+    User.findOne.mockResolvedValue({ username: 'naj' });
+  });
+
+  it('should report what each entry would do without writing anything', async () => {
+    const response = await postImport({ content: bibtex, user: 'NAJ' });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({
+      dryRun: true,
+      format: 'bibtex',
+      user: 'naj',
+      counts: { total: 4, create: 1, 'add-read': 1, exists: 0, duplicate: 1, invalid: 1, failed: 0 },
+      entries: [
+        { index: 0, key: 'ho2020', title: 'Denoising Diffusion Probabilistic Models', paperId: 'arxiv:2006.11239', action: 'create', reason: null },
+        { index: 1, key: 'attention', title: 'Attention Is All You Need', paperId: 'doi:10.5555/3295222.3295349', action: 'add-read', reason: null },
+        { index: 2, key: 'ho2020again', title: 'Denoising Diffusion Probabilistic Models (arXiv)', paperId: 'arxiv:2006.11239', action: 'duplicate', reason: 'Same paper as entry 1' },
+        { index: 3, key: 'notes', title: 'Meeting notes', paperId: null, action: 'invalid', reason: 'No DOI, arXiv ID, PMID, ISBN or URL to identify the paper by' },
+      ],
+    });
+    expect(User.findOne).toHaveBeenCalledWith({ username: 'naj' });
+    expect(Paper).not.toHaveBeenCalled();
+    expect(tracked[0].save).not.toHaveBeenCalled();
+  });
+
+  it('should create papers and attribute reads to the user when committed', async () => {
+    const response = await postImport({ content: bibtex, user: 'naj', dryRun: false });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.dryRun).toBe(false);
+    expect(response.body.counts).toEqual(expect.objectContaining({ create: 1, 'add-read': 1 }));
+
+    const created = Paper.mock.instances[0];
+    expect(created.id).toBe('arxiv:2006.11239');
+    expect(created.metadata).toEqual({
+      title: 'Denoising Diffusion Probabilistic Models',
+      authors: ['Jonathan Ho', 'Pieter Abbeel'],
+      publishYear: 2020, // No abstract in the entry, so none is stored
+    });
+    expect(created.reads).toEqual([expect.objectContaining({
+      user: 'naj',
+      timestamp: new Date('2023-03-05T00:00:00Z'),
+      status: 'read',
+      tags: ['diffusion'],
+    })]);
+    expect(created.save).toHaveBeenCalled();
+
+    expect(tracked[0].reads).toEqual([expect.objectContaining({ user: 'naj', status: 'read' })]);
+    expect(tracked[0].save).toHaveBeenCalled();
+  });
+
+  it('should import entries without a year or abstract, leaving those fields out', async () => {
+    const response = await postImport({ content: '@misc{draft, title = {A Draft}, doi = {10.1000/draft}}', dryRun: false });
+
+    expect(response.body.entries).toEqual([expect.objectContaining({ key: 'draft', action: 'create', reason: null })]);
+    expect(Paper.mock.instances[0].metadata).toEqual({ title: 'A Draft', authors: [] });
+
+    const ancient = await postImport({ content: '@misc{old, title = {Old}, year = {1687}, doi = {10.1000/old}}' });
+    expect(ancient.body.entries[0]).toEqual(expect.objectContaining({ action: 'invalid', reason: 'Invalid year' }));
+  });
+
+  it('should not add a second read for a user who already read the paper', async () => {
+    tracked[0].reads = [{ user: 'naj', status: 'read' }];
+
+    const response = await postImport({ content: bibtex, user: 'naj', dryRun: false });
+
+    expect(response.body.entries[1]).toEqual(expect.objectContaining({ action: 'exists', reason: 'Already read by naj' }));
+    expect(tracked[0].save).not.toHaveBeenCalled();
+  });
+
+  it('should import papers without reads when no user is chosen', async () => {
+    const response = await postImport({ content: bibtex, dryRun: false });
+
+    expect(response.body.counts).toEqual(expect.objectContaining({ create: 1, 'add-read': 0, exists: 1 }));
+    expect(Paper.mock.instances[0].reads).toEqual([]);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown users and files it cannot read', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    expect((await postImport({ content: bibtex, user: 'nobody' })).body.message).toBe('User nobody does not exist.');
+    expect((await postImport({ content: 'Just some notes' })).statusCode).toBe(400);
+    expect((await postImport({ content: '[]' })).body.message).toBe('No entries found in the file.');
+    expect((await postImport({ content: bibtex, format: 'endnote' })).statusCode).toBe(400);
+  });
+
+  it('should accept files larger than the default body limit', async () => {
+    const entry = (n) => `@misc{e${n}, title = {Paper ${n}}, year = {2020}, url = {https://example.org/${n}}, abstract = {${'x'.repeat(200)}}}\n`;
+    const content = Array.from({ length: 600 }, (_, n) => entry(n)).join('');
+
+    const response = await postImport({ content });
+
+    expect(content.length).toBeGreaterThan(100 * 1024);
+    expect(response.statusCode).toBe(200);
+    expect(response.body.counts.create).toBe(600);
+  });
+});
@@ -0,0 +1,177 @@
+const {
+  normalizeDoi,
+  normalizeArxivId,
+  normalizePmid,
+  normalizeIsbn,
+  normalizeUrl,
+  identifiersFor,
+  canonicalId,
+} = require('../../shared/identifiers');
+
+jest.mock('../models/paper', () => ({
+  find: jest.fn(),
+  deleteMany: jest.fn(),
+}));
+
+const Paper = require('../models/paper');
+const { resolvePaper, mergePapers, collectAliases } = require('../services/paperIdentity');
+
+describe('Identifier normalization', () => {
+  it('should normalize DOIs from bare values, prefixes and URLs', () => {
+    expect(normalizeDoi('10.1000/XYZ.123')).toEqual('10.1000/xyz.123');
+    expect(normalizeDoi('doi:10.1000/xyz')).toEqual('10.1000/xyz');
+    expect(normalizeDoi('https://doi.org/10.1000/xyz')).toEqual('10.1000/xyz');
+    expect(normalizeDoi('https://dl.acm.org/doi/pdf/10.1145/3368089.3409741')).toEqual('10.1145/3368089.3409741');
+    expect(normalizeDoi('https://link.springer.com/content/pdf/10.1007/s10994-021-05946-3.pdf')).toEqual('10.1007/s10994-021-05946-3');
+    expect(normalizeDoi('https://example.org/paper')).toBeNull();
+  });
+
+  it('should normalize arXiv IDs and strip versions', () => {
+    expect(normalizeArxivId('2101.00001v3')).toEqual('2101.00001');
+    expect(normalizeArxivId('arXiv:2101.00001')).toEqual('2101.00001');
+    expect(normalizeArxivId('https://arxiv.org/abs/2101.00001v2')).toEqual('2101.00001');
+    expect(normalizeArxivId('https://arxiv.org/pdf/2101.00001v2.pdf')).toEqual('2101.00001');
+    expect(normalizeArxivId('https://arxiv.org/abs/hep-th/9901001v1')).toEqual('hep-th/9901001');
+    expect(normalizeArxivId('https://example.org/2101.00001')).toBeNull();
+  });
+
+  it('should normalize PubMed IDs', () => {
+    expect(normalizePmid('PMID: 12345678')).toEqual('12345678');
+    expect(normalizePmid('https://pubmed.ncbi.nlm.nih.gov/12345678/')).toEqual('12345678');
+    expect(normalizePmid('https://www.ncbi.nlm.nih.gov/pubmed/12345678')).toEqual('12345678');
+  });
+
+  it('should normalize ISBN-10 and ISBN-13 to ISBN-13 and reject bad checksums', () => {
+    expect(normalizeIsbn('0-262-03384-4')).toEqual('9780262033848');
+    expect(normalizeIsbn('ISBN 978-0-262-03384-8')).toEqual('9780262033848');
+    expect(normalizeIsbn('978-0-262-03384-9')).toBeNull();
+  });
+
+  it('should normalize URLs', () => {
+    expect(normalizeUrl('https://www.Example.org/paper/?utm_source=x&b=2&a=1#section'))
+      .toEqual('example.org/paper?a=1&b=2');
+    expect(normalizeUrl('http://example.org/paper')).toEqual(normalizeUrl('https://example.org/paper/'));
+    expect(normalizeUrl('not a url')).toBeNull();
+  });
+
+  it('should resolve every form of the same arXiv paper to a shared alias', () => {
+    const forms = [
+      'https://arxiv.org/abs/2101.00001v1',
+      'https://arxiv.org/pdf/2101.00001v2.pdf',
+      'arXiv:2101.00001',
+      '10.48550/arXiv.2101.00001',
+    ];
+    forms.forEach((form) => expect(identifiersFor(form)).toContain('arxiv:2101.00001'));
+  });
+
+  it('should keep unrecognized ids as opaque aliases', () => {
+    expect(identifiersFor('testPaperId')).toEqual(['testPaperId']);
+    expect(identifiersFor('')).toEqual([]);
+  });
+
+  it('should be idempotent on normalized aliases', () => {
+    ['doi:10.1000/xyz', 'arxiv:2101.00001', 'pmid:123', 'isbn:9780262033848', 'url:example.org/paper']
+      .forEach((alias) => expect(identifiersFor(alias)).toEqual([alias]));
+  });
+
+  it('should prefer DOIs, then arXiv IDs, then URLs as the primary id', () => {
+    expect(canonicalId(['url:example.org/a', 'arxiv:2101.00001', 'doi:10.1000/xyz'])).toEqual('doi:10.1000/xyz');
+    expect(canonicalId(['url:example.org/a', 'arxiv:2101.00001'])).toEqual('arxiv:2101.00001');
+    expect(canonicalId([])).toBeNull();
+  });
+});
+
+describe('Paper identity resolution', () => {
+  const makePaper = (overrides) => ({
+    metadata: { title: 'Paper', authors: [], abstract: null, publishYear: null },
+    aliases: [],
+    reads: [],
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.find.mockResolvedValue([]);
+    Paper.deleteMany.mockResolvedValue({});
+  });
+
+  it('should collect aliases from the id and extra identifiers', () => {
+    expect(collectAliases('https://arxiv.org/abs/2101.00001v2', ['10.1000/XYZ'])).toEqual([
+      'arxiv:2101.00001',
+      'url:arxiv.org/abs/2101.00001v2',
+      'doi:10.1000/xyz',
+    ]);
+  });
+
+  it('should look papers up by raw id and by alias', async () => {
+    const { paper, aliases } = await resolvePaper('arXiv:2101.00001');
+
+    expect(paper).toBeNull();
+    expect(aliases).toEqual(['arxiv:2101.00001']);
+    expect(Paper.find).toHaveBeenCalledWith({
+      $or: [
+        { id: { $in: ['arXiv:2101.00001', 'arxiv:2101.00001'] } },
+        { aliases: { $in: ['arxiv:2101.00001'] } },
+      ],
+    });
+  });
+
+  it('should merge papers that share an identifier into the most canonical one', async () => {
+    const urlPaper = makePaper({
+      _id: '000000000000000000000001',
+      id: 'https://arxiv.org/abs/2101.00001',
+      metadata: { title: 'From URL', authors: ['A. Author'], abstract: 'Abstract', publishYear: 2021 },
+      reads: [{ _id: 'r1', user: 'naj' }],
+    });
+    const doiPaper = makePaper({
+      _id: '000000000000000000000002',
+      id: 'doi:10.48550/arxiv.2101.00001',
+      aliases: ['doi:10.48550/arxiv.2101.00001', 'arxiv:2101.00001'],
+      reads: [{ _id: 'r2', user: 'tam' }],
+    });
+    Paper.find.mockResolvedValueOnce([urlPaper, doiPaper]);
+
+    const { paper } = await resolvePaper('2101.00001v2');
+
+    expect(paper).toBe(doiPaper);
+    expect(paper.reads.map((read) => read._id)).toEqual(['r2', 'r1']);
+    expect(paper.aliases).toEqual(expect.arrayContaining(['arxiv:2101.00001', 'url:arxiv.org/abs/2101.00001']));
+    expect(paper.metadata.abstract).toEqual('Abstract');
+    expect(paper.metadata.title).toEqual('Paper'); // Existing values are kept
+    expect(paper.mergedPapers).toEqual([{ id: 'https://arxiv.org/abs/2101.00001' }]); // Tombstone for synced clients
+    expect(doiPaper.save).toHaveBeenCalledTimes(1);
+    expect(Paper.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['000000000000000000000001'] } });
+  });
+
+  it('should not duplicate reads already present on the target', async () => {
+    const target = makePaper({ _id: 'a', id: 'doi:10.1/x', reads: [{ _id: 'r1', user: 'naj' }] });
+    const duplicate = makePaper({ _id: 'b', id: 'url:example.org/x', reads: [{ _id: 'r1', user: 'naj' }] });
+
+    const merged = await mergePapers([duplicate, target]);
+
+    expect(merged).toBe(target);
+    expect(merged.reads.length).toBe(1);
+  });
+
+  it('should carry the provenance of folded fields and the edit history of both papers', async () => {
+    const target = makePaper({
+      _id: 'a',
+      id: 'doi:10.1/x',
+      metadataHistory: [{ user: 'tam', editedAt: new Date('2025-02-01T00:00:00Z'), changes: [] }],
+    });
+    const duplicate = makePaper({
+      _id: 'b',
+      id: 'url:example.org/x',
+      metadata: { title: 'Paper', authors: [], abstract: 'Corrected abstract', publishYear: null },
+      provenance: { abstract: { source: 'user', user: 'naj' } },
+      metadataHistory: [{ user: 'naj', editedAt: new Date('2025-01-01T00:00:00Z'), changes: [] }],
+    });
+
+    const merged = await mergePapers([duplicate, target]);
+
+    expect(merged.metadata.abstract).toEqual('Corrected abstract');
+    expect(merged.provenance).toEqual({ abstract: { source: 'user', user: 'naj' } });
+    expect(merged.metadataHistory.map((edit) => edit.user)).toEqual(['naj', 'tam']);
+  });
+});
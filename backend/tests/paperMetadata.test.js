@@ -0,0 +1,205 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn((token) => (token === 'mockUserToken' ? { user: { id: 'naj' } } : null)),
+  verifyAdminToken: jest.fn((token) => (token === 'mockAdminToken' ? { admin: { id: 'adminId' } } : null)),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+
+describe('Paper metadata', () => {
+  const trackedPaper = (fields = {}) => ({
+    id: 'arxiv:2006.11239',
+    aliases: ['arxiv:2006.11239'],
+    metadata: { title: 'Denoising Diffusion Probabilistc Models', authors: ['Jonathan Ho'], publishYear: null },
+    provenance: { title: { source: 'page', user: 'naj' }, authors: { source: 'page', user: 'naj' } },
+    reads: [],
+    save: jest.fn().mockResolvedValue(true),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.find.mockResolvedValue([]);
+  });
+
+  describe('POST /api/papers/mark-read', () => {
+    it('should track a paper whose page shows no abstract or year, recording where each field came from', async () => {
+      const metadata = { title: 'A Preprint', authors: ['Ada Lovelace'], publishYear: null };
+
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'https://example.com/preprint', metadata, read: { user: 'naj' } });
+
+      expect(res.statusCode).toEqual(200);
+      const created = Paper.mock.instances[0];
+      expect(created.metadata).toEqual(metadata);
+      expect(created.provenance).toEqual({
+        title: { source: 'page', user: 'naj', updatedAt: expect.any(Date) },
+        authors: { source: 'page', user: 'naj', updatedAt: expect.any(Date) },
+      });
+    });
+
+    it('should track a paper whose page shows no title, leaving it for enrichment', async () => {
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'arxiv:2006.11239', metadata: { authors: [], publishYear: null }, read: { user: 'naj' } });
+
+      expect(res.statusCode).toEqual(200);
+      const created = Paper.mock.instances[0];
+      expect(created.metadata).toEqual({ authors: [], publishYear: null });
+      expect(created.provenance).toEqual({});
+    });
+
+    it('should return 400 for a malformed DOI', async () => {
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'testPaperId', metadata: { title: 'Paper', doi: 'not a doi' }, read: { user: 'naj' } });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain('"doi" must be a DOI');
+    });
+  });
+
+  describe('PATCH /api/papers/:id/metadata', () => {
+    it('should correct the fields sent, keep the edit history and mark them user-edited', async () => {
+      const paper = trackedPaper();
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await request(app)
+        .patch(`/api/papers/${encodeURIComponent('arxiv:2006.11239')}/metadata`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({
+          title: 'Denoising Diffusion Probabilistic Models',
+          publishYear: 2020,
+          doi: 'https://doi.org/10.48550/arXiv.2006.11239',
+          keywords: ['Diffusion', 'generative models'],
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.changes).toEqual([
+        { field: 'title', from: 'Denoising Diffusion Probabilistc Models', to: 'Denoising Diffusion Probabilistic Models' },
+        { field: 'publishYear', from: null, to: 2020 },
+        { field: 'doi', from: null, to: '10.48550/arxiv.2006.11239' },
+        { field: 'keywords', from: null, to: ['diffusion', 'generative models'] },
+      ]);
+      expect(paper.metadata).toEqual({
+        title: 'Denoising Diffusion Probabilistic Models',
+        authors: ['Jonathan Ho'],
+        publishYear: 2020,
+        doi: '10.48550/arxiv.2006.11239',
+        keywords: ['diffusion', 'generative models'],
+      });
+      expect(paper.provenance.title).toEqual({ source: 'user', user: 'naj', updatedAt: expect.any(Date) });
+      expect(paper.provenance.authors).toEqual({ source: 'page', user: 'naj' }); // Not sent, not changed
+      expect(paper.metadataHistory).toEqual([{ user: 'naj', editedAt: expect.any(Date), changes: res.body.changes }]);
+      expect(paper.aliases).toEqual(['arxiv:2006.11239', 'doi:10.48550/arxiv.2006.11239']);
+      expect(paper.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let admins clear optional fields and record them as the editor', async () => {
+      const paper = trackedPaper({
+        metadata: { title: 'Paper', authors: ['Ada Lovelace'], venue: 'Wrong Venue' },
+        metadataHistory: [{ user: 'naj', editedAt: new Date('2025-01-01T00:00:00Z'), changes: [] }],
+      });
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await request(app)
+        .patch('/api/papers/arxiv%3A2006.11239/metadata')
+        .set('x-auth-token', 'mockAdminToken')
+        .send({ venue: null });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.changes).toEqual([{ field: 'venue', from: 'Wrong Venue', to: null }]);
+      expect(paper.metadata.venue).toBeUndefined();
+      expect(paper.provenance.venue.user).toBe('admin');
+      expect(paper.metadataHistory).toHaveLength(2);
+      expect(paper.metadataHistory[1].user).toBe('admin');
+    });
+
+    it('should not save when nothing differs', async () => {
+      const paper = trackedPaper();
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await request(app)
+        .patch('/api/papers/arxiv%3A2006.11239/metadata')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ authors: ['Jonathan Ho'], abstract: '' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body).toEqual(expect.objectContaining({ message: 'Metadata unchanged', changes: [] }));
+      expect(paper.save).not.toHaveBeenCalled();
+      expect(paper.metadataHistory).toBeUndefined();
+    });
+
+    it('should return 404 for an untracked paper and 400 for invalid changes', async () => {
+      const missing = await request(app)
+        .patch('/api/papers/unknown/metadata')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ title: 'Paper' });
+      expect(missing.statusCode).toEqual(404);
+
+      const empty = await request(app).patch('/api/papers/unknown/metadata').set('x-auth-token', 'mockUserToken').send({});
+      expect(empty.statusCode).toEqual(400);
+      const noTitle = await request(app).patch('/api/papers/unknown/metadata').set('x-auth-token', 'mockUserToken').send({ title: null });
+      expect(noTitle.statusCode).toEqual(400);
+      const references = await request(app)
+        .patch('/api/papers/unknown/metadata')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ references: ['doi:10.1000/xyz'] });
+      expect(references.statusCode).toEqual(400);
+    });
+  });
+
+  describe('GET /api/papers/check-paper', () => {
+    it('should report the provenance of each field and, with details, the edit history', async () => {
+      const history = [{ user: 'naj', editedAt: '2025-01-01T00:00:00.000Z', changes: [{ field: 'title', from: 'A', to: 'B' }] }];
+      Paper.find.mockResolvedValueOnce([trackedPaper({ metadataHistory: history })]);
+
+      const res = await request(app)
+        .get('/api/papers/check-paper?id=arxiv:2006.11239&details=true')
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.provenance.title).toEqual({ source: 'page', user: 'naj' });
+      expect(res.body.metadataHistory).toEqual(history);
+    });
+  });
+});
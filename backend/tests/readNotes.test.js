@@ -0,0 +1,165 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+
+describe('Structured Notes', () => {
+  const metadata = {
+    title: 'Test Paper',
+    authors: ['Test Author'],
+    abstract: 'Test Abstract',
+    publishYear: 2023,
+  };
+  const paperWithReads = (reads) => ({
+    id: 'doi:10.1000/xyz',
+    metadata,
+    reads,
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.find.mockResolvedValue([]);
+  });
+
+  describe('POST /api/papers/mark-read', () => {
+    it('should store the structured notes with the read entry', async () => {
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({
+          id: 'doi:10.1000/xyz',
+          metadata,
+          read: {
+            user: 'naj',
+            notes: '## Summary\nSolid baseline.',
+            rating: 4,
+            tags: ['Baseline', 'nlp'],
+            takeaways: ['Attention alone is enough'],
+            highlights: [{ quote: 'we propose', prefix: 'In this paper ', suffix: ' a new' }],
+          },
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(Paper.mock.instances[0].reads).toEqual([expect.objectContaining({
+        notes: '## Summary\nSolid baseline.',
+        rating: 4,
+        tags: ['baseline', 'nlp'],
+        takeaways: ['Attention alone is enough'],
+        highlights: [{ quote: 'we propose', prefix: 'In this paper ', suffix: ' a new', comment: '' }],
+      })]);
+    });
+
+    it('should return 400 for a rating outside 1-5', async () => {
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'doi:10.1000/xyz', metadata, read: { user: 'naj', rating: 6 } });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain('"rating" must be less than or equal to 5');
+    });
+  });
+
+  describe('PATCH /api/papers/:id/reads/:readId', () => {
+    const patchNotes = (body, id = 'doi:10.1000/xyz', readId = 'r1') => request(app)
+      .patch(`/api/papers/${encodeURIComponent(id)}/reads/${readId}`)
+      .set('x-auth-token', 'mockUserToken')
+      .send(body);
+
+    it('should update only the fields sent', async () => {
+      const paper = paperWithReads([{ _id: 'r1', user: 'naj', notes: 'First pass', rating: 3, tags: ['nlp'] }]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await patchNotes({ rating: 5, takeaways: ['Scales well'] });
+
+      expect(res.statusCode).toEqual(200);
+      expect(Paper.find).toHaveBeenCalledWith({
+        $or: [
+          { id: { $in: expect.arrayContaining(['doi:10.1000/xyz']) } },
+          { aliases: { $in: expect.arrayContaining(['doi:10.1000/xyz']) } },
+        ],
+      });
+      expect(paper.reads[0]).toEqual(expect.objectContaining({
+        notes: 'First pass',
+        rating: 5,
+        tags: ['nlp'],
+        takeaways: ['Scales well'],
+        notesUpdatedAt: expect.any(Date),
+      }));
+      expect(paper.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should clear the rating when it is null', async () => {
+      const paper = paperWithReads([{ _id: 'r1', user: 'naj', rating: 3 }]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await patchNotes({ rating: null });
+
+      expect(res.statusCode).toEqual(200);
+      expect(paper.reads[0].rating).toBeUndefined();
+    });
+
+    it("should not allow editing another user's notes", async () => {
+      const paper = paperWithReads([{ _id: 'r1', user: 'tam', notes: 'Mine' }]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await patchNotes({ notes: 'Not yours' });
+
+      expect(res.statusCode).toEqual(403);
+      expect(paper.reads[0].notes).toEqual('Mine');
+      expect(paper.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown read entry', async () => {
+      Paper.find.mockResolvedValueOnce([paperWithReads([{ _id: 'r1', user: 'naj' }])]);
+
+      const res = await patchNotes({ notes: 'Updated' }, 'doi:10.1000/xyz', 'r9');
+
+      expect(res.statusCode).toEqual(404);
+    });
+
+    it('should return 400 for an empty update or a highlight without a quote', async () => {
+      expect((await patchNotes({})).statusCode).toEqual(400);
+      expect((await patchNotes({ highlights: [{ prefix: 'In this paper ' }] })).statusCode).toEqual(400);
+      expect(Paper.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+
+describe('Reading Status', () => {
+  const metadata = {
+    title: 'Test Paper',
+    authors: ['Test Author'],
+    abstract: 'Test Abstract',
+    publishYear: 2023,
+  };
+  const paperWithReads = (reads) => ({
+    id: 'testPaperId',
+    metadata,
+    reads,
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.find.mockResolvedValue([]);
+    Paper.aggregate.mockResolvedValue([{ metadata: [{ totalCount: 0 }], data: [] }]);
+  });
+
+  describe('PUT /api/papers/reading-status', () => {
+    it('should start tracking a new paper with the given status', async () => {
+      const res = await request(app)
+        .put('/api/papers/reading-status')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'testPaperId', status: 'want-to-read', metadata });
+
+      expect(res.statusCode).toEqual(200);
+      expect(Paper).toHaveBeenCalledWith(expect.objectContaining({ id: 'testPaperId', metadata }));
+      const created = Paper.mock.instances[0];
+      expect(created.reads).toEqual([expect.objectContaining({
+        user: 'naj',
+        status: 'want-to-read',
+        statusHistory: [{ status: 'want-to-read', timestamp: expect.any(Date) }],
+      })]);
+      expect(created.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 404 for an untracked paper without metadata', async () => {
+      const res = await request(app)
+        .put('/api/papers/reading-status')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'testPaperId', status: 'reading' });
+
+      expect(res.statusCode).toEqual(404);
+      expect(Paper).not.toHaveBeenCalled();
+    });
+
+    it('should record a transition on the existing entry', async () => {
+      const started = new Date('2025-09-01T00:00:00Z');
+      const paper = paperWithReads([{
+        user: 'naj',
+        timestamp: started,
+        status: 'reading',
+        statusHistory: [{ status: 'reading', timestamp: started }],
+      }]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await request(app)
+        .put('/api/papers/reading-status')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'testPaperId', status: 'read' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(paper.reads.length).toBe(1);
+      expect(paper.reads[0].status).toEqual('read');
+      expect(paper.reads[0].statusHistory.map((change) => change.status)).toEqual(['reading', 'read']);
+      expect(paper.reads[0].timestamp).not.toEqual(started);
+      expect(paper.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep a finished read and start a new entry for a re-read', async () => {
+      const paper = paperWithReads([{ user: 'naj', timestamp: new Date(), status: 'read', statusHistory: [] }]);
+      Paper.find.mockResolvedValueOnce([paper]);
+
+      const res = await request(app)
+        .put('/api/papers/reading-status')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'testPaperId', status: 'reading' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(paper.reads.map((read) => read.status)).toEqual(['read', 'reading']);
+    });
+
+    it('should return 400 for an unknown status', async () => {
+      const res = await request(app)
+        .put('/api/papers/reading-status')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'testPaperId', status: 'finished' });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.message).toContain('"status" must be one of');
+    });
+  });
+
+  describe('GET /api/papers/check-paper', () => {
+    it('should report the user status and teammates currently reading', async () => {
+      Paper.find.mockResolvedValueOnce([paperWithReads([
+        { user: 'tam', timestamp: new Date('2025-09-01'), status: 'read' },
+        { user: 'tam', timestamp: new Date('2025-09-20'), status: 'reading' },
+        { user: 'naj', timestamp: new Date('2025-09-10'), status: 'want-to-read' },
+      ])]);
+
+      const res = await request(app)
+        .get('/api/papers/check-paper?id=testPaperId')
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.readStatus).toEqual('unread');
+      expect(res.body.status).toEqual('want-to-read');
+      expect(res.body.currentlyReading).toEqual(['tam']);
+    });
+
+    it('should treat entries without a status as read', async () => {
+      Paper.find.mockResolvedValueOnce([paperWithReads([{ user: 'naj', timestamp: new Date(), notes: '' }])]);
+
+      const res = await request(app)
+        .get('/api/papers/check-paper?id=testPaperId')
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(res.body.readStatus).toEqual('read');
+      expect(res.body.status).toEqual('read');
+    });
+  });
+
+  describe('GET /api/papers/search-papers', () => {
+    it('should filter by status for a given user', async () => {
+      await request(app)
+        .get('/api/papers/search-papers?user=tam&status=reading')
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(Paper.aggregate).toHaveBeenCalledWith(expect.arrayContaining([
+        { $match: { reads: { $elemMatch: { user: 'tam', status: 'reading' } } } },
+      ]));
+    });
+
+    it('should match legacy entries when filtering by read status', async () => {
+      await request(app)
+        .get('/api/papers/search-papers?status=read')
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(Paper.aggregate).toHaveBeenCalledWith(expect.arrayContaining([
+        { $match: { reads: { $elemMatch: { status: { $in: ['read', null] } } } } },
+      ]));
+    });
+  });
+});
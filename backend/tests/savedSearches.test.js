@@ -0,0 +1,187 @@
+const request = require('supertest');
+
+// Mock the Paper, SavedSearch and InboxMessage models as constructors with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/savedSearch', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  findOneAndDelete: jest.fn(),
+}));
+jest.mock('../models/inboxMessage', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findOneAndDelete: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const SavedSearch = require('../models/savedSearch');
+const InboxMessage = require('../models/inboxMessage');
+
+describe('Saved searches', () => {
+  const searchId = '64b7f1c2a1b2c3d4e5f60718';
+  const query = { keyword: 'diffusion', yearFrom: 2023, notReadByMe: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SavedSearch.findOne.mockResolvedValue(null);
+    SavedSearch.create.mockImplementation(async (savedSearch) => ({ _id: searchId, ...savedSearch }));
+  });
+
+  it('should save a validated search with its digest scheduled a period ahead', async () => {
+    const before = Date.now();
+    const response = await request(app)
+      .post('/api/saved-searches')
+      .set('x-auth-token', 'token')
+      .send({ name: 'Diffusion', query, digest: { frequency: 'weekly' } });
+
+    expect(response.statusCode).toBe(201);
+    const saved = SavedSearch.create.mock.calls[0][0];
+    expect(saved).toEqual(expect.objectContaining({
+      user: 'naj',
+      name: 'Diffusion',
+      query: { keyword: 'diffusion', yearFrom: 2023, notReadByMe: true, readByNobody: false },
+    }));
+    expect(saved.digest).toEqual(expect.objectContaining({ frequency: 'weekly', transport: 'inbox', email: null, lastSentAt: null }));
+    expect(saved.digest.nextAt.getTime()).toBeGreaterThanOrEqual(before + 7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should keep digests off unless asked for', async () => {
+    await request(app)
+      .post('/api/saved-searches')
+      .set('x-auth-token', 'token')
+      .send({ name: 'Diffusion', query });
+
+    expect(SavedSearch.create.mock.calls[0][0].digest).toEqual(expect.objectContaining({ frequency: 'off', nextAt: null }));
+  });
+
+  it('should reject invalid queries, unknown transports and email digests without an address', async () => {
+    const post = (body) => request(app).post('/api/saved-searches').set('x-auth-token', 'token').send(body);
+
+    expect((await post({ name: 'Bad', query: { sort: 'popularity' } })).statusCode).toBe(400);
+    expect((await post({ name: 'Bad', query, digest: { frequency: 'daily', transport: 'pigeon' } })).statusCode).toBe(400);
+    expect((await post({ name: 'Bad', query, digest: { frequency: 'daily', transport: 'email' } })).statusCode).toBe(400);
+    expect((await post({ name: 'Good', query, digest: { frequency: 'daily', transport: 'email', email: 'naj@example.com' } })).statusCode).toBe(201);
+    expect(SavedSearch.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse a second saved search with the same name', async () => {
+    SavedSearch.findOne.mockResolvedValue({ _id: searchId, user: 'naj', name: 'Diffusion' });
+
+    const response = await request(app)
+      .post('/api/saved-searches')
+      .set('x-auth-token', 'token')
+      .send({ name: 'Diffusion', query });
+
+    expect(response.statusCode).toBe(409);
+    expect(SavedSearch.create).not.toHaveBeenCalled();
+  });
+
+  it('should keep the digest schedule when only the transport changes', async () => {
+    const nextAt = new Date('2026-10-25T00:00:00Z');
+    const savedSearch = {
+      _id: searchId,
+      user: 'naj',
+      name: 'Diffusion',
+      query,
+      digest: { frequency: 'daily', transport: 'inbox', email: null, lastSentAt: null, nextAt },
+      save: jest.fn().mockResolvedValue(true),
+    };
+    SavedSearch.findOne.mockResolvedValueOnce(savedSearch);
+
+    const response = await request(app)
+      .patch(`/api/saved-searches/${searchId}`)
+      .set('x-auth-token', 'token')
+      .send({ digest: { frequency: 'daily', transport: 'email', email: 'naj@example.com' } });
+
+    expect(response.statusCode).toBe(200);
+    expect(SavedSearch.findOne).toHaveBeenCalledWith({ _id: searchId, user: 'naj' });
+    expect(savedSearch.digest).toEqual({ frequency: 'daily', transport: 'email', email: 'naj@example.com', lastSentAt: null, nextAt });
+    expect(savedSearch.save).toHaveBeenCalled();
+  });
+
+  it('should only delete the user\'s own saved searches', async () => {
+    SavedSearch.findOneAndDelete.mockResolvedValue(null);
+
+    const response = await request(app).delete(`/api/saved-searches/${searchId}`).set('x-auth-token', 'token');
+    const invalid = await request(app).delete('/api/saved-searches/not-an-id').set('x-auth-token', 'token');
+
+    expect(response.statusCode).toBe(404);
+    expect(SavedSearch.findOneAndDelete).toHaveBeenCalledWith({ _id: searchId, user: 'naj' });
+    expect(invalid.statusCode).toBe(404);
+  });
+});
+
+describe('Inbox', () => {
+  const messageId = '64b7f1c2a1b2c3d4e5f60719';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list the user\'s latest messages with the unread count', async () => {
+    const messages = [{ _id: messageId, subject: '2 new papers for "Diffusion"', readAt: null }];
+    const limit = jest.fn().mockResolvedValue(messages);
+    const sort = jest.fn().mockReturnValue({ limit });
+    InboxMessage.find.mockReturnValue({ sort });
+    InboxMessage.countDocuments.mockResolvedValue(1);
+
+    const response = await request(app).get('/api/inbox').set('x-auth-token', 'token');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toEqual({ messages, unreadCount: 1 });
+    expect(InboxMessage.find).toHaveBeenCalledWith({ user: 'naj' });
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(InboxMessage.countDocuments).toHaveBeenCalledWith({ user: 'naj', readAt: null });
+  });
+
+  it('should mark only the user\'s own messages as read', async () => {
+    InboxMessage.findOneAndUpdate.mockResolvedValueOnce({ _id: messageId, readAt: new Date() }).mockResolvedValueOnce(null);
+
+    const own = await request(app).post(`/api/inbox/${messageId}/read`).set('x-auth-token', 'token');
+    const other = await request(app).post(`/api/inbox/${messageId}/read`).set('x-auth-token', 'token');
+
+    expect(own.statusCode).toBe(200);
+    expect(InboxMessage.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: messageId, user: 'naj' },
+      { $set: { readAt: expect.any(Date) } },
+      { new: true },
+    );
+    expect(other.statusCode).toBe(404);
+  });
+});
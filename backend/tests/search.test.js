@@ -0,0 +1,249 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+  verifyAdminToken: jest.fn(() => null),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const { parseSearchQuery, searchConditions, searchSnippets } = require('../services/search');
+
+describe('Paper search', () => {
+  const paper = {
+    id: 'doi:10.1000/graphs',
+    metadata: {
+      title: 'Graph Networks for Molecules',
+      authors: ['Ada Neural', 'Tam Lee'],
+      abstract: `${'Background sentence. '.repeat(10)}We train graph networks on molecules (C++ and .NET baselines). ${'Closing sentence. '.repeat(10)}`,
+      publishYear: 2024,
+    },
+    reads: [],
+    claim: null,
+  };
+
+  // The $match stage Paper.aggregate was called with
+  const matchStage = () => Paper.aggregate.mock.calls[0][0].find((stage) => stage.$match).$match;
+  const sortStage = () => Paper.aggregate.mock.calls[0][0].find((stage) => stage.$sort).$sort;
+  // Finished reads only, a missing status counting as 'read'
+  const completedReads = {
+    $filter: {
+      input: { $ifNull: ['$reads', []] },
+      as: 'read',
+      cond: { $in: [{ $ifNull: ['$$read.status', 'read'] }, ['read', 'skimmed']] },
+    },
+  };
+  const completedReadCount = { $size: completedReads };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Paper.aggregate.mockResolvedValue([{ metadata: [{ totalCount: 1 }], data: [paper] }]);
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should split words, phrases, prefixes and excluded terms', () => {
+      expect(parseSearchQuery('graph "neural  networks" transf* -survey -"deep learning"')).toEqual({
+        words: ['graph'],
+        phrases: ['neural networks'],
+        prefixes: ['transf'],
+        excluded: ['survey', 'deep learning'],
+      });
+    });
+
+    it('should treat regex metacharacters and stray quotes as text', () => {
+      expect(parseSearchQuery('C++ (.*) a* ab"c')).toEqual({
+        words: ['C++', '(.*)', 'a', 'abc'],
+        phrases: [],
+        prefixes: [],
+        excluded: [],
+      });
+    });
+  });
+
+  describe('searchConditions', () => {
+    it('should send words, phrases and exclusions to $text and prefixes to escaped regexes', () => {
+      const { conditions, ranked } = searchConditions(parseSearchQuery('graph "neural networks" c+* -survey'));
+
+      expect(ranked).toBe(true);
+      expect(conditions.$text).toEqual({ $search: 'graph "neural networks" -survey' });
+      expect(conditions.$and[0].$or[0]['metadata.title'].test('Learning C++ idioms')).toBe(true);
+      expect(conditions.$and[0].$or[0]['metadata.title'].test('abc++')).toBe(false);
+    });
+
+    it('should not rank prefix-only queries', () => {
+      const { conditions, ranked } = searchConditions(parseSearchQuery('mol* -survey'));
+
+      expect(ranked).toBe(false);
+      expect(conditions.$text).toBeUndefined();
+      expect(conditions.$nor).toHaveLength(1);
+    });
+  });
+
+  describe('searchSnippets', () => {
+    it('should mark matches with offsets and cut long abstracts around the first one', () => {
+      const snippets = searchSnippets(paper, parseSearchQuery('graph molecul* neural'));
+      const marked = (snippet) => snippet.matches.map(([start, end]) => snippet.text.slice(start, end));
+
+      expect(snippets.map((snippet) => snippet.field)).toEqual(['title', 'authors', 'abstract']);
+      expect(marked(snippets[0])).toEqual(['Graph', 'Molecules']);
+      expect(marked(snippets[1])).toEqual(['Neural']);
+      expect(snippets[2].text.startsWith('…')).toBe(true);
+      expect(snippets[2].text.endsWith('…')).toBe(true);
+      expect(snippets[2].text.length).toBeLessThanOrEqual(162);
+      expect(marked(snippets[2])).toEqual(['graph', 'molecules']);
+    });
+  });
+
+  describe('GET /api/papers/search-papers', () => {
+    it('should rank keyword searches by relevance and return snippets', async () => {
+      const res = await request(app)
+        .get('/api/papers/search-papers?keyword=graph%20networks')
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(matchStage()).toEqual({ $text: { $search: 'graph networks' } });
+      expect(Paper.aggregate.mock.calls[0][0][0]).toEqual({ $match: matchStage() }); // $text must come first
+      expect(sortStage()).toEqual({ score: { $meta: 'textScore' }, _id: 1 });
+      expect(res.body.sort).toBe('relevance');
+      expect(res.body.papers[0].snippets[0]).toEqual({ field: 'title', text: 'Graph Networks for Molecules', matches: [[0, 5], [6, 14]] });
+    });
+
+    it('should sort by latest read on request and for listings', async () => {
+      await request(app).get('/api/papers/search-papers?keyword=graph&sort=date').set('x-auth-token', 'mockUserToken');
+      expect(sortStage()).toEqual({ latestReadAt: -1, _id: -1 });
+      // A want-to-read entry does not make a paper look recently read
+      expect(Paper.aggregate.mock.calls[0][0]).toContainEqual({
+        $addFields: { latestReadAt: { $max: { $map: { input: completedReads, as: 'read', in: '$$read.timestamp' } } } },
+      });
+
+      Paper.aggregate.mockClear();
+      const res = await request(app).get('/api/papers/search-papers?sort=relevance').set('x-auth-token', 'mockUserToken');
+      expect(sortStage()).toEqual({ latestReadAt: -1, _id: -1 });
+      expect(res.body.sort).toBe('date');
+      expect(res.body.papers[0].snippets).toBeUndefined();
+    });
+
+    it('should search metacharacters literally', async () => {
+      const res = await request(app)
+        .get(`/api/papers/search-papers?keyword=${encodeURIComponent('(a+)+$ .NET*')}`)
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(matchStage().$text).toEqual({ $search: '(a+)+$' });
+      expect(matchStage().$and[0].$or[2]['metadata.abstract'].test('and .NET baselines')).toBe(true);
+    });
+
+    it('should combine filters with the keyword in one $match', async () => {
+      const res = await request(app)
+        .get('/api/papers/search-papers')
+        .query({
+          keyword: 'graph mol*',
+          user: 'tam',
+          yearFrom: 2020,
+          yearTo: 2024,
+          author: 'Ada Neural',
+          venue: 'NeurIPS',
+          readAfter: '2026-09-01',
+          tags: 'GNN, chemistry',
+          notReadByMe: true,
+          minReads: 2,
+          sort: 'year',
+        })
+        .set('x-auth-token', 'mockUserToken');
+
+      const match = matchStage();
+      expect(res.statusCode).toEqual(200);
+      expect(match.$text).toEqual({ $search: 'graph' });
+      expect(match.reads).toEqual({ $elemMatch: {
+        user: 'tam',
+        timestamp: { $gte: new Date('2026-09-01') },
+        status: { $in: ['read', 'skimmed', null] },
+      } });
+      expect(match['metadata.publishYear']).toEqual({ $gte: 2020, $lte: 2024 });
+      expect(match['metadata.authors'].test('ada neural')).toBe(true);
+      expect(match['metadata.authors'].test('Ada Neural Jr')).toBe(false);
+      expect(match['metadata.venue'].test('Advances in NeurIPS 2024')).toBe(true);
+      expect(match['reads.tags']).toEqual({ $all: ['gnn', 'chemistry'] });
+      expect(match.$and).toEqual([
+        expect.objectContaining({ $or: expect.any(Array) }), // mol*
+        { reads: { $not: { $elemMatch: { user: 'naj', status: { $in: ['read', 'skimmed', null] } } } } },
+        { $expr: { $gte: [completedReadCount, 2] } },
+      ]);
+      expect(sortStage()).toEqual({ 'metadata.publishYear': -1, _id: -1 });
+    });
+
+    it('should find papers nobody has read within the last days', async () => {
+      const now = Date.parse('2026-10-19T00:00:00Z');
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await request(app).get('/api/papers/search-papers?readWithinDays=30&sort=reads').set('x-auth-token', 'mockUserToken');
+      Date.now.mockRestore();
+
+      expect(matchStage().reads.$elemMatch.timestamp).toEqual({ $gte: new Date(now - 30 * 24 * 60 * 60 * 1000) });
+      expect(sortStage()).toEqual({ readCount: -1, _id: -1 });
+      expect(Paper.aggregate.mock.calls[0][0]).toContainEqual({ $addFields: { readCount: completedReadCount } });
+
+      Paper.aggregate.mockClear();
+      await request(app).get('/api/papers/search-papers?readByNobody=true').set('x-auth-token', 'mockUserToken');
+      expect(matchStage()).toEqual({ $and: [{ reads: { $not: { $elemMatch: { status: { $in: ['read', 'skimmed', null] } } } } }] });
+    });
+
+    it('should let admins search but not ask for their own unread papers', async () => {
+      const { verifyUserToken, verifyAdminToken } = require('../../shared/auth');
+      verifyUserToken.mockReturnValue(null);
+      verifyAdminToken.mockReturnValue({ admin: { id: 'adminId' } });
+
+      const listing = await request(app).get('/api/papers/search-papers?sort=title').set('x-auth-token', 'mockAdminToken');
+      const mine = await request(app).get('/api/papers/search-papers?notReadByMe=true').set('x-auth-token', 'mockAdminToken');
+      verifyUserToken.mockImplementation(() => ({ user: { id: 'naj' } }));
+      verifyAdminToken.mockReturnValue(null);
+
+      expect(listing.statusCode).toEqual(200);
+      expect(sortStage()).toEqual({ 'metadata.title': 1, _id: 1 });
+      expect(mine.statusCode).toEqual(400);
+    });
+
+    it('should reject unknown sorts and over-long queries', async () => {
+      const badSort = await request(app).get('/api/papers/search-papers?sort=popularity').set('x-auth-token', 'mockUserToken');
+      const longQuery = await request(app)
+        .get(`/api/papers/search-papers?keyword=${'a'.repeat(201)}`)
+        .set('x-auth-token', 'mockUserToken');
+
+      expect(badSort.statusCode).toEqual(400);
+      expect(longQuery.statusCode).toEqual(400);
+      expect(Paper.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const net = require('net');
+
+// A local SMTP server that accepts every message and keeps it, standing in for a mail server in tests.
+// It speaks just enough SMTP for nodemailer over plain TCP: no TLS, no authentication.
+const startSmtpStandIn = () => new Promise((resolve) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let data = null; // Lines of the message being received, after DATA
+    let buffer = '';
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    const address = (line) => (/<([^>]*)>/.exec(line) || [])[1];
+
+    const handle = (line) => {
+      if (data) {
+        if (line === '.') {
+          messages.push({ ...envelope, raw: data.join('\n') });
+          envelope = { from: null, to: [] };
+          data = null;
+          reply('250 OK queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        return;
+      }
+      switch (line.slice(0, 4).toUpperCase()) {
+        case 'EHLO':
+        case 'HELO':
+          return reply('250 localhost');
+        case 'MAIL':
+          envelope.from = address(line);
+          return reply('250 OK');
+        case 'RCPT':
+          envelope.to.push(address(line));
+          return reply('250 OK');
+        case 'DATA':
+          data = [];
+          return reply('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          return reply('250 OK');
+        case 'NOOP':
+          return reply('250 OK');
+        case 'QUIT':
+          return socket.end('221 Bye\r\n');
+        default:
+          return reply('502 Command not implemented');
+      }
+    };
+
+    reply('220 localhost ESMTP stand-in');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        handle(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `smtp://127.0.0.1:${server.address().port}`,
+    messages,
+    close: () => new Promise((done) => server.close(done)),
+  }));
+});
+
+module.exports = { startSmtpStandIn };
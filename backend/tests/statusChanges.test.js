@@ -0,0 +1,131 @@
+const request = require('supertest');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+
+describe('GET /api/papers/status-changes', () => {
+  // Paper.find(...).select(...).sort(...).limit(...) resolving to the given papers
+  const findReturning = (papers) => {
+    const limit = jest.fn().mockResolvedValue(papers);
+    const sort = jest.fn().mockReturnValue({ limit });
+    const select = jest.fn().mockReturnValue({ sort });
+    Paper.find.mockReturnValueOnce({ select });
+    return { select, sort, limit };
+  };
+
+  const paperWith = (index, fields = {}) => ({
+    _id: `00000000000000000000000${index}`,
+    id: `doi:10.1000/${index}`,
+    aliases: [`doi:10.1000/${index}`],
+    metadata: { title: `Paper ${index}` },
+    reads: [],
+    claim: null,
+    updatedAt: new Date('2026-10-01T00:00:00Z'),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return every paper oldest change first when there is no cursor', async () => {
+    const { select, sort, limit } = findReturning([paperWith(1, {
+      reads: [
+        { _id: 'read1', user: 'naj', timestamp: '2026-09-30T10:00:00Z', notes: 'Long notes', highlights: [] },
+        { _id: 'read2', user: 'tam', timestamp: '2026-09-30T11:00:00Z', status: 'reading' },
+      ],
+    })]);
+
+    const res = await request(app).get('/api/papers/status-changes').set('x-auth-token', 'mockUserToken');
+
+    expect(res.statusCode).toEqual(200);
+    expect(Paper.find).toHaveBeenCalledWith({});
+    expect(select).toHaveBeenCalledWith('id aliases metadata.title reads._id reads.user reads.timestamp reads.status claim updatedAt');
+    expect(sort).toHaveBeenCalledWith({ updatedAt: 1, _id: 1 });
+    expect(limit).toHaveBeenCalledWith(501);
+    expect(res.body.papers).toEqual([{
+      id: 'doi:10.1000/1',
+      aliases: ['doi:10.1000/1'],
+      title: 'Paper 1',
+      reads: [
+        { _id: 'read1', user: 'naj', timestamp: '2026-09-30T10:00:00Z', status: 'read' },
+        { _id: 'read2', user: 'tam', timestamp: '2026-09-30T11:00:00Z', status: 'reading' },
+      ],
+      claim: null,
+      updatedAt: '2026-10-01T00:00:00.000Z',
+    }]);
+    expect(res.body.cursor).toBe(`${Date.parse('2026-10-01T00:00:00Z')}.000000000000000000000001`);
+    expect(res.body.hasMore).toBe(false);
+  });
+
+  it('should continue after the cursor, including papers updated in the same millisecond', async () => {
+    findReturning([]);
+    const since = `${Date.parse('2026-10-01T00:00:00Z')}.000000000000000000000001`;
+
+    const res = await request(app).get(`/api/papers/status-changes?since=${since}`).set('x-auth-token', 'mockUserToken');
+
+    expect(res.statusCode).toEqual(200);
+    expect(Paper.find).toHaveBeenCalledWith({ $or: [
+      { updatedAt: { $gt: new Date('2026-10-01T00:00:00Z') } },
+      { updatedAt: new Date('2026-10-01T00:00:00Z'), _id: { $gt: '000000000000000000000001' } },
+    ] });
+    expect(res.body).toEqual({ papers: [], cursor: since, hasMore: false });
+  });
+
+  it('should page with hasMore and hide expired claims', async () => {
+    const claim = { user: 'tam', claimedAt: new Date('2026-09-01'), expiresAt: new Date('2026-09-08'), assignedBy: null };
+    findReturning([paperWith(1, { claim }), paperWith(2), paperWith(3)]);
+
+    const res = await request(app).get('/api/papers/status-changes?limit=2').set('x-auth-token', 'mockUserToken');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.papers.map((paper) => paper.id)).toEqual(['doi:10.1000/1', 'doi:10.1000/2']);
+    expect(res.body.papers[0].claim).toBeNull();
+    expect(res.body.cursor).toBe(`${Date.parse('2026-10-01T00:00:00Z')}.000000000000000000000002`);
+    expect(res.body.hasMore).toBe(true);
+  });
+
+  it('should reject a malformed cursor', async () => {
+    const res = await request(app).get('/api/papers/status-changes?since=yesterday').set('x-auth-token', 'mockUserToken');
+
+    expect(res.statusCode).toEqual(400);
+    expect(Paper.find).not.toHaveBeenCalled();
+  });
+});
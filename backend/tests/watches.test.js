@@ -0,0 +1,227 @@
+const { EventEmitter } = require('events');
+const request = require('supertest');
+
+// Mock the Paper and Watch models as constructors with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/watch', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  create: jest.fn(),
+  findOneAndDelete: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const Watch = require('../models/watch');
+const { subscribe } = require('../services/events');
+const { watchMatches } = require('../services/watches');
+
+describe('Watches', () => {
+  const metadata = {
+    title: 'Denoising Diffusion Models',
+    authors: ['Geoffrey Hinton', 'Lin Chen'],
+    abstract: 'We study image generation.',
+    publishYear: 2023,
+  };
+  const trackedPaper = (fields) => ({
+    id: 'doi:10.1000/xyz',
+    aliases: ['doi:10.1000/xyz', 'url:example.org/paper'],
+    metadata,
+    reads: [],
+    save: jest.fn().mockResolvedValue(true),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('rules', () => {
+    it('lists your watch rules', async () => {
+      const sort = jest.fn().mockResolvedValue([{ _id: 'w1', user: 'naj', kind: 'author', value: 'hinton' }]);
+      Watch.find.mockReturnValue({ sort });
+
+      const res = await request(app).get('/api/watches').set('x-auth-token', 'mockUserToken');
+
+      expect(res.statusCode).toEqual(200);
+      expect(Watch.find).toHaveBeenCalledWith({ user: 'naj' });
+      expect(res.body.watches).toHaveLength(1);
+    });
+
+    it('normalizes author and keyword watches', async () => {
+      Watch.findOne.mockResolvedValue(null);
+      Watch.create.mockImplementation((watch) => Promise.resolve({ _id: 'w1', ...watch }));
+
+      const res = await request(app)
+        .post('/api/watches')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ kind: 'author', value: '  Geoffrey   Hinton ' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(Watch.create).toHaveBeenCalledWith({ user: 'naj', kind: 'author', value: 'geoffrey hinton', aliases: [], label: '' });
+    });
+
+    it('watches a tracked paper by its id and aliases', async () => {
+      Paper.find.mockResolvedValue([trackedPaper()]);
+      Watch.findOne.mockResolvedValue(null);
+      Watch.create.mockImplementation((watch) => Promise.resolve({ _id: 'w1', ...watch }));
+
+      const res = await request(app)
+        .post('/api/watches')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ kind: 'paper', value: 'https://example.org/paper' });
+
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.watch).toEqual(expect.objectContaining({
+        value: 'doi:10.1000/xyz',
+        label: 'Denoising Diffusion Models',
+        aliases: expect.arrayContaining(['url:example.org/paper']),
+      }));
+    });
+
+    it('refuses duplicate watches', async () => {
+      Watch.findOne.mockResolvedValue({ _id: 'w1' });
+
+      const res = await request(app)
+        .post('/api/watches')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ kind: 'keyword', value: 'Diffusion' });
+
+      expect(res.statusCode).toEqual(409);
+      expect(Watch.findOne).toHaveBeenCalledWith({ user: 'naj', kind: 'keyword', value: 'diffusion' });
+      expect(Watch.create).not.toHaveBeenCalled();
+    });
+
+    it('removes only your own watches', async () => {
+      Watch.findOneAndDelete.mockResolvedValue(null);
+      const missing = await request(app).delete('/api/watches/507f1f77bcf86cd799439011').set('x-auth-token', 'mockUserToken');
+      expect(missing.statusCode).toEqual(404);
+      expect(Watch.findOneAndDelete).toHaveBeenCalledWith({ _id: '507f1f77bcf86cd799439011', user: 'naj' });
+
+      Watch.findOneAndDelete.mockResolvedValue({ _id: '507f1f77bcf86cd799439011' });
+      const removed = await request(app).delete('/api/watches/507f1f77bcf86cd799439011').set('x-auth-token', 'mockUserToken');
+      expect(removed.statusCode).toEqual(200);
+    });
+  });
+
+  describe('matching', () => {
+    it('matches papers by identifier, authors by whole words and keywords in the title or abstract', () => {
+      const paper = trackedPaper();
+      expect(watchMatches({ kind: 'paper', value: 'doi:10.1000/other', aliases: ['url:example.org/paper'] }, paper)).toBe(true);
+      expect(watchMatches({ kind: 'author', value: 'hinton' }, paper)).toBe(true);
+      expect(watchMatches({ kind: 'author', value: 'lin' }, paper)).toBe(true);
+      expect(watchMatches({ kind: 'author', value: 'hint' }, paper)).toBe(false);
+      expect(watchMatches({ kind: 'keyword', value: 'image generation' }, paper)).toBe(true);
+      expect(watchMatches({ kind: 'keyword', value: 'transformer' }, paper)).toBe(false);
+    });
+  });
+
+  describe('notifications', () => {
+    const connect = (user) => {
+      const req = new EventEmitter();
+      req.user = { id: user };
+      const res = { writeHead: jest.fn(), write: jest.fn() };
+      subscribe(req, res);
+      const watchEvents = () => res.write.mock.calls
+        .map(([chunk]) => chunk.match(/^id: \d+\nevent: watch\ndata: (.+)\n\n$/))
+        .filter(Boolean)
+        .map(([, data]) => JSON.parse(data));
+      return { req, watchEvents };
+    };
+
+    it('notifies connected teammates whose rules match a paper marked read', async () => {
+      const tam = connect('tam');
+      const lin = connect('lin');
+      Paper.find.mockResolvedValue([trackedPaper()]);
+      Watch.find.mockResolvedValue([
+        { user: 'tam', kind: 'author', value: 'hinton', aliases: [] },
+        { user: 'tam', kind: 'keyword', value: 'diffusion', aliases: [] },
+        { user: 'lin', kind: 'keyword', value: 'transformer', aliases: [] },
+      ]);
+
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'doi:10.1000/xyz', metadata, read: { user: 'naj', notes: '' } });
+
+      expect(res.statusCode).toEqual(200);
+      expect(Watch.find).toHaveBeenCalledWith(expect.objectContaining({ user: { $in: ['tam', 'lin'] } }));
+      expect(tam.watchEvents()).toEqual([expect.objectContaining({
+        paperId: 'doi:10.1000/xyz',
+        title: 'Denoising Diffusion Models',
+        actor: 'naj',
+        activity: 'read',
+        watch: { kind: 'author', value: 'hinton' },
+      })]);
+      expect(lin.watchEvents()).toEqual([]);
+      [tam, lin].forEach(({ req }) => req.emit('close'));
+    });
+
+    it('notifies about notes added to a watched paper', async () => {
+      const tam = connect('tam');
+      const paper = trackedPaper({ reads: [{ _id: 'read1', user: 'naj', notes: '' }] });
+      Paper.find.mockResolvedValue([paper]);
+      Watch.find.mockResolvedValue([
+        { user: 'tam', kind: 'paper', value: 'doi:10.1000/xyz', aliases: [], label: 'Denoising Diffusion Models' },
+      ]);
+
+      const res = await request(app)
+        .patch(`/api/papers/${encodeURIComponent('doi:10.1000/xyz')}/reads/read1`)
+        .set('x-auth-token', 'mockUserToken')
+        .send({ notes: 'Section 3 is the key part' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(tam.watchEvents()).toEqual([expect.objectContaining({
+        activity: 'notes',
+        watch: { kind: 'paper', value: 'Denoising Diffusion Models' },
+      })]);
+      tam.req.emit('close');
+    });
+
+    it('does not look up watches when no teammate is connected', async () => {
+      Paper.find.mockResolvedValue([trackedPaper()]);
+
+      const res = await request(app)
+        .post('/api/papers/mark-read')
+        .set('x-auth-token', 'mockUserToken')
+        .send({ id: 'doi:10.1000/xyz', metadata, read: { user: 'naj', notes: '' } });
+
+      expect(res.statusCode).toEqual(200);
+      expect(Watch.find).not.toHaveBeenCalled();
+    });
+  });
+});
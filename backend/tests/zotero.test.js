@@ -0,0 +1,290 @@
+const request = require('supertest');
+const { startZoteroStandIn } = require('./zoteroStandIn');
+
+// Mock the Paper model as a constructor with static query methods
+jest.mock('../models/paper', () => {
+  const Paper = jest.fn(function (data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(true);
+  });
+  Paper.find = jest.fn();
+  Paper.deleteMany = jest.fn();
+  Paper.aggregate = jest.fn();
+  return Paper;
+});
+jest.mock('../models/zoteroLink', () => ({
+  findOne: jest.fn(),
+  find: jest.fn(),
+  create: jest.fn(),
+  deleteOne: jest.fn(),
+  findOneAndDelete: jest.fn(),
+}));
+jest.mock('../models/config', () => ({
+  countDocuments: jest.fn().mockResolvedValue(1),
+  create: jest.fn(),
+}));
+
+jest.mock('../../shared/auth', () => ({
+  ...jest.requireActual('../../shared/auth'),
+  verifyUserToken: jest.fn(() => ({ user: { id: 'naj' } })),
+}));
+
+// Mock dotenv and winston
+jest.mock('dotenv');
+jest.mock('winston', () => ({
+  createLogger: jest.fn().mockReturnValue({
+    info: jest.fn(),
+    error: jest.fn(),
+  }),
+  format: {
+    json: jest.fn(),
+  },
+  transports: {
+    Console: jest.fn(),
+    File: jest.fn(),
+  },
+}));
+
+const app = require('../server');
+const Paper = require('../models/paper');
+const ZoteroLink = require('../models/zoteroLink');
+
+describe('Zotero connector', () => {
+  let zotero;
+  let tracked;
+  let link;
+
+  // Paper.find for the id/aliases lookups of the import planner and for the user's reads,
+  // awaited directly or through .select().lean()
+  const mockTrackedPapers = () => {
+    Paper.find.mockImplementation((query) => {
+      const matches = query['reads.user']
+        ? tracked.filter((paper) => paper.reads.some((read) => read.user === query['reads.user']))
+        : tracked.filter((paper) => {
+          const keys = new Set([...query.$or[0].id.$in, ...query.$or[1].aliases.$in]);
+          return [paper.id, ...paper.aliases].some((key) => keys.has(key));
+        });
+      const result = Promise.resolve(matches);
+      result.select = () => ({ lean: () => Promise.resolve(matches) });
+      return result;
+    });
+  };
+
+  const sync = () => request(app).post('/api/zotero/sync').set('x-auth-token', 'userToken');
+  const writes = () => zotero.requests.filter(({ method }) => method === 'POST' || method === 'PATCH');
+  const tagsOf = (key) => zotero.items.get(key).data.tags.map(({ tag }) => tag);
+
+  beforeAll(async () => {
+    zotero = await startZoteroStandIn();
+    process.env.ZOTERO_API_URL = zotero.url;
+  });
+
+  afterAll(async () => {
+    delete process.env.ZOTERO_API_URL;
+    await zotero.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    zotero.items.clear();
+    zotero.requests.length = 0;
+    zotero.limitCreates(null);
+
+    tracked = [{
+      id: 'doi:10.5555/3295222.3295349',
+      aliases: ['doi:10.5555/3295222.3295349'],
+      metadata: { title: 'Attention Is All You Need', authors: ['Ashish Vaswani'], abstract: 'Transformers.', publishYear: 2017, venue: 'NeurIPS' },
+      reads: [{ user: 'naj', status: 'read', notes: 'Solid baseline.\n\nCompare with RNNs' }],
+      save: jest.fn().mockResolvedValue(true),
+    }];
+    mockTrackedPapers();
+    Paper.mockImplementation(function (data) {
+      Object.assign(this, data);
+      this.save = jest.fn(async () => tracked.push(this));
+    });
+
+    link = {
+      user: 'naj',
+      libraryType: 'user',
+      libraryId: '475425',
+      apiKey: 'zoteroKey',
+      libraryVersion: 0,
+      lastSyncAt: null,
+      lastError: null,
+      items: [],
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      save: jest.fn().mockResolvedValue(true),
+    };
+    ZoteroLink.findOne.mockResolvedValue(link);
+  });
+
+  it('connects a library with an API key that can write to it, without echoing the key', async () => {
+    ZoteroLink.findOne.mockResolvedValue(null);
+    ZoteroLink.create.mockImplementation(async (data) => ({ ...data, items: [], createdAt: new Date(), lastSyncAt: null, lastError: null }));
+
+    const rejected = await request(app).put('/api/zotero').set('x-auth-token', 'userToken').send({ apiKey: 'wrongKey' });
+    expect(rejected.statusCode).toBe(400);
+    expect(rejected.body.message).toBe('Zotero does not recognize this API key.');
+
+    const otherUser = await request(app).put('/api/zotero').set('x-auth-token', 'userToken').send({ apiKey: 'zoteroKey', libraryId: '1' });
+    expect(otherUser.statusCode).toBe(400);
+
+    const res = await request(app).put('/api/zotero').set('x-auth-token', 'userToken').send({ apiKey: 'zoteroKey' });
+
+    expect(res.statusCode).toBe(200);
+    expect(ZoteroLink.create).toHaveBeenCalledWith({ user: 'naj', libraryType: 'user', libraryId: '475425', apiKey: 'zoteroKey' });
+    expect(res.body.connection).toEqual(expect.objectContaining({ libraryType: 'user', libraryId: '475425', itemCount: 0 }));
+    expect(JSON.stringify(res.body)).not.toContain('zoteroKey');
+  });
+
+  it('pulls items added since connecting as want-to-read and pushes status tags and notes', async () => {
+    const attention = zotero.addItem({
+      itemType: 'journalArticle',
+      title: 'Attention Is All You Need',
+      DOI: '10.5555/3295222.3295349',
+      date: '2017',
+      tags: [{ tag: 'Transformers' }],
+    }, { dateAdded: '2025-06-01T00:00:00Z' });
+    const diffusion = zotero.addItem({
+      itemType: 'preprint',
+      title: 'Denoising Diffusion Probabilistic Models',
+      creators: [{ creatorType: 'author', firstName: 'Jonathan', lastName: 'Ho' }],
+      archiveID: 'arXiv:2006.11239',
+      date: '2020-06-19',
+      tags: [{ tag: 'Diffusion' }],
+    }, { dateAdded: '2026-02-01T00:00:00Z' });
+    zotero.addItem({ itemType: 'book', title: 'An Older Book', ISBN: '9780262033848', date: '2009' }, { dateAdded: '2025-01-01T00:00:00Z' });
+    zotero.addItem({ itemType: 'note', note: '<p>Reading group ideas</p>' }, { dateAdded: '2026-02-02T00:00:00Z' });
+    const pulledVersion = 4;
+
+    const res = await sync();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.report).toEqual({
+      pulled: { items: 3, added: 1 },
+      pushed: { created: 0, updated: 2, notes: 1, removed: 0 },
+      failed: [],
+    });
+
+    // The new item became a paper the user wants to read; the older book was left out
+    expect(Paper).toHaveBeenCalledTimes(1);
+    const created = Paper.mock.instances[0];
+    expect(created.id).toBe('arxiv:2006.11239');
+    expect(created.metadata).toEqual(expect.objectContaining({ title: 'Denoising Diffusion Probabilistic Models', authors: ['Jonathan Ho'], publishYear: 2020 }));
+    expect(created.reads).toEqual([expect.objectContaining({ user: 'naj', status: 'want-to-read', tags: ['diffusion'] })]);
+
+    expect(tagsOf(attention.key)).toEqual(['Transformers', 'xjr3:read']);
+    expect(tagsOf(diffusion.key)).toEqual(['Diffusion', 'xjr3:want-to-read']);
+    const note = [...zotero.items.values()].find(({ data }) => data.parentItem === attention.key);
+    expect(note.data.note).toBe('<p><strong>XJR-3 notes</strong></p>\n<p>Solid baseline.</p>\n<p>Compare with RNNs</p>');
+
+    expect(link.libraryVersion).toBe(pulledVersion);
+    expect(link.lastError).toBeNull();
+    expect(link.items).toEqual(expect.arrayContaining([
+      expect.objectContaining({ paperId: 'doi:10.5555/3295222.3295349', itemKey: attention.key, pushedStatus: 'read', noteKey: note.key }),
+      expect.objectContaining({ paperId: 'arxiv:2006.11239', itemKey: diffusion.key, pushedStatus: 'want-to-read' }),
+    ]));
+    expect(res.body.connection.itemCount).toBe(3);
+  });
+
+  it('pulls new items that have no date or abstract and reports the ones it cannot identify', async () => {
+    zotero.addItem({ itemType: 'webpage', title: 'A Blog Post', url: 'https://example.org/post' }, { dateAdded: '2026-03-01T00:00:00Z' });
+    const unidentified = zotero.addItem({ itemType: 'document', title: 'Scanned Handout' }, { dateAdded: '2026-03-02T00:00:00Z' });
+
+    const res = await sync();
+
+    expect(res.body.report.pulled).toEqual({ items: 2, added: 1 });
+    expect(res.body.report.failed).toEqual([{
+      itemKey: unidentified.key,
+      title: 'Scanned Handout',
+      reason: 'No DOI, arXiv ID, PMID, ISBN or URL to identify the paper by',
+    }]);
+    expect(Paper.mock.instances[0].metadata).toEqual({ title: 'A Blog Post', authors: [] });
+  });
+
+  it('creates items for read papers the library lacks and then pushes only what changed', async () => {
+    const first = await sync();
+
+    expect(first.body.report.pushed).toEqual({ created: 1, updated: 0, notes: 1, removed: 0 });
+    const [item] = [...zotero.items.values()].filter(({ data }) => data.itemType === 'journalArticle');
+    expect(item.data).toEqual(expect.objectContaining({
+      title: 'Attention Is All You Need',
+      creators: [{ creatorType: 'author', firstName: 'Ashish', lastName: 'Vaswani' }],
+      publicationTitle: 'NeurIPS',
+      date: '2017',
+      DOI: '10.5555/3295222.3295349',
+      tags: [{ tag: 'xjr3:read' }],
+    }));
+
+    zotero.requests.length = 0;
+    const second = await sync();
+    expect(second.body.report).toEqual({
+      pulled: { items: 1, added: 0 },
+      pushed: { created: 0, updated: 0, notes: 0, removed: 0 },
+      failed: [],
+    });
+    expect(writes()).toEqual([]);
+
+    tracked[0].reads.push({ user: 'naj', status: 'skimmed', notes: 'Solid baseline.\n\nCompare with RNNs' });
+    const third = await sync();
+    expect(third.body.report.pushed).toEqual({ created: 0, updated: 1, notes: 0, removed: 0 });
+    expect(tagsOf(item.key)).toEqual(['xjr3:skimmed']);
+  });
+
+  it('keeps the items created before a failing write so the next sync does not create them again', async () => {
+    for (let n = 1; n <= 60; n += 1) {
+      tracked.push({
+        id: `doi:10.1000/paper${n}`,
+        aliases: [`doi:10.1000/paper${n}`],
+        metadata: { title: `Paper ${n}`, authors: [] },
+        reads: [{ user: 'naj', status: 'want-to-read' }],
+      });
+    }
+    zotero.limitCreates(1); // The first 50 items go through, then Zotero rate-limits
+
+    const failed = await sync();
+
+    expect(failed.statusCode).toBe(502);
+    expect(link.items).toHaveLength(50);
+    expect(link.save).toHaveBeenCalledTimes(2); // After the write that went through, and with the error
+
+    zotero.limitCreates(null);
+    const retried = await sync();
+
+    expect(retried.body.report.pushed).toEqual({ created: 11, updated: 0, notes: 1, removed: 0 });
+    expect(link.items).toHaveLength(61);
+    expect([...zotero.items.values()].filter(({ data }) => data.itemType !== 'note')).toHaveLength(61);
+  });
+
+  it('leaves items deleted in Zotero deleted', async () => {
+    await sync();
+    const { itemKey } = link.items[0];
+    zotero.deleteItem(itemKey);
+    tracked[0].reads[0].status = 'abandoned';
+
+    const res = await sync();
+
+    expect(res.body.report.pushed).toEqual({ created: 0, updated: 0, notes: 0, removed: 1 });
+    expect(link.items[0].removedAt).toEqual(expect.any(Date));
+
+    zotero.requests.length = 0;
+    await sync();
+    expect(writes()).toEqual([]);
+  });
+
+  it('reports Zotero failures and keeps the library version for the next try', async () => {
+    link.apiKey = 'revokedKey';
+    link.libraryVersion = 7;
+
+    const res = await sync();
+
+    expect(res.statusCode).toBe(502);
+    expect(res.body.message).toMatch(/^Zotero sync failed: Zotero answered 403/);
+    expect(link.lastError).toMatch(/403/);
+    expect(link.libraryVersion).toBe(7);
+    expect(link.save).toHaveBeenCalled();
+
+    ZoteroLink.findOne.mockResolvedValue(null);
+    expect((await sync()).statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,132 @@
+const http = require('http');
+
+// A local Zotero Web API server with one user library kept in memory, standing in for api.zotero.org in tests.
+// It serves the parts the connector uses: GET /keys/current, GET /users/:id/items/top (since, start, limit),
+// GET and PATCH /users/:id/items/:key (with If-Unmodified-Since-Version) and POST /users/:id/items.
+// Every write bumps the library version, as Zotero does. addItem and deleteItem change the library directly,
+// like a user working in the Zotero app; limitCreates(n) rate-limits item creation after n more POSTs (null lifts it).
+const startZoteroStandIn = ({ apiKey = 'zoteroKey', userID = 475425, write = true } = {}) => new Promise((resolve) => {
+  const items = new Map(); // Key -> { key, version, data }
+  const requests = [];
+  let libraryVersion = 0;
+  let nextKey = 0;
+  let createsLeft = null; // POST /items allowed before answering 429, or null for no limit
+
+  const newKey = () => {
+    nextKey += 1;
+    return `ITEM${String(nextKey).padStart(4, '0')}`;
+  };
+
+  const addItem = (data, { dateAdded = new Date().toISOString() } = {}) => {
+    libraryVersion += 1;
+    const key = data.key || newKey();
+    const item = { key, version: libraryVersion, data: { tags: [], ...data, key, version: libraryVersion, dateAdded } };
+    items.set(key, item);
+    return item;
+  };
+
+  const deleteItem = (key) => {
+    libraryVersion += 1;
+    items.delete(key);
+  };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'Last-Modified-Version': String(libraryVersion),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    });
+    res.end(body !== undefined ? JSON.stringify(body) : undefined);
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : undefined;
+      requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      if (req.headers['zotero-api-key'] !== apiKey) {
+        return send(res, 403, { message: 'Invalid key' });
+      }
+      if (req.method === 'GET' && url.pathname === '/keys/current') {
+        return send(res, 200, { key: apiKey, userID, username: 'standin', access: { user: { library: true, notes: true, write } } });
+      }
+
+      const [, owner, rest] = url.pathname.match(/^\/users\/(\d+)(\/.*)$/) || [];
+      if (owner !== String(userID)) {
+        return send(res, 404, { message: 'Not found' });
+      }
+
+      if (req.method === 'GET' && rest === '/items/top') {
+        const since = Number(url.searchParams.get('since') || 0);
+        const start = Number(url.searchParams.get('start') || 0);
+        const limit = Number(url.searchParams.get('limit') || 25);
+        const changed = [...items.values()].filter((item) => item.version > since && !item.data.parentItem);
+        return send(res, 200, changed.slice(start, start + limit), { 'Total-Results': String(changed.length) });
+      }
+
+      if (req.method === 'POST' && rest === '/items') {
+        if (createsLeft === 0) {
+          return send(res, 429, { message: 'Too many requests' });
+        }
+        createsLeft = createsLeft === null ? null : createsLeft - 1;
+        libraryVersion += 1;
+        const result = { successful: {}, success: {}, unchanged: {}, failed: {} };
+        body.forEach((data, index) => {
+          if (!data.itemType) {
+            result.failed[index] = { key: null, code: 400, message: "'itemType' property not provided" };
+            return;
+          }
+          if (data.parentItem && !items.has(data.parentItem)) {
+            result.failed[index] = { key: null, code: 400, message: `Parent item ${data.parentItem} not found` };
+            return;
+          }
+          const key = newKey();
+          const item = { key, version: libraryVersion, data: { tags: [], ...data, key, version: libraryVersion, dateAdded: new Date().toISOString() } };
+          items.set(key, item);
+          result.successful[index] = item;
+          result.success[index] = key;
+        });
+        return send(res, 200, result);
+      }
+
+      const [, key] = (rest || '').match(/^\/items\/([A-Z0-9]+)$/) || [];
+      const item = key && items.get(key);
+      if (key && !item) {
+        return send(res, 404, { message: 'Item not found' });
+      }
+      if (req.method === 'GET' && item) {
+        return send(res, 200, item);
+      }
+      if (req.method === 'PATCH' && item) {
+        if (Number(req.headers['if-unmodified-since-version']) !== item.version) {
+          return send(res, 412, { message: `Item has been modified since specified version (expected ${item.version})` });
+        }
+        libraryVersion += 1;
+        Object.assign(item.data, body, { version: libraryVersion });
+        item.version = libraryVersion;
+        return send(res, 204);
+      }
+      send(res, 400, { message: 'Unsupported request' });
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      items,
+      requests,
+      addItem,
+      deleteItem,
+      limitCreates: (count) => { createsLeft = count; },
+      close: () => new Promise((done) => {
+        server.close(done);
+        server.closeAllConnections(); // fetch keeps connections alive
+      }),
+    });
+  });
+});
+
+module.exports = { startZoteroStandIn };
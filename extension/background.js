@@ -1,13 +1,36 @@
-/* global chrome, browser */
+/* global chrome, browser, globalThis, importScripts */
 
 const API_BASE_URL = "http://localhost:3000/api"; // TODO: Replace with actual backend URL for deployment
 const OFFLINE_QUEUE_KEY = 'xjr3_offline_queue';
+const DEAD_LETTER_KEY = 'xjr3_offline_dead_letters'; // Queued requests that can never succeed
+const DEAD_LETTER_LIMIT = 50;
+const OUTBOX_MIN_ALARM_DELAY_MS = 30 * 1000; // Chrome does not fire alarms sooner
 const JWT_TOKEN_KEY = 'jwtToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
 const USER_ID_KEY = 'userId';
+const TOKEN_REFRESH_PERIOD_MINUTES = 45; // Access tokens expire after 1 hour
+const EVENTS_RECONNECT_PERIOD_MINUTES = 1; // A dropped event stream is reopened on this alarm
+const STATUS_SYNC_PERIOD_MINUTES = 5; // Live events trigger a sync as well
+const STATUS_FULL_SYNC_MS = 24 * 60 * 60 * 1000; // A full re-sync drops papers deleted on the backend
+const STATUS_FRESH_MS = 2 * STATUS_SYNC_PERIOD_MINUTES * 60 * 1000;
+const WATCH_NOTIFICATION_PREFIX = 'xjr3-watch:'; // Followed by the URL opened when the notification is clicked
+const DIGEST_NOTIFICATION_PREFIX = 'xjr3-digest:'; // Followed by the inbox message id
+const NOTIFICATION_ICON = '../public/logo.svg';
 
 const getBrowserApi = () => typeof chrome !== 'undefined' ? chrome : browser;
 const browserApi = getBrowserApi();
 
+// Outbox entries and the read-status mirror (outbox.js, identifiers.js and statusCache.js; listed before this script in the Firefox manifest)
+if (typeof module === 'undefined' && typeof importScripts === 'function') {
+  importScripts('outbox.js', 'identifiers.js', 'statusCache.js'); // Chrome service worker
+}
+const outbox = typeof module !== 'undefined' && module.exports
+  ? require('./outbox')
+  : globalThis.xjr3Outbox;
+const statusCache = typeof module !== 'undefined' && module.exports
+  ? require('./statusCache')
+  : globalThis.xjr3StatusCache;
+
 // --- Utility functions (copied/adapted from shared/utils.js for browser environment) ---
 const isOffline = () => {
   if (typeof navigator !== 'undefined') {
@@ -19,8 +42,92 @@ const isOffline = () => {
 // Removed formatTimestampToLocal and formatTimeAgo as they are now in content.js and popup.js directly or handled natively
 // --- End Utility functions ---
 
-// Function to sync queued offline requests to the backend
-async function syncOfflineQueue() {
+// Function to exchange the stored refresh token for a new access/refresh token pair
+async function refreshAuthToken() {
+  if (isOffline()) {
+    return false;
+  }
+
+  const storage = await browserApi.storage.local.get([REFRESH_TOKEN_KEY]);
+  const refreshToken = storage[REFRESH_TOKEN_KEY];
+  if (!refreshToken) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    if (response.status === 401) {
+      // Refresh token expired or revoked: the user has to log in again
+      console.warn('[XJR-3 Background] Refresh token rejected. Logging out.');
+      await browserApi.storage.local.remove([JWT_TOKEN_KEY, REFRESH_TOKEN_KEY, USER_ID_KEY]);
+      return false;
+    }
+
+    if (!response.ok) {
+      console.error('[XJR-3 Background] Failed to refresh token:', response.status);
+      return false;
+    }
+
+    const data = await response.json();
+    await browserApi.storage.local.set({
+      [JWT_TOKEN_KEY]: data.token,
+      [REFRESH_TOKEN_KEY]: data.refreshToken,
+      [USER_ID_KEY]: data.user.username,
+    });
+    console.log('[XJR-3 Background] Auth token refreshed.');
+    return true;
+  } catch (error) {
+    console.error('[XJR-3 Background] Network error refreshing token:', error);
+    return false;
+  }
+}
+
+// Function to add a request to the offline outbox; a request queued twice (same key) is kept once
+async function queueOfflineRequest(request) {
+  const storage = await browserApi.storage.local.get(OFFLINE_QUEUE_KEY);
+  const offlineQueue = storage[OFFLINE_QUEUE_KEY] || [];
+  const entry = outbox.createOutboxEntry(request);
+  if (!offlineQueue.some(queued => queued.key === entry.key)) {
+    offlineQueue.push(entry);
+    await browserApi.storage.local.set({ [OFFLINE_QUEUE_KEY]: offlineQueue });
+  }
+  console.log('[XJR-3 Background] Request queued offline:', entry.url);
+  scheduleOutboxRetry(offlineQueue);
+}
+
+// Wake up for the earliest retry; the periodic syncOfflineQueue alarm is only a fallback
+function scheduleOutboxRetry(offlineQueue) {
+  if (offlineQueue.length === 0) {
+    return;
+  }
+  const when = Math.min(...offlineQueue.map(entry => entry.nextAttemptAt || 0));
+  browserApi.alarms.create('retryOfflineQueue', { when: Math.max(when, Date.now() + OUTBOX_MIN_ALARM_DELAY_MS) });
+}
+
+// Function to move a request that can never succeed to the dead letters shown in the popup
+async function moveToDeadLetters(entry, status, message) {
+  const storage = await browserApi.storage.local.get(DEAD_LETTER_KEY);
+  const deadLetters = [...(storage[DEAD_LETTER_KEY] || []), { ...entry, status, lastError: message, failedAt: Date.now() }];
+  await browserApi.storage.local.set({ [DEAD_LETTER_KEY]: deadLetters.slice(-DEAD_LETTER_LIMIT) });
+  console.warn('[XJR-3 Background] Giving up on queued request:', entry.url, status, message);
+}
+
+// Function to sync queued offline requests to the backend, oldest first
+let outboxSync = null;
+function syncOfflineQueue() {
+  // One sync at a time: the alarm, the popup and a newly queued request can all ask for one
+  if (!outboxSync) {
+    outboxSync = replayOfflineQueue().finally(() => { outboxSync = null; });
+  }
+  return outboxSync;
+}
+
+async function replayOfflineQueue() {
   if (isOffline()) {
     console.log('[XJR-3 Background] Offline. Queue will sync when online.');
     return;
@@ -28,7 +135,10 @@ async function syncOfflineQueue() {
 
   console.log('[XJR-3 Background] Attempting to sync offline queue...');
   const storage = await browserApi.storage.local.get([OFFLINE_QUEUE_KEY, JWT_TOKEN_KEY]);
-  let offlineQueue = storage[OFFLINE_QUEUE_KEY] || [];
+  const now = Date.now();
+  const storedQueue = storage[OFFLINE_QUEUE_KEY] || [];
+  // Requests queued before idempotency keys existed get one now, stored before they are sent
+  const offlineQueue = storedQueue.map(entry => entry.key ? entry : outbox.createOutboxEntry(entry, now));
   const jwtToken = storage[JWT_TOKEN_KEY];
 
   if (offlineQueue.length === 0) {
@@ -41,8 +151,20 @@ async function syncOfflineQueue() {
     return;
   }
 
-  const successfulRequests = [];
-  for (const [index, request] of offlineQueue.entries()) {
+  if (storedQueue.some(entry => !entry.key)) {
+    await browserApi.storage.local.set({ [OFFLINE_QUEUE_KEY]: offlineQueue });
+  }
+
+  const finishedKeys = new Set();
+  const retries = new Map(); // key -> entry with its next attempt scheduled
+
+  for (const request of offlineQueue) {
+    if (request.nextAttemptAt > now) {
+      continue;
+    }
+
+    let status;
+    let data = {};
     try {
       console.log('[XJR-3 Background] Syncing request:', request.url);
       const response = await fetch(request.url, {
@@ -51,66 +173,471 @@ async function syncOfflineQueue() {
           'Content-Type': 'application/json',
           'x-auth-token': jwtToken,
           ...(request.headers || {}),
+          'Idempotency-Key': request.key,
         },
         body: request.body ? JSON.stringify(request.body) : undefined,
       });
-
-      if (response.ok) {
-        console.log('[XJR-3 Background] Request synced successfully:', request.url);
-        successfulRequests.push(index);
-      } else {
-        const errorData = await response.json().catch(() => ({ message: 'Unknown error' }));
-        console.error(`[XJR-3 Background] Failed to sync ${request.url}:`, response.status, errorData.message);
-        // Do not remove from queue, will retry later
-      }
+      status = response.status;
+      data = await response.json().catch(() => ({}));
     } catch (error) {
+      // Still offline or the backend is down; the remaining requests would fail the same way.
+      // A request is only given up on when the backend answered it, never while it is unreachable.
       console.error('[XJR-3 Background] Network error during sync:', request.url, error);
-      // Do not remove from queue, will retry later (likely still offline)
+      retries.set(request.key, backOff(request, error.message));
+      break;
+    }
+
+    const outcome = outbox.classifyOutboxResponse(request, status, data);
+    if (outcome === 'reauth') {
+      // Access token expired; refresh it and retry the remaining requests on the next sync
+      console.warn('[XJR-3 Background] Token rejected during sync. Refreshing.');
+      await refreshAuthToken();
+      break;
+    }
+
+    if (outcome === 'done' || outcome === 'resolved') {
+      console.log(`[XJR-3 Background] Request ${outcome === 'done' ? 'synced' : 'already applied'}:`, request.url);
+      finishedKeys.add(request.key);
+    } else if (outcome === 'retry' && request.attempts + 1 < outbox.OUTBOX_MAX_ATTEMPTS) {
+      console.error(`[XJR-3 Background] Failed to sync ${request.url}:`, status, data.message);
+      retries.set(request.key, backOff(request, data.message || `HTTP ${status}`));
+    } else {
+      await moveToDeadLetters(request, status, data.message || `HTTP ${status}`);
+      finishedKeys.add(request.key);
+    }
+  }
+
+  // Requests may have been queued while this sync was running, so apply the results to the stored queue
+  const latest = (await browserApi.storage.local.get(OFFLINE_QUEUE_KEY))[OFFLINE_QUEUE_KEY] || [];
+  const remaining = latest
+    .filter(entry => !finishedKeys.has(entry.key))
+    .map(entry => retries.get(entry.key) || entry);
+  await browserApi.storage.local.set({ [OFFLINE_QUEUE_KEY]: remaining });
+  scheduleOutboxRetry(remaining);
+
+  console.log(`[XJR-3 Background] Sync attempt finished. ${finishedKeys.size} requests settled, ${remaining.length} queued.`);
+}
+
+// The entry after one more failed attempt, with its next attempt pushed back exponentially
+function backOff(entry, message) {
+  const attempts = entry.attempts + 1;
+  return { ...entry, attempts, lastError: message, nextAttemptAt: Date.now() + outbox.outboxRetryDelay(attempts) };
+}
+
+// Function to put a dead letter back in the queue (from the popup's Retry button)
+async function retryDeadLetter(key) {
+  const storage = await browserApi.storage.local.get(DEAD_LETTER_KEY);
+  const deadLetters = storage[DEAD_LETTER_KEY] || [];
+  const entry = deadLetters.find(letter => letter.key === key);
+  if (!entry) {
+    return false;
+  }
+  await browserApi.storage.local.set({ [DEAD_LETTER_KEY]: deadLetters.filter(letter => letter.key !== key) });
+  // The backend stored its 4xx answer under the old key and would replay it, so those go out under a new one
+  const answered = entry.status && entry.status < 500 && entry.status !== 409;
+  await queueOfflineRequest({ ...entry, key: answered ? null : entry.key });
+  await syncOfflineQueue();
+  return true;
+}
+
+// Function to drop a dead letter (from the popup's Discard button)
+async function discardDeadLetter(key) {
+  const storage = await browserApi.storage.local.get(DEAD_LETTER_KEY);
+  await browserApi.storage.local.set({
+    [DEAD_LETTER_KEY]: (storage[DEAD_LETTER_KEY] || []).filter(letter => letter.key !== key),
+  });
+}
+
+// --- Read-status mirror ---
+// The team's read status is mirrored in IndexedDB (statusCache.js) so content scripts can badge papers
+// without a request per page and while offline. It is pulled page by page from GET /papers/status-changes.
+
+let statusDb = null;
+const statusDatabase = () => {
+  statusDb = statusDb || statusCache.openStatusDatabase();
+  return statusDb;
+};
+
+// Function to pull the read-status changes since the last sync into the mirror
+let statusSync = null;
+function syncReadStatus() {
+  // One sync at a time: the alarm and bursts of live events can all ask for one
+  if (!statusSync) {
+    statusSync = pullReadStatus()
+      .catch((error) => {
+        console.error('[XJR-3 Background] Error syncing read status:', error);
+        return false;
+      })
+      .finally(() => { statusSync = null; });
+  }
+  return statusSync;
+}
+
+async function pullReadStatus() {
+  if (isOffline()) {
+    return false;
+  }
+
+  const storage = await browserApi.storage.local.get([JWT_TOKEN_KEY, USER_ID_KEY]);
+  const jwtToken = storage[JWT_TOKEN_KEY];
+  const userId = storage[USER_ID_KEY];
+  if (!jwtToken) {
+    return false;
+  }
+
+  const db = await statusDatabase();
+  const state = await statusCache.readSyncState(db) || {};
+  // Start over for another user and once a day, since deleted papers never show up as changes
+  const full = !state.cursor || state.user !== userId || Date.now() - state.fullSyncAt > STATUS_FULL_SYNC_MS;
+  let cursor = full ? null : state.cursor;
+  const fullMirror = [];
+
+  for (let hasMore = true; hasMore;) {
+    const query = cursor ? `?since=${encodeURIComponent(cursor)}` : '';
+    const response = await fetch(`${API_BASE_URL}/papers/status-changes${query}`, {
+      headers: { 'x-auth-token': jwtToken },
+    });
+    if (response.status === 401) {
+      await refreshAuthToken(); // Synced on the next alarm with the new token
+      return false;
+    }
+    if (!response.ok) {
+      console.error('[XJR-3 Background] Failed to sync read status:', response.status);
+      return false;
+    }
+
+    const page = await response.json();
+    if (full) {
+      fullMirror.push(...page.papers); // Replaced in one go, so lookups never see a half-empty mirror
+    } else {
+      await statusCache.savePapers(db, page.papers);
+      await statusCache.writeSyncState(db, { ...state, cursor: page.cursor });
     }
+    cursor = page.cursor;
+    hasMore = page.hasMore;
   }
 
-  // Remove successfully synced requests from the queue
-  offlineQueue = offlineQueue.filter((_, index) => !successfulRequests.includes(index));
-  await browserApi.storage.local.set({ [OFFLINE_QUEUE_KEY]: offlineQueue });
+  const now = Date.now();
+  if (full) {
+    await statusCache.savePapers(db, fullMirror, { clear: true });
+  }
+  await statusCache.writeSyncState(db, {
+    cursor,
+    user: userId,
+    syncedAt: now,
+    fullSyncAt: full ? now : state.fullSyncAt,
+  });
+  return true;
+}
+
+// Function to answer a content script's lookup from the mirror: a /check-papers style result per paper,
+// when the mirror was last synced, and whether it is fresh enough to skip asking the backend
+async function lookupReadStatus(papers) {
+  const storage = await browserApi.storage.local.get(USER_ID_KEY);
+  const userId = storage[USER_ID_KEY];
+  const db = await statusDatabase();
+  const state = await statusCache.readSyncState(db);
+  if (!state || !state.syncedAt || state.user !== userId) {
+    return { results: null };
+  }
+
+  const records = await statusCache.findPapers(db, papers);
+  return {
+    results: papers.map((paper, index) => statusCache.summarizeCachedPaper(paper, records[index], userId)),
+    syncedAt: state.syncedAt,
+    // Live events keep the mirror current while the event stream is open
+    fresh: Boolean(eventsController) && Date.now() - state.syncedAt < STATUS_FRESH_MS,
+  };
+}
+
+// --- Live events ---
+// The backend pushes mark-read, undo, status and claim events over server-sent events (GET /api/events).
+// EventSource is not available in service workers, so the stream is read with fetch. Chrome may still stop
+// the worker when it is idle; the connectEvents alarm wakes it and reopens the stream.
+let eventsController = null; // AbortController of the open stream, null when disconnected
+
+// Split a text/event-stream buffer into complete events ({ type, data }) and the unfinished rest
+function parseServerSentEvents(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = [];
+
+  blocks.forEach((block) => {
+    let type = 'message';
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith(':')) return; // Comment, e.g. the server's heartbeat
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') type = value;
+      else if (field === 'data') data.push(value);
+    });
+    if (data.length > 0) {
+      events.push({ type, data: data.join('\n') });
+    }
+  });
+
+  return { events, rest };
+}
+
+// Links for the identifiers the backend stores (see shared/identifiers.js), most canonical first
+const PAPER_LINKS = [
+  [/^doi:(.+)$/, (doi) => `https://doi.org/${doi}`],
+  [/^arxiv:(.+)$/, (arxivId) => `https://arxiv.org/abs/${arxivId}`],
+  [/^pmid:(\d+)$/, (pmid) => `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`],
+  [/^(https?:\/\/.+)$/, (url) => url],
+  [/^url:(.+)$/, (rest) => `https://${rest}`],
+  [/^isbn:(\d+)$/, (isbn) => `https://openlibrary.org/isbn/${isbn}`],
+];
+
+// Function to pick a URL that opens the paper, or null if none of its identifiers can be linked
+function paperUrlFor(paperId, aliases = []) {
+  const identifiers = [paperId, ...aliases].filter(Boolean);
+  for (const [pattern, toUrl] of PAPER_LINKS) {
+    const identifier = identifiers.find((candidate) => pattern.test(candidate));
+    if (identifier) {
+      return toUrl(identifier.match(pattern)[1]);
+    }
+  }
+  return null;
+}
+
+const WATCH_ACTIVITY_LABELS = { read: 'read', notes: 'added notes to' };
+
+// Function to raise a browser notification for a teammate's activity on a paper you watch
+function showWatchNotification(event) {
+  const url = paperUrlFor(event.paperId, event.aliases) || '';
+  const watched = event.watch.kind === 'paper' ? 'this paper' : `${event.watch.kind} "${event.watch.value}"`;
+  browserApi.notifications.create(`${WATCH_NOTIFICATION_PREFIX}${url}`, {
+    type: 'basic',
+    iconUrl: NOTIFICATION_ICON,
+    title: `${event.actor} ${WATCH_ACTIVITY_LABELS[event.activity] || event.activity} a paper you watch`,
+    message: `${event.title || event.paperId}\nYou are watching ${watched}.`, // Firefox has no contextMessage
+  });
+}
+
+// Function to raise a browser notification for a saved-search digest delivered to the inbox
+function showDigestNotification(event) {
+  browserApi.notifications.create(`${DIGEST_NOTIFICATION_PREFIX}${event.messageId}`, {
+    type: 'basic',
+    iconUrl: NOTIFICATION_ICON,
+    title: 'New saved-search digest',
+    message: `${event.subject}\nOpen XJR-3 to see them in your inbox.`,
+  });
+}
+
+// Forward a paper event to the content script of every tab (tabs without one ignore it); watch and
+// digest events are for this user only and become notifications
+async function dispatchPaperEvent({ type, data }) {
+  let event;
+  try {
+    event = { ...JSON.parse(data), type };
+  } catch (error) {
+    console.error('[XJR-3 Background] Ignoring malformed event:', data);
+    return;
+  }
+
+  if (type === 'watch') {
+    showWatchNotification(event);
+    return;
+  }
+  if (type === 'digest') {
+    showDigestNotification(event);
+    return;
+  }
+
+  // Update the mirror first, so pages refreshing for this event do not read the old status from it
+  await syncReadStatus();
+
+  const tabs = await browserApi.tabs.query({});
+  tabs.forEach((tab) => {
+    browserApi.tabs.sendMessage(tab.id, { action: 'paperEvent', event }).catch(() => {});
+  });
+}
+
+// Open the event stream unless it is already open; resolves when the stream ends
+async function connectToEvents() {
+  if (eventsController || isOffline()) {
+    return;
+  }
+
+  const controller = new AbortController();
+  eventsController = controller;
+  try {
+    const storage = await browserApi.storage.local.get([JWT_TOKEN_KEY]);
+    const jwtToken = storage[JWT_TOKEN_KEY];
+    if (!jwtToken) {
+      return; // Logged out; the alarm tries again after login
+    }
+
+    const response = await fetch(`${API_BASE_URL}/events`, {
+      headers: { 'x-auth-token': jwtToken, Accept: 'text/event-stream' },
+      signal: controller.signal,
+    });
+
+    if (response.status === 401) {
+      await refreshAuthToken(); // Reconnects with the new token on the next alarm
+      return;
+    }
+    if (!response.ok || !response.body) {
+      console.error('[XJR-3 Background] Could not open event stream:', response.status);
+      return;
+    }
+
+    console.log('[XJR-3 Background] Listening for live events.');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const parsed = parseServerSentEvents(buffer + decoder.decode(value, { stream: true }));
+      buffer = parsed.rest;
+      parsed.events.forEach(dispatchPaperEvent);
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('[XJR-3 Background] Event stream error:', error);
+    }
+  } finally {
+    if (eventsController === controller) {
+      eventsController = null;
+    }
+  }
+}
 
-  console.log(`[XJR-3 Background] Sync attempt finished. ${successfulRequests.length} requests synced.`);
+// Close the event stream, e.g. on logout
+function disconnectFromEvents() {
+  if (eventsController) {
+    eventsController.abort();
+    eventsController = null;
+  }
 }
+// --- End Live events ---
+
+// Open the paper when a watch notification is clicked, and the inbox for a digest
+browserApi.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(DIGEST_NOTIFICATION_PREFIX)) {
+    if (browserApi.action && browserApi.action.openPopup) {
+      browserApi.action.openPopup().catch(() => browserApi.tabs.create({ url: browserApi.runtime.getURL('popup.html') }));
+    } else {
+      browserApi.tabs.create({ url: browserApi.runtime.getURL('popup.html') });
+    }
+    browserApi.notifications.clear(notificationId);
+    return;
+  }
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) {
+    return;
+  }
+  const url = notificationId.slice(WATCH_NOTIFICATION_PREFIX.length);
+  if (url) {
+    browserApi.tabs.create({ url });
+  }
+  browserApi.notifications.clear(notificationId);
+});
 
 // Listen for an alarm to periodically sync the queue
 browserApi.alarms.onAlarm.addListener((alarm) => {
-  if (alarm.name === 'syncOfflineQueue') {
+  if (alarm.name === 'syncOfflineQueue' || alarm.name === 'retryOfflineQueue') {
     syncOfflineQueue();
+  } else if (alarm.name === 'refreshAuthToken') {
+    refreshAuthToken();
+  } else if (alarm.name === 'connectEvents') {
+    connectToEvents();
+  } else if (alarm.name === 'syncReadStatus') {
+    syncReadStatus();
   }
 });
 
-// Set up the alarm when the extension is installed or updated
+// Set up the alarms when the extension is installed or updated
 browserApi.runtime.onInstalled.addListener(() => {
   browserApi.alarms.create('syncOfflineQueue', { periodInMinutes: 5 }); // Poll every 5 minutes
+  browserApi.alarms.create('refreshAuthToken', { periodInMinutes: TOKEN_REFRESH_PERIOD_MINUTES });
+  browserApi.alarms.create('connectEvents', { periodInMinutes: EVENTS_RECONNECT_PERIOD_MINUTES });
+  browserApi.alarms.create('syncReadStatus', { periodInMinutes: STATUS_SYNC_PERIOD_MINUTES });
   console.log('[XJR-3 Background] Offline sync alarm set.');
 });
 
-// Set up the alarm when the browser starts (for service workers, this might be redundant with onInstalled)
+// Set up the alarms when the browser starts (for service workers, this might be redundant with onInstalled)
 browserApi.runtime.onStartup.addListener(() => {
   browserApi.alarms.create('syncOfflineQueue', { periodInMinutes: 5 }); // Poll every 5 minutes
+  browserApi.alarms.create('refreshAuthToken', { periodInMinutes: TOKEN_REFRESH_PERIOD_MINUTES });
+  browserApi.alarms.create('connectEvents', { periodInMinutes: EVENTS_RECONNECT_PERIOD_MINUTES });
+  browserApi.alarms.create('syncReadStatus', { periodInMinutes: STATUS_SYNC_PERIOD_MINUTES });
   console.log('[XJR-3 Background] Offline sync alarm re-created on startup.');
+  // The access token has most likely expired while the browser was closed
+  refreshAuthToken().then(() => {
+    connectToEvents();
+    syncReadStatus();
+  });
 });
 
 // Listen for messages from content scripts or popup
 browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'queueOfflineRequest') {
-    const { url, method, body, headers } = message.payload;
-    browserApi.storage.local.get(OFFLINE_QUEUE_KEY, (result) => {
-      const offlineQueue = result[OFFLINE_QUEUE_KEY] || [];
-      offlineQueue.push({ url, method, body, headers });
-      browserApi.storage.local.set({ [OFFLINE_QUEUE_KEY]: offlineQueue }, () => {
-        console.log('[XJR-3 Background] Request queued offline:', url);
-        sendResponse({ success: true, message: 'Request queued offline.' });
-      });
-    });
+    queueOfflineRequest(message.payload)
+      .then(() => sendResponse({ success: true, message: 'Request queued offline.' }))
+      .catch((error) => sendResponse({ success: false, message: error.message }));
     return true; // Indicates an asynchronous response
   } else if (message.action === 'forceSyncOfflineQueue') {
     syncOfflineQueue();
     sendResponse({ success: true, message: 'Offline queue sync initiated.' });
     return true;
+  } else if (message.action === 'getOfflineQueue') {
+    // For the popup: what is still waiting to sync and what gave up
+    browserApi.storage.local.get([OFFLINE_QUEUE_KEY, DEAD_LETTER_KEY]).then((storage) => sendResponse({
+      queued: storage[OFFLINE_QUEUE_KEY] || [],
+      deadLetters: storage[DEAD_LETTER_KEY] || [],
+    }));
+    return true;
+  } else if (message.action === 'retryDeadLetter') {
+    retryDeadLetter(message.key).then((retried) => sendResponse({ success: retried }));
+    return true;
+  } else if (message.action === 'discardDeadLetter') {
+    discardDeadLetter(message.key).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (message.action === 'refreshAuthToken') {
+    refreshAuthToken().then((refreshed) => sendResponse({ success: refreshed }));
+    return true;
+  } else if (message.action === 'lookupReadStatus') {
+    lookupReadStatus(message.papers)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[XJR-3 Background] Error reading the status mirror:', error);
+        sendResponse({ results: null });
+      });
+    return true;
+  } else if (message.action === 'connectEvents') {
+    connectToEvents(); // Sent by the popup after login
+    syncReadStatus();
+    sendResponse({ success: true });
+    return true;
+  } else if (message.action === 'disconnectEvents') {
+    disconnectFromEvents(); // Sent by the popup on logout
+    sendResponse({ success: true });
+    return true;
   }
 });
+
+// Listen for live events and catch up the read-status mirror whenever the background script starts
+connectToEvents();
+syncReadStatus();
+
+// Expose functions for unit tests (no-op in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    refreshAuthToken,
+    queueOfflineRequest,
+    syncOfflineQueue,
+    retryDeadLetter,
+    discardDeadLetter,
+    parseServerSentEvents,
+    paperUrlFor,
+    syncReadStatus,
+    lookupReadStatus,
+    dispatchPaperEvent,
+    connectToEvents,
+    disconnectFromEvents,
+  };
+}
@@ -1,4 +1,4 @@
-/* global chrome, browser */
+/* global chrome, browser, globalThis */
 
 const API_BASE_URL = "http://localhost:3000/api/papers"; // TODO: Replace with actual backend URL for deployment
 // const { formatTimestampToLocal, formatTimeAgo, fuzzyMatch } = require('../shared/utils'); // Removed for browser compatibility
@@ -19,6 +19,26 @@ const paperSchema = {
   reads: [],
 };
 
+// Mirrors READ_STATUSES in shared/paper.js
+const READ_STATUS_LABELS = {
+  'want-to-read': 'Want to read',
+  reading: 'Reading',
+  read: 'Read',
+  skimmed: 'Skimmed',
+  abandoned: 'Abandoned',
+};
+const COMPLETED_READ_STATUSES = ['read', 'skimmed'];
+
+// Listing pages are checked in batches of at most this many papers (limit of POST /check-papers)
+const CHECK_PAPERS_BATCH_SIZE = 500;
+
+const BADGE_COLORS = {
+  readByYou: '#2e7d32',
+  readByOthers: '#1565c0',
+  reading: '#ef6c00',
+  unread: '#9e9e9e',
+};
+
 const fuzzyMatch = (text, query) => {
   if (!query) return true;
   return text.toLowerCase().includes(query.toLowerCase());
@@ -52,65 +72,69 @@ const formatTimeAgo = (timestamp) => {
 };
 // --- End Utility functions ---
 
-// Function to extract metadata from the current page
-function extractPaperMetadata() {
-  const metadata = { ...paperSchema.metadata };
-
-  // 1. From meta tags
-  const metaTags = document.querySelectorAll('meta[name^="citation_"], meta[property^="og:"]');
-  metaTags.forEach(tag => {
-    const name = tag.getAttribute('name') || tag.getAttribute('property');
-    const content = tag.getAttribute('content');
-    if (!content) return;
-
-    if (name === 'citation_title' || name === 'og:title') {
-      metadata.title = metadata.title || content;
-    } else if (name === 'citation_author' || name === 'og:author') {
-      metadata.authors = [...(metadata.authors || []), content];
-    } else if (name === 'citation_abstract' || name === 'og:description') {
-      metadata.abstract = metadata.abstract || content;
-    } else if (name === 'citation_publication_date' || name === 'og:pubdate') {
-      metadata.publishYear = metadata.publishYear || parseInt(content.substring(0, 4), 10);
-    } else if (name === 'citation_doi') {
-      metadata.id = metadata.id || content;
-    }
-  });
+// Site-specific extractors, PDF reader, page panel, highlights and offline outbox (loaded before this script in the browser)
+const metadataExtractors = typeof module !== 'undefined' && module.exports
+  ? require('./extractors')
+  : globalThis.xjr3Extractors;
+const pdfMetadata = typeof module !== 'undefined' && module.exports
+  ? require('./pdfMetadata')
+  : globalThis.xjr3PdfMetadata;
+const paperPanel = typeof module !== 'undefined' && module.exports
+  ? require('./panel')
+  : globalThis.xjr3Panel;
+const pageHighlights = typeof module !== 'undefined' && module.exports
+  ? require('./highlights')
+  : globalThis.xjr3Highlights;
+const outbox = typeof module !== 'undefined' && module.exports
+  ? require('./outbox')
+  : globalThis.xjr3Outbox;
+const { identifiersFor } = typeof module !== 'undefined' && module.exports
+  ? require('./identifiers')
+  : globalThis.xjr3Identifiers;
 
-  // 2. From URL (basic DOI/URL extraction)
-  if (!metadata.id) {
-    const url = window.location.href;
-    const doiMatch = url.match(/doi\.org\/(10\.\d{4,}\/[^\s\/]+)/i);
-    if (doiMatch) {
-      metadata.id = doiMatch[1];
-    } else {
-      metadata.id = url; // Fallback to URL as ID
-    }
-  }
+// What this page shows, so live events from the background script can refresh it
+let livePaper = null; // { paperData, refresh } while the page panel is open
+let liveListedPapers = []; // Papers annotated on a listing page
 
-  // 3. From DOM (example for arXiv or similar)
-  if (!metadata.title) {
-    const titleElement = document.querySelector('h1.title, .entry-title');
-    if (titleElement) metadata.title = titleElement.innerText.trim();
-  }
-  if ((!metadata.authors || metadata.authors.length === 0) && document.querySelector('.authors')) {
-    metadata.authors = Array.from(document.querySelectorAll('.authors a')).map(a => a.innerText.trim());
-  }
-  if (!metadata.abstract) {
-    const abstractElement = document.querySelector('.abstract, #abs');
-    if (abstractElement) metadata.abstract = abstractElement.innerText.trim();
-  }
+// Function to shape extracted metadata for the backend, leaving out fields the page does not show
+function toPaperData(extracted) {
+  const { title, authors, abstract, publishYear, venue } = extracted.metadata;
 
   return {
-    id: metadata.id,
+    id: extracted.id,
+    aliases: extracted.aliases, // Backend normalizes and resolves these to one paper
+    source: extracted.source,
+    confidence: extracted.confidence,
     metadata: {
-      title: metadata.title || 'Unknown Title',
-      authors: metadata.authors.length > 0 ? metadata.authors : ['Unknown Author'],
-      abstract: metadata.abstract || 'No abstract available.',
-      publishYear: metadata.publishYear || null,
+      ...(title ? { title } : {}),
+      authors,
+      ...(abstract ? { abstract } : {}),
+      publishYear: publishYear || null,
+      ...(venue ? { venue } : {}),
     },
   };
 }
 
+// Function to extract metadata from the current page
+function extractPaperMetadata() {
+  return toPaperData(metadataExtractors.extractFromDocument(document, new URL(window.location.href)));
+}
+
+// Function to extract the paper in this tab, reading the file itself in the browser's PDF viewer
+async function extractCurrentPaper() {
+  const url = new URL(window.location.href);
+  if (!pdfMetadata.isPdfDocument(document, url)) {
+    return extractPaperMetadata();
+  }
+
+  try {
+    return toPaperData(await pdfMetadata.fetchPdfMetadata(url));
+  } catch (error) {
+    console.error('[XJR-3] Could not read PDF metadata:', error);
+    return extractPaperMetadata();
+  }
+}
+
 // Function to show a tooltip
 function showTooltip(element, message) {
   let tooltip = document.getElementById('xjr3-tooltip');
@@ -144,71 +168,582 @@ function showTooltip(element, message) {
   }, 5000);
 }
 
-// Main function to check paper and display status
-async function checkPaperAndDisplayStatus() {
-  const paperData = extractPaperMetadata();
+// Function to describe a /check-paper response for the tooltip
+function buildStatusMessage(data, userId) {
+  const reads = data.reads || [];
+  const statusOf = (read) => read.status || 'read'; // Older entries have no status
+  let message = `Paper: ${data.status ? READ_STATUS_LABELS[data.status] : 'Unread'}`;
 
-  if (!paperData.id) {
-    console.log('[XJR-3] No identifiable paper ID found on this page.');
-    return;
+  // Find the most recent completed read by the current user
+  const userReads = reads.filter(read => read.user === userId && COMPLETED_READ_STATUSES.includes(statusOf(read)));
+  if (userReads.length > 0) {
+    const mostRecentRead = userReads.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const localTimestamp = formatTimestampToLocal(new Date(mostRecentRead.timestamp));
+    const timeAgo = formatTimeAgo(new Date(mostRecentRead.timestamp));
+    message += ` (read by you on ${localTimestamp}, ${timeAgo})`;
   }
 
-  console.log('[XJR-3] Extracted paper metadata:', paperData);
+  // Teammates actively reading are what prevents duplicate effort, so name them first
+  const otherReaders = (data.currentlyReading || []).filter(user => user !== userId);
+  if (otherReaders.length > 0) {
+    message += ` — ${otherReaders.join(', ')} ${otherReaders.length === 1 ? 'is' : 'are'} currently reading this`;
+  } else {
+    const othersRead = [...new Set(reads
+      .filter(read => read.user !== userId && COMPLETED_READ_STATUSES.includes(statusOf(read)))
+      .map(read => read.user))];
+    if (othersRead.length > 0) {
+      message += ` — read by ${othersRead.join(', ')}`;
+    }
+  }
 
-  // Try to get token from storage
+  return message;
+}
+
+// The claim from a /check-paper or /check-papers response, or null once it has expired
+const activeClaim = (data) => (data && data.claim && new Date(data.claim.expiresAt) > new Date() ? data.claim : null);
+
+// Function to describe who claimed the paper, e.g. "Claimed by tam 2 days ago (until Oct 21, 2026)"
+function describeClaim(claim, userId) {
+  const who = claim.user === userId ? 'you' : claim.user;
+  const until = new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+    .format(new Date(claim.expiresAt));
+  const verb = claim.assignedBy ? 'Assigned to' : 'Claimed by';
+  return `${verb} ${who} ${formatTimeAgo(new Date(claim.claimedAt))} (until ${until})`;
+}
+
+// Function to describe a /check-papers result as a badge for a listed paper
+function describeListedPaper(result, userId) {
+  if (!result.found) {
+    return { text: 'Unread', color: BADGE_COLORS.unread, title: 'Nobody on the team has tracked this paper' };
+  }
+
+  const readers = result.readers || []; // Most recent first
+  const otherReaders = (result.currentlyReading || []).filter(user => user !== userId);
+  const parts = [];
+  let color = BADGE_COLORS.unread;
+
+  if (readers.length > 0) {
+    const names = readers.map(read => (read.user === userId ? 'you' : read.user));
+    parts.push(`Read by ${names.join(', ')} · ${formatTimeAgo(new Date(readers[0].timestamp))}`);
+    color = result.readStatus === 'read' ? BADGE_COLORS.readByYou : BADGE_COLORS.readByOthers;
+  } else if (result.status) {
+    parts.push(READ_STATUS_LABELS[result.status]);
+  } else {
+    parts.push('Unread');
+  }
+
+  if (otherReaders.length > 0) {
+    parts.push(`${otherReaders.join(', ')} reading`);
+    if (readers.length === 0) color = BADGE_COLORS.reading;
+  }
+
+  // Nobody finished it yet, so a teammate's claim is what tells others not to start it
+  const claim = activeClaim(result);
+  if (claim && readers.length === 0 && !otherReaders.includes(claim.user)) {
+    parts.push(`claimed by ${claim.user === userId ? 'you' : claim.user}`);
+    if (claim.user !== userId) color = BADGE_COLORS.reading;
+  }
+
+  return {
+    text: parts.join(' — '),
+    color,
+    title: readers.map(read => `${read.user}: ${formatTimestampToLocal(new Date(read.timestamp))}`).join('\n'),
+  };
+}
+
+// Function to show a status badge after a listed paper's title
+function showBadge(element, { text, color, title }) {
+  let badge = element.nextElementSibling;
+  if (!badge || badge.className !== 'xjr3-badge') {
+    badge = document.createElement('span');
+    badge.className = 'xjr3-badge';
+    Object.assign(badge.style, {
+      display: 'inline-block',
+      marginLeft: '6px',
+      padding: '1px 6px',
+      borderRadius: '8px',
+      color: '#fff',
+      fontSize: '11px',
+      fontWeight: 'normal',
+      verticalAlign: 'middle',
+    });
+    element.insertAdjacentElement('afterend', badge);
+  }
+
+  badge.innerText = text;
+  badge.title = title;
+  badge.style.backgroundColor = color;
+}
+
+// Function to look papers up in the background script's read-status mirror;
+// resolves to { results, syncedAt, fresh } or null when there is no mirror yet
+async function lookupCachedStatus(papers) {
+  try {
+    const cached = await browserApi.runtime.sendMessage({
+      action: 'lookupReadStatus',
+      papers: papers.map(({ id, aliases }) => ({ id, aliases })),
+    });
+    return cached && cached.results ? cached : null;
+  } catch (error) {
+    console.error('[XJR-3] Error reading the status mirror:', error);
+    return null;
+  }
+}
+
+// Function to annotate every paper on a search-result or listing page
+async function annotateListedPapers(listedPapers) {
   const storage = await browserApi.storage.local.get(['jwtToken', 'userId']);
   const jwtToken = storage.jwtToken;
   const userId = storage.userId;
 
   if (!jwtToken || !userId) {
-    console.log('[XJR-3] User not logged in, cannot check paper status.');
-    // showTooltip(document.body, 'Please log in to XJR-3 extension to track papers.');
+    console.log('[XJR-3] User not logged in, cannot check listed papers.');
     return;
   }
 
-  try {
-    const response = await fetch(`${API_BASE_URL}/check-paper?id=${encodeURIComponent(paperData.id)}&details=true`, {
-      headers: {
-        'x-auth-token': jwtToken,
-      },
-    });
+  // Badges from the mirror appear at once and stay when the backend cannot be reached
+  let unresolved = listedPapers;
+  const cached = await lookupCachedStatus(listedPapers);
+  if (cached) {
+    cached.results.forEach((result, index) => showBadge(listedPapers[index].element, describeListedPaper(result, userId)));
+    if (cached.fresh) {
+      // Mirrored papers are kept current by live events; only the ones the mirror lacks are asked about
+      unresolved = listedPapers.filter((paper, index) => !cached.results[index].found);
+    }
+  }
+
+  for (let start = 0; start < unresolved.length; start += CHECK_PAPERS_BATCH_SIZE) {
+    const batch = unresolved.slice(start, start + CHECK_PAPERS_BATCH_SIZE);
+    try {
+      const response = await fetch(`${API_BASE_URL}/check-papers`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-auth-token': jwtToken,
+        },
+        body: JSON.stringify({ papers: batch.map(({ id, aliases }) => ({ id, aliases })) }),
+      });
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        console.log('[XJR-3] Paper not found in backend.');
-        showTooltip(document.body, 'Paper: Unread');
-      } else {
+      if (!response.ok) {
         const errorData = await response.json();
-        console.error('[XJR-3] Error checking paper:', errorData.message);
-        showTooltip(document.body, `Error: ${errorData.message}`);
+        console.error('[XJR-3] Error checking listed papers:', errorData.message);
+        return;
       }
+
+      const { results } = await response.json();
+      results.forEach((result, index) => showBadge(batch[index].element, describeListedPaper(result, userId)));
+    } catch (error) {
+      console.error('[XJR-3] Network or server error checking listed papers:', error);
       return;
     }
+  }
+}
 
-    const data = await response.json();
-    console.log('[XJR-3] Paper check response:', data);
+// Function to fetch the status of the paper on this page; resolves to null if nobody tracked it yet
+async function requestPaperStatus(paperData, jwtToken) {
+  const query = new URLSearchParams({ id: paperData.id, details: 'true' });
+  paperData.aliases.forEach(alias => query.append('aliases', alias));
+  const response = await fetch(`${API_BASE_URL}/check-paper?${query.toString()}`, {
+    headers: {
+      'x-auth-token': jwtToken,
+    },
+  });
 
-    let tooltipMessage = `Paper: ${data.readStatus === 'read' ? 'Read' : 'Unread'}`;
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.message || 'Failed to check paper status');
+  }
+  return response.json();
+}
+
+// Function to summarize who finished the paper, for the "already read" dialog
+function describeCompletedReads(reads) {
+  const sorted = [...reads].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const readers = [...new Set(sorted.map(read => read.user))];
+  const latest = new Date(sorted[0].timestamp);
+  return {
+    summary: `Already read by ${readers.join(', ')} (latest ${formatTimestampToLocal(latest)}, ${formatTimeAgo(latest)})`,
+    reads: sorted.map(read => ({
+      label: `${read.user} on ${formatTimestampToLocal(new Date(read.timestamp))} (${formatTimeAgo(new Date(read.timestamp))})`,
+      notes: read.notes,
+    })),
+  };
+}
+
+// Function to summarize whose highlights are on the page, e.g. "Highlights: you (2), tam (1)"
+function describeHighlights(highlights, orphanedCount, userId) {
+  if (highlights.length === 0) {
+    return null;
+  }
+
+  const counts = new Map();
+  highlights.forEach(highlight => counts.set(highlight.user, (counts.get(highlight.user) || 0) + 1));
+  const authors = [...counts].map(([user, count]) => `${user === userId ? 'you' : user} (${count})`);
+  const missing = orphanedCount > 0 ? ` — ${orphanedCount} not found on this page` : '';
+  return `Highlights: ${authors.join(', ')}${missing}`;
+}
 
-    if (data.readStatus === 'read' && data.reads && data.reads.length > 0) {
-      // Find the most recent read by the current user
-      const userReads = data.reads.filter(read => read.user === userId);
-      if (userReads.length > 0) {
-        const most recentRead = userReads.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-        const localTimestamp = formatTimestampToLocal(new Date(mostRecentRead.timestamp));
-        const timeAgo = formatTimeAgo(new Date(mostRecentRead.timestamp));
-        tooltipMessage += ` by you on ${localTimestamp} (${timeAgo})`;
-      } else {
-        tooltipMessage += ' by others';
+// Identifiers of a paper normalized like the backend's aliases ("https://..." becomes "url:host/path"),
+// for matching live events to papers on the page
+function comparableIdentifiers(id, aliases = []) {
+  return new Set([id, ...aliases].flatMap(identifiersFor));
+}
+
+// Function to tell whether a live event is about the given paper (the event lists the backend's normalized aliases)
+function matchesPaperEvent(event, paper) {
+  const eventIds = comparableIdentifiers(event.paperId, event.aliases);
+  return [...comparableIdentifiers(paper.id, paper.aliases)].some(identifier => eventIds.has(identifier));
+}
+
+// Function to describe a teammate's live event for the page panel, e.g. "tam marked this paper as read."
+function describePaperEvent(event) {
+  switch (event.type) {
+    case 'mark-read':
+      return `${event.actor} marked this paper as ${READ_STATUS_LABELS[event.status].toLowerCase()}.`;
+    case 'status':
+      return `${event.actor} changed their status to ${READ_STATUS_LABELS[event.status].toLowerCase()}.`;
+    case 'undo':
+      return `${event.actor} removed a read of this paper.`;
+    case 'claim':
+      return event.claim ? `${event.claim.user} claimed this paper.` : 'The claim on this paper was released.';
+    default:
+      return null;
+  }
+}
+
+// Function to refresh the panel or listing badges when the background script forwards a live event
+async function handlePaperEvent(event) {
+  const storage = await browserApi.storage.local.get(['userId']);
+  if (event.actor === storage.userId) {
+    return; // The tab that acted already refreshed itself
+  }
+
+  if (livePaper && matchesPaperEvent(event, livePaper.paperData)) {
+    await livePaper.refresh(describePaperEvent(event));
+  }
+
+  const changedListedPapers = liveListedPapers.filter(listedPaper => matchesPaperEvent(event, listedPaper));
+  if (changedListedPapers.length > 0) {
+    await annotateListedPapers(changedListedPapers);
+  }
+}
+
+// Function to show the persistent panel with Mark Read, Remove My Read, Claim and Save Highlight for the paper on this page
+function showPaperPanel(paperData, initialStatus, { jwtToken, userId }, initialMessage = null) {
+  let paperStatus = initialStatus; // null while nobody has tracked the paper
+  let pendingHighlight = null; // Anchor of the text currently selected on the page
+  let highlightSummary = null;
+  const canHighlight = paperData.source !== 'pdf'; // The browser's PDF viewer has no page text to anchor to
+
+  const latestUserRead = () => (paperStatus && paperStatus.reads ? paperStatus.reads : [])
+    .filter(read => read.user === userId)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  const render = (message = null, isError = false) => {
+    const userRead = latestUserRead();
+    const claim = activeClaim(paperStatus);
+    const ownClaim = Boolean(claim && claim.user === userId);
+    panel.showStatus({
+      title: (paperStatus ? paperStatus.metadata.title : paperData.metadata.title) || paperData.id,
+      status: paperStatus ? buildStatusMessage(paperStatus, userId) : 'Paper: Unread',
+      claim: claim ? describeClaim(claim, userId) : null,
+      claimWarning: Boolean(claim) && !ownClaim,
+      highlights: highlightSummary,
+      selection: pendingHighlight ? pendingHighlight.quote : null,
+      canMarkRead: true, // Re-reads are allowed; the dialog below warns about earlier reads
+      canUndo: Boolean(userRead && userRead._id),
+      canClaim: !claim || ownClaim,
+      canReleaseClaim: ownClaim,
+      message,
+      isError,
+    });
+  };
+
+  // Render every teammate's highlights on the page, attributed to their author
+  const showHighlights = () => {
+    if (!canHighlight) return;
+    const highlights = (paperStatus && paperStatus.reads ? paperStatus.reads : [])
+      .flatMap(read => (read.highlights || []).map(highlight => ({ ...highlight, user: read.user })));
+    const { orphaned } = pageHighlights.renderHighlights(document.body, highlights);
+    highlightSummary = describeHighlights(highlights, orphaned.length, userId);
+  };
+
+  const refresh = async (message) => {
+    try {
+      paperStatus = await requestPaperStatus(paperData, jwtToken);
+      showHighlights();
+    } catch (error) {
+      console.error('[XJR-3] Error refreshing paper status:', error); // Keep showing the last known status
+    }
+    render(message);
+  };
+
+  // Refresh for a teammate's live event; an open notes or confirmation view is left alone
+  const liveRefresh = async (message) => {
+    try {
+      paperStatus = await requestPaperStatus(paperData, jwtToken);
+      showHighlights();
+    } catch (error) {
+      console.error('[XJR-3] Error refreshing paper status:', error);
+      return;
+    }
+    if (panel.isShowingStatus()) {
+      render(message);
+    }
+  };
+
+  // Offer the selected text as a highlight; clicks inside the panel keep the last selection
+  const onSelectionEnd = (event) => {
+    if (event.composedPath && event.composedPath().includes(panel.host)) return;
+    const selection = document.getSelection();
+    const next = selection && !selection.isCollapsed && selection.rangeCount > 0
+      ? pageHighlights.describeSelection(document.body, selection.getRangeAt(0))
+      : null;
+    if (next || pendingHighlight) {
+      pendingHighlight = next;
+      panel.setSelection(next ? next.quote : null);
+    }
+  };
+
+  const markRead = async () => {
+    const completedReads = (paperStatus && paperStatus.reads ? paperStatus.reads : [])
+      .filter(read => COMPLETED_READ_STATUSES.includes(read.status || 'read'));
+    if (completedReads.length > 0) {
+      const { summary, reads } = describeCompletedReads(completedReads);
+      if (await panel.confirmAlreadyRead(summary, reads) !== 'mark') {
+        return;
+      }
+    }
+
+    const notes = await panel.askForNotes();
+    if (notes === null) {
+      return;
+    }
+
+    const request = {
+      key: outbox.newIdempotencyKey(), // Replays from the offline queue reuse it, so the read is never added twice
+      label: `Mark read: ${paperData.metadata.title || paperData.id}`,
+      url: `${API_BASE_URL}/mark-read`,
+      method: 'POST',
+      body: {
+        id: paperData.id,
+        aliases: paperData.aliases,
+        metadata: paperData.metadata,
+        read: { user: userId, notes },
+      },
+    };
+
+    panel.setBusy(true);
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken, 'Idempotency-Key': request.key },
+        body: JSON.stringify(request.body),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        render(errorData.message || 'Failed to mark paper as read', true);
+        return;
       }
+
+      await refresh('Marked as read.');
+    } catch (error) {
+      console.error('[XJR-3] Network error marking paper as read:', error);
+      await browserApi.runtime.sendMessage({ action: 'queueOfflineRequest', payload: request });
+      render('Offline — your read is queued and will sync when you are back online.');
     }
+  };
 
-    showTooltip(document.body, tooltipMessage);
+  const undoRead = async () => {
+    const userRead = latestUserRead();
+    const request = {
+      key: outbox.newIdempotencyKey(),
+      label: `Remove read: ${paperData.metadata.title || paperData.id}`,
+      url: `${API_BASE_URL}/mark-read`,
+      method: 'DELETE',
+      body: { id: paperStatus.id, readEntryId: userRead._id },
+    };
 
+    panel.setBusy(true);
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken, 'Idempotency-Key': request.key },
+        body: JSON.stringify(request.body),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        render(errorData.message || 'Failed to remove your read', true);
+        return;
+      }
+
+      await refresh('Your read was removed.');
+    } catch (error) {
+      console.error('[XJR-3] Network error removing read:', error);
+      await browserApi.runtime.sendMessage({ action: 'queueOfflineRequest', payload: request });
+      render('Offline — removing your read is queued and will sync when you are back online.');
+    }
+  };
+
+  const saveHighlight = async () => {
+    const request = {
+      key: outbox.newIdempotencyKey(),
+      label: `Save highlight: ${paperData.metadata.title || paperData.id}`,
+      url: `${API_BASE_URL}/${encodeURIComponent(paperData.id)}/highlights`,
+      method: 'POST',
+      body: {
+        aliases: paperData.aliases,
+        metadata: paperData.metadata,
+        highlight: pendingHighlight,
+      },
+    };
+    pendingHighlight = null;
+
+    panel.setBusy(true);
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken },
+        body: JSON.stringify(request.body),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        render(errorData.message || 'Failed to save highlight', true);
+        return;
+      }
+
+      document.getSelection().removeAllRanges();
+      await refresh('Highlight saved.');
+    } catch (error) {
+      console.error('[XJR-3] Network error saving highlight:', error);
+      await browserApi.runtime.sendMessage({ action: 'queueOfflineRequest', payload: request });
+      render('Offline — your highlight is queued and will sync when you are back online.');
+    }
+  };
+
+  // Claim the paper (or extend your claim) so teammates know you are on it; untracked papers start being tracked
+  const sendClaim = async (method, body, successMessage) => {
+    panel.setBusy(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/claim`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken },
+        body: JSON.stringify({ id: paperData.id, aliases: paperData.aliases, ...body }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        await refresh(); // A teammate may have claimed it in the meantime
+        render(errorData.message || 'Failed to update the claim', true);
+        return;
+      }
+
+      await refresh(successMessage);
+    } catch (error) {
+      console.error('[XJR-3] Network error updating claim:', error);
+      render('Could not reach the server. Try again when you are online.', true);
+    }
+  };
+
+  const claimPaper = (days) => sendClaim('POST', { days, metadata: paperData.metadata }, `Claimed for ${days} days.`);
+  const releaseClaim = () => sendClaim('DELETE', {}, 'Your claim was released.');
+
+  const stopWatchingSelection = () => {
+    document.removeEventListener('mouseup', onSelectionEnd);
+    document.removeEventListener('keyup', onSelectionEnd);
+    livePaper = null;
+  };
+
+  const panel = paperPanel.createPaperPanel(document, {
+    onMarkRead: markRead,
+    onUndo: undoRead,
+    onHighlight: canHighlight ? saveHighlight : null,
+    onClaim: claimPaper,
+    onReleaseClaim: releaseClaim,
+    onDismiss: stopWatchingSelection,
+  });
+  if (canHighlight) {
+    document.addEventListener('mouseup', onSelectionEnd);
+    document.addEventListener('keyup', onSelectionEnd);
+  }
+  showHighlights();
+  // Load the full status (notes, highlights) after showing the mirrored one; offlineMessage replaces the error
+  const load = async (offlineMessage) => {
+    try {
+      paperStatus = await requestPaperStatus(paperData, jwtToken);
+      showHighlights();
+    } catch (error) {
+      console.error('[XJR-3] Error checking paper:', error);
+      render(offlineMessage || `Could not check status: ${error.message}`, !offlineMessage);
+      return;
+    }
+    if (panel.isShowingStatus()) {
+      render();
+    }
+  };
+
+  render(initialMessage, Boolean(initialMessage));
+  livePaper = { paperData, refresh: liveRefresh, load };
+  return panel;
+}
+
+// Main function to check paper and display status
+async function checkPaperAndDisplayStatus() {
+  const listedPapers = metadataExtractors.extractListFromDocument(document, new URL(window.location.href))
+    .filter(listedPaper => listedPaper.id);
+  if (listedPapers.length > 0) {
+    console.log(`[XJR-3] Found ${listedPapers.length} listed papers on this page.`);
+    liveListedPapers = listedPapers;
+    await annotateListedPapers(listedPapers); // A badge per paper instead of one panel for the page
+    return;
+  }
+
+  const paperData = await extractCurrentPaper();
+
+  if (!paperData.id) {
+    console.log('[XJR-3] No identifiable paper ID found on this page.');
+    return;
+  }
+
+  console.log('[XJR-3] Extracted paper metadata:', paperData);
+
+  // Try to get token from storage
+  const storage = await browserApi.storage.local.get(['jwtToken', 'userId']);
+  const jwtToken = storage.jwtToken;
+  const userId = storage.userId;
+
+  if (!jwtToken || !userId) {
+    console.log('[XJR-3] User not logged in, cannot check paper status.');
+    return;
+  }
+
+  // The mirror answers at once (and offline); the backend then adds everyone's notes and highlights
+  const cached = await lookupCachedStatus([paperData]);
+  if (cached) {
+    const [result] = cached.results;
+    showPaperPanel(paperData, result.found ? result : null, { jwtToken, userId });
+    await livePaper.load(`Could not reach the server — showing the team's status as of ${formatTimeAgo(new Date(cached.syncedAt))}.`);
+    return;
+  }
+
+  try {
+    const data = await requestPaperStatus(paperData, jwtToken);
+    if (!data) {
+      console.log('[XJR-3] Paper not found in backend.');
+    } else {
+      console.log('[XJR-3] Paper check response:', data);
+    }
+    showPaperPanel(paperData, data, { jwtToken, userId });
   } catch (error) {
-    console.error('[XJR-3] Network or server error checking paper:', error);
-    // Implement offline caching here
-    showTooltip(document.body, 'Offline—queued (not implemented yet)');
+    console.error('[XJR-3] Error checking paper:', error);
+    // Marking still works offline: the read is queued by the background script
+    showPaperPanel(paperData, null, { jwtToken, userId }, `Could not check status: ${error.message}`);
   }
 }
 
@@ -218,8 +753,29 @@ checkPaperAndDisplayStatus();
 // Listen for messages from background script or popup
 browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'getPaperMetadata') {
-    const metadata = extractPaperMetadata();
-    sendResponse(metadata);
+    extractCurrentPaper().then(sendResponse);
     return true; // Indicates an asynchronous response
+  } else if (message.action === 'paperEvent') {
+    handlePaperEvent(message.event);
   }
 });
+
+// Expose functions for unit tests (no-op in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    extractPaperMetadata,
+    extractCurrentPaper,
+    showTooltip,
+    buildStatusMessage,
+    describeClaim,
+    describeListedPaper,
+    annotateListedPapers,
+    describeCompletedReads,
+    describeHighlights,
+    matchesPaperEvent,
+    describePaperEvent,
+    handlePaperEvent,
+    showPaperPanel,
+    checkPaperAndDisplayStatus,
+  };
+}
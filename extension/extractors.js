@@ -0,0 +1,506 @@
+/* global globalThis */
+
+// XJR-3 site-specific metadata extractors.
+// Loaded before content.js (see content_scripts in the manifests). Every extractor has:
+//   name              short site key, reported as the metadata source
+//   matches(url)      whether it handles the page (url is a URL object)
+//   extract(page)     { id, aliases, metadata, confidence } for a single-paper page, or null
+//   extractList(page) optional; array of the same shape for listing/search-result pages, plus
+//                     `element`, the title node that status badges are attached to
+// where page is { doc, url, meta }. confidence (0-1) decides which value wins when several extractors match.
+// Content scripts share one global scope, so top-level names here must not clash with content.js.
+
+// --- Utility functions (DOI handling adapted from shared/identifiers.js for browser environment) ---
+const DOI_PATTERN = /(10\.\d{4,9}\/[^\s"<>?#&]+)/i;
+
+const doiFrom = (value) => {
+  if (!value) return null;
+  let text = String(value);
+  try {
+    text = decodeURIComponent(text);
+  } catch (error) {
+    // Keep the raw value if it is not valid URI encoding
+  }
+  const match = text.match(DOI_PATTERN);
+  return match ? match[1].replace(/(\.full)?(\.pdf)?$/i, '').replace(/[.,;:)\]}]+$/, '') : null;
+};
+
+const textOf = (element) => (element ? (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim() : '');
+
+const queryText = (root, selector) => textOf(root.querySelector(selector));
+
+const queryAllText = (root, selector) => Array.from(root.querySelectorAll(selector)).map(textOf).filter(Boolean);
+
+const yearFrom = (value) => {
+  const match = String(value || '').match(/\b(1[89]\d{2}|20\d{2})\b/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// "Vaswani, Ashish" -> "Ashish Vaswani"
+const personName = (name) => {
+  const [last, first] = name.split(',').map(part => part.trim());
+  return first ? `${first} ${last}` : name.trim();
+};
+
+// All <meta> tags keyed by lowercased name/property, in document order
+const readMetaTags = (doc) => {
+  const meta = {};
+  doc.querySelectorAll('meta[name], meta[property]').forEach(tag => {
+    const name = (tag.getAttribute('name') || tag.getAttribute('property') || '').toLowerCase();
+    const content = (tag.getAttribute('content') || '').trim();
+    if (!name || !content) return;
+    meta[name] = [...(meta[name] || []), content];
+  });
+  return meta;
+};
+
+const first = (meta, ...names) => {
+  for (const name of names) {
+    if (meta[name] && meta[name].length > 0) return meta[name][0];
+  }
+  return null;
+};
+
+const all = (meta, name) => meta[name] || [];
+
+// First schema.org ScholarlyArticle-like object from JSON-LD scripts
+const readJsonLd = (doc) => {
+  for (const script of Array.from(doc.querySelectorAll('script[type="application/ld+json"]'))) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const items = [].concat(data['@graph'] || data);
+      const article = items.find(item => /Article|CreativeWork/.test([].concat(item['@type']).join(' ')));
+      if (article) return article;
+    } catch (error) {
+      // Ignore malformed JSON-LD
+    }
+  }
+  return null;
+};
+
+const paper = ({ id, aliases = [], confidence, element, ...metadata }) => ({
+  id: id || null,
+  aliases: aliases.filter(Boolean),
+  metadata: {
+    title: metadata.title || null,
+    authors: (metadata.authors || []).filter(Boolean),
+    abstract: metadata.abstract || null,
+    publishYear: metadata.publishYear || null,
+    venue: metadata.venue || null,
+  },
+  confidence,
+  ...(element ? { element } : {}),
+});
+// --- End Utility functions ---
+
+const arxivExtractor = {
+  name: 'arxiv',
+  matches: (url) => /(^|\.)arxiv\.org$/.test(url.hostname),
+  extract({ doc, url, meta }) {
+    const pathMatch = url.pathname.match(/^\/(?:abs|pdf|html)\/(.+?)(?:\.pdf)?\/?$/);
+    if (!pathMatch) return null;
+    const arxivId = (first(meta, 'citation_arxiv_id') || pathMatch[1]).replace(/v\d+$/, '');
+    const doi = first(meta, 'citation_doi');
+    return paper({
+      id: `arxiv:${arxivId}`,
+      aliases: [`arxiv:${arxivId}`, doi && `doi:${doi}`],
+      title: first(meta, 'citation_title') || queryText(doc, 'h1.title').replace(/^Title:\s*/, ''),
+      authors: all(meta, 'citation_author').map(personName).length > 0
+        ? all(meta, 'citation_author').map(personName)
+        : queryAllText(doc, 'div.authors a'),
+      abstract: first(meta, 'citation_abstract') || queryText(doc, 'blockquote.abstract').replace(/^Abstract:\s*/, ''),
+      publishYear: yearFrom(first(meta, 'citation_date', 'citation_online_date')),
+      venue: 'arXiv',
+      confidence: 0.95,
+    });
+  },
+  // Listing pages such as /list/cs.LG/recent: <dt> holds the links, the following <dd> the metadata
+  extractList({ doc, url }) {
+    if (!/^\/list\//.test(url.pathname)) return [];
+    return Array.from(doc.querySelectorAll('dl#articles > dt, #dlpage dl > dt')).map(dt => {
+      const link = dt.querySelector('a[href*="/abs/"]');
+      const dd = dt.nextElementSibling;
+      if (!link || !dd) return null;
+      const arxivId = link.getAttribute('href').replace(/^.*\/abs\//, '').replace(/v\d+$/, '');
+      return paper({
+        id: `arxiv:${arxivId}`,
+        aliases: [`arxiv:${arxivId}`],
+        title: queryText(dd, '.list-title').replace(/^Title:\s*/, ''),
+        authors: queryAllText(dd, '.list-authors a'),
+        venue: 'arXiv',
+        confidence: 0.9,
+        element: link,
+      });
+    }).filter(Boolean);
+  },
+};
+
+const acmExtractor = {
+  name: 'acm',
+  matches: (url) => url.hostname === 'dl.acm.org' && /^\/doi\//.test(url.pathname),
+  extract({ doc, url, meta }) {
+    const doi = doiFrom(url.pathname) || doiFrom(first(meta, 'dc.identifier'));
+    return paper({
+      id: doi && `doi:${doi}`,
+      aliases: [doi && `doi:${doi}`],
+      title: first(meta, 'dc.title', 'citation_title') || queryText(doc, 'h1.citation__title'),
+      authors: all(meta, 'dc.creator').length > 0 ? all(meta, 'dc.creator') : queryAllText(doc, '.loa__author-name span'),
+      abstract: queryText(doc, 'div.abstractSection') || first(meta, 'dc.description'),
+      publishYear: yearFrom(first(meta, 'dc.date', 'citation_publication_date') || queryText(doc, '.CitationCoverDate')),
+      venue: first(meta, 'citation_conference_title', 'citation_journal_title') || queryText(doc, '.epub-section__title'),
+      confidence: 0.9,
+    });
+  },
+};
+
+// IEEE Xplore renders from a JSON blob assigned to xplGlobal.document.metadata
+const readIeeeMetadata = (doc) => {
+  for (const script of Array.from(doc.querySelectorAll('script'))) {
+    const match = script.textContent.match(/xplGlobal\.document\.metadata\s*=\s*(\{.*\});/);
+    if (!match) continue;
+    try {
+      return JSON.parse(match[1]);
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+};
+
+const ieeeExtractor = {
+  name: 'ieee',
+  matches: (url) => url.hostname === 'ieeexplore.ieee.org' && /\/document\/\d+/.test(url.pathname),
+  extract({ doc, url, meta }) {
+    const data = readIeeeMetadata(doc) || {};
+    const articleNumber = url.pathname.match(/\/document\/(\d+)/)[1];
+    const documentUrl = `https://ieeexplore.ieee.org/document/${articleNumber}`;
+    return paper({
+      id: data.doi ? `doi:${data.doi}` : documentUrl,
+      aliases: [data.doi && `doi:${data.doi}`, documentUrl],
+      title: data.title || data.displayDocTitle || first(meta, 'parsely-title', 'og:title'),
+      authors: (data.authors || []).map(author => author.name),
+      abstract: data.abstract || first(meta, 'og:description', 'description'),
+      publishYear: yearFrom(data.publicationYear || data.publicationDate),
+      venue: data.publicationTitle,
+      confidence: data.title ? 0.9 : 0.5,
+    });
+  },
+};
+
+const springerExtractor = {
+  name: 'springer',
+  matches: (url) => url.hostname === 'link.springer.com' && /^\/(article|chapter|book|content)\//.test(url.pathname),
+  extract({ doc, url, meta }) {
+    const doi = first(meta, 'citation_doi') || doiFrom(url.pathname);
+    const isbn = first(meta, 'citation_isbn');
+    return paper({
+      id: doi && `doi:${doi}`,
+      aliases: [doi && `doi:${doi}`, isbn && `isbn:${isbn}`],
+      title: first(meta, 'citation_title', 'dc.title') || queryText(doc, 'h1.c-article-title'),
+      authors: all(meta, 'citation_author').map(personName),
+      abstract: queryText(doc, '#Abs1-content') || first(meta, 'dc.description', 'description'),
+      publishYear: yearFrom(first(meta, 'citation_publication_date', 'citation_online_date', 'citation_cover_date')),
+      venue: first(meta, 'citation_journal_title', 'citation_conference_title', 'citation_inbook_title'),
+      confidence: 0.9,
+    });
+  },
+};
+
+const scienceDirectExtractor = {
+  name: 'sciencedirect',
+  matches: (url) => /(^|\.)sciencedirect\.com$/.test(url.hostname) && /^\/science\/article\//.test(url.pathname),
+  extract({ doc, meta }) {
+    const doiLink = doc.querySelector('a.doi, a[href*="doi.org/10."]');
+    const doi = first(meta, 'citation_doi') || doiFrom(doiLink && doiLink.getAttribute('href'));
+    const authors = Array.from(doc.querySelectorAll('.author-group .author'))
+      .map(author => [queryText(author, '.given-name'), queryText(author, '.surname')].filter(Boolean).join(' '));
+    return paper({
+      id: doi && `doi:${doi}`,
+      aliases: [doi && `doi:${doi}`],
+      title: first(meta, 'citation_title') || queryText(doc, 'span.title-text'),
+      authors: authors.length > 0 ? authors : all(meta, 'citation_author').map(personName),
+      abstract: queryText(doc, 'div.abstract.author > div') || first(meta, 'dc.description', 'description'),
+      publishYear: yearFrom(first(meta, 'citation_publication_date', 'citation_date')),
+      venue: first(meta, 'citation_journal_title'),
+      confidence: 0.85,
+    });
+  },
+};
+
+const openReviewExtractor = {
+  name: 'openreview',
+  matches: (url) => url.hostname === 'openreview.net' && /^\/(forum|pdf)/.test(url.pathname) && url.searchParams.has('id'),
+  extract({ doc, url, meta }) {
+    const noteId = url.searchParams.get('id');
+    const forumUrl = `https://openreview.net/forum?id=${noteId}`;
+    return paper({
+      id: forumUrl, // The pdf and forum pages are the same paper
+      aliases: [forumUrl, `https://openreview.net/pdf?id=${noteId}`],
+      title: first(meta, 'citation_title') || queryText(doc, '.forum-title h2, .note_content_title'),
+      authors: all(meta, 'citation_author').map(personName),
+      abstract: first(meta, 'citation_abstract') || queryText(doc, '.note-content-value'),
+      publishYear: yearFrom(first(meta, 'citation_publication_date', 'citation_online_date')),
+      venue: first(meta, 'citation_conference_title'),
+      confidence: 0.85,
+    });
+  },
+};
+
+const semanticScholarExtractor = {
+  name: 'semanticscholar',
+  matches: (url) => /(^|\.)semanticscholar\.org$/.test(url.hostname) && /^\/paper\//.test(url.pathname),
+  extract({ doc, meta }) {
+    const article = readJsonLd(doc) || {};
+    const doiLink = doc.querySelector('a[href*="doi.org/10."]');
+    const arxivLink = doc.querySelector('a[href*="arxiv.org/abs/"]');
+    const doi = first(meta, 'citation_doi') || doiFrom(doiLink && doiLink.getAttribute('href'));
+    const arxivId = arxivLink && arxivLink.getAttribute('href').replace(/^.*\/abs\//, '').replace(/v\d+$/, '');
+    const jsonLdAuthors = [].concat(article.author || []).map(author => author.name);
+    return paper({
+      id: doi ? `doi:${doi}` : arxivId && `arxiv:${arxivId}`,
+      aliases: [doi && `doi:${doi}`, arxivId && `arxiv:${arxivId}`],
+      title: first(meta, 'citation_title') || article.headline || article.name || queryText(doc, 'h1[data-test-id="paper-detail-title"]'),
+      authors: all(meta, 'citation_author').length > 0 ? all(meta, 'citation_author').map(personName) : jsonLdAuthors,
+      abstract: article.abstract || queryText(doc, '[data-test-id="abstract-text"]') || first(meta, 'og:description', 'description'),
+      publishYear: yearFrom(first(meta, 'citation_publication_date') || article.datePublished),
+      venue: first(meta, 'citation_journal_title', 'citation_conference_title') || (article.publication && article.publication.name),
+      confidence: 0.8,
+    });
+  },
+};
+
+const bioRxivExtractor = {
+  name: 'biorxiv',
+  matches: (url) => /(^|\.)(bio|med)rxiv\.org$/.test(url.hostname) && /^\/content\/10\.1101\//.test(url.pathname),
+  extract({ doc, url, meta }) {
+    // Strip the version suffix (v1, v2...) so every version maps to the same paper
+    const doi = (first(meta, 'citation_doi') || doiFrom(url.pathname) || '').replace(/v\d+$/, '') || null;
+    return paper({
+      id: doi && `doi:${doi}`,
+      aliases: [doi && `doi:${doi}`],
+      title: first(meta, 'citation_title', 'dc.title') || queryText(doc, 'h1#page-title'),
+      authors: all(meta, 'citation_author').map(personName),
+      abstract: queryText(doc, 'div.section.abstract p') || first(meta, 'citation_abstract', 'dc.description'),
+      publishYear: yearFrom(first(meta, 'citation_publication_date', 'citation_date', 'dc.date')),
+      venue: first(meta, 'citation_journal_title') || (/medrxiv/.test(url.hostname) ? 'medRxiv' : 'bioRxiv'),
+      confidence: 0.9,
+    });
+  },
+};
+
+const pubMedExtractor = {
+  name: 'pubmed',
+  matches: (url) => url.hostname === 'pubmed.ncbi.nlm.nih.gov' && /^\/\d+/.test(url.pathname),
+  extract({ doc, url, meta }) {
+    const pmid = first(meta, 'citation_pmid') || url.pathname.match(/^\/(\d+)/)[1];
+    const doi = first(meta, 'citation_doi');
+    const metaAuthors = (first(meta, 'citation_authors') || '').split(';').map(name => name.trim()).filter(Boolean);
+    return paper({
+      id: doi ? `doi:${doi}` : `pmid:${pmid}`,
+      aliases: [`pmid:${pmid}`, doi && `doi:${doi}`],
+      title: first(meta, 'citation_title') || queryText(doc, 'h1.heading-title'),
+      authors: queryAllText(doc, '.authors-list .authors-list-item a.full-name').length > 0
+        ? queryAllText(doc, '.authors-list .authors-list-item a.full-name')
+        : metaAuthors,
+      abstract: queryText(doc, '#eng-abstract') || first(meta, 'citation_abstract', 'description'),
+      publishYear: yearFrom(first(meta, 'citation_date', 'citation_publication_date')),
+      venue: first(meta, 'citation_journal_title'),
+      confidence: 0.9,
+    });
+  },
+};
+
+const googleScholarExtractor = {
+  name: 'googlescholar',
+  matches: (url) => /^scholar\.google\./.test(url.hostname),
+  extract: () => null, // Result pages list many papers
+  extractList({ doc }) {
+    return Array.from(doc.querySelectorAll('.gs_r.gs_or')).map(result => {
+      const heading = result.querySelector('h3.gs_rt');
+      if (!heading) return null;
+      const link = heading.querySelector('a');
+      const href = link && link.getAttribute('href');
+      // Byline: "A Vaswani, N Shazeer… - Advances in neural …, 2017 - proceedings.neurips.cc"
+      const [authorPart = '', venuePart = ''] = queryText(result, '.gs_a').split(/\s+-\s+/);
+      const doi = doiFrom(href);
+      return paper({
+        id: doi ? `doi:${doi}` : href,
+        aliases: [doi && `doi:${doi}`, href],
+        title: link ? textOf(link) : textOf(heading).replace(/^(\[[A-Z]+\]\s*)+/, ''),
+        authors: authorPart.split(',').map(name => name.replace(/…/g, '').trim()).filter(Boolean),
+        publishYear: yearFrom(venuePart),
+        venue: venuePart.replace(/,?\s*\d{4}\s*$/, '').replace(/…/g, '').trim(),
+        confidence: 0.5,
+        element: heading,
+      });
+    }).filter(Boolean);
+  },
+};
+
+// dblp person, venue and search pages: one li.entry per publication
+const dblpExtractor = {
+  name: 'dblp',
+  matches: (url) => /(^|\.)dblp\.(org|uni-trier\.de)$/.test(url.hostname),
+  extract: () => null,
+  extractList({ doc }) {
+    return Array.from(doc.querySelectorAll('li.entry')).map(entry => {
+      const titleElement = entry.querySelector('cite .title');
+      if (!titleElement) return null;
+      const doiLink = entry.querySelector('nav.publ a[href*="doi.org/10."]');
+      const eeLink = entry.querySelector('nav.publ li.ee a');
+      const doi = doiFrom(doiLink && doiLink.getAttribute('href'));
+      const href = eeLink && eeLink.getAttribute('href');
+      return paper({
+        id: doi ? `doi:${doi}` : href,
+        aliases: [doi && `doi:${doi}`, href],
+        title: textOf(titleElement).replace(/\.$/, ''),
+        authors: queryAllText(entry, 'cite [itemprop="author"] [itemprop="name"]'),
+        publishYear: yearFrom(queryText(entry, 'cite [itemprop="datePublished"]')),
+        venue: queryText(entry, 'cite [itemprop="isPartOf"] [itemprop="name"]'),
+        confidence: 0.7,
+        element: titleElement,
+      });
+    }).filter(Boolean);
+  },
+};
+
+// Open-access proceedings indexes: NeurIPS, PMLR and CVF
+const proceedingsExtractor = {
+  name: 'proceedings',
+  matches: (url) => /^(proceedings\.neurips\.cc|papers\.nips\.cc|proceedings\.mlr\.press|openaccess\.thecvf\.com)$/.test(url.hostname),
+  extract: () => null,
+  extractList({ doc, url }) {
+    const entries = [
+      // NeurIPS: <li><a href="/paper/.../hash/...-Abstract.html">Title</a> <i>Authors</i></li>
+      ...Array.from(doc.querySelectorAll('ul.paper-list li')).map(item => ({
+        link: item.querySelector('a'),
+        authors: queryText(item, 'i'),
+      })),
+      // PMLR: <div class="paper"><p class="title">Title</p><span class="authors">...</span><p class="links"><a>abs</a>
+      ...Array.from(doc.querySelectorAll('div.paper')).map(item => ({
+        title: item.querySelector('p.title'),
+        link: item.querySelector('p.links a'),
+        authors: queryText(item, '.authors'),
+      })),
+      // CVF: <dt class="ptitle"><a href="/content/...html">Title</a></dt><dd><form><a>Author</a>...
+      ...Array.from(doc.querySelectorAll('dt.ptitle')).map(item => ({
+        link: item.querySelector('a'),
+        authors: queryAllText(item.nextElementSibling || item, 'form.authsearch a').join(', '),
+      })),
+    ];
+
+    return entries.filter(entry => entry.link).map(entry => {
+      const href = new URL(entry.link.getAttribute('href'), url).href;
+      const titleElement = entry.title || entry.link;
+      return paper({
+        id: href,
+        aliases: [href],
+        title: textOf(titleElement),
+        authors: entry.authors.split(',').map(name => name.trim()).filter(Boolean),
+        confidence: 0.6,
+        element: titleElement,
+      });
+    });
+  },
+};
+
+// Fallback for any page: Highwire citation_* tags, Dublin Core, Open Graph, JSON-LD, then common DOM patterns
+const genericExtractor = {
+  name: 'generic',
+  matches: () => true,
+  extract({ doc, url, meta }) {
+    const article = readJsonLd(doc) || {};
+    const doi = first(meta, 'citation_doi', 'dc.identifier', 'prism.doi') || doiFrom(url.href);
+    const citationAuthors = all(meta, 'citation_author').map(personName);
+    const title = first(meta, 'citation_title', 'dc.title', 'og:title') || article.headline || article.name
+      || queryText(doc, 'h1.title, .entry-title');
+    const hasCitationTags = Boolean(first(meta, 'citation_title'));
+    return paper({
+      id: doiFrom(doi) || null,
+      aliases: [doiFrom(doi) && `doi:${doiFrom(doi)}`, first(meta, 'citation_pdf_url'), first(meta, 'citation_abstract_html_url')],
+      title,
+      authors: citationAuthors.length > 0
+        ? citationAuthors
+        : [...all(meta, 'dc.creator'), ...all(meta, 'og:author')].concat(
+          [].concat(article.author || []).map(author => author.name),
+          queryAllText(doc, '.authors a'),
+        ).filter((name, index, names) => names.indexOf(name) === index),
+      abstract: first(meta, 'citation_abstract', 'dc.description', 'og:description') || article.abstract
+        || queryText(doc, '.abstract, #abs'),
+      publishYear: yearFrom(first(meta, 'citation_publication_date', 'citation_date', 'dc.date', 'og:pubdate')
+        || article.datePublished),
+      venue: first(meta, 'citation_journal_title', 'citation_conference_title'),
+      confidence: hasCitationTags ? 0.6 : 0.3,
+    });
+  },
+};
+
+const siteExtractors = [
+  arxivExtractor,
+  acmExtractor,
+  ieeeExtractor,
+  springerExtractor,
+  scienceDirectExtractor,
+  openReviewExtractor,
+  semanticScholarExtractor,
+  bioRxivExtractor,
+  pubMedExtractor,
+  googleScholarExtractor,
+  dblpExtractor,
+  proceedingsExtractor,
+];
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Run every matching extractor and keep, per field, the value from the most confident one
+function extractFromDocument(doc, url) {
+  const page = { doc, url, meta: readMetaTags(doc) };
+  const extractors = [...siteExtractors.filter(extractor => extractor.matches(url)), genericExtractor];
+
+  const results = extractors
+    .map(extractor => {
+      const result = extractor.extract(page);
+      return result && { ...result, source: extractor.name };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const pick = (field) => {
+    const winner = results.find(result => !isEmpty(result.metadata[field]));
+    return winner ? winner.metadata[field] : (field === 'authors' ? [] : null);
+  };
+  const aliases = new Set([url.href]);
+  results.forEach(result => result.aliases.forEach(alias => aliases.add(alias)));
+  const best = results.find(result => result.id);
+
+  return {
+    id: best ? best.id : url.href, // Fallback to URL as ID
+    aliases: [...aliases],
+    metadata: {
+      title: pick('title'),
+      authors: pick('authors'),
+      abstract: pick('abstract'),
+      publishYear: pick('publishYear'),
+      venue: pick('venue'),
+    },
+    source: results.length > 0 ? results[0].source : null,
+    confidence: results.length > 0 ? results[0].confidence : 0,
+  };
+}
+
+// Papers listed on search-result and listing pages (empty for single-paper pages)
+function extractListFromDocument(doc, url) {
+  const extractors = siteExtractors.filter(extractor => extractor.extractList && extractor.matches(url));
+  if (extractors.length === 0) return [];
+
+  const page = { doc, url, meta: readMetaTags(doc) };
+  return extractors.flatMap(extractor => extractor.extractList(page).map(result => ({ ...result, source: extractor.name })));
+}
+
+const xjr3Extractors = { siteExtractors, genericExtractor, extractFromDocument, extractListFromDocument };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3Extractors;
+} else {
+  globalThis.xjr3Extractors = xjr3Extractors; // Picked up by content.js
+}
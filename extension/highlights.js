@@ -0,0 +1,215 @@
+/* global globalThis, NodeFilter */
+
+// XJR-3 page highlights.
+// Loaded before content.js. A highlight is stored as a text-quote anchor (quote plus the text just before
+// and after it) and a position (character offsets into the page text). Offsets are counted over the page's
+// text with whitespace runs collapsed to one space, so they survive reflowed markup. When the page changed,
+// the quote is searched for and the prefix/suffix pick the right occurrence.
+// Content scripts share one global scope, so top-level names here must not clash with content.js.
+
+const HIGHLIGHT_CLASS = 'xjr3-highlight';
+const HIGHLIGHT_CONTEXT_LENGTH = 32; // Characters of prefix and suffix stored with a quote
+const HIGHLIGHT_MAX_OCCURRENCES = 200;
+
+// Never part of the page text: our own UI and content that is not rendered as text
+const HIGHLIGHT_SKIPPED = 'script, style, noscript, textarea, select, #xjr3-panel-host, #xjr3-tooltip, .xjr3-badge';
+
+// One color per teammate, picked from the user name so it is stable across pages
+const HIGHLIGHT_COLORS = ['#fff176', '#a5d6a7', '#90caf9', '#f48fb1', '#ffcc80', '#ce93d8'];
+
+const highlightColorFor = (user) => {
+  let hash = 0;
+  for (const char of user || '') hash = (hash * 31 + char.charCodeAt(0)) % 1000003;
+  return HIGHLIGHT_COLORS[hash % HIGHLIGHT_COLORS.length];
+};
+
+const collapseWhitespace = (text) => (text || '').replace(/\s+/g, ' ');
+
+// Page text with whitespace collapsed, and the text node and offset of every character in it
+function buildTextIndex(root) {
+  const doc = root.ownerDocument || root;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement && node.parentElement.closest(HIGHLIGHT_SKIPPED)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT),
+  });
+
+  const chars = [];
+  const nodes = [];
+  const offsets = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let offset = 0; offset < value.length; offset++) {
+      const isSpace = /\s/.test(value[offset]);
+      if (isSpace && (chars.length === 0 || chars[chars.length - 1] === ' ')) continue;
+      chars.push(isSpace ? ' ' : value[offset]);
+      nodes.push(node);
+      offsets.push(offset);
+    }
+  }
+
+  return { text: chars.join(''), nodes, offsets };
+}
+
+// Anchor for a selected range: { quote, prefix, suffix, position: { start, end } }, or null for an empty selection
+function describeSelection(root, range) {
+  const index = buildTextIndex(root);
+  const intersects = new Map();
+  let start = -1;
+  let end = -1;
+
+  for (let i = 0; i < index.nodes.length; i++) {
+    const node = index.nodes[i];
+    if (!intersects.has(node)) intersects.set(node, range.intersectsNode(node));
+    if (!intersects.get(node)) continue;
+    if (node === range.startContainer && index.offsets[i] < range.startOffset) continue;
+    if (node === range.endContainer && index.offsets[i] >= range.endOffset) continue;
+    if (start === -1) start = i;
+    end = i + 1;
+  }
+
+  while (start !== -1 && start < end && index.text[start] === ' ') start++;
+  while (end > start && index.text[end - 1] === ' ') end--;
+  if (start === -1 || start >= end) {
+    return null;
+  }
+
+  return {
+    quote: index.text.slice(start, end),
+    prefix: index.text.slice(Math.max(0, start - HIGHLIGHT_CONTEXT_LENGTH), start),
+    suffix: index.text.slice(end, end + HIGHLIGHT_CONTEXT_LENGTH),
+    position: { start, end },
+  };
+}
+
+// Length of the common ending of a and b
+const commonSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+  return length;
+};
+
+// Length of the common beginning of a and b
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+};
+
+// Where a highlight is in the indexed text: { start, end }, or null if the quote is not on the page
+function anchorHighlight(index, highlight) {
+  const quote = collapseWhitespace(highlight.quote).trim();
+  if (!quote) return null;
+
+  const position = highlight.position;
+  if (position && index.text.slice(position.start, position.end) === quote) {
+    return { start: position.start, end: position.end };
+  }
+
+  // The page changed: score every occurrence of the quote by how much of its context still matches
+  const prefix = collapseWhitespace(highlight.prefix);
+  const suffix = collapseWhitespace(highlight.suffix);
+  let best = null;
+  for (let start = index.text.indexOf(quote), count = 0; start !== -1 && count < HIGHLIGHT_MAX_OCCURRENCES;
+    start = index.text.indexOf(quote, start + 1), count++) {
+    const end = start + quote.length;
+    const score = commonSuffixLength(index.text.slice(Math.max(0, start - prefix.length), start), prefix)
+      + commonPrefixLength(index.text.slice(end, end + suffix.length), suffix);
+    const distance = position ? Math.abs(start - position.start) : 0;
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start, end, score, distance };
+    }
+  }
+
+  return best && { start: best.start, end: best.end };
+}
+
+// Remove every rendered highlight, restoring the original text nodes
+function clearHighlights(root) {
+  root.querySelectorAll(`mark.${HIGHLIGHT_CLASS}`).forEach(mark => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+}
+
+// Label shown when hovering a highlighted passage
+const highlightTitle = (highlights) => highlights
+  .map(highlight => `Highlighted by ${highlight.user}${highlight.comment ? `: ${highlight.comment}` : ''}`)
+  .join('\n');
+
+// Render highlights ([{ quote, prefix, suffix, position, comment, user }]) as <mark> elements with attribution.
+// Overlapping highlights share one mark naming every author. Returns { anchored, orphaned } lists of highlights.
+function renderHighlights(root, highlights) {
+  clearHighlights(root);
+  const doc = root.ownerDocument || root;
+  const index = buildTextIndex(root);
+  const anchored = [];
+  const orphaned = [];
+
+  // Anchor everything before touching the DOM; wrapping splits the text nodes the index points to
+  const segmentsByNode = new Map();
+  highlights.forEach(highlight => {
+    const anchor = anchorHighlight(index, highlight);
+    if (!anchor) {
+      orphaned.push(highlight);
+      return;
+    }
+    anchored.push(highlight);
+    for (let i = anchor.start; i < anchor.end; i++) {
+      const node = index.nodes[i];
+      if (!segmentsByNode.has(node)) segmentsByNode.set(node, []);
+      const segments = segmentsByNode.get(node);
+      const last = segments[segments.length - 1];
+      if (last && last.highlight === highlight) {
+        last.to = index.offsets[i] + 1;
+      } else {
+        segments.push({ from: index.offsets[i], to: index.offsets[i] + 1, highlight });
+      }
+    }
+  });
+
+  segmentsByNode.forEach((segments, node) => {
+    // Split the node at every segment boundary; each piece is wrapped once with all highlights covering it
+    const boundaries = [...new Set(segments.flatMap(segment => [segment.from, segment.to]))].sort((a, b) => a - b);
+    const pieces = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const covering = segments
+        .filter(segment => segment.from <= boundaries[i] && segment.to >= boundaries[i + 1])
+        .map(segment => segment.highlight);
+      if (covering.length > 0) pieces.push({ from: boundaries[i], to: boundaries[i + 1], highlights: covering });
+    }
+
+    // Last piece first, so the offsets of earlier pieces still point into the original node
+    pieces.reverse().forEach(piece => {
+      const middle = node.splitText(piece.from);
+      middle.splitText(piece.to - piece.from);
+      const mark = doc.createElement('mark');
+      mark.className = HIGHLIGHT_CLASS;
+      mark.title = highlightTitle(piece.highlights);
+      mark.dataset.users = [...new Set(piece.highlights.map(highlight => highlight.user))].join(',');
+      mark.style.backgroundColor = highlightColorFor(piece.highlights[0].user);
+      mark.style.color = 'inherit';
+      middle.parentNode.insertBefore(mark, middle);
+      mark.appendChild(middle);
+    });
+  });
+
+  return { anchored, orphaned };
+}
+
+const xjr3Highlights = {
+  HIGHLIGHT_CLASS,
+  buildTextIndex,
+  describeSelection,
+  anchorHighlight,
+  renderHighlights,
+  clearHighlights,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3Highlights;
+} else {
+  globalThis.xjr3Highlights = xjr3Highlights; // Picked up by content.js
+}
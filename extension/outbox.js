@@ -0,0 +1,85 @@
+/* global globalThis */
+
+// XJR-3 offline outbox.
+// Loaded by the content scripts, the popup and the background script. Writes that fail because the
+// backend is unreachable (mark read, remove read, save highlight) are queued by the background script and
+// replayed with the Idempotency-Key they were first sent with, so a write whose response was lost is not
+// applied twice. Failed replays back off exponentially; requests that can never succeed are moved to a
+// dead-letter list the popup shows.
+// Content scripts share one global scope, so top-level names here must not clash with content.js.
+
+const OUTBOX_RETRY_BASE_MS = 30 * 1000;
+const OUTBOX_RETRY_MAX_MS = 60 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8; // About four hours of retrying before giving up
+
+// Random v4 UUID; crypto.randomUUID is missing on plain-http pages, where content scripts also run
+function newIdempotencyKey() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// A request as queued by the background script; key is the Idempotency-Key of the first attempt
+function createOutboxEntry({ key, url, method, body, headers, label }, now = Date.now()) {
+  return {
+    key: key || newIdempotencyKey(),
+    url,
+    method,
+    body,
+    headers,
+    label: label || `${method} ${url}`, // Shown in the popup, e.g. 'Mark read: AI Paper'
+    attempts: 0,
+    queuedAt: now,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+}
+
+// Delay before the next attempt after `attempts` failed ones: 30s, 1m, 2m, ... up to an hour
+function outboxRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), OUTBOX_RETRY_MAX_MS);
+}
+
+// What to do with a queued request after the backend answered it:
+// 'done' (applied), 'resolved' (conflict, but the backend already has what the request wanted),
+// 'retry' (temporary failure), 'reauth' (refresh the token first) or 'dead' (will never succeed)
+function classifyOutboxResponse(entry, status, data = {}) {
+  if (status >= 200 && status < 300) {
+    return 'done';
+  }
+  if (status === 401) {
+    return 'reauth';
+  }
+  if (status === 409) {
+    if (data.conflict === 'in-progress') {
+      return 'retry'; // The first attempt is still being handled; its stored response is replayed later
+    }
+    return data.conflict === 'duplicate-read' ? 'resolved' : 'dead';
+  }
+  if (status === 404 && entry.method === 'DELETE') {
+    return 'resolved'; // Already removed, e.g. from another browser
+  }
+  if (status === 408 || status === 429 || status >= 500) {
+    return 'retry';
+  }
+  return 'dead';
+}
+
+const xjr3Outbox = {
+  OUTBOX_MAX_ATTEMPTS,
+  newIdempotencyKey,
+  createOutboxEntry,
+  outboxRetryDelay,
+  classifyOutboxResponse,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3Outbox;
+} else {
+  globalThis.xjr3Outbox = xjr3Outbox; // Picked up by content.js, popup.js and background.js
+}
@@ -0,0 +1,250 @@
+/* global globalThis */
+
+// XJR-3 in-page paper panel.
+// Loaded before content.js. The panel lives in a shadow root so the page's CSS cannot restyle it
+// and its styles cannot leak into the page. It only renders; content.js does the API calls through
+// the handlers passed to createPaperPanel.
+// Content scripts share one global scope, so top-level names here must not clash with content.js.
+
+const PANEL_HOST_ID = 'xjr3-panel-host';
+
+const PANEL_STYLES = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; right: 16px; bottom: 16px; z-index: 2147483647; width: 320px;
+    background: #fff; color: #222; border: 1px solid #ccc; border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2); font: 13px/1.4 -apple-system, "Segoe UI", Roboto, sans-serif;
+  }
+  .header { display: flex; align-items: center; justify-content: space-between; padding: 8px 12px; border-bottom: 1px solid #eee; }
+  .header strong { font-size: 13px; }
+  .close { border: none; background: none; font-size: 18px; line-height: 1; cursor: pointer; color: #666; }
+  .body { padding: 10px 12px; }
+  .title { font-weight: 600; margin: 0 0 4px; }
+  .status { margin: 0 0 8px; color: #444; }
+  .message { margin: 6px 0 0; color: #2e7d32; }
+  .message.error { color: #c62828; }
+  .actions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+  button.action { border: 1px solid transparent; border-radius: 4px; padding: 4px 10px; font-size: 12px; cursor: pointer; }
+  button.primary { background: #2e7d32; color: #fff; }
+  button.danger { background: #c62828; color: #fff; }
+  button.secondary { background: #f1f1f1; color: #222; border-color: #ccc; }
+  button:disabled { opacity: 0.6; cursor: default; }
+  textarea { box-sizing: border-box; width: 100%; min-height: 60px; margin-top: 6px; font: inherit; }
+  ul.reads { margin: 6px 0 0; padding-left: 16px; max-height: 160px; overflow-y: auto; }
+  ul.reads li { margin-bottom: 4px; }
+  .notes { white-space: pre-wrap; color: #555; }
+  .highlights { margin: 0 0 6px; color: #666; font-size: 12px; }
+  .selection { margin: 8px 0 0; padding-left: 6px; border-left: 3px solid #fff176; font-style: italic; color: #444; }
+  .claim { margin: 0 0 6px; color: #555; }
+  .claim.warning { padding: 4px 6px; border-radius: 4px; background: #fff3e0; color: #e65100; }
+  select { font: inherit; font-size: 12px; }
+`;
+
+// Element with a class and text content (never innerHTML: titles and notes come from pages and users)
+const panelElement = (doc, tagName, className, text) => {
+  const element = doc.createElement(tagName);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+const panelButton = (doc, label, kind, onClick) => {
+  const button = panelElement(doc, 'button', `action ${kind}`, label);
+  button.type = 'button';
+  button.addEventListener('click', onClick);
+  return button;
+};
+
+// Longest selection quoted in the panel before it is cut short
+const PANEL_SELECTION_PREVIEW = 120;
+
+// Claim lengths offered in the panel, in days (the backend accepts 1 to CLAIM_MAX_DAYS in shared/paper.js)
+const PANEL_CLAIM_DAYS = [3, 7, 14];
+const PANEL_DEFAULT_CLAIM_DAYS = 7;
+
+// Create the panel, replacing any earlier one.
+// handlers: { onMarkRead(), onUndo(), onHighlight(), onClaim(days), onReleaseClaim(), onDismiss() }
+function createPaperPanel(doc, handlers) {
+  const existing = doc.getElementById(PANEL_HOST_ID);
+  if (existing) existing.remove();
+
+  const host = doc.createElement('div');
+  host.id = PANEL_HOST_ID;
+  const root = host.attachShadow({ mode: 'open' });
+  root.appendChild(panelElement(doc, 'style', null, PANEL_STYLES));
+
+  const panel = panelElement(doc, 'div', 'panel');
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'XJR-3 paper status');
+
+  const header = panelElement(doc, 'div', 'header');
+  header.appendChild(panelElement(doc, 'strong', null, 'XJR-3'));
+  const closeButton = panelElement(doc, 'button', 'close', '×');
+  closeButton.type = 'button';
+  closeButton.setAttribute('aria-label', 'Dismiss');
+  closeButton.addEventListener('click', () => {
+    host.remove();
+    if (handlers.onDismiss) handlers.onDismiss();
+  });
+  header.appendChild(closeButton);
+
+  const body = panelElement(doc, 'div', 'body');
+  panel.appendChild(header);
+  panel.appendChild(body);
+  root.appendChild(panel);
+  (doc.body || doc.documentElement).appendChild(host);
+
+  const replaceBody = (...children) => {
+    body.textContent = '';
+    children.filter(Boolean).forEach(child => body.appendChild(child));
+  };
+
+  const actions = (...buttons) => {
+    const container = panelElement(doc, 'div', 'actions');
+    buttons.filter(Boolean).forEach(button => container.appendChild(button));
+    return container;
+  };
+
+  const readsList = (reads) => {
+    const list = panelElement(doc, 'ul', 'reads');
+    reads.forEach(read => {
+      const item = panelElement(doc, 'li', null, read.label);
+      if (read.notes) item.appendChild(panelElement(doc, 'div', 'notes', read.notes));
+      list.appendChild(item);
+    });
+    return list;
+  };
+
+  // "Claim for [7 days]" controls; the button reads "Extend Claim" when the claim is already yours
+  const claimControls = (state) => {
+    if (!handlers.onClaim || (!state.canClaim && !state.canReleaseClaim)) return null;
+    const container = actions();
+    if (state.canClaim) {
+      const days = panelElement(doc, 'select');
+      days.setAttribute('aria-label', 'Claim length');
+      PANEL_CLAIM_DAYS.forEach(count => {
+        const option = panelElement(doc, 'option', null, `${count} days`);
+        option.value = String(count);
+        option.selected = count === PANEL_DEFAULT_CLAIM_DAYS;
+        days.appendChild(option);
+      });
+      container.appendChild(days);
+      container.appendChild(panelButton(doc, state.canReleaseClaim ? 'Extend Claim' : 'Claim', 'secondary',
+        () => handlers.onClaim(Number(days.value))));
+    }
+    if (state.canReleaseClaim) {
+      container.appendChild(panelButton(doc, 'Release Claim', 'secondary', () => handlers.onReleaseClaim()));
+    }
+    return container;
+  };
+
+  let currentState = null;
+  let showingStatus = false; // False while a notes or confirmation view is open
+
+  const api = {
+    host,
+    root,
+
+    // state: { title, status, claim, claimWarning, highlights, selection, canMarkRead, canUndo, canClaim,
+    //   canReleaseClaim, message, isError }
+    // claim describes the active claim (a warning when it is a teammate's); highlights summarizes the team's
+    // highlights; selection is the text selected on the page, if any
+    showStatus(state) {
+      currentState = state;
+      showingStatus = true;
+      const selection = state.selection && handlers.onHighlight && (state.selection.length > PANEL_SELECTION_PREVIEW
+        ? `“${state.selection.slice(0, PANEL_SELECTION_PREVIEW)}…”`
+        : `“${state.selection}”`);
+      replaceBody(
+        panelElement(doc, 'p', 'title', state.title),
+        panelElement(doc, 'p', 'status', state.status),
+        state.claim && panelElement(doc, 'p', state.claimWarning ? 'claim warning' : 'claim', state.claim),
+        state.highlights && panelElement(doc, 'p', 'highlights', state.highlights),
+        actions(
+          state.canMarkRead && panelButton(doc, 'Mark Read', 'primary', () => handlers.onMarkRead()),
+          state.canUndo && panelButton(doc, 'Remove My Read', 'danger', () => handlers.onUndo()),
+        ),
+        claimControls(state),
+        selection && panelElement(doc, 'p', 'selection', selection),
+        selection && actions(panelButton(doc, 'Save Highlight', 'secondary', () => handlers.onHighlight())),
+        state.message && panelElement(doc, 'p', state.isError ? 'message error' : 'message', state.message),
+      );
+    },
+
+    // Update the selected text offered for highlighting, unless a notes or confirmation view is open
+    setSelection(selection) {
+      currentState = { ...currentState, selection };
+      if (showingStatus) api.showStatus(currentState);
+    },
+
+    // False while a notes or confirmation view is open, so background updates do not replace it
+    isShowingStatus() {
+      return showingStatus;
+    },
+
+    // Notes entry before marking the paper as read. Resolves to the notes, or null if cancelled.
+    askForNotes() {
+      showingStatus = false;
+      return new Promise(resolve => {
+        const notes = panelElement(doc, 'textarea');
+        notes.placeholder = 'Notes for this read (optional)';
+        replaceBody(
+          panelElement(doc, 'p', 'title', currentState.title),
+          notes,
+          actions(
+            panelButton(doc, 'Save Read', 'primary', () => resolve(notes.value)),
+            panelButton(doc, 'Cancel', 'secondary', () => {
+              api.showStatus({ ...currentState, message: null });
+              resolve(null);
+            }),
+          ),
+        );
+        notes.focus();
+      });
+    },
+
+    // "Already read by NAJ — view notes or mark anyway?" Resolves to 'mark' or 'cancel'.
+    // reads: [{ label, notes }]
+    confirmAlreadyRead(summary, reads) {
+      showingStatus = false;
+      return new Promise(resolve => {
+        const markAnyway = panelButton(doc, 'Mark Anyway', 'primary', () => resolve('mark'));
+        const cancel = panelButton(doc, 'Cancel', 'secondary', () => {
+          api.showStatus(currentState);
+          resolve('cancel');
+        });
+        const viewNotes = panelButton(doc, 'View Notes', 'secondary', () => {
+          replaceBody(
+            panelElement(doc, 'p', 'status', summary),
+            readsList(reads),
+            actions(markAnyway, cancel),
+          );
+        });
+        replaceBody(
+          panelElement(doc, 'p', 'status', `${summary} — view notes or mark anyway?`),
+          actions(viewNotes, markAnyway, cancel),
+        );
+      });
+    },
+
+    setBusy(busy) {
+      root.querySelectorAll('button.action').forEach(button => {
+        button.disabled = busy;
+      });
+    },
+
+    remove() {
+      host.remove();
+    },
+  };
+
+  return api;
+}
+
+const xjr3Panel = { createPaperPanel, PANEL_HOST_ID };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3Panel;
+} else {
+  globalThis.xjr3Panel = xjr3Panel; // Picked up by content.js
+}
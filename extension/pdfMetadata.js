@@ -0,0 +1,285 @@
+/* global globalThis */
+
+// XJR-3 PDF metadata extraction.
+// Loaded before content.js (content script) and by popup.html. Reads the PDF's document info
+// dictionary, its XMP metadata packet and the text of its first page to find the DOI, arXiv ID
+// and title, without a full PDF renderer.
+// Content scripts share one global scope, so top-level names here must not clash with content.js.
+
+const PDF_DOI_PATTERN = /\b(10\.\d{4,9}\/[^\s"<>()[\]]+)/i;
+const PDF_ARXIV_PATTERN = /arXiv:\s*(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?/i;
+const MAX_CONTENT_STREAMS = 12; // The first page is almost always among the first streams
+const MAX_STREAM_BYTES = 2 * 1024 * 1024;
+
+// Whether the document is the browser's PDF viewer showing a PDF
+const isPdfDocument = (doc, url) => doc.contentType === 'application/pdf'
+  || Boolean(doc.querySelector('embed[type="application/pdf"]'))
+  || /\.pdf$/i.test(url.pathname);
+
+// Bytes as a string with one char per byte, so offsets and regexes work on the raw file
+const bytesToBinaryString = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+};
+
+const binaryStringToBytes = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+// Decode a PDF text string (PDFDocEncoding or UTF-16BE with BOM)
+const decodePdfText = (binary) => {
+  if (binary.charCodeAt(0) === 0xfe && binary.charCodeAt(1) === 0xff) {
+    let text = '';
+    for (let i = 2; i + 1 < binary.length; i += 2) {
+      text += String.fromCharCode((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+    }
+    return text;
+  }
+  return binary;
+};
+
+// Contents of a literal string "( ... )" starting at text[start], with escapes resolved
+const readLiteralString = (text, start) => {
+  let depth = 0;
+  let value = '';
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      const next = text[++i];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+      if (/[0-7]/.test(next)) {
+        const octal = text.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        if (next === '\r' && text[i + 1] === '\n') i++; // Line continuation
+      } else {
+        value += escapes[next] || next;
+      }
+    } else if (char === '(') {
+      if (depth > 0) value += char;
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return { value, end: i + 1 };
+      value += char;
+    } else {
+      value += char;
+    }
+  }
+  return { value, end: text.length };
+};
+
+const readHexString = (hex) => {
+  const digits = hex.replace(/[^0-9a-f]/gi, '');
+  let value = '';
+  for (let i = 0; i < digits.length; i += 2) {
+    value += String.fromCharCode(parseInt(digits.slice(i, i + 2).padEnd(2, '0'), 16));
+  }
+  return value;
+};
+
+// Entries of the document information dictionary (/Title, /Author, /doi...)
+const readInfoDictionary = (raw) => {
+  const info = {};
+  ['Title', 'Author', 'Subject', 'Keywords', 'doi', 'DOI'].forEach(key => {
+    const match = new RegExp(`/${key}\\s*(\\(|<(?!<))`).exec(raw);
+    if (!match) return;
+    const start = match.index + match[0].length - 1;
+    const binary = match[1] === '('
+      ? readLiteralString(raw, start).value
+      : readHexString(raw.slice(start + 1, raw.indexOf('>', start)));
+    const value = decodePdfText(binary).replace(/\s+/g, ' ').trim();
+    if (value) info[key] = value;
+  });
+  return info;
+};
+
+// Inflate a FlateDecode stream, or null if it is not valid zlib data
+const inflate = async (bytes) => {
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decoded contents of the streams in file order, up to the given count
+const readStreams = async (raw, limit) => {
+  const streams = [];
+  const pattern = /\bstream\r?\n/g; // "endstream" does not match: no word boundary before its "s"
+  let match;
+  while (streams.length < limit && (match = pattern.exec(raw))) {
+    const start = pattern.lastIndex;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    pattern.lastIndex = end + 'endstream'.length;
+
+    // The stream dictionary sits between "N 0 obj" and the stream keyword
+    const dictionary = raw.slice(Math.max(0, raw.lastIndexOf('obj', match.index)), match.index);
+    if (end - start > MAX_STREAM_BYTES || /\/Subtype\s*\/Image|\/Type\s*\/XRef/.test(dictionary)) continue;
+
+    const body = raw.slice(start, end).replace(/\r?\n$/, '');
+    if (/\/Filter\s*\[?\s*\/FlateDecode\s*\]?/.test(dictionary)) {
+      const inflated = await inflate(binaryStringToBytes(body));
+      if (inflated) streams.push(bytesToBinaryString(inflated));
+    } else if (!/\/Filter/.test(dictionary)) {
+      streams.push(body);
+    }
+  }
+  return streams;
+};
+
+// Lines of text shown by Tj, TJ, ' and " operators in a content stream, with their font size
+const readContentLines = (content) => {
+  if (!/\bBT\b/.test(content)) return [];
+  const lines = [];
+  const number = '(-?\\d*\\.?\\d+)';
+  const pattern = new RegExp([
+    '\\[((?:\\((?:\\\\.|[^\\\\)])*\\)|<[0-9a-fA-F\\s]*>|[^\\]()<])*)\\]\\s*TJ', // [(Str) -250 (ing)] TJ
+    '\\(((?:\\\\.|[^\\\\)])*)\\)\\s*(?:Tj|\'|")', // (String) Tj
+    `${number}\\s+Tf`, // /F1 12 Tf
+    `${number}\\s+-?[\\d.]+\\s+-?[\\d.]+\\s+${number}\\s+-?[\\d.]+\\s+-?[\\d.]+\\s+Tm`, // a b c d e f Tm
+    '(T\\*|Td|TD)(?![A-Za-z])',
+  ].join('|'), 'g');
+
+  let fontSize = 0;
+  let scale = 1;
+  let line = '';
+  const endLine = () => {
+    if (line.trim()) lines.push({ text: line.replace(/\s+/g, ' ').trim(), size: Math.round(fontSize * scale * 10) / 10 });
+    line = '';
+  };
+
+  let match;
+  while ((match = pattern.exec(content))) {
+    const [, array, literal, size, scaleX, scaleY, move] = match;
+    if (size !== undefined) {
+      if (parseFloat(size) !== fontSize) endLine();
+      fontSize = parseFloat(size);
+    } else if (scaleY !== undefined) {
+      endLine(); // Text matrix moves to a new position
+      scale = Math.abs(parseFloat(scaleY)) || Math.abs(parseFloat(scaleX)) || 1;
+    } else if (move) {
+      endLine();
+    } else if (literal !== undefined) {
+      line += readLiteralString(`(${literal})`, 0).value;
+    } else {
+      // Large negative kerning in a TJ array is a word space
+      (array.match(/\((?:\\.|[^\\)])*\)|-?\d*\.?\d+/g) || []).forEach(part => {
+        if (part.startsWith('(')) {
+          line += readLiteralString(part, 0).value;
+        } else if (parseFloat(part) < -200) {
+          line += ' ';
+        }
+      });
+    }
+  }
+  endLine();
+  return lines;
+};
+
+// The title is set in the largest font on the first page; consecutive lines at that size are joined
+const titleFromLines = (lines) => {
+  const candidates = lines.filter(line => !PDF_ARXIV_PATTERN.test(line.text) && line.text.length > 2);
+  if (candidates.length === 0) return null;
+  const largest = Math.max(...candidates.map(line => line.size));
+  const start = candidates.findIndex(line => line.size === largest);
+  const titleLines = [];
+  for (let i = start; i < candidates.length && candidates[i].size === largest; i++) {
+    titleLines.push(candidates[i].text);
+  }
+  const title = titleLines.join(' ');
+  return title.length >= 10 && title.length <= 300 ? title : null;
+};
+
+// Fields of the XMP packet (dc:title, dc:creator, prism:doi...)
+const readXmp = (packet) => {
+  const listItems = (tag) => {
+    const element = packet.match(new RegExp(`<${tag}[^>]*>([^]*?)</${tag}>`));
+    if (!element) return [];
+    const items = element[1].match(/<rdf:li[^>]*>([^]*?)<\/rdf:li>/g);
+    return (items || [element[1]]).map(item => item.replace(/<[^>]+>/g, '').trim()).filter(Boolean);
+  };
+  const value = (...tags) => {
+    for (const tag of tags) {
+      const element = packet.match(new RegExp(`<${tag}>([^<]*)</${tag}>`)) || packet.match(new RegExp(`${tag}="([^"]*)"`));
+      if (element && element[1].trim()) return element[1].trim();
+    }
+    return null;
+  };
+  return {
+    title: listItems('dc:title')[0] || null,
+    authors: listItems('dc:creator'),
+    doi: value('prism:doi', 'pdfx:doi', 'crossmark:DOI') || listItems('dc:identifier').find(id => PDF_DOI_PATTERN.test(id)) || null,
+    date: value('prism:publicationDate', 'prism:coverDate'), // Not xmp:CreateDate: when the file was made
+    venue: value('prism:publicationName'),
+  };
+};
+
+const yearOf = (value) => {
+  const match = String(value || '').match(/(1[89]\d{2}|20\d{2})/); // Also matches PDF dates (D:20170612...)
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Titles that PDF producers leave behind instead of the paper title
+const isPlausibleTitle = (title) => Boolean(title)
+  && title.length > 8
+  && !/^(untitled|microsoft word|title)\b/i.test(title)
+  && !/\.(pdf|dvi|docx?|tex)$/i.test(title);
+
+const cleanDoi = (doi) => (doi || '').replace(/^doi:\s*/i, '').replace(/[.,;:]+$/, '') || null;
+
+// Paper identity and metadata from the bytes of a PDF (ArrayBuffer or Uint8Array)
+async function extractPdfMetadata(data, url) {
+  const raw = bytesToBinaryString(data instanceof Uint8Array ? data : new Uint8Array(data));
+  const info = readInfoDictionary(raw);
+  const streams = await readStreams(raw, MAX_CONTENT_STREAMS);
+
+  const packet = [raw, ...streams].map(text => text.match(/<x:xmpmeta[^]*?<\/x:xmpmeta>/)).find(Boolean);
+  const xmp = packet ? readXmp(new TextDecoder().decode(binaryStringToBytes(packet[0]))) : { authors: [] }; // XMP is UTF-8
+  const pages = streams.map(readContentLines).filter(lines => lines.length > 0);
+  // Identifiers further on are usually cited works in the references
+  const firstPageText = pages.length > 0 ? pages[0].map(line => line.text).join('\n') : '';
+
+  const doiMatch = firstPageText.match(PDF_DOI_PATTERN);
+  const doi = cleanDoi(xmp.doi || info.doi || info.DOI || (doiMatch && doiMatch[1]));
+  const arxivMatch = firstPageText.match(PDF_ARXIV_PATTERN) || url.href.match(/arxiv\.org\/pdf\/(\d{4}\.\d{4,5}|[a-z-]+\/\d{7})(v\d+)?/i);
+  const arxivId = arxivMatch ? arxivMatch[1] : null;
+  const title = [xmp.title, info.Title, pages.length > 0 ? titleFromLines(pages[0]) : null].find(isPlausibleTitle) || null;
+  const infoAuthors = info.Author ? info.Author.split(/\s*(?:;|,\s*and\s+|\s+and\s+)\s*/).filter(Boolean) : [];
+
+  const identifiers = [doi && `doi:${doi}`, arxivId && `arxiv:${arxivId}`];
+  return {
+    id: identifiers.find(Boolean) || url.href, // Fallback to URL as ID
+    aliases: [url.href, ...identifiers.filter(Boolean)],
+    metadata: {
+      title,
+      authors: xmp.authors.length > 0 ? xmp.authors : infoAuthors,
+      abstract: null, // Not reliably locatable in the page text
+      publishYear: yearOf(xmp.date), // Not the Info CreationDate: PDFs are often rendered or scanned years later
+      venue: xmp.venue || null,
+    },
+    source: 'pdf',
+    confidence: doi || arxivId ? 0.8 : 0.3,
+  };
+}
+
+// Fetch the PDF at a URL (with the user's cookies, for publisher access) and extract its metadata
+async function fetchPdfMetadata(url) {
+  const response = await fetch(url.href, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch PDF (${response.status})`);
+  }
+  return extractPdfMetadata(await response.arrayBuffer(), url);
+}
+
+const xjr3PdfMetadata = { isPdfDocument, extractPdfMetadata, fetchPdfMetadata, readContentLines };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3PdfMetadata;
+} else {
+  globalThis.xjr3PdfMetadata = xjr3PdfMetadata; // Picked up by content.js and popup.js
+}
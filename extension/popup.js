@@ -1,7 +1,19 @@
-/* global chrome, browser */
+/* global chrome, browser, globalThis */
 
 const API_BASE_URL = "http://localhost:3000/api"; // TODO: Update for deployment
-const { formatTimestampToLocal, formatTimeAgo } = require('../shared/utils'); // Re-evaluate if this works directly in browser context
+// const { formatTimestampToLocal, formatTimeAgo } = require('../shared/utils'); // Removed for browser compatibility
+
+const pdfMetadata = typeof module !== 'undefined' && module.exports
+  ? require('./pdfMetadata')
+  : globalThis.xjr3PdfMetadata; // Loaded by popup.html
+
+const readNotes = typeof module !== 'undefined' && module.exports
+  ? require('./readNotes')
+  : globalThis.xjr3ReadNotes; // Loaded by popup.html
+
+const outbox = typeof module !== 'undefined' && module.exports
+  ? require('./outbox')
+  : globalThis.xjr3Outbox; // Loaded by popup.html
 
 const getBrowserApi = () => typeof chrome !== 'undefined' ? chrome : browser;
 const browserApi = getBrowserApi();
@@ -9,15 +21,56 @@ const browserApi = getBrowserApi();
 const loginSection = document.getElementById('login-section');
 const dashboardSection = document.getElementById('dashboard-section');
 const loginForm = document.getElementById('login-form');
+const loginUsernameInput = document.getElementById('username');
+const loginPasswordInput = document.getElementById('password');
 const loginMessage = document.getElementById('login-message');
 const logoutButton = document.getElementById('logout-button');
 const searchForm = document.getElementById('search-form');
 const searchKeywordInput = document.getElementById('search-keyword');
 const searchUserInput = document.getElementById('search-user');
 const searchPublishYearInput = document.getElementById('search-publish-year');
+const searchSortSelect = document.getElementById('search-sort');
+const searchYearFromInput = document.getElementById('search-year-from');
+const searchYearToInput = document.getElementById('search-year-to');
+const searchAuthorInput = document.getElementById('search-author');
+const searchVenueInput = document.getElementById('search-venue');
+const searchTagsInput = document.getElementById('search-tags');
+const searchReadWithinSelect = document.getElementById('search-read-within');
+const searchMinReadsInput = document.getElementById('search-min-reads');
+const searchNotReadByMeInput = document.getElementById('search-not-read-by-me');
+const searchReadByNobodyInput = document.getElementById('search-read-by-nobody');
 const papersTableBody = document.getElementById('papers-table-body');
 const papersMessage = document.getElementById('papers-message');
 const loadMoreButton = document.getElementById('load-more-button');
+const currentPageSection = document.getElementById('current-page-section');
+const currentPageTitle = document.getElementById('current-page-title');
+const currentPageSource = document.getElementById('current-page-source');
+const currentPageMarkReadButton = document.getElementById('current-page-mark-read');
+const currentPageAddToCollectionButton = document.getElementById('current-page-add-to-collection');
+const currentPageWatchButton = document.getElementById('current-page-watch');
+const watchList = document.getElementById('watch-list');
+const watchForm = document.getElementById('watch-form');
+const watchKindSelect = document.getElementById('watch-kind');
+const watchValueInput = document.getElementById('watch-value');
+const watchMessage = document.getElementById('watch-message');
+const savedSearchList = document.getElementById('saved-search-list');
+const savedSearchForm = document.getElementById('saved-search-form');
+const savedSearchNameInput = document.getElementById('saved-search-name');
+const savedSearchEmailInput = document.getElementById('saved-search-email');
+const savedSearchMessage = document.getElementById('saved-search-message');
+const inboxUnreadBadge = document.getElementById('inbox-unread');
+const inboxList = document.getElementById('inbox-list');
+const inboxMessage = document.getElementById('inbox-message');
+const zoteroStatus = document.getElementById('zotero-status');
+const zoteroForm = document.getElementById('zotero-form');
+const zoteroApiKeyInput = document.getElementById('zotero-api-key');
+const zoteroActions = document.getElementById('zotero-actions');
+const zoteroSyncButton = document.getElementById('zotero-sync');
+const zoteroDisconnectButton = document.getElementById('zotero-disconnect');
+const zoteroMessage = document.getElementById('zotero-message');
+const outboxSection = document.getElementById('outbox-section');
+const outboxSummary = document.getElementById('outbox-summary');
+const deadLetterList = document.getElementById('dead-letter-list');
 
 let currentPage = 1;
 let currentLimit = 10;
@@ -27,6 +80,22 @@ const readConfirmationModal = $('#readConfirmationModal');
 const existingReadsInfo = $('#existing-reads-info');
 const viewNotesButton = $('#viewNotesButton');
 const confirmMarkReadButton = $('#confirmMarkReadButton');
+const notesEditorModal = $('#notesEditorModal');
+const notesBodyInput = document.getElementById('notes-body');
+const notesRatingSelect = document.getElementById('notes-rating');
+const notesTagsInput = document.getElementById('notes-tags');
+const notesTakeawaysInput = document.getElementById('notes-takeaways');
+const notesHighlightsGroup = document.getElementById('notes-highlights-group');
+const notesHighlightsList = document.getElementById('notes-highlights');
+const saveNotesButton = document.getElementById('saveNotesButton');
+const collectionModal = $('#collectionModal');
+const collectionPaperTitle = document.getElementById('collection-paper-title');
+const collectionSelect = document.getElementById('collection-select');
+const newCollectionGroup = document.getElementById('new-collection-group');
+const newCollectionNameInput = document.getElementById('new-collection-name');
+const collectionAssigneeSelect = document.getElementById('collection-assignee');
+const collectionMessage = document.getElementById('collection-message');
+const addToCollectionButton = document.getElementById('addToCollectionButton');
 
 // --- Utility functions for browser environment (re-defined from shared/utils.js if not directly importable) ---
 // In a real extension, you'd bundle these shared utilities to be accessible.
@@ -66,6 +135,12 @@ async function checkLoginStatus() {
   if (storage.jwtToken && storage.userId) {
     loginSection.style.display = 'none';
     dashboardSection.style.display = 'block';
+    showCurrentPagePaper(storage.userId);
+    fetchWatches();
+    fetchSavedSearches();
+    fetchInbox();
+    fetchZoteroConnection();
+    showOfflineQueue();
     await fetchPapers(true); // Fetch papers on successful login/startup
   } else {
     loginSection.style.display = 'block';
@@ -73,17 +148,168 @@ async function checkLoginStatus() {
   }
 }
 
-// Handle login form submission
-loginForm.addEventListener('submit', async (event) => {
+// Function to get the paper open in the active tab from its content script
+async function getCurrentTabPaper() {
+  const [tab] = await browserApi.tabs.query({ active: true, currentWindow: true });
+  if (!tab || !tab.url) {
+    return null;
+  }
+
+  try {
+    return await browserApi.tabs.sendMessage(tab.id, { action: 'getPaperMetadata' });
+  } catch (error) {
+    // No content script: Firefox's PDF viewer does not run extension scripts, so read the PDF here
+    const url = new URL(tab.url);
+    if (!/\.pdf$/i.test(url.pathname)) {
+      return null;
+    }
+    const extracted = await pdfMetadata.fetchPdfMetadata(url);
+    return {
+      ...extracted,
+      metadata: {
+        ...(extracted.metadata.title ? { title: extracted.metadata.title } : {}),
+        authors: extracted.metadata.authors,
+        ...(extracted.metadata.abstract ? { abstract: extracted.metadata.abstract } : {}),
+        publishYear: extracted.metadata.publishYear || null,
+      },
+    };
+  }
+}
+
+// Function to offer Mark Read for the paper in the active tab
+async function showCurrentPagePaper(userId) {
+  let paper = null;
+  try {
+    paper = await getCurrentTabPaper();
+  } catch (error) {
+    console.error('Error reading current page paper:', error);
+  }
+
+  if (!paper || !paper.id) {
+    currentPageSection.style.display = 'none';
+    return;
+  }
+
+  currentPageSection.style.display = 'block';
+  currentPageTitle.textContent = paper.metadata.title || paper.id;
+  currentPageSource.textContent = paper.source === 'pdf' ? 'Detected from PDF' : '';
+  currentPageMarkReadButton.onclick = () => markPaperAsRead(paper.id, paper.metadata, userId, paper.aliases);
+  currentPageAddToCollectionButton.onclick = () => openAddToCollection(paper, userId);
+  currentPageWatchButton.onclick = () => addWatch({
+    kind: 'paper',
+    value: paper.id,
+    title: paper.metadata.title,
+    ...(paper.aliases && paper.aliases.length > 0 ? { aliases: paper.aliases } : {}),
+  });
+}
+
+const WATCH_KIND_LABELS = { paper: 'Paper', author: 'Author', keyword: 'Keyword' };
+
+// Function to list the user's watch rules, each with a Stop button
+function renderWatches(watches) {
+  watchList.textContent = '';
+  if (watches.length === 0) {
+    const empty = document.createElement('li');
+    empty.classList.add('text-muted', 'small');
+    empty.textContent = 'Not watching anything yet.';
+    watchList.appendChild(empty);
+    return;
+  }
+
+  watches.forEach(watch => {
+    const item = document.createElement('li');
+    item.classList.add('d-flex', 'justify-content-between', 'align-items-center', 'small', 'mb-1');
+    const label = document.createElement('span');
+    label.textContent = `${WATCH_KIND_LABELS[watch.kind]}: ${watch.label || watch.value}`;
+    const stopButton = document.createElement('button');
+    stopButton.textContent = 'Stop';
+    stopButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0');
+    stopButton.addEventListener('click', () => removeWatch(watch._id));
+    item.appendChild(label);
+    item.appendChild(stopButton);
+    watchList.appendChild(item);
+  });
+}
+
+// Function to fetch the user's watch rules from the backend
+async function fetchWatches() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/watches`, {
+      headers: { 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to load watches');
+    }
+    renderWatches((await response.json()).watches);
+  } catch (error) {
+    console.error('Error fetching watches:', error);
+    watchMessage.textContent = error.message || 'An error occurred while loading watches.';
+  }
+}
+
+// Function to start watching a paper, author or keyword
+async function addWatch(watch) {
+  watchMessage.textContent = '';
+  try {
+    const response = await fetch(`${API_BASE_URL}/watches`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
+      body: JSON.stringify(watch),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to add watch');
+    }
+    watchMessage.textContent = `Watching ${data.watch.label || data.watch.value}.`;
+    await fetchWatches();
+  } catch (error) {
+    console.error('Error adding watch:', error);
+    watchMessage.textContent = error.message || 'An error occurred.';
+  }
+}
+
+// Function to stop watching
+async function removeWatch(watchId) {
+  watchMessage.textContent = '';
+  try {
+    const response = await fetch(`${API_BASE_URL}/watches/${watchId}`, {
+      method: 'DELETE',
+      headers: { 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to remove watch');
+    }
+    await fetchWatches();
+  } catch (error) {
+    console.error('Error removing watch:', error);
+    watchMessage.textContent = error.message || 'An error occurred.';
+  }
+}
+
+// Handle the watch form (authors and keywords; papers are watched from This Page)
+watchForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const value = watchValueInput.value.trim();
+  if (!value) {
+    return;
+  }
+  await addWatch({ kind: watchKindSelect.value, value });
+  watchValueInput.value = '';
+});
+
+// Function to log in and store the access/refresh token pair (background.js refreshes the access token)
+async function handleLogin(event) {
   event.preventDefault();
-  const username = loginForm.username.value;
-  const password = loginForm.password.value;
+  const username = loginUsernameInput.value;
+  const password = loginPasswordInput.value;
 
   try {
-    const response = await fetch(`${API_BASE_URL}/admin/login`, {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ adminUsername: username, password }),
+      body: JSON.stringify({ username, password }),
     });
 
     if (!response.ok) {
@@ -92,23 +318,74 @@ loginForm.addEventListener('submit', async (event) => {
     }
 
     const data = await response.json();
-    await browserApi.storage.local.set({ jwtToken: data.token, userId: username }); // Storing username as userId for now
+    await browserApi.storage.local.set({
+      jwtToken: data.token,
+      refreshToken: data.refreshToken,
+      userId: data.user.username, // Matches req.user.id on the backend
+    });
     loginMessage.textContent = '';
     checkLoginStatus();
+    browserApi.runtime.sendMessage({ action: 'connectEvents' }); // Start receiving live events
   } catch (error) {
     console.error('Login error:', error);
     loginMessage.textContent = error.message || 'An unexpected error occurred.';
   }
-});
+}
 
-// Handle logout
-logoutButton.addEventListener('click', async () => {
-  await browserApi.storage.local.remove(['jwtToken', 'userId']);
+// Function to revoke the refresh token on the backend and forget the session
+async function handleLogout() {
+  const { refreshToken } = await browserApi.storage.local.get('refreshToken');
+  if (refreshToken) {
+    try {
+      await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (error) {
+      console.error('Logout error:', error); // Local logout still proceeds
+    }
+  }
+  await browserApi.storage.local.remove(['jwtToken', 'refreshToken', 'userId']);
+  browserApi.runtime.sendMessage({ action: 'disconnectEvents' });
   checkLoginStatus();
   papersTableBody.innerHTML = ''; // Clear papers on logout
   papersMessage.style.display = 'block';
   papersMessage.textContent = 'No papers found.';
-});
+}
+
+loginForm.addEventListener('submit', handleLogin);
+logoutButton.addEventListener('click', handleLogout);
+
+// Text with the given [start, end] ranges wrapped in <mark>
+function markedText(text, matches) {
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+  matches.forEach(([start, end]) => {
+    fragment.append(text.slice(position, start));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    fragment.append(mark);
+    position = end;
+  });
+  fragment.append(text.slice(position));
+  return fragment;
+}
+
+// Title cell of a search result: the title with its matches marked, then the author and abstract matches
+function renderSearchResultTitle(paper) {
+  const cell = document.createDocumentFragment();
+  const snippets = paper.snippets || [];
+  const titleSnippet = snippets.find(snippet => snippet.field === 'title');
+  cell.append(titleSnippet ? markedText(titleSnippet.text, titleSnippet.matches) : (paper.metadata.title || paper.id));
+  snippets.filter(snippet => snippet.field !== 'title').forEach(snippet => {
+    const line = document.createElement('small');
+    line.classList.add('search-snippet', 'd-block', 'text-muted');
+    line.append(snippet.field === 'authors' ? 'by ' : '', markedText(snippet.text, snippet.matches));
+    cell.append(line);
+  });
+  return cell;
+}
 
 // Function to fetch and display papers
 async function fetchPapers(reset = false) {
@@ -176,15 +453,30 @@ async function fetchPapers(reset = false) {
         latestReadEntryId = mostRecentRead._id;
       }
 
-      row.insertCell().textContent = paper.metadata.title;
+      row.insertCell().appendChild(renderSearchResultTitle(paper));
       row.insertCell().textContent = paper.metadata.publishYear || 'N/A';
       row.insertCell().textContent = readByUsers;
       row.insertCell().textContent = latestReadTime;
 
-      // Add Notes cell
-      row.insertCell().textContent = userReads.length > 0 ? userReads[0].notes : 'N/A';
+      // Add Notes cell, with an edit button for the user's latest read
+      const notesCell = row.insertCell();
+      if (userReads.length > 0) {
+        notesCell.appendChild(readNotes.renderReadNotes(document, userReads[0]));
+        const editNotesButton = document.createElement('button');
+        editNotesButton.textContent = 'Edit Notes';
+        editNotesButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0');
+        editNotesButton.addEventListener('click', () => editReadNotes(paper.id, userReads[0]));
+        notesCell.appendChild(editNotesButton);
+      } else {
+        notesCell.textContent = 'N/A';
+      }
 
       const actionsCell = row.insertCell();
+      const addToCollectionButton = document.createElement('button');
+      addToCollectionButton.textContent = 'Add to Collection';
+      addToCollectionButton.classList.add('btn', 'btn-outline-primary', 'btn-sm', 'mb-1');
+      addToCollectionButton.addEventListener('click', () => openAddToCollection(paper, currentUserId));
+      actionsCell.appendChild(addToCollectionButton);
       if (readStatus === 'unread') {
         const markReadButton = document.createElement('button');
         markReadButton.textContent = 'Mark Read';
@@ -217,11 +509,23 @@ async function fetchPapers(reset = false) {
 // Handle search form submission
 searchForm.addEventListener('submit', async (event) => {
   event.preventDefault();
-  currentSearchQuery = {
-    keyword: searchKeywordInput.value,
-    user: searchUserInput.value,
-    publishYear: searchPublishYearInput.value ? parseInt(searchPublishYearInput.value, 10) : undefined,
-  };
+  const number = (input) => (input.value ? parseInt(input.value, 10) : undefined);
+  // Leave out empty fields and unticked boxes, which the backend rejects or ignores
+  currentSearchQuery = Object.fromEntries(Object.entries({
+    keyword: searchKeywordInput.value.trim(),
+    user: searchUserInput.value.trim(),
+    publishYear: number(searchPublishYearInput),
+    yearFrom: number(searchYearFromInput),
+    yearTo: number(searchYearToInput),
+    author: searchAuthorInput.value.trim(),
+    venue: searchVenueInput.value.trim(),
+    tags: searchTagsInput.value.trim(),
+    readWithinDays: searchReadWithinSelect.value,
+    minReads: number(searchMinReadsInput),
+    notReadByMe: searchNotReadByMeInput.checked || undefined,
+    readByNobody: searchReadByNobodyInput.checked || undefined,
+    sort: searchSortSelect.value,
+  }).filter(([, value]) => value !== undefined && value !== ''));
   await fetchPapers(true); // Reset and fetch with new query
 });
 
@@ -231,7 +535,341 @@ loadMoreButton.addEventListener('click', async () => {
   await fetchPapers(false);
 });
 
-async function markPaperAsRead(paperId, metadata, userId) {
+// Function to fill the search form from a saved query and run it
+async function runSavedSearch(query) {
+  const inputs = {
+    keyword: searchKeywordInput,
+    user: searchUserInput,
+    publishYear: searchPublishYearInput,
+    yearFrom: searchYearFromInput,
+    yearTo: searchYearToInput,
+    author: searchAuthorInput,
+    venue: searchVenueInput,
+    tags: searchTagsInput,
+    readWithinDays: searchReadWithinSelect,
+    minReads: searchMinReadsInput,
+  };
+  Object.entries(inputs).forEach(([field, input]) => {
+    input.value = query[field] !== undefined ? query[field] : '';
+  });
+  searchNotReadByMeInput.checked = Boolean(query.notReadByMe);
+  searchReadByNobodyInput.checked = Boolean(query.readByNobody);
+  searchSortSelect.value = query.sort || 'relevance';
+
+  currentSearchQuery = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== false));
+  await fetchPapers(true);
+}
+
+const DIGEST_OPTIONS = [
+  ['off', 'No digest'],
+  ['daily:inbox', 'Daily to inbox'],
+  ['weekly:inbox', 'Weekly to inbox'],
+  ['daily:email', 'Daily by email'],
+  ['weekly:email', 'Weekly by email'],
+];
+
+// Function to list the user's saved searches, each with its digest setting and a Delete button
+function renderSavedSearches(savedSearches) {
+  savedSearchList.textContent = '';
+  if (savedSearches.length === 0) {
+    const empty = document.createElement('li');
+    empty.classList.add('text-muted', 'small');
+    empty.textContent = 'No saved searches yet. Search, then save it here.';
+    savedSearchList.appendChild(empty);
+    return;
+  }
+
+  savedSearches.forEach(savedSearch => {
+    const item = document.createElement('li');
+    item.classList.add('d-flex', 'justify-content-between', 'align-items-center', 'small', 'mb-1');
+    const runButton = document.createElement('button');
+    runButton.textContent = savedSearch.name;
+    runButton.title = 'Run this search';
+    runButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0', 'text-left');
+    runButton.addEventListener('click', () => runSavedSearch(savedSearch.query));
+
+    const { frequency, transport } = savedSearch.digest;
+    const digestSelect = document.createElement('select');
+    digestSelect.classList.add('form-control', 'form-control-sm', 'w-auto', 'ml-auto', 'mr-2');
+    digestSelect.setAttribute('aria-label', `Digest for ${savedSearch.name}`);
+    DIGEST_OPTIONS.forEach(([value, label]) => digestSelect.appendChild(optionFor(value, label)));
+    digestSelect.value = frequency === 'off' ? 'off' : `${frequency}:${transport}`;
+    digestSelect.addEventListener('change', () => updateSavedSearchDigest(savedSearch, digestSelect.value));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = 'Delete';
+    deleteButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0');
+    deleteButton.addEventListener('click', () => removeSavedSearch(savedSearch._id));
+
+    item.appendChild(runButton);
+    item.appendChild(digestSelect);
+    item.appendChild(deleteButton);
+    savedSearchList.appendChild(item);
+  });
+}
+
+// Function to send a saved-search request and report failures in the card
+async function savedSearchRequest(path, options = {}) {
+  const jwtToken = (await browserApi.storage.local.get('jwtToken')).jwtToken;
+  const response = await fetch(`${API_BASE_URL}/saved-searches${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Saved search request failed');
+  }
+  return data;
+}
+
+// Function to fetch the user's saved searches from the backend
+async function fetchSavedSearches() {
+  try {
+    renderSavedSearches((await savedSearchRequest('')).savedSearches);
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    savedSearchMessage.textContent = error.message || 'An error occurred while loading saved searches.';
+  }
+}
+
+// Function to change how often (and where) a saved search sends digests, e.g. 'weekly:inbox'
+async function updateSavedSearchDigest(savedSearch, choice) {
+  savedSearchMessage.textContent = '';
+  const [frequency, transport = savedSearch.digest.transport] = choice.split(':');
+  const email = savedSearchEmailInput.value.trim() || savedSearch.digest.email;
+  if (transport === 'email' && !email) {
+    savedSearchMessage.textContent = 'Enter an email address for email digests.';
+    await fetchSavedSearches(); // Put the select back
+    return;
+  }
+  try {
+    await savedSearchRequest(`/${savedSearch._id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ digest: { frequency, transport, ...(transport === 'email' ? { email } : {}) } }),
+    });
+    savedSearchMessage.textContent = frequency === 'off'
+      ? `No more digests for ${savedSearch.name}.`
+      : `${frequency === 'daily' ? 'Daily' : 'Weekly'} digest of new matches for ${savedSearch.name}.`;
+  } catch (error) {
+    console.error('Error updating saved search:', error);
+    savedSearchMessage.textContent = error.message || 'An error occurred.';
+  }
+  await fetchSavedSearches();
+}
+
+// Function to delete a saved search
+async function removeSavedSearch(searchId) {
+  savedSearchMessage.textContent = '';
+  try {
+    await savedSearchRequest(`/${searchId}`, { method: 'DELETE' });
+    await fetchSavedSearches();
+  } catch (error) {
+    console.error('Error removing saved search:', error);
+    savedSearchMessage.textContent = error.message || 'An error occurred.';
+  }
+}
+
+// Handle the saved search form: save the search currently shown under a name
+savedSearchForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const name = savedSearchNameInput.value.trim();
+  if (!name) {
+    return;
+  }
+  savedSearchMessage.textContent = '';
+  try {
+    await savedSearchRequest('', { method: 'POST', body: JSON.stringify({ name, query: currentSearchQuery }) });
+    savedSearchNameInput.value = '';
+    savedSearchMessage.textContent = `Saved ${name}.`;
+    await fetchSavedSearches();
+  } catch (error) {
+    console.error('Error saving search:', error);
+    savedSearchMessage.textContent = error.message || 'An error occurred.';
+  }
+});
+
+// Function to list inbox messages; opening one shows its papers and marks it read
+function renderInbox({ messages, unreadCount }) {
+  inboxUnreadBadge.textContent = unreadCount;
+  inboxUnreadBadge.style.display = unreadCount > 0 ? 'inline' : 'none';
+  inboxList.textContent = '';
+  if (messages.length === 0) {
+    const empty = document.createElement('li');
+    empty.classList.add('text-muted', 'small');
+    empty.textContent = 'No messages. Digests of your saved searches arrive here.';
+    inboxList.appendChild(empty);
+    return;
+  }
+
+  messages.forEach(message => {
+    const item = document.createElement('li');
+    item.classList.add('small', 'mb-1');
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${message.subject} (${getRelativeTime(message.createdAt)})`;
+    if (!message.readAt) {
+      summary.classList.add('font-weight-bold');
+    }
+    details.appendChild(summary);
+
+    const papers = document.createElement('ul');
+    papers.classList.add('mb-1');
+    message.papers.forEach(paper => {
+      const line = document.createElement('li');
+      line.textContent = `${paper.title || paper.id}${paper.publishYear ? ` (${paper.publishYear})` : ''}`;
+      papers.appendChild(line);
+    });
+    details.appendChild(papers);
+
+    const dismissButton = document.createElement('button');
+    dismissButton.textContent = 'Dismiss';
+    dismissButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0');
+    dismissButton.addEventListener('click', () => inboxRequest(`/${message._id}`, { method: 'DELETE' }));
+    details.appendChild(dismissButton);
+
+    details.addEventListener('toggle', () => {
+      if (details.open && !message.readAt) {
+        message.readAt = new Date().toISOString();
+        summary.classList.remove('font-weight-bold');
+        const unread = Math.max(0, Number(inboxUnreadBadge.textContent) - 1);
+        inboxUnreadBadge.textContent = unread;
+        inboxUnreadBadge.style.display = unread > 0 ? 'inline' : 'none';
+        inboxRequest(`/${message._id}/read`, { method: 'POST' }, false); // Keep the message open
+      }
+    });
+    item.appendChild(details);
+    inboxList.appendChild(item);
+  });
+}
+
+// Function to fetch the inbox from the backend
+async function fetchInbox() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/inbox`, {
+      headers: { 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to load inbox');
+    }
+    renderInbox(await response.json());
+  } catch (error) {
+    console.error('Error fetching inbox:', error);
+    inboxMessage.textContent = error.message || 'An error occurred while loading the inbox.';
+  }
+}
+
+// Function to mark an inbox message read or dismiss it, then refresh the list unless told not to
+async function inboxRequest(path, options, refresh = true) {
+  inboxMessage.textContent = '';
+  try {
+    const response = await fetch(`${API_BASE_URL}/inbox${path}`, {
+      ...options,
+      headers: { 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Inbox request failed');
+    }
+  } catch (error) {
+    console.error('Error updating inbox:', error);
+    inboxMessage.textContent = error.message || 'An error occurred.';
+  }
+  if (refresh) {
+    await fetchInbox();
+  }
+}
+
+// Function to show whether a Zotero library is connected and when it last synced
+function renderZoteroConnection(connection) {
+  zoteroForm.style.display = connection ? 'none' : 'flex';
+  zoteroActions.style.display = connection ? 'block' : 'none';
+  if (!connection) {
+    zoteroStatus.textContent = 'Connect a Zotero library to tag its items with your reading status and copy your notes to it. Items you add to Zotero show up here as want to read.';
+    return;
+  }
+  const synced = connection.lastSyncAt ? `last synced ${getRelativeTime(connection.lastSyncAt)}` : 'not synced yet';
+  zoteroStatus.textContent = `Library ${connection.libraryId} connected, ${connection.itemCount} papers matched, ${synced}.`;
+  if (connection.lastError) {
+    zoteroStatus.textContent += ` Last sync failed: ${connection.lastError}`;
+  }
+}
+
+// Function to send a Zotero request and report failures in the card
+async function zoteroRequest(path, options = {}) {
+  const jwtToken = (await browserApi.storage.local.get('jwtToken')).jwtToken;
+  const response = await fetch(`${API_BASE_URL}/zotero${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken },
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.message || 'Zotero request failed');
+  }
+  return data;
+}
+
+// Function to fetch the user's Zotero connection from the backend
+async function fetchZoteroConnection() {
+  try {
+    renderZoteroConnection((await zoteroRequest('')).connection);
+  } catch (error) {
+    console.error('Error fetching Zotero connection:', error);
+    zoteroMessage.textContent = error.message || 'An error occurred while loading the Zotero connection.';
+  }
+}
+
+zoteroForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  zoteroMessage.textContent = '';
+  try {
+    const { connection } = await zoteroRequest('', {
+      method: 'PUT',
+      body: JSON.stringify({ apiKey: zoteroApiKeyInput.value.trim() }),
+    });
+    zoteroApiKeyInput.value = '';
+    renderZoteroConnection(connection);
+    zoteroMessage.textContent = 'Connected. Syncing runs every hour, or now with Sync Now.';
+  } catch (error) {
+    console.error('Error connecting Zotero:', error);
+    zoteroMessage.textContent = error.message || 'An error occurred.';
+  }
+});
+
+zoteroSyncButton.addEventListener('click', async () => {
+  zoteroMessage.textContent = 'Syncing...';
+  zoteroSyncButton.disabled = true;
+  try {
+    const { report, connection } = await zoteroRequest('/sync', { method: 'POST' });
+    renderZoteroConnection(connection);
+    const { pulled, pushed, failed } = report;
+    zoteroMessage.textContent = `${pulled.added} new from Zotero, ${pushed.created} added to Zotero, ${pushed.updated} updated, ${pushed.notes} notes copied${failed.length ? `, ${failed.length} failed` : ''}.`;
+    if (pulled.added > 0) {
+      await fetchPapers(true);
+    }
+  } catch (error) {
+    console.error('Error syncing Zotero:', error);
+    zoteroMessage.textContent = error.message || 'An error occurred.';
+  } finally {
+    zoteroSyncButton.disabled = false;
+  }
+});
+
+zoteroDisconnectButton.addEventListener('click', async () => {
+  if (!confirm('Disconnect your Zotero library? Nothing is removed from it.')) {
+    return;
+  }
+  zoteroMessage.textContent = '';
+  try {
+    await zoteroRequest('', { method: 'DELETE' });
+    renderZoteroConnection(null);
+  } catch (error) {
+    console.error('Error disconnecting Zotero:', error);
+    zoteroMessage.textContent = error.message || 'An error occurred.';
+  }
+});
+
+async function markPaperAsRead(paperId, metadata, userId, aliases = []) {
   const storage = await browserApi.storage.local.get(['jwtToken']);
   const jwtToken = storage.jwtToken;
 
@@ -242,7 +880,9 @@ async function markPaperAsRead(paperId, metadata, userId) {
 
   try {
     // First, check if the paper is already read
-    const checkResponse = await fetch(`${API_BASE_URL}/papers/check-paper?id=${encodeURIComponent(paperId)}&details=true`, {
+    const checkQuery = new URLSearchParams({ id: paperId, details: 'true' });
+    aliases.forEach(alias => checkQuery.append('aliases', alias));
+    const checkResponse = await fetch(`${API_BASE_URL}/papers/check-paper?${checkQuery.toString()}`, {
       headers: { 'x-auth-token': jwtToken },
     });
 
@@ -263,20 +903,24 @@ async function markPaperAsRead(paperId, metadata, userId) {
     if (checkData && checkData.readStatus === 'read' && preventDuplicateReads) {
       // Paper is already read and duplicates are prevented
       const existingReads = checkData.reads;
-      let readsHtml = '';
+      existingReadsInfo.empty();
       existingReads.forEach(read => {
         const localTimestamp = getLocalFormattedTimestamp(read.timestamp);
         const timeAgo = getRelativeTime(read.timestamp);
-        readsHtml += `<p><strong>${read.user}</strong> on ${localTimestamp} (${timeAgo})<br>Notes: ${read.notes || 'No notes.'}</p>`;
+        const readInfo = document.createElement('div');
+        readInfo.classList.add('mb-2');
+        const reader = document.createElement('strong');
+        reader.textContent = read.user;
+        readInfo.append(reader, ` on ${localTimestamp} (${timeAgo})`, readNotes.renderReadNotes(document, read));
+        existingReadsInfo.append(readInfo);
       });
 
-      existingReadsInfo.html(readsHtml);
       readConfirmationModal.modal('show');
 
       // Set up button listeners for the modal
       confirmMarkReadButton.off('click').on('click', () => {
         readConfirmationModal.modal('hide');
-        actuallyMarkPaperAsRead(paperId, metadata, userId); // Proceed to mark read
+        actuallyMarkPaperAsRead(paperId, metadata, userId, aliases); // Proceed to mark read
       });
 
       viewNotesButton.off('click').on('click', () => {
@@ -287,10 +931,10 @@ async function markPaperAsRead(paperId, metadata, userId) {
       return; // Stop here, wait for modal interaction
     } else if (checkData && checkData.readStatus === 'read' && !preventDuplicateReads) {
       // Paper is already read, but duplicates are allowed, so proceed without modal
-      await actuallyMarkPaperAsRead(paperId, metadata, userId);
+      await actuallyMarkPaperAsRead(paperId, metadata, userId, aliases);
     } else {
       // Paper is unread, proceed directly
-      await actuallyMarkPaperAsRead(paperId, metadata, userId);
+      await actuallyMarkPaperAsRead(paperId, metadata, userId, aliases);
     }
 
   } catch (error) {
@@ -299,20 +943,88 @@ async function markPaperAsRead(paperId, metadata, userId) {
   }
 }
 
-async function actuallyMarkPaperAsRead(paperId, metadata, userId) {
-  const readNotes = prompt('Add notes for this read (optional):');
-  const payload = {
-    id: paperId,
-    metadata: metadata,
-    read: { user: userId, notes: readNotes || '' },
+// Show the notes editor filled with an existing read's notes.
+// Resolves to { notes, rating, tags, takeaways, highlights }, or null if the editor is closed without saving.
+function openNotesEditor(read = {}) {
+  let highlights = [...(read.highlights || [])];
+
+  const renderHighlights = () => {
+    notesHighlightsGroup.style.display = highlights.length > 0 ? 'block' : 'none';
+    notesHighlightsList.textContent = '';
+    highlights.forEach(highlight => {
+      const item = document.createElement('li');
+      item.classList.add('read-notes-highlight', 'd-flex', 'justify-content-between');
+      item.appendChild(document.createTextNode(`“${highlight.quote}”`));
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = 'Remove';
+      removeButton.classList.add('btn', 'btn-link', 'btn-sm', 'text-danger', 'p-0', 'ml-2');
+      removeButton.addEventListener('click', () => {
+        highlights = highlights.filter(other => other !== highlight);
+        renderHighlights();
+      });
+      item.appendChild(removeButton);
+      notesHighlightsList.appendChild(item);
+    });
   };
 
-  try {
-    const response = await fetch(`${API_BASE_URL}/papers/mark-read`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
-      body: JSON.stringify(payload),
+  notesBodyInput.value = read.notes || '';
+  notesRatingSelect.value = read.rating ? String(read.rating) : '';
+  notesTagsInput.value = (read.tags || []).join(', ');
+  notesTakeawaysInput.value = (read.takeaways || []).join('\n');
+  renderHighlights();
+
+  return new Promise(resolve => {
+    let saved = false;
+    saveNotesButton.onclick = () => {
+      saved = true;
+      notesEditorModal.modal('hide');
+      resolve({
+        notes: notesBodyInput.value,
+        rating: notesRatingSelect.value ? parseInt(notesRatingSelect.value, 10) : null,
+        tags: readNotes.parseTags(notesTagsInput.value),
+        takeaways: readNotes.parseTakeaways(notesTakeawaysInput.value),
+        // Keep each highlight's page anchor; _id is not accepted back by the API
+        highlights: highlights.map(({ quote, prefix, suffix, position, comment, createdAt }) => ({
+          quote,
+          prefix,
+          suffix,
+          comment,
+          createdAt,
+          ...(position && position.start !== undefined ? { position: { start: position.start, end: position.end } } : {}),
+        })),
+      });
+    };
+    notesEditorModal.off('hidden.bs.modal').on('hidden.bs.modal', () => {
+      if (!saved) resolve(null);
     });
+    notesEditorModal.modal('show');
+  });
+}
+
+async function actuallyMarkPaperAsRead(paperId, metadata, userId, aliases = []) {
+  const notes = await openNotesEditor();
+  if (!notes) {
+    return; // Editor closed without saving
+  }
+  const request = {
+    key: outbox.newIdempotencyKey(), // Replays from the offline queue reuse it, so the read is never added twice
+    label: `Mark read: ${metadata.title || paperId}`,
+    url: `${API_BASE_URL}/papers/mark-read`,
+    method: 'POST',
+    body: {
+      id: paperId,
+      metadata: metadata,
+      read: { user: userId, ...notes },
+      ...(aliases.length > 0 ? { aliases } : {}),
+    },
+  };
+
+  try {
+    const response = await sendOrQueue(request);
+    if (!response) {
+      return; // Queued offline
+    }
 
     if (!response.ok) {
       const errorData = await response.json();
@@ -329,23 +1041,151 @@ async function actuallyMarkPaperAsRead(paperId, metadata, userId) {
   }
 }
 
+// Edit the notes of one of the current user's read entries
+async function editReadNotes(paperId, read) {
+  const notes = await openNotesEditor(read);
+  if (!notes) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/papers/${encodeURIComponent(paperId)}/reads/${read._id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
+      body: JSON.stringify(notes),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to update notes');
+    }
+
+    await fetchPapers(true); // Refresh papers
+  } catch (error) {
+    console.error('Error updating notes:', error);
+    alert(error.message || 'An error occurred.');
+  }
+}
+
+// Option element for a select
+function optionFor(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+// Let the user pick one of their collections (or name a new one) and who should read the paper for it
+async function openAddToCollection(paper, userId) {
+  const jwtToken = (await browserApi.storage.local.get('jwtToken')).jwtToken;
+  let collections = [];
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/collections`, {
+      headers: { 'x-auth-token': jwtToken },
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || 'Failed to load collections');
+    }
+    collections = (await response.json()).collections;
+  } catch (error) {
+    console.error('Error loading collections:', error);
+    alert(error.message || 'An error occurred.');
+    return;
+  }
+
+  const showAssignees = () => {
+    const collection = collections.find(other => other._id === collectionSelect.value);
+    const members = collection ? [collection.owner, ...collection.members] : [userId];
+    collectionAssigneeSelect.textContent = '';
+    collectionAssigneeSelect.appendChild(optionFor('', 'Nobody'));
+    members.forEach(member => collectionAssigneeSelect.appendChild(optionFor(member, member === userId ? `${member} (you)` : member)));
+    newCollectionGroup.style.display = collection ? 'none' : 'block';
+  };
+
+  collectionPaperTitle.textContent = paper.metadata.title || paper.id;
+  collectionSelect.textContent = '';
+  collections.forEach(collection => collectionSelect.appendChild(optionFor(collection._id, collection.name)));
+  collectionSelect.appendChild(optionFor('', 'New collection…'));
+  collectionSelect.onchange = showAssignees;
+  newCollectionNameInput.value = '';
+  collectionMessage.textContent = '';
+  showAssignees();
+
+  addToCollectionButton.onclick = async () => {
+    collectionMessage.textContent = '';
+    try {
+      let collectionId = collectionSelect.value;
+      let collectionName = collectionSelect.selectedOptions[0].textContent;
+
+      if (!collectionId) {
+        collectionName = newCollectionNameInput.value.trim();
+        if (!collectionName) {
+          collectionMessage.textContent = 'Enter a name for the new collection.';
+          return;
+        }
+        const createResponse = await fetch(`${API_BASE_URL}/collections`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken },
+          body: JSON.stringify({ name: collectionName }),
+        });
+        const created = await createResponse.json();
+        if (!createResponse.ok) {
+          throw new Error(created.message || 'Failed to create collection');
+        }
+        collectionId = created.collection._id;
+      }
+
+      const response = await fetch(`${API_BASE_URL}/collections/${collectionId}/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-auth-token': jwtToken },
+        body: JSON.stringify({
+          id: paper.id,
+          metadata: paper.metadata,
+          assignedTo: collectionAssigneeSelect.value || null,
+          ...(paper.aliases && paper.aliases.length > 0 ? { aliases: paper.aliases } : {}),
+        }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to add paper to collection');
+      }
+
+      collectionModal.modal('hide');
+      alert(`Added to "${collectionName}".`);
+    } catch (error) {
+      console.error('Error adding paper to collection:', error);
+      collectionMessage.textContent = error.message || 'An error occurred.';
+    }
+  };
+
+  collectionModal.modal('show');
+}
+
 // Function to undo paper read
 async function undoPaperRead(paperId, readEntryId) {
   if (!confirm('Are you sure you want to undo this read?')) {
     return;
   }
 
-  const payload = {
-    id: paperId,
-    readEntryId: readEntryId,
+  const request = {
+    key: outbox.newIdempotencyKey(),
+    label: `Remove read: ${paperId}`,
+    url: `${API_BASE_URL}/papers/mark-read`,
+    method: 'DELETE',
+    body: {
+      id: paperId,
+      readEntryId: readEntryId,
+    },
   };
 
   try {
-    const response = await fetch(`${API_BASE_URL}/papers/mark-read`, {
-      method: 'DELETE',
-      headers: { 'Content-Type': 'application/json', 'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken },
-      body: JSON.stringify(payload),
-    });
+    const response = await sendOrQueue(request);
+    if (!response) {
+      return; // Queued offline
+    }
 
     if (!response.ok) {
       const errorData = await response.json();
@@ -360,5 +1200,81 @@ async function undoPaperRead(paperId, readEntryId) {
   }
 }
 
+// Send a write with its Idempotency-Key; if the backend is unreachable, hand it to the background
+// script's offline queue (same key) and resolve to null
+async function sendOrQueue(request) {
+  try {
+    return await fetch(request.url, {
+      method: request.method,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-auth-token': (await browserApi.storage.local.get('jwtToken')).jwtToken,
+        'Idempotency-Key': request.key,
+      },
+      body: JSON.stringify(request.body),
+    });
+  } catch (error) {
+    console.error('Network error, queueing request:', request.url, error);
+    await browserApi.runtime.sendMessage({ action: 'queueOfflineRequest', payload: request });
+    alert('Offline — queued. It will sync when you are back online.');
+    await showOfflineQueue();
+    return null;
+  }
+}
+
+// Function to show what is waiting to sync and the queued requests the backend refused, with Retry/Discard
+async function showOfflineQueue() {
+  let queued = [];
+  let deadLetters = [];
+  try {
+    ({ queued, deadLetters } = await browserApi.runtime.sendMessage({ action: 'getOfflineQueue' }));
+  } catch (error) {
+    console.error('Error reading the offline queue:', error);
+    return;
+  }
+  outboxSection.style.display = queued.length > 0 || deadLetters.length > 0 ? 'block' : 'none';
+  outboxSummary.textContent = queued.length > 0 ? `${queued.length} change(s) waiting to sync.` : '';
+  deadLetterList.textContent = '';
+
+  deadLetters.forEach(letter => {
+    const item = document.createElement('li');
+    item.classList.add('small', 'mb-2');
+    const label = document.createElement('div');
+    label.textContent = letter.label;
+    const reason = document.createElement('div');
+    reason.classList.add('text-danger');
+    reason.textContent = `Not synced: ${letter.lastError}`;
+    const retryButton = document.createElement('button');
+    retryButton.textContent = 'Retry';
+    retryButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0', 'mr-2');
+    retryButton.addEventListener('click', async () => {
+      await browserApi.runtime.sendMessage({ action: 'retryDeadLetter', key: letter.key });
+      await showOfflineQueue();
+      await fetchPapers(true);
+    });
+    const discardButton = document.createElement('button');
+    discardButton.textContent = 'Discard';
+    discardButton.classList.add('btn', 'btn-link', 'btn-sm', 'p-0');
+    discardButton.addEventListener('click', async () => {
+      await browserApi.runtime.sendMessage({ action: 'discardDeadLetter', key: letter.key });
+      await showOfflineQueue();
+    });
+    item.append(label, reason, retryButton, discardButton);
+    deadLetterList.appendChild(item);
+  });
+}
+
 // Initialize dashboard
 document.addEventListener('DOMContentLoaded', checkLoginStatus);
+
+// Expose functions for unit tests (no-op in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    checkLoginStatus,
+    handleLogin,
+    handleLogout,
+    fetchPapers,
+    sendOrQueue,
+    showOfflineQueue,
+  };
+}
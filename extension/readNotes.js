@@ -0,0 +1,81 @@
+/* global globalThis */
+
+// XJR-3 structured reading notes: markdown body, 1-5 rating, relevance tags, key takeaways and quoted highlights.
+// Loaded by popup.html before popup.js. Rendering builds DOM nodes with textContent only, since notes are user input.
+
+const MAX_RATING = 5;
+
+// '★★★★☆' for a rating of 4, '' when unrated
+function formatRating(rating) {
+  if (!rating) return '';
+  return '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+}
+
+// 'NLP, baselines,  nlp' -> ['nlp', 'baselines']
+function parseTags(text) {
+  const tags = (text || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// One takeaway per line; markdown bullet markers are dropped
+function parseTakeaways(text) {
+  return (text || '').split('\n').map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim()).filter(Boolean);
+}
+
+function hasNotes(read) {
+  return Boolean(read && (read.notes || read.rating || (read.tags || []).length
+    || (read.takeaways || []).length || (read.highlights || []).length));
+}
+
+const notesElement = (doc, tagName, className, text) => {
+  const element = doc.createElement(tagName);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+// Block showing every part of a read entry's notes that is filled in
+function renderReadNotes(doc, read) {
+  const container = notesElement(doc, 'div', 'read-notes');
+  if (!hasNotes(read)) {
+    container.appendChild(notesElement(doc, 'span', 'text-muted', 'No notes.'));
+    return container;
+  }
+
+  if (read.rating) {
+    const rating = notesElement(doc, 'span', 'read-notes-rating', formatRating(read.rating));
+    rating.title = `Rated ${read.rating} out of ${MAX_RATING}`;
+    container.appendChild(rating);
+  }
+
+  (read.tags || []).forEach(tag => container.appendChild(notesElement(doc, 'span', 'badge badge-info mr-1', tag)));
+
+  // Markdown is shown as written; the source is readable and rendering it would need a sanitizer
+  if (read.notes) {
+    container.appendChild(notesElement(doc, 'div', 'read-notes-body', read.notes));
+  }
+
+  if ((read.takeaways || []).length > 0) {
+    const list = notesElement(doc, 'ul', 'read-notes-takeaways');
+    read.takeaways.forEach(takeaway => list.appendChild(notesElement(doc, 'li', null, takeaway)));
+    container.appendChild(list);
+  }
+
+  (read.highlights || []).forEach(highlight => {
+    const quote = notesElement(doc, 'blockquote', 'read-notes-highlight', `“${highlight.quote}”`);
+    if (highlight.comment) {
+      quote.appendChild(notesElement(doc, 'div', 'read-notes-comment', highlight.comment));
+    }
+    container.appendChild(quote);
+  });
+
+  return container;
+}
+
+const xjr3ReadNotes = { MAX_RATING, formatRating, parseTags, parseTakeaways, hasNotes, renderReadNotes };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3ReadNotes;
+} else {
+  globalThis.xjr3ReadNotes = xjr3ReadNotes; // Picked up by popup.js
+}
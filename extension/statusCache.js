@@ -0,0 +1,136 @@
+/* global globalThis */
+
+// XJR-3 read-status mirror.
+// Loaded by the background script. Keeps the team's read status (who read or is reading which paper, and
+// active claims) in IndexedDB, filled from GET /api/papers/status-changes, so badges and tooltips are
+// answered without a round trip to the backend and keep working offline. Lookups go through the background
+// script: content scripts run in the page's origin and cannot see the extension's IndexedDB.
+
+// Aliases are normalized like the backend's (identifiers.js; loaded before this script)
+const { identifiersFor: statusIdentifiersFor } = typeof module !== 'undefined' && module.exports
+  ? require('./identifiers')
+  : globalThis.xjr3Identifiers;
+
+const STATUS_DB_NAME = 'xjr3-status';
+const STATUS_DB_VERSION = 1;
+const STATUS_PAPERS_STORE = 'papers'; // { id, aliases, identifiers, title, reads, claim, updatedAt }
+const STATUS_META_STORE = 'meta'; // { name: 'sync', cursor, user, syncedAt, fullSyncAt }
+
+// Mirrors COMPLETED_READ_STATUSES in shared/paper.js
+const STATUS_COMPLETED = ['read', 'skimmed'];
+
+// Resolve an IDBRequest (or a transaction's completion) as a promise
+const idbResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+const idbDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+function openStatusDatabase(factory = globalThis.indexedDB) {
+  const request = factory.open(STATUS_DB_NAME, STATUS_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    const papers = db.createObjectStore(STATUS_PAPERS_STORE, { keyPath: 'id' });
+    papers.createIndex('identifiers', 'identifiers', { multiEntry: true }); // Looked up by id or any alias
+    db.createObjectStore(STATUS_META_STORE, { keyPath: 'name' });
+  };
+  return idbResult(request);
+}
+
+const toRecord = (paper) => ({ ...paper, identifiers: [...new Set([paper.id, ...(paper.aliases || [])])] });
+
+// Store papers from a status-changes page; clear first to replace the whole mirror
+async function savePapers(db, papers, { clear = false } = {}) {
+  const transaction = db.transaction(STATUS_PAPERS_STORE, 'readwrite');
+  const store = transaction.objectStore(STATUS_PAPERS_STORE);
+  if (clear) {
+    store.clear();
+  }
+  papers.forEach((paper) => store.put(toRecord(paper)));
+  return idbDone(transaction);
+}
+
+async function readSyncState(db) {
+  const transaction = db.transaction(STATUS_META_STORE, 'readonly');
+  return (await idbResult(transaction.objectStore(STATUS_META_STORE).get('sync'))) || null;
+}
+
+async function writeSyncState(db, state) {
+  const transaction = db.transaction(STATUS_META_STORE, 'readwrite');
+  transaction.objectStore(STATUS_META_STORE).put({ ...state, name: 'sync' });
+  return idbDone(transaction);
+}
+
+// The mirrored paper for each { id, aliases } request (by id first, then aliases), or null. Raw identifiers
+// ("https://...", "doi:10.1023/A:...") are looked up by the normalized aliases the mirror is keyed on, as the
+// backend resolves them.
+async function findPapers(db, requests) {
+  const transaction = db.transaction(STATUS_PAPERS_STORE, 'readonly');
+  const index = transaction.objectStore(STATUS_PAPERS_STORE).index('identifiers');
+  return Promise.all(requests.map(async ({ id, aliases = [] }) => {
+    const identifiers = new Set([id, ...[id, ...aliases].flatMap(statusIdentifiersFor)]);
+    for (const identifier of identifiers) {
+      const record = await idbResult(index.get(identifier));
+      if (record) return record;
+    }
+    return null;
+  }));
+}
+
+const statusOf = (read) => read.status || 'read';
+
+const latestReadOf = (reads, user) => reads
+  .filter((read) => read.user === user)
+  .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+// A mirrored paper as the current user sees it, shaped like a POST /check-papers result, plus the
+// reads and title so the page panel can show it like a GET /check-paper response
+function summarizeCachedPaper(request, record, userId, now = new Date()) {
+  if (!record) {
+    return { id: request.id, found: false };
+  }
+
+  const { reads } = record;
+  const users = [...new Set(reads.map((read) => read.user))];
+  const completed = reads.filter((read) => STATUS_COMPLETED.includes(statusOf(read)));
+  const readers = users
+    .map((user) => latestReadOf(completed, user))
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .map((read) => ({ user: read.user, timestamp: read.timestamp, status: statusOf(read) }));
+  const userRead = latestReadOf(reads, userId);
+  const claim = record.claim && new Date(record.claim.expiresAt) > now ? record.claim : null;
+
+  return {
+    id: request.id,
+    found: true,
+    paperId: record.id,
+    readStatus: completed.some((read) => read.user === userId) ? 'read' : 'unread',
+    status: userRead ? statusOf(userRead) : null,
+    currentlyReading: users.filter((user) => statusOf(latestReadOf(reads, user)) === 'reading'),
+    readers,
+    latestReadAt: readers.length > 0 ? readers[0].timestamp : null,
+    claim,
+    reads,
+    metadata: { title: record.title },
+  };
+}
+
+const xjr3StatusCache = {
+  openStatusDatabase,
+  savePapers,
+  readSyncState,
+  writeSyncState,
+  findPapers,
+  summarizeCachedPaper,
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = xjr3StatusCache;
+} else {
+  globalThis.xjr3StatusCache = xjr3StatusCache; // Picked up by background.js
+}
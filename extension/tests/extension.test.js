@@ -4,7 +4,7 @@
 const mockBrowserApi = {
   storage: {
     local: {
-      get: jest.fn(),
+      get: jest.fn(() => Promise.resolve({})), // content.js queries storage as soon as it is required
       set: jest.fn(),
       remove: jest.fn(),
     },
@@ -26,6 +26,13 @@ const mockBrowserApi = {
     },
     create: jest.fn(),
   },
+  notifications: {
+    onClicked: {
+      addListener: jest.fn(),
+    },
+    create: jest.fn(),
+    clear: jest.fn(),
+  },
 };
 
 // Mock global `chrome` and `browser` objects to use our mock
@@ -35,7 +42,7 @@ global.browser = mockBrowserApi;
 // Mock `fetch` API
 global.fetch = jest.fn();
 
-// Mock DOM elements and methods for content.js and popup.js
+// Mock DOM elements and methods for content.js
 const mockDocument = {
   querySelectorAll: jest.fn(() => []),
   querySelector: jest.fn(() => null),
@@ -73,24 +80,6 @@ const mockDocument = {
   getElementById: jest.fn((id) => {
     if (id === 'xjr3-tooltip') {
       return mockDocument.createElement('div'); // Return a new element if not found in current DOM state
-    } else if (id === 'login-section') {
-      return { style: {} };
-    } else if (id === 'dashboard-section') {
-      return { style: {} };
-    } else if (id === 'login-form') {
-      return { addEventListener: jest.fn(), username: { value: '' }, password: { value: '' } };
-    } else if (id === 'login-message') {
-      return { textContent: '' };
-    } else if (id === 'logout-button') {
-      return { addEventListener: jest.fn() };
-    } else if (id === 'search-form') {
-      return { addEventListener: jest.fn(), keyword: { value: '' }, user: { value: '' }, publishYear: { value: '' } };
-    } else if (id === 'papers-table-body') {
-      return mockDocument.createElement('tbody');
-    } else if (id === 'papers-message') {
-      return { style: {}, textContent: '' };
-    } else if (id === 'load-more-button') {
-      return { style: {}, addEventListener: jest.fn() };
     }
     return null;
   }),
@@ -137,7 +126,12 @@ describe('Extension Unit Tests', () => {
   });
 
   describe('content.js', () => {
-    const { extractPaperMetadata, showTooltip, checkPaperAndDisplayStatus } = require('../content');
+    const {
+      extractPaperMetadata,
+      showTooltip,
+      buildStatusMessage,
+      describeListedPaper,
+    } = require('../content');
 
     it('should extract metadata from meta tags', () => {
       mockDocument.querySelectorAll.mockReturnValueOnce([
@@ -149,86 +143,92 @@ describe('Extension Unit Tests', () => {
       expect(metadata.id).toEqual('10.1234/test');
     });
 
-    it('should show a tooltip', () => {
-      const mockElement = mockDocument.createElement('div');
-      mockElement.getBoundingClientRect.mockReturnValue({ bottom: 100, left: 50 });
-      showTooltip(mockElement, 'Test Message');
-      expect(mockDocument.body.appendChild).toHaveBeenCalled();
-      expect(mockDocument.getElementById('xjr3-tooltip').innerText).toEqual('Test Message');
+    it('should leave out fields the page does not show instead of sending placeholders', () => {
+      mockDocument.querySelectorAll.mockReturnValueOnce([
+        { getAttribute: (attr) => (attr === 'name' ? 'citation_doi' : '10.1234/test') },
+      ]);
+      const { metadata } = extractPaperMetadata();
+      expect(metadata).toEqual({ authors: [], publishYear: null });
     });
 
-    it('should check paper status and show unread tooltip if paper not found', async () => {
-      mockBrowserApi.storage.local.get.mockResolvedValue({ jwtToken: 'testJwt', userId: 'testUser' });
-      global.fetch.mockResolvedValueOnce({
-        ok: false,
-        status: 404,
-        json: jest.fn().mockResolvedValue({ message: 'Paper not found' }),
-      });
+    it('should show a tooltip below the element and hide it after a while', () => {
+      jest.useFakeTimers();
+      const mockElement = mockDocument.createElement('div');
+      mockElement.getBoundingClientRect.mockReturnValue({ bottom: 100, left: 50 });
+      mockDocument.getElementById.mockReturnValueOnce(null); // No tooltip on the page yet
 
-      mockDocument.querySelector.mockReturnValueOnce({ innerText: 'Dummy Title' }); // For extractPaperMetadata
-      global.window.location.href = 'http://example.com/dummy-id';
+      showTooltip(mockElement, 'Test Message');
 
-      await checkPaperAndDisplayStatus();
-      expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/check-paper?id=http%3A%2F%2Fexample.com%2Fdummy-id'), expect.any(Object));
-      // Expect showTooltip to be called, assuming it gets mocked
+      const [tooltip] = mockDocument.body.appendChild.mock.calls[0];
+      expect(tooltip.id).toEqual('xjr3-tooltip');
+      expect(tooltip.innerText).toEqual('Test Message');
+      expect(tooltip.style).toEqual(expect.objectContaining({ top: '105px', left: '50px', display: 'block' }));
+      jest.runAllTimers();
+      expect(tooltip.style.display).toEqual('none');
+      jest.useRealTimers();
     });
-  });
-
-  describe('popup.js', () => {
-    let popup;
-
-    beforeEach(() => {
-      // Mock specific elements that popup.js tries to access
-      mockDocument.getElementById.mockImplementation((id) => {
-        if (id === 'login-section') return { style: {} };
-        if (id === 'dashboard-section') return { style: {} };
-        if (id === 'login-form') return { addEventListener: jest.fn(), username: { value: 'testUser' }, password: { value: 'testPass' } };
-        if (id === 'login-message') return { textContent: '' };
-        if (id === 'logout-button') return { addEventListener: jest.fn() };
-        if (id === 'search-form') return { addEventListener: jest.fn(), searchKeyword: { value: '' }, searchUser: { value: '' }, searchPublishYear: { value: '' } };
-        if (id === 'papers-table-body') return mockDocument.createElement('tbody');
-        if (id === 'papers-message') return { style: {}, textContent: '' };
-        if (id === 'load-more-button') return { style: {}, addEventListener: jest.fn() };
-        return null;
-      });
 
-      // Re-require popup.js to get fresh references to mocked DOM elements
-      jest.resetModules();
-      popup = require('../popup');
+    it('should name teammates who are currently reading the paper', () => {
+      const message = buildStatusMessage({
+        status: null,
+        currentlyReading: ['tam'],
+        reads: [{ user: 'tam', status: 'reading', timestamp: '2025-09-26T09:10:00Z' }],
+      }, 'naj');
+      expect(message).toEqual('Paper: Unread — tam is currently reading this');
     });
 
-    it('should display dashboard if logged in', async () => {
-      mockBrowserApi.storage.local.get.mockResolvedValue({ jwtToken: 'adminToken', userId: 'adminUser' });
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: jest.fn().mockResolvedValue({ papers: [], totalCount: 0 }),
-        status: 200,
-      });
-
-      await popup.checkLoginStatus(); // Assume checkLoginStatus is exposed or called on DOMContentLoaded
-
-      // Expect dashboard to be visible
-      expect(mockDocument.getElementById('login-section').style.display).toEqual('none');
-      expect(mockDocument.getElementById('dashboard-section').style.display).toEqual('block');
-      expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/papers/search-papers'), expect.any(Object));
+    it('should describe the current user status and past readers', () => {
+      const message = buildStatusMessage({
+        status: 'want-to-read',
+        currentlyReading: [],
+        reads: [
+          { user: 'naj', status: 'want-to-read', timestamp: '2025-09-26T09:10:00Z' },
+          { user: 'tam', timestamp: '2025-09-20T09:10:00Z' }, // Entry from before statuses existed
+        ],
+      }, 'naj');
+      expect(message).toEqual('Paper: Want to read — read by tam');
     });
 
-    it('should handle login successfully', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        json: jest.fn().mockResolvedValue({ token: 'newAdminToken' }),
-        status: 200,
-      });
-      // Mock the form elements
-      mockDocument.getElementById('login-form').username.value = 'testAdmin';
-      mockDocument.getElementById('login-form').password.value = 'testPass';
+    it('should describe a listed paper read by the current user and teammates', () => {
+      const badge = describeListedPaper({
+        found: true,
+        readStatus: 'read',
+        status: 'read',
+        currentlyReading: [],
+        readers: [
+          { user: 'naj', timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), status: 'read' },
+          { user: 'tam', timestamp: '2025-09-20T09:10:00Z', status: 'skimmed' },
+        ],
+      }, 'naj');
+      expect(badge.text).toEqual('Read by you, tam · 2 hours ago');
+      expect(badge.color).toEqual('#2e7d32');
+      expect(badge.title).toContain('tam: Formatted: 2025-09-20T09:10:00.000Z');
+    });
 
-      // Simulate form submission
-      await popup.loginForm.dispatchEvent(new Event('submit')); // Assuming loginForm is exposed or handled
+    it('should describe listed papers nobody has finished', () => {
+      expect(describeListedPaper({ id: 'x', found: false }, 'naj').text).toEqual('Unread');
+      const badge = describeListedPaper({
+        found: true,
+        readStatus: 'unread',
+        status: null,
+        currentlyReading: ['tam'],
+        readers: [],
+      }, 'naj');
+      expect(badge.text).toEqual('Unread — tam reading');
+      expect(badge.color).toEqual('#ef6c00');
+    });
 
-      expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/admin/login'), expect.any(Object));
-      expect(mockBrowserApi.storage.local.set).toHaveBeenCalledWith({ jwtToken: 'newAdminToken', userId: 'testAdmin' });
-      // Expect checkLoginStatus to be called after successful login
+    it('should mention an active claim on a listed paper nobody has finished', () => {
+      const badge = describeListedPaper({
+        found: true,
+        readStatus: 'unread',
+        status: null,
+        currentlyReading: [],
+        readers: [],
+        claim: { user: 'tam', claimedAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() },
+      }, 'naj');
+      expect(badge.text).toEqual('Unread — claimed by tam');
+      expect(badge.color).toEqual('#ef6c00');
     });
   });
 
@@ -241,6 +241,10 @@ describe('Extension Unit Tests', () => {
       background = require('../background');
     });
 
+    afterEach(() => {
+      delete global.navigator; // Set by the online/offline tests
+    });
+
     it('should set up sync alarm on install', () => {
       const onInstalledCallback = mockBrowserApi.runtime.onInstalled.addListener.mock.calls[0][0];
       onInstalledCallback();
@@ -248,8 +252,8 @@ describe('Extension Unit Tests', () => {
     });
 
     it('should sync offline queue when online and items exist', async () => {
-      // Mock navigator.onLine to be true
-      Object.defineProperty(global.navigator, 'onLine', { value: true, configurable: true });
+      // Node has no navigator; the background script reads navigator.onLine
+      Object.defineProperty(global, 'navigator', { value: { onLine: true }, configurable: true });
 
       mockBrowserApi.storage.local.get.mockResolvedValueOnce({
         xjr3_offline_queue: [
@@ -271,8 +275,7 @@ describe('Extension Unit Tests', () => {
     });
 
     it('should not sync if offline', async () => {
-      // Mock navigator.onLine to be false
-      Object.defineProperty(global.navigator, 'onLine', { value: false, configurable: true });
+      Object.defineProperty(global, 'navigator', { value: { onLine: false }, configurable: true });
 
       mockBrowserApi.storage.local.get.mockResolvedValueOnce({
         xjr3_offline_queue: [
@@ -296,11 +299,236 @@ describe('Extension Unit Tests', () => {
         sendResponse
       );
 
-      expect(mockBrowserApi.storage.local.set).toHaveBeenCalledWith(
-        { xjr3_offline_queue: [{ url: 'http://test.com/api/new', method: 'POST' }] },
-        expect.any(Function)
-      );
+      await new Promise(process.nextTick);
+
+      expect(mockBrowserApi.storage.local.set).toHaveBeenCalledWith({
+        xjr3_offline_queue: [expect.objectContaining({ url: 'http://test.com/api/new', method: 'POST', key: expect.any(String), attempts: 0 })],
+      });
       expect(sendResponse).toHaveBeenCalledWith({ success: true, message: 'Request queued offline.' });
+      expect(mockBrowserApi.alarms.create).toHaveBeenCalledWith('retryOfflineQueue', { when: expect.any(Number) });
+    });
+
+    it('should replay queued requests with their idempotency key and settle them by the answer', async () => {
+      const queued = (key, url, method = 'POST') => ({ key, url, method, body: {}, label: key, attempts: 0, nextAttemptAt: 0 });
+      const offlineQueue = [
+        queued('read-1', 'http://test.com/api/papers/mark-read'),
+        queued('read-2', 'http://test.com/api/papers/mark-read'),
+        queued('read-3', 'http://test.com/api/papers/mark-read'),
+        queued('undo-1', 'http://test.com/api/papers/mark-read', 'DELETE'),
+      ];
+      mockBrowserApi.storage.local.get.mockImplementation(async () => ({ xjr3_offline_queue: offlineQueue, jwtToken: 'testJwt' }));
+      const answer = (status, data = {}) => ({ ok: status < 300, status, json: jest.fn().mockResolvedValue(data) });
+      global.fetch
+        .mockResolvedValueOnce(answer(200))
+        .mockResolvedValueOnce(answer(409, { conflict: 'duplicate-read' }))
+        .mockResolvedValueOnce(answer(400, { message: 'Bad metadata' }))
+        .mockResolvedValueOnce(answer(503));
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T09:00:00Z')); // The retry alarm time depends on it
+
+      await background.syncOfflineQueue();
+
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+      expect(global.fetch.mock.calls[0][1].headers['Idempotency-Key']).toBe('read-1');
+      expect(mockBrowserApi.storage.local.set).toHaveBeenCalledWith({
+        xjr3_offline_dead_letters: [expect.objectContaining({ key: 'read-3', status: 400, lastError: 'Bad metadata' })],
+      });
+      const remaining = mockBrowserApi.storage.local.set.mock.calls.find(([items]) => items.xjr3_offline_queue)[0].xjr3_offline_queue;
+      expect(remaining).toEqual([expect.objectContaining({ key: 'undo-1', attempts: 1, lastError: 'HTTP 503' })]);
+      expect(remaining[0].nextAttemptAt).toBeGreaterThan(Date.now());
+      expect(mockBrowserApi.alarms.create).toHaveBeenCalledWith('retryOfflineQueue', { when: remaining[0].nextAttemptAt });
+      Date.now.mockRestore();
+    });
+
+    it('should stop at the first network error and back off without giving up', async () => {
+      const offlineQueue = [
+        { key: 'read-1', url: 'http://test.com/api/papers/mark-read', method: 'POST', attempts: 20, nextAttemptAt: 0 },
+        { key: 'read-2', url: 'http://test.com/api/papers/mark-read', method: 'POST', attempts: 0, nextAttemptAt: 0 },
+      ];
+      mockBrowserApi.storage.local.get.mockImplementation(async () => ({ xjr3_offline_queue: offlineQueue, jwtToken: 'testJwt' }));
+      global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await background.syncOfflineQueue();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(mockBrowserApi.storage.local.set).toHaveBeenCalledWith({
+        xjr3_offline_queue: [expect.objectContaining({ key: 'read-1', attempts: 21 }), offlineQueue[1]],
+      });
+      expect(mockBrowserApi.storage.local.set).not.toHaveBeenCalledWith(expect.objectContaining({ xjr3_offline_dead_letters: expect.anything() }));
+    });
+
+    it('should retry a refused request under a new key', async () => {
+      const deadLetter = { key: 'read-1', url: 'http://test.com/api/papers/mark-read', method: 'POST', status: 400, attempts: 1 };
+      const storage = { xjr3_offline_dead_letters: [deadLetter], xjr3_offline_queue: [], jwtToken: 'testJwt' };
+      mockBrowserApi.storage.local.get.mockImplementation(async () => ({ ...storage }));
+      mockBrowserApi.storage.local.set.mockImplementation(async (items) => Object.assign(storage, items));
+
+      await background.retryDeadLetter('read-1');
+
+      expect(storage.xjr3_offline_dead_letters).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][1].headers['Idempotency-Key']).not.toBe('read-1');
+      expect(storage.xjr3_offline_queue).toEqual([]);
+    });
+
+    describe('read-status mirror', () => {
+      let statusCache;
+
+      // background.js with the IndexedDB side of statusCache.js replaced by mocks
+      const requireBackground = (syncState) => {
+        jest.resetModules();
+        jest.doMock('../statusCache', () => ({
+          ...jest.requireActual('../statusCache'),
+          openStatusDatabase: jest.fn().mockResolvedValue({}),
+          savePapers: jest.fn().mockResolvedValue(),
+          readSyncState: jest.fn().mockResolvedValue(syncState),
+          writeSyncState: jest.fn().mockResolvedValue(),
+          findPapers: jest.fn(),
+        }));
+        statusCache = require('../statusCache');
+        return require('../background');
+      };
+      const page = (papers, cursor, hasMore) => ({ ok: true, status: 200, json: jest.fn().mockResolvedValue({ papers, cursor, hasMore }) });
+      // Answer the status-changes pages in order; the event stream opened on load is refused
+      const serving = (...pages) => global.fetch.mockImplementation(async (url) => (
+        url.includes('/status-changes') ? pages.shift() : { ok: false, status: 503 }
+      ));
+      const statusRequests = () => global.fetch.mock.calls.map(([url]) => url).filter((url) => url.includes('/status-changes'));
+
+      beforeEach(() => {
+        mockBrowserApi.storage.local.get.mockResolvedValue({ jwtToken: 'testJwt', userId: 'naj' });
+      });
+
+      afterEach(() => {
+        jest.dontMock('../statusCache');
+      });
+
+      it('should replace the mirror with every page on the first sync', async () => {
+        serving(page([{ id: 'doi:1' }], 'c1', true), page([{ id: 'doi:2' }], 'c2', false));
+
+        await requireBackground(null).syncReadStatus();
+
+        expect(statusRequests()).toEqual([
+          'http://localhost:3000/api/papers/status-changes',
+          'http://localhost:3000/api/papers/status-changes?since=c1',
+        ]);
+        expect(statusCache.savePapers).toHaveBeenCalledTimes(1);
+        expect(statusCache.savePapers).toHaveBeenCalledWith({}, [{ id: 'doi:1' }, { id: 'doi:2' }], { clear: true });
+        expect(statusCache.writeSyncState).toHaveBeenCalledWith({}, expect.objectContaining({ cursor: 'c2', user: 'naj' }));
+      });
+
+      it('should only pull changes after the stored cursor', async () => {
+        serving(page([{ id: 'doi:3' }], 'c3', false));
+
+        await requireBackground({ cursor: 'c2', user: 'naj', fullSyncAt: Date.now() }).syncReadStatus();
+
+        expect(statusRequests()).toEqual(['http://localhost:3000/api/papers/status-changes?since=c2']);
+        expect(statusCache.savePapers).toHaveBeenCalledWith({}, [{ id: 'doi:3' }]);
+      });
+
+      it('should start over when another user logs in', async () => {
+        serving(page([], null, false));
+
+        await requireBackground({ cursor: 'c2', user: 'tam', fullSyncAt: Date.now() }).syncReadStatus();
+
+        expect(statusRequests()).toEqual(['http://localhost:3000/api/papers/status-changes']);
+        expect(statusCache.savePapers).toHaveBeenCalledWith({}, [], { clear: true });
+      });
+
+      it('should answer lookups from the mirror', async () => {
+        serving(page([], 'c2', false));
+        const mirrorBackground = requireBackground({ cursor: 'c2', user: 'naj', syncedAt: Date.now(), fullSyncAt: Date.now() });
+        statusCache.findPapers.mockResolvedValue([{ id: 'doi:1', title: 'Mirrored', reads: [], claim: null }, null]);
+
+        const { results, fresh } = await mirrorBackground.lookupReadStatus([{ id: 'doi:1' }, { id: 'doi:2' }]);
+
+        expect(results.map((result) => result.found)).toEqual([true, false]);
+        expect(results[0].metadata.title).toBe('Mirrored');
+        expect(fresh).toBe(false); // No live event stream in tests
+      });
+    });
+
+    it('should parse server-sent events and keep an unfinished event for the next chunk', () => {
+      const { events, rest } = background.parseServerSentEvents(
+        'retry: 5000\n\n: ping\n\nid: 1\nevent: mark-read\ndata: {"paperId":"doi:10.1000/xyz"}\n\nid: 2\nevent: cla'
+      );
+
+      expect(events).toEqual([{ type: 'mark-read', data: '{"paperId":"doi:10.1000/xyz"}' }]);
+      expect(rest).toEqual('id: 2\nevent: cla');
+    });
+
+    it('should forward live events to every tab', async () => {
+      mockBrowserApi.tabs = {
+        query: jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]),
+        sendMessage: jest.fn().mockResolvedValue(undefined),
+      };
+
+      await background.dispatchPaperEvent({ type: 'claim', data: '{"paperId":"doi:10.1000/xyz","actor":"tam"}' });
+
+      expect(mockBrowserApi.tabs.sendMessage).toHaveBeenCalledTimes(2);
+      expect(mockBrowserApi.tabs.sendMessage).toHaveBeenCalledWith(1, {
+        action: 'paperEvent',
+        event: { type: 'claim', paperId: 'doi:10.1000/xyz', actor: 'tam' },
+      });
+      delete mockBrowserApi.tabs;
+    });
+
+    it('should link papers by their most canonical identifier', () => {
+      expect(background.paperUrlFor('url:example.org/paper', ['doi:10.1000/xyz'])).toEqual('https://doi.org/10.1000/xyz');
+      expect(background.paperUrlFor('arxiv:2101.00001')).toEqual('https://arxiv.org/abs/2101.00001');
+      expect(background.paperUrlFor('url:example.org/paper')).toEqual('https://example.org/paper');
+      expect(background.paperUrlFor('title:unknown')).toBeNull();
+    });
+
+    it('should notify about watched papers and open them when clicked', async () => {
+      mockBrowserApi.tabs = { query: jest.fn(), sendMessage: jest.fn(), create: jest.fn() };
+
+      await background.dispatchPaperEvent({
+        type: 'watch',
+        data: JSON.stringify({
+          paperId: 'doi:10.1000/xyz',
+          aliases: [],
+          title: 'Test Paper',
+          actor: 'tam',
+          activity: 'read',
+          watch: { kind: 'author', value: 'hinton' },
+        }),
+      });
+
+      expect(mockBrowserApi.tabs.query).not.toHaveBeenCalled(); // Not forwarded to pages
+      expect(mockBrowserApi.notifications.create).toHaveBeenCalledWith('xjr3-watch:https://doi.org/10.1000/xyz', expect.objectContaining({
+        type: 'basic',
+        title: 'tam read a paper you watch',
+        message: 'Test Paper\nYou are watching author "hinton".',
+      }));
+
+      const onClicked = mockBrowserApi.notifications.onClicked.addListener.mock.calls.slice(-1)[0][0];
+      onClicked('xjr3-watch:https://doi.org/10.1000/xyz');
+      expect(mockBrowserApi.tabs.create).toHaveBeenCalledWith({ url: 'https://doi.org/10.1000/xyz' });
+      expect(mockBrowserApi.notifications.clear).toHaveBeenCalledWith('xjr3-watch:https://doi.org/10.1000/xyz');
+      delete mockBrowserApi.tabs;
+    });
+
+    it('should notify about saved-search digests and open the inbox when clicked', async () => {
+      mockBrowserApi.tabs = { query: jest.fn(), sendMessage: jest.fn(), create: jest.fn() };
+      mockBrowserApi.runtime.getURL = jest.fn((path) => `chrome-extension://xjr3/${path}`);
+
+      await background.dispatchPaperEvent({
+        type: 'digest',
+        data: JSON.stringify({ messageId: 'm1', savedSearch: 'Diffusion', subject: '2 new papers for "Diffusion"', totalCount: 2 }),
+      });
+
+      expect(mockBrowserApi.tabs.query).not.toHaveBeenCalled();
+      expect(mockBrowserApi.notifications.create).toHaveBeenCalledWith('xjr3-digest:m1', expect.objectContaining({
+        title: 'New saved-search digest',
+        message: '2 new papers for "Diffusion"\nOpen XJR-3 to see them in your inbox.',
+      }));
+
+      const onClicked = mockBrowserApi.notifications.onClicked.addListener.mock.calls.slice(-1)[0][0];
+      onClicked('xjr3-digest:m1');
+      expect(mockBrowserApi.tabs.create).toHaveBeenCalledWith({ url: 'chrome-extension://xjr3/popup.html' });
+      expect(mockBrowserApi.notifications.clear).toHaveBeenCalledWith('xjr3-digest:m1');
+      delete mockBrowserApi.tabs;
+      delete mockBrowserApi.runtime.getURL;
     });
   });
 });
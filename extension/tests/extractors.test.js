@@ -0,0 +1,247 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractFromDocument, extractListFromDocument, siteExtractors } = require('../extractors');
+
+// Parse a saved page from tests/fixtures as if it had been loaded from the given URL
+const loadFixture = (name) => {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+};
+
+describe('Metadata extractors', () => {
+  const pages = [
+    {
+      fixture: 'arxiv-abs.html',
+      url: 'https://arxiv.org/abs/1706.03762v7',
+      expected: {
+        id: 'arxiv:1706.03762',
+        source: 'arxiv',
+        title: 'Attention Is All You Need',
+        authors: ['Ashish Vaswani', 'Noam Shazeer', 'Niki Parmar'],
+        abstract: 'The dominant sequence transduction models are based on complex recurrent or convolutional neural networks.',
+        publishYear: 2017,
+        venue: 'arXiv',
+      },
+    },
+    {
+      fixture: 'acm.html',
+      url: 'https://dl.acm.org/doi/10.1145/3236024.3236051',
+      expected: {
+        id: 'doi:10.1145/3236024.3236051',
+        source: 'acm',
+        title: 'Deep learning type inference',
+        authors: ['Vincent J. Hellendoorn', 'Christian Bird', 'Earl T. Barr'],
+        abstract: 'Dynamically typed languages such as JavaScript and Python are increasingly popular.',
+        publishYear: 2018,
+        venue: "ESEC/FSE '18: 26th ACM Joint European Software Engineering Conference",
+      },
+    },
+    {
+      fixture: 'ieee.html',
+      url: 'https://ieeexplore.ieee.org/document/7780459/',
+      expected: {
+        id: 'doi:10.1109/CVPR.2016.90',
+        source: 'ieee',
+        title: 'Deep Residual Learning for Image Recognition',
+        authors: ['Kaiming He', 'Xiangyu Zhang', 'Shaoqing Ren', 'Jian Sun'],
+        abstract: 'Deeper neural networks are more difficult to train.',
+        publishYear: 2016,
+        venue: '2016 IEEE Conference on Computer Vision and Pattern Recognition (CVPR)',
+      },
+    },
+    {
+      fixture: 'springer.html',
+      url: 'https://link.springer.com/article/10.1023/A:1010933404324',
+      expected: {
+        id: 'doi:10.1023/A:1010933404324',
+        source: 'springer',
+        title: 'Random Forests',
+        authors: ['Leo Breiman'],
+        abstract: 'Random forests are a combination of tree predictors such that each tree depends on the values of a random vector.',
+        publishYear: 2001,
+        venue: 'Machine Learning',
+      },
+    },
+    {
+      fixture: 'sciencedirect.html',
+      url: 'https://www.sciencedirect.com/science/article/pii/S0000000000000001',
+      expected: {
+        id: 'doi:10.1007/s10462-020-09838-1',
+        source: 'sciencedirect',
+        title: 'A review on the long short-term memory model',
+        authors: ['Greg Van Houdt', 'Carlos Mosquera'],
+        abstract: 'Long short-term memory (LSTM) has transformed both machine learning and neurocomputing fields.',
+        publishYear: 2020,
+        venue: 'Artificial Intelligence Review',
+      },
+    },
+    {
+      fixture: 'openreview.html',
+      url: 'https://openreview.net/forum?id=nZeVKeeFYf9',
+      expected: {
+        id: 'https://openreview.net/forum?id=nZeVKeeFYf9',
+        source: 'openreview',
+        title: 'LoRA: Low-Rank Adaptation of Large Language Models',
+        authors: ['Edward J Hu', 'yelong shen'],
+        abstract: 'An important paradigm of natural language processing consists of large-scale pre-training.',
+        publishYear: 2021,
+        venue: 'International Conference on Learning Representations',
+      },
+    },
+    {
+      fixture: 'semanticscholar.html',
+      url: 'https://www.semanticscholar.org/paper/BERT-Devlin-Chang/df2b0e26d0599ce3e70df8a9da02e51594e0e992',
+      expected: {
+        id: 'doi:10.18653/v1/N19-1423',
+        source: 'semanticscholar',
+        title: 'BERT: Pre-training of Deep Bidirectional Transformers for Language Understanding',
+        authors: ['Jacob Devlin', 'Ming-Wei Chang'],
+        abstract: 'We introduce a new language representation model called BERT.',
+        publishYear: 2019,
+        venue: 'North American Chapter of the Association for Computational Linguistics',
+      },
+    },
+    {
+      fixture: 'biorxiv.html',
+      url: 'https://www.biorxiv.org/content/10.1101/2024.03.14.584321v2.full',
+      expected: {
+        id: 'doi:10.1101/2024.03.14.584321',
+        source: 'biorxiv',
+        title: 'Single-cell atlas of the developing retina',
+        authors: ['Alice Smith', 'Bob Jones'],
+        abstract: 'We profiled retinal development at single-cell resolution.',
+        publishYear: 2024,
+        venue: 'bioRxiv',
+      },
+    },
+    {
+      fixture: 'pubmed.html',
+      url: 'https://pubmed.ncbi.nlm.nih.gov/34265844/',
+      expected: {
+        id: 'doi:10.1038/s41586-021-03819-2',
+        source: 'pubmed',
+        title: 'Highly accurate protein structure prediction with AlphaFold',
+        authors: ['John Jumper', 'Richard Evans', 'Alexander Pritzel'],
+        abstract: 'Proteins are essential to life, and understanding their structure can facilitate a mechanistic understanding of their function.',
+        publishYear: 2021,
+        venue: 'Nature',
+      },
+    },
+    {
+      fixture: 'generic.html',
+      url: 'https://example.org/papers/7',
+      expected: {
+        id: '10.5555/workshop.2022.7',
+        source: 'generic',
+        title: 'A Workshop Paper on Citation Tags',
+        authors: ['Rita Researcher'],
+        abstract: 'Generic pages are handled through Highwire citation tags.',
+        publishYear: 2022,
+        venue: null,
+      },
+    },
+  ];
+
+  it.each(pages)('should extract $fixture', ({ fixture, url, expected }) => {
+    const { id, source, metadata, confidence, aliases } = extractFromDocument(loadFixture(fixture), new URL(url));
+    const { id: expectedId, source: expectedSource, ...expectedMetadata } = expected;
+
+    expect(id).toEqual(expectedId);
+    expect(source).toEqual(expectedSource);
+    expect(metadata).toEqual(expectedMetadata);
+    expect(confidence).toBeGreaterThan(0);
+    expect(aliases).toContain(url);
+  });
+
+  it('should collect every identifier found on the page as an alias', () => {
+    const { aliases } = extractFromDocument(loadFixture('pubmed.html'), new URL('https://pubmed.ncbi.nlm.nih.gov/34265844/'));
+    expect(aliases).toEqual(expect.arrayContaining(['pmid:34265844', 'doi:10.1038/s41586-021-03819-2']));
+
+    const arxiv = extractFromDocument(loadFixture('arxiv-abs.html'), new URL('https://arxiv.org/abs/1706.03762v7'));
+    expect(arxiv.aliases).toEqual(expect.arrayContaining(['arxiv:1706.03762', 'http://arxiv.org/pdf/1706.03762']));
+  });
+
+  it('should prefer the most confident extractor per field', () => {
+    // The generic extractor would take og:description; the arXiv extractor wins with the full abstract
+    const { metadata } = extractFromDocument(loadFixture('arxiv-abs.html'), new URL('https://arxiv.org/abs/1706.03762'));
+    expect(metadata.abstract).not.toEqual('The dominant sequence transduction models...');
+  });
+
+  it('should fall back to the page URL when no identifier is found', () => {
+    const doc = new DOMParser().parseFromString('<html><body><h1 class="title">Notes</h1></body></html>', 'text/html');
+    const result = extractFromDocument(doc, new URL('https://example.org/blog/post'));
+
+    expect(result.id).toEqual('https://example.org/blog/post');
+    expect(result.metadata.title).toEqual('Notes');
+    expect(result.source).toEqual('generic');
+  });
+
+  it('should only run site extractors on matching pages', () => {
+    const matching = (url) => siteExtractors.filter(extractor => extractor.matches(new URL(url))).map(extractor => extractor.name);
+
+    expect(matching('https://arxiv.org/abs/1706.03762')).toEqual(['arxiv']);
+    expect(matching('https://www.medrxiv.org/content/10.1101/2020.01.01.000001v1')).toEqual(['biorxiv']);
+    expect(matching('https://example.org/abs/1706.03762')).toEqual([]);
+  });
+
+  describe('listing pages', () => {
+    it('should extract every result on a Google Scholar page', () => {
+      const results = extractListFromDocument(loadFixture('googlescholar.html'), new URL('https://scholar.google.com/scholar?q=attention'));
+
+      expect(results.map(result => result.metadata.title)).toEqual([
+        'Attention is all you need',
+        'Random forests',
+        'Pattern recognition and machine learning',
+      ]);
+      expect(results[0].metadata.authors).toEqual(['A Vaswani', 'N Shazeer', 'N Parmar']);
+      expect(results[0].metadata.publishYear).toEqual(2017);
+      expect(results[1].id).toEqual('doi:10.1023/A:1010933404324');
+      expect(results[2].metadata.publishYear).toEqual(2006);
+      expect(results.every(result => result.source === 'googlescholar' && result.element)).toBe(true);
+    });
+
+    it('should extract every entry on an arXiv listing', () => {
+      const results = extractListFromDocument(loadFixture('arxiv-list.html'), new URL('https://arxiv.org/list/cs.LG/recent'));
+
+      expect(results.map(result => result.id)).toEqual(['arxiv:2510.01234', 'arxiv:2510.05678']);
+      expect(results[0].metadata.title).toEqual('Sparse Mixtures of Experts at Scale');
+      expect(results[0].metadata.authors).toEqual(['Jane Doe', 'Richard Roe']);
+    });
+
+    it('should extract every publication on a dblp page', () => {
+      const results = extractListFromDocument(loadFixture('dblp.html'), new URL('https://dblp.org/pid/10/3248.html'));
+
+      expect(results.map(result => result.id)).toEqual([
+        'doi:10.1038/nature14539',
+        'https://proceedings.neurips.cc/paper/2012/hash/c399862d3b9d6b76c8436e924a68c45b-Abstract.html',
+      ]);
+      expect(results[0].metadata).toEqual({
+        title: 'Deep learning',
+        authors: ['Yann LeCun', 'Yoshua Bengio', 'Geoffrey E. Hinton'],
+        abstract: null,
+        publishYear: 2015,
+        venue: 'Nat.',
+      });
+      expect(results[1].element.textContent).toEqual('ImageNet Classification with Deep Convolutional Neural Networks.');
+    });
+
+    it('should extract every paper in a proceedings index', () => {
+      const results = extractListFromDocument(loadFixture('neurips.html'), new URL('https://proceedings.neurips.cc/paper_files/paper/2017'));
+
+      expect(results.map(result => result.id)).toEqual([
+        'https://proceedings.neurips.cc/paper_files/paper/2017/hash/3f5ee243547dee91fbd053c1c4a845aa-Abstract.html',
+        'https://proceedings.neurips.cc/paper_files/paper/2017/hash/5a4b25aaed25c2ee1b74de72dc03c14e-Abstract.html',
+      ]);
+      expect(results[1].metadata.title).toEqual('Dynamic Routing Between Capsules');
+      expect(results[1].metadata.authors).toEqual(['Sara Sabour', 'Nicholas Frosst', 'Geoffrey E. Hinton']);
+    });
+
+    it('should return no entries for a single-paper page', () => {
+      expect(extractListFromDocument(loadFixture('arxiv-abs.html'), new URL('https://arxiv.org/abs/1706.03762'))).toEqual([]);
+    });
+  });
+});
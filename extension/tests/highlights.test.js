@@ -0,0 +1,84 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { describeSelection, anchorHighlight, buildTextIndex, renderHighlights, clearHighlights } = require('../highlights');
+
+// Range over the first occurrence of text inside the element matching selector
+const rangeOver = (selector, text) => {
+  const node = document.querySelector(selector).firstChild;
+  const start = node.nodeValue.indexOf(text);
+  const range = document.createRange();
+  range.setStart(node, start);
+  range.setEnd(node, start + text.length);
+  return range;
+};
+
+describe('Page highlights', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <h1>Attention   Is All You Need</h1>
+      <script>var ignored = "we propose";</script>
+      <p id="one">In this work we propose the Transformer.</p>
+      <p id="two">Later, <em>we propose</em> a new schedule.</p>`;
+  });
+
+  it('should describe a selection as a quote with context and position', () => {
+    const anchor = describeSelection(document.body, rangeOver('#one', 'we propose'));
+
+    expect(anchor.quote).toEqual('we propose');
+    expect(anchor.prefix.endsWith('In this work ')).toBe(true);
+    expect(anchor.suffix.startsWith(' the Transformer.')).toBe(true);
+    expect(buildTextIndex(document.body).text.slice(anchor.position.start, anchor.position.end)).toEqual('we propose');
+  });
+
+  it('should ignore selections with no text', () => {
+    const range = document.createRange();
+    range.setStart(document.querySelector('#one').firstChild, 3);
+    expect(describeSelection(document.body, range)).toBeNull();
+  });
+
+  it('should collapse whitespace and skip scripts in the page text', () => {
+    const { text } = buildTextIndex(document.body);
+    expect(text).toContain('Attention Is All You Need');
+    expect(text).not.toContain('ignored');
+  });
+
+  it('should re-anchor with the prefix and suffix when the page changed', () => {
+    const anchor = describeSelection(document.body, rangeOver('em', 'we propose'));
+    document.querySelector('h1').textContent = 'Attention Is All You Need (revised)';
+
+    const index = buildTextIndex(document.body);
+    const found = anchorHighlight(index, anchor);
+
+    expect(found.start).not.toEqual(anchor.position.start);
+    expect(index.text.slice(found.end, found.end + 6)).toEqual(' a new');
+  });
+
+  it('should render highlights with author attribution, sharing marks where they overlap', () => {
+    const naj = { ...describeSelection(document.body, rangeOver('#one', 'we propose the')), user: 'naj', comment: 'Main claim' };
+    const tam = { ...describeSelection(document.body, rangeOver('#one', 'the Transformer')), user: 'tam' };
+    const missing = { quote: 'not on this page', user: 'tam' };
+
+    const { anchored, orphaned } = renderHighlights(document.body, [naj, tam, missing]);
+
+    expect(anchored).toEqual([naj, tam]);
+    expect(orphaned).toEqual([missing]);
+    const marks = Array.from(document.querySelectorAll('#one mark.xjr3-highlight'));
+    expect(marks.map(mark => mark.textContent)).toEqual(['we propose ', 'the', ' Transformer']);
+    expect(marks[0].title).toEqual('Highlighted by naj: Main claim');
+    expect(marks[1].dataset.users).toEqual('naj,tam');
+    expect(document.querySelector('#one').textContent).toEqual('In this work we propose the Transformer.');
+  });
+
+  it('should find highlights again after re-rendering and remove them cleanly', () => {
+    const anchor = { ...describeSelection(document.body, rangeOver('em', 'propose')), user: 'naj' };
+    renderHighlights(document.body, [anchor]);
+    renderHighlights(document.body, [anchor]); // Marks from the first render do not shift the page text
+
+    expect(document.querySelectorAll('mark').length).toBe(1);
+    clearHighlights(document.body);
+    expect(document.querySelector('em').childNodes.length).toBe(1);
+    expect(document.querySelector('em').textContent).toEqual('we propose');
+  });
+});
@@ -0,0 +1,31 @@
+const browserIdentifiers = require('../identifiers');
+const sharedIdentifiers = require('../../shared/identifiers');
+
+// identifiers.js is a browser copy of shared/identifiers.js; the status mirror only works while both agree
+describe('Browser identifier normalization', () => {
+  const inputs = [
+    'doi:10.1023/A:1007379606734',
+    '10.1000/XYZ.',
+    'https://doi.org/10.1145/3292500.3330701',
+    'https://dx.doi.org/10.1000%2Fxyz',
+    'https://arxiv.org/abs/2101.00001v2',
+    'https://arxiv.org/pdf/2101.00001v2.pdf',
+    'arXiv:hep-th/9901001v1',
+    '10.48550/arXiv.2101.00001',
+    'https://pubmed.ncbi.nlm.nih.gov/31452104/',
+    'pmid:31452104',
+    'isbn:0-262-03384-4',
+    '978-0-262-03384-8',
+    'https://www.Example.org/papers/42/?utm_source=feed&b=2&a=1#section',
+    'url:example.org/paper',
+    'https://scholar.google.com/scholar?cluster=123&hl=en',
+    'abc123hash',
+    '',
+  ];
+
+  it('should reduce identifiers to the same aliases as shared/identifiers.js', () => {
+    inputs.forEach((input) => {
+      expect(browserIdentifiers.identifiersFor(input)).toEqual(sharedIdentifiers.identifiersFor(input));
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  OUTBOX_MAX_ATTEMPTS,
+  newIdempotencyKey,
+  createOutboxEntry,
+  outboxRetryDelay,
+  classifyOutboxResponse,
+} = require('../outbox');
+
+describe('Offline outbox', () => {
+  const markRead = { method: 'POST', url: 'http://localhost:3000/api/papers/mark-read' };
+  const undoRead = { method: 'DELETE', url: 'http://localhost:3000/api/papers/mark-read' };
+
+  it('should generate distinct v4 UUIDs', () => {
+    const key = newIdempotencyKey();
+    expect(key).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(newIdempotencyKey()).not.toEqual(key);
+  });
+
+  it('should fall back to getRandomValues where randomUUID is missing', () => {
+    const randomUUID = crypto.randomUUID;
+    crypto.randomUUID = undefined;
+    try {
+      expect(newIdempotencyKey()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    } finally {
+      crypto.randomUUID = randomUUID;
+    }
+  });
+
+  it('should keep the key of the first attempt', () => {
+    const entry = createOutboxEntry({ ...markRead, key: 'key-1', body: { id: 'doi:10.1000/xyz' } }, 1000);
+    expect(entry).toEqual(expect.objectContaining({
+      key: 'key-1',
+      label: 'POST http://localhost:3000/api/papers/mark-read',
+      attempts: 0,
+      queuedAt: 1000,
+      nextAttemptAt: 1000,
+    }));
+    expect(createOutboxEntry(markRead).key).toEqual(expect.any(String));
+  });
+
+  it('should back off exponentially up to an hour', () => {
+    expect(outboxRetryDelay(1)).toBe(30 * 1000);
+    expect(outboxRetryDelay(2)).toBe(60 * 1000);
+    expect(outboxRetryDelay(4)).toBe(4 * 60 * 1000);
+    expect(outboxRetryDelay(OUTBOX_MAX_ATTEMPTS + 10)).toBe(60 * 60 * 1000);
+  });
+
+  it('should classify backend answers', () => {
+    expect(classifyOutboxResponse(markRead, 200)).toBe('done');
+    expect(classifyOutboxResponse(markRead, 401)).toBe('reauth');
+    expect(classifyOutboxResponse(markRead, 503)).toBe('retry');
+    expect(classifyOutboxResponse(markRead, 429)).toBe('retry');
+    expect(classifyOutboxResponse(markRead, 400, { message: '"read.user" is required' })).toBe('dead');
+    expect(classifyOutboxResponse(markRead, 422)).toBe('dead');
+  });
+
+  it('should resolve conflicts the backend already settled', () => {
+    expect(classifyOutboxResponse(markRead, 409, { conflict: 'duplicate-read' })).toBe('resolved');
+    expect(classifyOutboxResponse(markRead, 409, { conflict: 'in-progress' })).toBe('retry');
+    expect(classifyOutboxResponse(markRead, 409, { conflict: 'claimed' })).toBe('dead');
+    expect(classifyOutboxResponse(undoRead, 404)).toBe('resolved');
+    expect(classifyOutboxResponse(markRead, 404)).toBe('dead');
+  });
+});
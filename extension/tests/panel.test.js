@@ -0,0 +1,454 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { createPaperPanel, PANEL_HOST_ID } = require('../panel');
+
+// content.js reads the browser API and checks the page as soon as it is required
+const mockBrowserApi = {
+  storage: { local: { get: jest.fn(() => Promise.resolve({})) } },
+  runtime: { onMessage: { addListener: jest.fn() }, sendMessage: jest.fn(() => Promise.resolve({ success: true })) },
+};
+global.chrome = mockBrowserApi;
+global.fetch = jest.fn();
+
+const { showPaperPanel, handlePaperEvent, matchesPaperEvent, annotateListedPapers, checkPaperAndDisplayStatus } = require('../content');
+
+const shadowOf = () => document.getElementById(PANEL_HOST_ID).shadowRoot;
+const buttonLabelled = (label) => Array.from(shadowOf().querySelectorAll('button')).find(button => button.textContent === label);
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Paper panel', () => {
+  let handlers;
+  let panel;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<style>p { display: none; }</style>';
+    handlers = { onMarkRead: jest.fn(), onUndo: jest.fn(), onDismiss: jest.fn() };
+    panel = createPaperPanel(document, handlers);
+    panel.showStatus({ title: 'Test Paper', status: 'Paper: Unread', canMarkRead: true, canUndo: true });
+  });
+
+  it('should render inside a shadow root', () => {
+    expect(document.body.querySelector('p')).toBeNull(); // Nothing leaks into the page DOM
+    expect(shadowOf().querySelector('.title').textContent).toEqual('Test Paper');
+    expect(shadowOf().querySelector('.status').textContent).toEqual('Paper: Unread');
+  });
+
+  it('should replace an earlier panel', () => {
+    createPaperPanel(document, handlers);
+    expect(document.querySelectorAll(`#${PANEL_HOST_ID}`).length).toBe(1);
+  });
+
+  it('should call the handlers for Mark Read and Remove My Read', () => {
+    buttonLabelled('Mark Read').click();
+    buttonLabelled('Remove My Read').click();
+
+    expect(handlers.onMarkRead).toHaveBeenCalledTimes(1);
+    expect(handlers.onUndo).toHaveBeenCalledTimes(1);
+  });
+
+  it('should be dismissible', () => {
+    shadowOf().querySelector('.close').click();
+
+    expect(document.getElementById(PANEL_HOST_ID)).toBeNull();
+    expect(handlers.onDismiss).toHaveBeenCalled();
+  });
+
+  it('should resolve the entered notes, or null when cancelled', async () => {
+    const saved = panel.askForNotes();
+    shadowOf().querySelector('textarea').value = 'Great paper';
+    buttonLabelled('Save Read').click();
+    await expect(saved).resolves.toEqual('Great paper');
+
+    const cancelled = panel.askForNotes();
+    buttonLabelled('Cancel').click();
+    await expect(cancelled).resolves.toBeNull();
+    expect(buttonLabelled('Mark Read')).toBeDefined(); // Back to the status view
+  });
+
+  it('should offer to view notes before marking an already read paper', async () => {
+    const choice = panel.confirmAlreadyRead('Already read by naj', [{ label: 'naj on Sep 26', notes: '<b>Skim section 3</b>' }]);
+    expect(shadowOf().querySelector('.status').textContent).toEqual('Already read by naj — view notes or mark anyway?');
+
+    buttonLabelled('View Notes').click();
+    expect(shadowOf().querySelector('.notes').textContent).toEqual('<b>Skim section 3</b>'); // Rendered as text
+    expect(shadowOf().querySelector('b')).toBeNull();
+
+    buttonLabelled('Mark Anyway').click();
+    await expect(choice).resolves.toEqual('mark');
+  });
+
+  it('should offer to claim the paper for a chosen number of days', () => {
+    handlers.onClaim = jest.fn();
+    handlers.onReleaseClaim = jest.fn();
+    panel = createPaperPanel(document, handlers);
+    panel.showStatus({ title: 'Test Paper', status: 'Paper: Unread', canClaim: true });
+
+    shadowOf().querySelector('select').value = '14';
+    buttonLabelled('Claim').click();
+    expect(handlers.onClaim).toHaveBeenCalledWith(14);
+
+    panel.showStatus({ title: 'Test Paper', status: 'Paper: Unread', claim: 'Claimed by you 1 days ago', canClaim: true, canReleaseClaim: true });
+    expect(shadowOf().querySelector('.claim').className).toEqual('claim');
+    buttonLabelled('Release Claim').click();
+    expect(handlers.onReleaseClaim).toHaveBeenCalled();
+    expect(buttonLabelled('Extend Claim')).toBeDefined();
+  });
+});
+
+describe('content.js panel actions', () => {
+  const session = { jwtToken: 'testJwt', userId: 'naj' };
+  const paperData = {
+    id: 'doi:10.1000/xyz',
+    aliases: ['https://example.org/paper', 'doi:10.1000/xyz'],
+    metadata: { title: 'Test Paper', authors: ['Test Author'], abstract: 'Test Abstract', publishYear: 2023 },
+  };
+  const jsonResponse = (status, body) => ({ ok: status < 400, status, json: jest.fn().mockResolvedValue(body) });
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.clearAllMocks();
+  });
+
+  it('should ask before marking a paper a teammate already read, then post the notes', async () => {
+    const paperStatus = {
+      id: 'doi:10.1000/xyz',
+      readStatus: 'unread',
+      status: null,
+      currentlyReading: [],
+      metadata: paperData.metadata,
+      reads: [{ _id: 'r1', user: 'tam', timestamp: '2025-09-26T09:10:00Z', notes: 'Worth it' }],
+    };
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, { message: 'Paper marked as read successfully' }))
+      .mockResolvedValueOnce(jsonResponse(200, paperStatus));
+
+    showPaperPanel(paperData, paperStatus, session);
+    buttonLabelled('Mark Read').click();
+    await flushPromises();
+    expect(shadowOf().querySelector('.status').textContent).toContain('Already read by tam');
+
+    buttonLabelled('Mark Anyway').click();
+    await flushPromises();
+    shadowOf().querySelector('textarea').value = 'Section 4 is key';
+    buttonLabelled('Save Read').click();
+    await flushPromises();
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3000/api/papers/mark-read', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      id: 'doi:10.1000/xyz',
+      aliases: paperData.aliases,
+      metadata: paperData.metadata,
+      read: { user: 'naj', notes: 'Section 4 is key' },
+    });
+    expect(shadowOf().querySelector('.message').textContent).toEqual('Marked as read.');
+  });
+
+  it('should remove the current user read entry', async () => {
+    const paperStatus = {
+      id: 'doi:10.1000/xyz',
+      readStatus: 'read',
+      status: 'read',
+      currentlyReading: [],
+      metadata: paperData.metadata,
+      reads: [{ _id: 'r2', user: 'naj', timestamp: '2025-09-26T09:10:00Z', notes: '' }],
+    };
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, { message: 'Read entry removed successfully' }))
+      .mockResolvedValueOnce(jsonResponse(404, { message: 'Paper not found' }));
+
+    showPaperPanel(paperData, paperStatus, session);
+    buttonLabelled('Remove My Read').click();
+    await flushPromises();
+
+    expect(global.fetch.mock.calls[0][1]).toEqual(expect.objectContaining({
+      method: 'DELETE',
+      body: JSON.stringify({ id: 'doi:10.1000/xyz', readEntryId: 'r2' }),
+    }));
+    expect(shadowOf().querySelector('.status').textContent).toEqual('Paper: Unread');
+    expect(buttonLabelled('Remove My Read')).toBeUndefined();
+  });
+
+  it("should render teammates' highlights with attribution", () => {
+    document.body.innerHTML = '<p>In this work we propose the Transformer.</p>';
+    const paperStatus = {
+      id: 'doi:10.1000/xyz',
+      readStatus: 'unread',
+      status: null,
+      currentlyReading: [],
+      metadata: paperData.metadata,
+      reads: [{ _id: 'r1', user: 'tam', timestamp: '2025-09-26T09:10:00Z', highlights: [{ quote: 'we propose', prefix: 'this work ' }] }],
+    };
+
+    showPaperPanel(paperData, paperStatus, session);
+
+    expect(document.querySelector('mark.xjr3-highlight').textContent).toEqual('we propose');
+    expect(document.querySelector('mark.xjr3-highlight').title).toEqual('Highlighted by tam');
+    expect(shadowOf().querySelector('.highlights').textContent).toEqual('Highlights: tam (1)');
+  });
+
+  it('should save the selected text as a highlight', async () => {
+    document.body.innerHTML = '<p>In this work we propose the Transformer.</p>';
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(201, { message: 'Highlight saved successfully' }))
+      .mockResolvedValueOnce(jsonResponse(404, { message: 'Paper not found' }));
+
+    showPaperPanel(paperData, null, session);
+    const text = document.querySelector('p').firstChild;
+    const range = document.createRange();
+    range.setStart(text, 13);
+    range.setEnd(text, 23);
+    document.getSelection().addRange(range);
+    document.body.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+
+    expect(shadowOf().querySelector('.selection').textContent).toEqual('“we propose”');
+    buttonLabelled('Save Highlight').click();
+    await flushPromises();
+
+    expect(global.fetch.mock.calls[0][0]).toEqual('http://localhost:3000/api/papers/doi%3A10.1000%2Fxyz/highlights');
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      aliases: paperData.aliases,
+      metadata: paperData.metadata,
+      highlight: { quote: 'we propose', prefix: 'In this work ', suffix: ' the Transformer.', position: { start: 13, end: 23 } },
+    });
+    expect(shadowOf().querySelector('.message').textContent).toEqual('Highlight saved.');
+    expect(buttonLabelled('Save Highlight')).toBeUndefined();
+  });
+
+  it("should warn about a teammate's claim and hide the claim controls", () => {
+    const claimedAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    const paperStatus = {
+      id: 'doi:10.1000/xyz',
+      readStatus: 'unread',
+      currentlyReading: [],
+      metadata: paperData.metadata,
+      reads: [],
+      claim: { user: 'tam', claimedAt, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), assignedBy: null },
+    };
+
+    showPaperPanel(paperData, paperStatus, session);
+
+    const warning = shadowOf().querySelector('.claim.warning');
+    expect(warning.textContent).toMatch(/^Claimed by tam 2 days ago \(until .+\)$/);
+    expect(buttonLabelled('Claim')).toBeUndefined();
+  });
+
+  it('should ignore an expired claim', () => {
+    const paperStatus = {
+      id: 'doi:10.1000/xyz',
+      readStatus: 'unread',
+      currentlyReading: [],
+      metadata: paperData.metadata,
+      reads: [],
+      claim: { user: 'tam', claimedAt: '2025-09-01T00:00:00Z', expiresAt: '2025-09-08T00:00:00Z', assignedBy: null },
+    };
+
+    showPaperPanel(paperData, paperStatus, session);
+
+    expect(shadowOf().querySelector('.claim')).toBeNull();
+    expect(buttonLabelled('Claim')).toBeDefined();
+  });
+
+  it('should claim the paper and show the claim after refreshing', async () => {
+    const claim = { user: 'naj', claimedAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), assignedBy: null };
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, { message: 'Paper claimed successfully', claim }))
+      .mockResolvedValueOnce(jsonResponse(200, {
+        id: 'doi:10.1000/xyz', readStatus: 'unread', currentlyReading: [], metadata: paperData.metadata, reads: [], claim,
+      }));
+
+    showPaperPanel(paperData, null, session);
+    buttonLabelled('Claim').click();
+    await flushPromises();
+
+    expect(global.fetch.mock.calls[0][0]).toEqual('http://localhost:3000/api/papers/claim');
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      id: paperData.id,
+      aliases: paperData.aliases,
+      days: 7,
+      metadata: paperData.metadata,
+    });
+    expect(shadowOf().querySelector('.claim').textContent).toMatch(/^Claimed by you /);
+    expect(shadowOf().querySelector('.message').textContent).toEqual('Claimed for 7 days.');
+    expect(buttonLabelled('Release Claim')).toBeDefined();
+  });
+
+  it("should refresh the panel when a teammate's live event is about this paper", async () => {
+    mockBrowserApi.storage.local.get.mockResolvedValue({ userId: 'naj' });
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, {
+      id: 'doi:10.1000/xyz',
+      readStatus: 'read',
+      status: null,
+      currentlyReading: [],
+      metadata: paperData.metadata,
+      reads: [{ _id: 'r1', user: 'tam', timestamp: new Date().toISOString(), status: 'read', notes: '' }],
+    }));
+
+    showPaperPanel(paperData, null, session);
+    await handlePaperEvent({ type: 'mark-read', paperId: 'doi:10.1000/other', aliases: [], actor: 'tam', status: 'read' });
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await handlePaperEvent({ type: 'mark-read', paperId: 'doi:10.1000/xyz', aliases: ['doi:10.1000/xyz'], actor: 'tam', status: 'read' });
+    expect(shadowOf().querySelector('.status').textContent).toContain('read by tam');
+    expect(shadowOf().querySelector('.message').textContent).toEqual('tam marked this paper as read.');
+
+    await handlePaperEvent({ type: 'undo', paperId: 'doi:10.1000/xyz', aliases: [], actor: 'naj' });
+    expect(global.fetch).toHaveBeenCalledTimes(1); // Your own actions already refreshed the tab that made them
+    mockBrowserApi.storage.local.get.mockImplementation(() => Promise.resolve({}));
+  });
+
+  it('should match live events through normalized aliases', () => {
+    const arxivPaper = { id: 'https://arxiv.org/abs/2101.00001v2', aliases: ['arxiv:2101.00001v2'] };
+    expect(matchesPaperEvent({ paperId: 'arxiv:2101.00001', aliases: ['arxiv:2101.00001'] }, arxivPaper)).toBe(true);
+    expect(matchesPaperEvent({ paperId: 'doi:10.1000/XYZ', aliases: [] }, paperData)).toBe(true);
+    expect(matchesPaperEvent({ paperId: 'arxiv:2101.00002', aliases: [] }, arxivPaper)).toBe(false);
+
+    const openReviewPaper = { id: 'https://openreview.net/forum?id=abc&utm_source=feed', aliases: [] };
+    expect(matchesPaperEvent({ paperId: 'url:openreview.net/forum?id=abc', aliases: ['url:openreview.net/forum?id=abc'] }, openReviewPaper)).toBe(true);
+    expect(matchesPaperEvent({ paperId: 'url:openreview.net/forum?id=abd', aliases: [] }, openReviewPaper)).toBe(false);
+  });
+
+  it('should refresh the panel of a page identified only by its URL', async () => {
+    const urlPaper = { ...paperData, id: 'https://www.openreview.net/forum?id=abc', aliases: [] };
+    mockBrowserApi.storage.local.get.mockResolvedValue({ userId: 'naj' });
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, {
+      id: 'url:openreview.net/forum?id=abc',
+      readStatus: 'read',
+      status: null,
+      currentlyReading: [],
+      metadata: urlPaper.metadata,
+      reads: [{ _id: 'r1', user: 'tam', timestamp: new Date().toISOString(), status: 'read', notes: '' }],
+    }));
+
+    showPaperPanel(urlPaper, null, session);
+    await handlePaperEvent({ type: 'mark-read', paperId: 'url:openreview.net/forum?id=abc', aliases: ['url:openreview.net/forum?id=abc'], actor: 'tam', status: 'read' });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(shadowOf().querySelector('.message').textContent).toEqual('tam marked this paper as read.');
+    mockBrowserApi.storage.local.get.mockImplementation(() => Promise.resolve({}));
+  });
+
+  it('should queue the read when the server cannot be reached', async () => {
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    showPaperPanel(paperData, null, session);
+    buttonLabelled('Mark Read').click();
+    await flushPromises();
+    buttonLabelled('Save Read').click();
+    await flushPromises();
+
+    expect(mockBrowserApi.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'queueOfflineRequest',
+      payload: expect.objectContaining({ url: 'http://localhost:3000/api/papers/mark-read', method: 'POST' }),
+    });
+    expect(shadowOf().querySelector('.message').textContent).toContain('queued');
+  });
+});
+
+describe('content.js read-status mirror', () => {
+  const session = { jwtToken: 'testJwt', userId: 'naj' };
+  const cachedResult = (fields) => ({
+    found: true,
+    readStatus: 'unread',
+    status: null,
+    currentlyReading: [],
+    readers: [{ user: 'tam', timestamp: new Date().toISOString(), status: 'read' }],
+    claim: null,
+    reads: [{ _id: 'r1', user: 'tam', timestamp: new Date().toISOString(), status: 'read' }],
+    metadata: { title: 'Mirrored Paper' },
+    ...fields,
+  });
+  const mirrorAnswering = (cached) => mockBrowserApi.runtime.sendMessage.mockImplementation(async (message) => (
+    message.action === 'lookupReadStatus' ? cached : { success: true }
+  ));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBrowserApi.storage.local.get.mockResolvedValue(session);
+  });
+
+  afterEach(() => {
+    mockBrowserApi.runtime.sendMessage.mockImplementation(() => Promise.resolve({ success: true }));
+    mockBrowserApi.storage.local.get.mockResolvedValue({});
+  });
+
+  it('should badge listed papers from a fresh mirror and ask the backend only about the ones it lacks', async () => {
+    document.body.innerHTML = '<h3 id="first">First</h3><h3 id="second">Second</h3>';
+    const listedPapers = [
+      { id: 'doi:10.1000/1', aliases: [], element: document.getElementById('first') },
+      { id: 'https://example.org/paper-2', aliases: [], element: document.getElementById('second') },
+    ];
+    mirrorAnswering({ results: [cachedResult(), { id: 'https://example.org/paper-2', found: false }], syncedAt: Date.now(), fresh: true });
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: jest.fn().mockResolvedValue({
+        results: [{ ...cachedResult(), id: 'https://example.org/paper-2', readers: [{ user: 'kim', timestamp: new Date().toISOString() }] }],
+      }),
+    });
+
+    await annotateListedPapers(listedPapers);
+
+    expect(mockBrowserApi.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'lookupReadStatus',
+      papers: [{ id: 'doi:10.1000/1', aliases: [] }, { id: 'https://example.org/paper-2', aliases: [] }],
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ papers: [{ id: 'https://example.org/paper-2', aliases: [] }] });
+    expect(document.querySelectorAll('.xjr3-badge')[0].innerText).toContain('Read by tam');
+    expect(document.querySelectorAll('.xjr3-badge')[1].innerText).toContain('Read by kim');
+  });
+
+  it('should not ask the backend when a fresh mirror knows every listed paper', async () => {
+    document.body.innerHTML = '<h3 id="first">First</h3>';
+    const listedPapers = [{ id: 'doi:10.1000/1', aliases: [], element: document.getElementById('first') }];
+    mirrorAnswering({ results: [cachedResult()], syncedAt: Date.now(), fresh: true });
+
+    await annotateListedPapers(listedPapers);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(document.querySelector('.xjr3-badge').innerText).toContain('Read by tam');
+  });
+
+  it('should keep mirrored badges when a stale mirror cannot be refreshed', async () => {
+    document.body.innerHTML = '<h3 id="first">First</h3>';
+    const listedPapers = [{ id: 'doi:10.1000/1', aliases: [], element: document.getElementById('first') }];
+    mirrorAnswering({ results: [cachedResult()], syncedAt: Date.now() - 60 * 60 * 1000, fresh: false });
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await annotateListedPapers(listedPapers);
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3000/api/papers/check-papers', expect.any(Object));
+    expect(document.querySelector('.xjr3-badge').innerText).toContain('Read by tam');
+  });
+
+  it('should show the mirrored status on a paper page while offline', async () => {
+    document.head.innerHTML = '<meta name="citation_doi" content="10.1000/xyz"><meta name="citation_title" content="Mirrored Paper">';
+    document.body.innerHTML = '';
+    mirrorAnswering({ results: [cachedResult()], syncedAt: Date.now() - 60 * 60 * 1000, fresh: false });
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await checkPaperAndDisplayStatus();
+    global.fetch.mockReset();
+    document.head.innerHTML = '';
+
+    expect(shadowOf().querySelector('.status').textContent).toContain('read by tam');
+    expect(shadowOf().querySelector('.message').textContent).toContain("Could not reach the server — showing the team's status as of");
+  });
+
+  it('should ask the backend without a mirror and show an untracked paper as unread', async () => {
+    document.head.innerHTML = '<meta name="citation_doi" content="10.1000/new"><meta name="citation_title" content="New Paper">';
+    document.body.innerHTML = '';
+    global.fetch.mockResolvedValueOnce({ ok: false, status: 404, json: jest.fn().mockResolvedValue({ message: 'Paper not found' }) });
+
+    await checkPaperAndDisplayStatus();
+    document.head.innerHTML = '';
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/check-paper?id=10.1000%2Fnew&details=true'),
+      { headers: { 'x-auth-token': 'testJwt' } }
+    );
+    expect(shadowOf().querySelector('.title').textContent).toEqual('New Paper');
+    expect(shadowOf().querySelector('.status').textContent).toEqual('Paper: Unread');
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { isPdfDocument, extractPdfMetadata, fetchPdfMetadata, readContentLines } = require('../pdfMetadata');
+
+const loadFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('PDF metadata', () => {
+  it('should find the arXiv ID and title in the first page text', async () => {
+    const url = new URL('https://www.example.org/papers/attention.pdf');
+    const result = await extractPdfMetadata(loadFixture('arxiv-paper.pdf'), url);
+
+    expect(result.id).toEqual('arxiv:1706.03762');
+    expect(result.aliases).toEqual([url.href, 'arxiv:1706.03762']);
+    expect(result.metadata.title).toEqual('Attention Is All You Need');
+    expect(result.metadata.publishYear).toBeNull(); // The Info CreationDate is when the file was made (2023)
+    expect(result.source).toEqual('pdf');
+  });
+
+  it('should prefer the DOI and title from the XMP packet', async () => {
+    const url = new URL('https://www.nature.com/articles/s41586-021-03819-2.pdf');
+    const result = await extractPdfMetadata(loadFixture('journal-article.pdf'), url);
+
+    expect(result.id).toEqual('doi:10.1038/s41586-021-03819-2');
+    expect(result.metadata).toEqual({
+      title: 'Highly accurate protein structure prediction with AlphaFold',
+      authors: ['John Jumper', 'Richard Evans', 'René Pritzel'],
+      abstract: null,
+      publishYear: 2021,
+      venue: 'Nature',
+    });
+    expect(result.confidence).toBeGreaterThan(0.5);
+  });
+
+  it('should fall back to the URL and ignore producer-supplied titles', async () => {
+    const url = new URL('https://example.org/files/draft.pdf');
+    const result = await extractPdfMetadata(loadFixture('untitled.pdf'), url);
+
+    expect(result.id).toEqual(url.href);
+    expect(result.metadata.title).toBeNull();
+    expect(result.metadata.authors).toEqual(['jdoe']);
+  });
+
+  it('should use the arXiv ID in the URL when the text has none', async () => {
+    const url = new URL('https://arxiv.org/pdf/2101.00001v2');
+    const result = await extractPdfMetadata(loadFixture('untitled.pdf'), url);
+
+    expect(result.id).toEqual('arxiv:2101.00001');
+  });
+
+  it('should ignore DOIs and arXiv IDs cited after the first page', async () => {
+    const page = (text) => `BT /F1 10 Tf 72 700 Td (${text}) Tj ET`;
+    const streams = [page('A Paper Without Its Own Identifier'), page('[1] Cited work. doi:10.1000/cited, arXiv:2101.00001')];
+    const pdf = [
+      '%PDF-1.5',
+      '1 0 obj << /CreationDate (D:20240101000000Z) >> endobj',
+      ...streams.map((content, i) => `${i + 2} 0 obj << /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj`),
+      '%%EOF',
+    ].join('\n');
+    const url = new URL('https://example.org/files/paper.pdf');
+
+    const result = await extractPdfMetadata(Buffer.from(pdf, 'latin1'), url);
+
+    expect(result.id).toEqual(url.href);
+    expect(result.aliases).toEqual([url.href]);
+    expect(result.metadata.publishYear).toBeNull();
+  });
+
+  it('should read text lines with their font size', () => {
+    const lines = readContentLines('BT /F1 14 Tf 72 700 Td [(Deep)-400(Learning)]TJ /F2 9 Tf 0 -20 Td (Y. LeCun \\(NYU\\)) Tj ET');
+
+    expect(lines).toEqual([
+      { text: 'Deep Learning', size: 14 },
+      { text: 'Y. LeCun (NYU)', size: 9 },
+    ]);
+  });
+
+  it('should detect the browser PDF viewer', () => {
+    const htmlDocument = { contentType: 'text/html', querySelector: () => null };
+    const viewerDocument = { contentType: 'application/pdf', querySelector: () => null };
+
+    expect(isPdfDocument(viewerDocument, new URL('https://example.org/download?id=1'))).toBe(true);
+    expect(isPdfDocument(htmlDocument, new URL('https://example.org/paper.pdf'))).toBe(true);
+    expect(isPdfDocument(htmlDocument, new URL('https://example.org/paper'))).toBe(false);
+  });
+
+  it('should fetch the PDF with the user cookies', async () => {
+    const bytes = loadFixture('arxiv-paper.pdf');
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      arrayBuffer: jest.fn().mockResolvedValue(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)),
+    });
+
+    const result = await fetchPdfMetadata(new URL('https://example.org/attention.pdf'));
+
+    expect(global.fetch).toHaveBeenCalledWith('https://example.org/attention.pdf', { credentials: 'include' });
+    expect(result.id).toEqual('arxiv:1706.03762');
+  });
+});
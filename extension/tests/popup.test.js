@@ -0,0 +1,134 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// popup.js looks up the popup's elements and jQuery modals as soon as it is required
+document.documentElement.innerHTML = fs.readFileSync(path.join(__dirname, '../popup.html'), 'utf8');
+const modal = { modal: jest.fn(), on: jest.fn(), empty: jest.fn(), append: jest.fn() };
+modal.off = jest.fn(() => modal);
+global.$ = jest.fn(() => modal);
+
+const mockBrowserApi = {
+  storage: { local: { get: jest.fn(), set: jest.fn(), remove: jest.fn() } },
+  runtime: { sendMessage: jest.fn() },
+  tabs: { query: jest.fn() },
+};
+global.chrome = mockBrowserApi;
+global.fetch = jest.fn();
+global.alert = jest.fn();
+
+const { checkLoginStatus, handleLogin, handleLogout, sendOrQueue } = require('../popup');
+
+const jsonResponse = (status, body) => ({ ok: status < 400, status, json: jest.fn().mockResolvedValue(body) });
+const byId = (id) => document.getElementById(id);
+const submitEvent = () => ({ preventDefault: jest.fn() });
+
+describe('popup.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBrowserApi.storage.local.get.mockResolvedValue({});
+    mockBrowserApi.runtime.sendMessage.mockResolvedValue({ queued: [], deadLetters: [] });
+    mockBrowserApi.tabs.query.mockResolvedValue([]);
+    // Every dashboard list answers empty
+    global.fetch.mockImplementation(async (url) => jsonResponse(200, url.includes('/papers/search-papers')
+      ? { papers: [], totalCount: 0 }
+      : { watches: [], savedSearches: [], messages: [], unreadCount: 0, connection: null }));
+  });
+
+  it('should show the login form without a stored session', async () => {
+    await checkLoginStatus();
+
+    expect(byId('login-section').style.display).toEqual('block');
+    expect(byId('dashboard-section').style.display).toEqual('none');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should display the dashboard and load papers when logged in', async () => {
+    mockBrowserApi.storage.local.get.mockResolvedValue({ jwtToken: 'testJwt', refreshToken: 'testRefresh', userId: 'naj' });
+
+    await checkLoginStatus();
+
+    expect(byId('login-section').style.display).toEqual('none');
+    expect(byId('dashboard-section').style.display).toEqual('block');
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/papers/search-papers?page=1&limit=10'),
+      { headers: { 'x-auth-token': 'testJwt' } },
+    );
+    expect(byId('papers-message').textContent).toEqual('No papers found matching your criteria.');
+  });
+
+  it('should store the access and refresh tokens on login and connect live events', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, {
+      token: 'newUserToken',
+      refreshToken: 'newRefreshToken',
+      user: { username: 'naj', isAdmin: false },
+    }));
+    byId('username').value = 'naj';
+    byId('password').value = 'secret';
+
+    await handleLogin(submitEvent());
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3000/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'naj', password: 'secret' }),
+    });
+    expect(mockBrowserApi.storage.local.set).toHaveBeenCalledWith({
+      jwtToken: 'newUserToken',
+      refreshToken: 'newRefreshToken',
+      userId: 'naj',
+    });
+    expect(mockBrowserApi.runtime.sendMessage).toHaveBeenCalledWith({ action: 'connectEvents' });
+    expect(byId('login-message').textContent).toEqual('');
+  });
+
+  it('should show why a login failed', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(400, { message: 'Invalid credentials' }));
+
+    await handleLogin(submitEvent());
+
+    expect(byId('login-message').textContent).toEqual('Invalid credentials');
+    expect(mockBrowserApi.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  it('should revoke the refresh token and forget the session on logout', async () => {
+    mockBrowserApi.storage.local.get.mockImplementation(async (keys) => (keys === 'refreshToken' ? { refreshToken: 'testRefresh' } : {}));
+
+    await handleLogout();
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3000/api/auth/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: 'testRefresh' }),
+    });
+    expect(mockBrowserApi.storage.local.remove).toHaveBeenCalledWith(['jwtToken', 'refreshToken', 'userId']);
+    expect(mockBrowserApi.runtime.sendMessage).toHaveBeenCalledWith({ action: 'disconnectEvents' });
+  });
+
+  it('should log out locally even when the backend cannot be reached', async () => {
+    mockBrowserApi.storage.local.get.mockImplementation(async (keys) => (keys === 'refreshToken' ? { refreshToken: 'testRefresh' } : {}));
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await handleLogout();
+
+    expect(mockBrowserApi.storage.local.remove).toHaveBeenCalledWith(['jwtToken', 'refreshToken', 'userId']);
+    expect(byId('login-section').style.display).toEqual('block');
+  });
+
+  it('should queue a write with its idempotency key when the backend cannot be reached', async () => {
+    mockBrowserApi.storage.local.get.mockResolvedValue({ jwtToken: 'testJwt' });
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const request = { key: 'key-1', url: 'http://localhost:3000/api/papers/mark-read', method: 'POST', body: { id: 'doi:10.1000/xyz' } };
+
+    const response = await sendOrQueue(request);
+
+    expect(response).toBeNull();
+    expect(global.fetch).toHaveBeenCalledWith(request.url, expect.objectContaining({
+      headers: expect.objectContaining({ 'Idempotency-Key': 'key-1', 'x-auth-token': 'testJwt' }),
+    }));
+    expect(mockBrowserApi.runtime.sendMessage).toHaveBeenCalledWith({ action: 'queueOfflineRequest', payload: request });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const { formatRating, parseTags, parseTakeaways, hasNotes, renderReadNotes } = require('../readNotes');
+
+describe('Structured reading notes', () => {
+  it('should format ratings as stars', () => {
+    expect(formatRating(4)).toEqual('★★★★☆');
+    expect(formatRating(null)).toEqual('');
+  });
+
+  it('should parse comma separated tags', () => {
+    expect(parseTags(' NLP, baselines,,nlp ')).toEqual(['nlp', 'baselines']);
+    expect(parseTags('')).toEqual([]);
+  });
+
+  it('should parse one takeaway per line without bullet markers', () => {
+    expect(parseTakeaways('- Scales well\n\n* Cheap to train\n2. Needs warmup\nPlain line')).toEqual([
+      'Scales well',
+      'Cheap to train',
+      'Needs warmup',
+      'Plain line',
+    ]);
+  });
+
+  it('should detect reads without notes', () => {
+    expect(hasNotes({ notes: '', tags: [], takeaways: [], highlights: [] })).toBe(false);
+    expect(hasNotes({ notes: '', rating: 2 })).toBe(true);
+  });
+
+  it('should render every filled in part of the notes as text', () => {
+    const element = renderReadNotes(document, {
+      notes: '**Strong** baseline <img src=x>',
+      rating: 3,
+      tags: ['nlp', 'baseline'],
+      takeaways: ['Scales well'],
+      highlights: [{ quote: 'we propose', comment: 'Main claim' }],
+    });
+
+    expect(element.querySelector('.read-notes-rating').textContent).toEqual('★★★☆☆');
+    expect(Array.from(element.querySelectorAll('.badge')).map(tag => tag.textContent)).toEqual(['nlp', 'baseline']);
+    expect(element.querySelector('.read-notes-body').textContent).toEqual('**Strong** baseline <img src=x>');
+    expect(element.querySelector('img')).toBeNull();
+    expect(element.querySelector('.read-notes-takeaways li').textContent).toEqual('Scales well');
+    expect(element.querySelector('.read-notes-highlight').textContent).toEqual('“we propose”Main claim');
+  });
+
+  it('should say when there are no notes', () => {
+    expect(renderReadNotes(document, { notes: '' }).textContent).toEqual('No notes.');
+  });
+});
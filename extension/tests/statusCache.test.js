@@ -0,0 +1,110 @@
+const { savePapers, findPapers, summarizeCachedPaper } = require('../statusCache');
+
+// Just enough of IndexedDB for one object store with a multiEntry 'identifiers' index
+function fakeDatabase() {
+  const records = new Map();
+  const request = (result) => {
+    const pending = { result };
+    setTimeout(() => pending.onsuccess && pending.onsuccess(), 0);
+    return pending;
+  };
+  return {
+    records,
+    transaction: () => {
+      const transaction = {
+        objectStore: () => ({
+          clear: () => records.clear(),
+          put: (record) => records.set(record.id, record),
+          index: () => ({
+            get: (identifier) => request([...records.values()].find(record => record.identifiers.includes(identifier))),
+          }),
+        }),
+      };
+      setTimeout(() => transaction.oncomplete && transaction.oncomplete(), 0);
+      return transaction;
+    },
+  };
+}
+
+describe('Read-status mirror', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const mirrored = {
+    id: 'doi:10.1000/xyz',
+    aliases: ['doi:10.1000/xyz', 'arxiv:2101.00001'],
+    title: 'AI Paper',
+    reads: [
+      { _id: 'r1', user: 'tam', timestamp: '2026-10-01T10:00:00Z', status: 'read' },
+      { _id: 'r2', user: 'naj', timestamp: '2026-10-02T10:00:00Z', status: 'reading' },
+      { _id: 'r3', user: 'lee', timestamp: '2026-10-03T10:00:00Z', status: 'skimmed' },
+      { _id: 'r4', user: 'lee', timestamp: '2026-10-04T10:00:00Z', status: 'reading' },
+    ],
+    claim: null,
+  };
+
+  it('should summarize a mirrored paper like a /check-papers result', () => {
+    const result = summarizeCachedPaper({ id: 'arxiv:2101.00001' }, mirrored, 'naj', now);
+
+    expect(result).toEqual(expect.objectContaining({
+      id: 'arxiv:2101.00001',
+      found: true,
+      paperId: 'doi:10.1000/xyz',
+      readStatus: 'unread',
+      status: 'reading',
+      currentlyReading: ['naj', 'lee'],
+      readers: [
+        { user: 'lee', timestamp: '2026-10-03T10:00:00Z', status: 'skimmed' },
+        { user: 'tam', timestamp: '2026-10-01T10:00:00Z', status: 'read' },
+      ],
+      latestReadAt: '2026-10-03T10:00:00Z',
+      claim: null,
+      metadata: { title: 'AI Paper' },
+    }));
+    expect(summarizeCachedPaper({ id: 'doi:10.1000/xyz' }, mirrored, 'tam', now).readStatus).toBe('read');
+  });
+
+  it('should report untracked papers and drop expired claims', () => {
+    expect(summarizeCachedPaper({ id: 'doi:10.1000/other' }, null, 'naj', now)).toEqual({ id: 'doi:10.1000/other', found: false });
+
+    const claimed = (expiresAt) => ({ ...mirrored, claim: { user: 'tam', claimedAt: '2026-10-10T00:00:00Z', expiresAt } });
+    expect(summarizeCachedPaper({ id: 'doi:10.1000/xyz' }, claimed('2026-10-20T00:00:00Z'), 'naj', now).claim.user).toBe('tam');
+    expect(summarizeCachedPaper({ id: 'doi:10.1000/xyz' }, claimed('2026-10-18T00:00:00Z'), 'naj', now).claim).toBeNull();
+  });
+
+  it('should find papers by id or any alias', async () => {
+    const db = fakeDatabase();
+    await savePapers(db, [mirrored]);
+
+    const [byAlias, unknown] = await findPapers(db, [
+      { id: 'https://arxiv.org/abs/2101.00001', aliases: ['arxiv:2101.00001'] },
+      { id: 'doi:10.1000/other' },
+    ]);
+
+    expect(db.records.get('doi:10.1000/xyz').identifiers).toEqual(['doi:10.1000/xyz', 'arxiv:2101.00001']);
+    expect(byAlias.title).toBe('AI Paper');
+    expect(unknown).toBeNull();
+  });
+
+  it('should find papers by the raw identifiers content scripts build, normalized like the backend', async () => {
+    const db = fakeDatabase();
+    await savePapers(db, [
+      { id: 'doi:10.1023/a:1007379606734', aliases: ['doi:10.1023/a:1007379606734'], title: 'Mixed Case', reads: [], claim: null },
+      { id: 'url:scholar.example.org/paper', aliases: ['url:scholar.example.org/paper'], title: 'Listed', reads: [], claim: null },
+    ]);
+
+    const [byDoi, byUrl] = await findPapers(db, [
+      { id: 'doi:10.1023/A:1007379606734', aliases: ['doi:10.1023/A:1007379606734'] },
+      { id: 'https://www.scholar.example.org/paper/?utm_source=feed', aliases: [] },
+    ]);
+
+    expect(byDoi.title).toBe('Mixed Case');
+    expect(byUrl.title).toBe('Listed');
+  });
+
+  it('should replace the whole mirror on a full sync', async () => {
+    const db = fakeDatabase();
+    await savePapers(db, [mirrored]);
+    await savePapers(db, [{ id: 'doi:10.1000/new', aliases: [], title: 'New', reads: [], claim: null }], { clear: true });
+
+    expect([...db.records.keys()]).toEqual(['doi:10.1000/new']);
+  });
+});
@@ -1,9 +1,11 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 
 const JWT_SECRET_USER = process.env.JWT_SECRET_USER || 'supersecretuserkey';
 const JWT_SECRET_ADMIN = process.env.JWT_SECRET_ADMIN || 'supersecretadminkey';
 const BCRYPT_SALT_ROUNDS = 10;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 
 // JWT Functions
 const generateUserToken = (payload) => {
@@ -30,6 +32,16 @@ const verifyAdminToken = (token) => {
   }
 };
 
+// Refresh Token Functions
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored server-side.
+const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Bcrypt Functions
 const hashPassword = async (password) => {
   return await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
@@ -44,6 +56,9 @@ module.exports = {
   generateAdminToken,
   verifyUserToken,
   verifyAdminToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  REFRESH_TOKEN_TTL_MS,
   hashPassword,
   comparePassword,
 };
@@ -0,0 +1,168 @@
+// Paper identifier normalization.
+// Every identifier is reduced to a prefixed alias ("doi:10.1000/xyz", "arxiv:2101.00001",
+// "pmid:123456", "isbn:9780262033848", "url:example.org/paper") so that the same paper
+// reached through different pages resolves to the same key.
+
+// Alias types in order of preference for a paper's primary id
+const IDENTIFIER_TYPES = ['doi', 'arxiv', 'pmid', 'isbn', 'url'];
+
+const DOI_PATTERN = /(10\.\d{4,9}\/[^\s"<>?#&]+)/i;
+const ARXIV_NEW_PATTERN = /^(\d{4}\.\d{4,5})(v\d+)?$/i;
+const ARXIV_OLD_PATTERN = /^([a-z-]+(?:\.[a-z]{2})?\/\d{7})(v\d+)?$/i;
+const ARXIV_URL_PATTERN = /arxiv\.org\/(?:abs|pdf|html|format)\/(.+?)(?:\.pdf)?\/?(?:[?#].*)?$/i;
+const PUBMED_URL_PATTERN = /(?:pubmed\.ncbi\.nlm\.nih\.gov|ncbi\.nlm\.nih\.gov\/pubmed)\/(\d{1,8})\b/i;
+const ARXIV_DOI_PATTERN = /^10\.48550\/arxiv\.(.+)$/i;
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|mc_cid|mc_eid|ref|referrer)$/i;
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const normalizeDoi = (value) => {
+  if (!value) return null;
+  const text = safeDecode(String(value).trim())
+    .replace(/^(?:https?:\/\/)?(?:dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '');
+  const match = text.match(DOI_PATTERN);
+  if (!match) return null;
+  return match[1]
+    .replace(/\.pdf$/i, '')
+    .replace(/[.,;:)\]}]+$/, '') // Trailing punctuation from surrounding text
+    .toLowerCase(); // DOIs are case-insensitive
+};
+
+const normalizeArxivId = (value) => {
+  if (!value) return null;
+  let text = String(value).trim();
+  const urlMatch = text.match(ARXIV_URL_PATTERN);
+  if (urlMatch) {
+    text = urlMatch[1];
+  } else if (/^https?:\/\//i.test(text)) {
+    return null;
+  }
+  text = text.replace(/^arxiv:\s*/i, '');
+  const match = text.match(ARXIV_NEW_PATTERN) || text.match(ARXIV_OLD_PATTERN);
+  return match ? match[1].toLowerCase() : null; // Version suffix is dropped
+};
+
+const normalizePmid = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  const urlMatch = text.match(PUBMED_URL_PATTERN);
+  if (urlMatch) return urlMatch[1];
+  const match = text.match(/^(?:pmid:?\s*)?(\d{1,8})$/i);
+  return match ? match[1] : null;
+};
+
+const isbn10Checksum = (digits) => {
+  const sum = digits.slice(0, 9).split('').reduce((acc, digit, i) => acc + Number(digit) * (10 - i), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+const isbn13Checksum = (digits) => {
+  const sum = digits.slice(0, 12).split('').reduce((acc, digit, i) => acc + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Returns the ISBN-13 form of a valid ISBN-10 or ISBN-13, or null
+const normalizeIsbn = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().replace(/^isbn(?:-1[03])?:?\s*/i, '').replace(/[\s-]/g, '').toUpperCase();
+  if (/^\d{9}[\dX]$/.test(text)) {
+    if (isbn10Checksum(text) !== text[9]) return null;
+    const isbn13 = `978${text.slice(0, 9)}`;
+    return isbn13 + isbn13Checksum(isbn13);
+  }
+  if (/^97[89]\d{10}$/.test(text)) {
+    return isbn13Checksum(text) === text[12] ? text : null;
+  }
+  return null;
+};
+
+// Scheme-less, lowercased host without "www.", no fragment, no tracking parameters, sorted query
+const normalizeUrl = (value) => {
+  if (!value) return null;
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const path = url.pathname.replace(/\/+$/, '');
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+
+  return `${host}${path}${query}`;
+};
+
+// All aliases a raw identifier (DOI, arXiv ID, PMID, ISBN, URL or prefixed alias) resolves to
+const identifiersFor = (value) => {
+  const raw = String(value || '').trim();
+  if (!raw) return [];
+
+  const aliases = new Set();
+  const isUrl = /^https?:\/\//i.test(raw);
+  const prefix = (raw.match(/^([a-z]+):(?!\/\/)/i) || [])[1]?.toLowerCase();
+
+  const doi = (!prefix || prefix === 'doi') ? normalizeDoi(raw) : null;
+  if (doi) {
+    aliases.add(`doi:${doi}`);
+    const arxivDoi = doi.match(ARXIV_DOI_PATTERN);
+    if (arxivDoi && normalizeArxivId(arxivDoi[1])) {
+      aliases.add(`arxiv:${normalizeArxivId(arxivDoi[1])}`);
+    }
+  }
+
+  const arxiv = (isUrl || prefix === 'arxiv' || (!prefix && !doi)) ? normalizeArxivId(raw) : null;
+  if (arxiv) aliases.add(`arxiv:${arxiv}`);
+
+  const pmid = (isUrl || prefix === 'pmid') ? normalizePmid(raw) : null;
+  if (pmid) aliases.add(`pmid:${pmid}`);
+
+  const isbn = (prefix === 'isbn' || (!prefix && !isUrl && !doi && !arxiv)) ? normalizeIsbn(raw) : null;
+  if (isbn) aliases.add(`isbn:${isbn}`);
+
+  if (isUrl || prefix === 'url') {
+    const url = normalizeUrl(isUrl ? raw : `https://${raw.slice(4)}`);
+    if (url) aliases.add(`url:${url}`);
+  }
+
+  if (aliases.size === 0) {
+    aliases.add(raw); // Opaque id (e.g. a hash): only ever matches itself
+  }
+
+  return [...aliases];
+};
+
+const aliasRank = (alias) => {
+  const index = IDENTIFIER_TYPES.indexOf(String(alias).split(':')[0]);
+  return index === -1 ? IDENTIFIER_TYPES.length : index;
+};
+
+// The preferred alias to use as a paper's primary id
+const canonicalId = (aliases) => {
+  if (!aliases || aliases.length === 0) return null;
+  return [...aliases].sort((a, b) => aliasRank(a) - aliasRank(b))[0];
+};
+
+module.exports = {
+  IDENTIFIER_TYPES,
+  normalizeDoi,
+  normalizeArxivId,
+  normalizePmid,
+  normalizeIsbn,
+  normalizeUrl,
+  identifiersFor,
+  aliasRank,
+  canonicalId,
+};
@@ -1,3 +1,17 @@
+// Reading lifecycle of a single user's entry for a paper
+const READ_STATUSES = ['want-to-read', 'reading', 'read', 'skimmed', 'abandoned'];
+// Statuses that count as the paper having been read
+const COMPLETED_READ_STATUSES = ['read', 'skimmed'];
+// How long a claim on a paper lasts unless renewed, and the longest claim allowed
+const CLAIM_DEFAULT_DAYS = 7;
+const CLAIM_MAX_DAYS = 30;
+// What a user can watch to be notified when teammates read or annotate matching papers
+const WATCH_KINDS = ['paper', 'author', 'keyword'];
+// How often a saved search sends a digest of newly added matches
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+// Bibliographic fields of a paper, all optional: pages often show no title, abstract or year
+const PAPER_METADATA_FIELDS = ['title', 'authors', 'abstract', 'publishYear', 'venue', 'doi', 'url', 'keywords', 'references'];
+
 const paperSchema = {
   id: null,
   metadata: {
@@ -5,6 +19,10 @@ const paperSchema = {
     authors: [],
     abstract: null,
     publishYear: null,
+    venue: null,
+    doi: null,
+    url: null,
+    keywords: [],
   },
   reads: [],
 };
@@ -13,29 +31,27 @@ function validatePaper(paper) {
   if (!paper.id) {
     return { isValid: false, message: 'Paper ID is required.' };
   }
-  if (!paper.metadata.title) {
-    return { isValid: false, message: 'Paper title is required.' };
-  }
-  if (!Array.isArray(paper.metadata.authors) || paper.metadata.authors.length === 0) {
-    return { isValid: false, message: 'At least one author is required.' };
+  if (paper.metadata.authors !== undefined && !Array.isArray(paper.metadata.authors)) {
+    return { isValid: false, message: 'Paper authors must be an array.' };
   }
-  if (!paper.metadata.abstract) {
-    return { isValid: false, message: 'Paper abstract is required.' };
-  }
-  if (!paper.metadata.publishYear || typeof paper.metadata.publishYear !== 'number') {
-    return { isValid: false, message: 'Paper publish year is required and must be a number.' };
+  const { publishYear } = paper.metadata;
+  if (publishYear !== undefined && publishYear !== null && !Number.isInteger(publishYear)) {
+    return { isValid: false, message: 'Paper publish year must be a whole number.' };
   }
   if (!Array.isArray(paper.reads)) {
     return { isValid: false, message: 'Paper reads must be an array.' };
   }
 
   for (const read of paper.reads) {
-    if (!read.user || !read.timestamp || !read.notes) {
-      return { isValid: false, message: 'Each read entry requires a user, timestamp, and notes.' };
+    if (!read.user || !read.timestamp) {
+      return { isValid: false, message: 'Each read entry requires a user and timestamp.' };
+    }
+    if (read.status && !READ_STATUSES.includes(read.status)) {
+      return { isValid: false, message: `Read status must be one of: ${READ_STATUSES.join(', ')}.` };
     }
   }
 
   return { isValid: true };
 }
 
-module.exports = { paperSchema, validatePaper };
+module.exports = { paperSchema, validatePaper, READ_STATUSES, COMPLETED_READ_STATUSES, CLAIM_DEFAULT_DAYS, CLAIM_MAX_DAYS, WATCH_KINDS, DIGEST_FREQUENCIES, PAPER_METADATA_FIELDS };